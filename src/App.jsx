@@ -1,7 +1,8 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { useOpenCV } from './hooks/useOpenCV';
+import { useSegmentationWorker } from './hooks/useSegmentationWorker';
 import {
-  segmentImage,
+  SEGMENTATION_STEPS,
   drawSegmentation,
   findRegionAtPoint,
   findRegionsInRadius,
@@ -9,7 +10,17 @@ import {
   getCanvasMousePosition,
   cleanupMats,
   selectSimilarRegions,
-  splitRegions
+  replaceRegions,
+  refreshRegionAdjacency,
+  renderRegionsMask,
+  renderLightMask,
+  restoreSelectionFromMask,
+  regionsAtMergeLevel,
+  mergeTreeLevel,
+  regionSizeForDetail,
+  buildLabelMap,
+  computeBoundaryGradient,
+  finishLightMask
 } from './utils/segmentation';
 import {
   computeHomography,
@@ -17,23 +28,341 @@ import {
   applyHomography,
   warpImage
 } from './utils/homography';
+import { DEBUG_LAYER_TITLES, drawDebugLayer } from './utils/debugLayers';
+import { computeRegionStats, summarizeRegionStats, measureLitArea } from './utils/regionStats';
+import { magicWandRegion, subtractFromRegions } from './utils/magicWand';
+import { FEATHER_MODES } from './utils/feather';
+import { MAX_MASK_MARGIN } from './utils/margin';
+import { DEFAULT_COLOR_METRIC } from './utils/color';
+import { DEFAULT_LIGHT_COLOR, DEFAULT_LIGHT_INTENSITY, lightHex, groupByLight, addLight, selectRegionsWithLight } from './utils/light';
+import { serializeProject, validateProject, deserializeProjectRegions, projectActiveSceneId } from './utils/project';
+import { buildMaskSvg, strokesToImage } from './utils/svgExport';
+import { captureScene, applyScene, upgradeScenes, createScene, duplicateScene, moveScene, sceneFileName } from './utils/scenes';
+import {
+  TRANSITION_TYPES,
+  transitionProgress,
+  changedRegionIndices,
+  regionClipPath,
+  drawTransitionFrame
+} from './utils/transitions';
+import { createCue, updateCue, moveCue, cueHoldMs, playableCues, staleCuePositions } from './utils/cues';
+import {
+  OUTPUT_PROFILES,
+  FIT_MODES,
+  OUTPUT_ROTATIONS,
+  getOutputProfile,
+  computeOutputLayout,
+  imageToOutputTransform,
+  invertTransform,
+  applyTransform,
+  renderToOutput
+} from './utils/outputProfiles';
+import { createCostMap, livewireTree, livewirePath, simplifyPath, polygonRegion } from './utils/livewire';
 import * as cocoSsd from '@tensorflow-models/coco-ssd';
 import '@tensorflow/tfjs';
 import './App.css';
 
+// Scribble colors: background, then one per object (cycled)
+const BACKGROUND_SCRIBBLE_COLOR = '#0a84ff';
+const OBJECT_SCRIBBLE_COLORS = ['#ff3b30', '#34c759', '#ffcc00', '#af52de', '#ff9500', '#00c7be', '#ff2d55'];
+
+/**
+ * Display color of a scribble label (0 = background)
+ */
+function scribbleColor(label) {
+  return label === 0 ? BACKGROUND_SCRIBBLE_COLOR : OBJECT_SCRIBBLE_COLORS[(label - 1) % OBJECT_SCRIBBLE_COLORS.length];
+}
+
+/**
+ * Draw scribble strokes on top of a canvas in image coordinates
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas at original image size
+ * @param {Array} strokes - Strokes { label, points: [{x, y}], size }
+ */
+function drawScribbles(canvas, strokes) {
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.globalAlpha = 0.8;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  for (const stroke of strokes) {
+    ctx.strokeStyle = scribbleColor(stroke.label);
+    ctx.lineWidth = stroke.size;
+    ctx.beginPath();
+    ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+    // A single point still draws a dot thanks to the round cap
+    for (const p of stroke.points) ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+/**
+ * Draw presenter brush and polygon strokes (world coordinates) onto a context
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context, transformed to world coordinates
+ * @param {Array} strokes - Strokes { type, points, size }; white strokes are drawn in
+ *   their light color (stroke.color / stroke.intensity)
+ * @param {number} opacity - Stroke opacity (0-1)
+ * @param {number} defaultSize - Brush size for strokes without one (the in-progress stroke)
+ * @param {number} lineScale - Outline width of 1 screen pixel in world units
+ */
+function drawBrushStrokes(ctx, strokes, opacity, defaultSize, lineScale) {
+  for (const stroke of strokes) {
+    // Handle polygon strokes (filled shapes)
+    if (stroke.type === 'polygon-white' || stroke.type === 'polygon-black') {
+      const color = stroke.type === 'polygon-white' ? lightHex(stroke) : 'black';
+      ctx.globalAlpha = opacity;
+      ctx.fillStyle = color;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1 * lineScale;
+      if (stroke.points.length >= 3) {
+        ctx.beginPath();
+        ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+        for (let i = 1; i < stroke.points.length; i++) {
+          ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
+        }
+        ctx.closePath();
+        ctx.fill();
+      }
+      continue;
+    }
+
+    ctx.globalAlpha = opacity;
+    ctx.strokeStyle = stroke.type === 'white' ? lightHex(stroke) : 'black';
+    ctx.fillStyle = stroke.type === 'white' ? lightHex(stroke) : 'black';
+    const strokeSize = stroke.size || defaultSize; // Use stroke's stored size, or current brushSize for in-progress strokes
+    ctx.lineWidth = strokeSize;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (stroke.points.length === 1) {
+      // Single point - draw a circle
+      const point = stroke.points[0];
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, strokeSize / 2, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (stroke.points.length > 1) {
+      // Multiple points - draw a path
+      ctx.beginPath();
+      ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+      for (let i = 1; i < stroke.points.length; i++) {
+        ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
+      }
+      ctx.stroke();
+
+      // Also draw circles at each point for smoother appearance
+      for (const point of stroke.points) {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, strokeSize / 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+  ctx.globalAlpha = 1.0;
+}
+
+/**
+ * Render the selected regions and finished presenter strokes at original image size with
+ * the mask margin and feather applied (presenter output and scene downloads)
+ * Each light color is drawn and processed on its own - its regions and strokes lit, strokes
+ * of other colors and black strokes dark, in drawing order - and the results are combined in
+ * color. If everything is full white this is the plain black-and-white mask.
+ *
+ * @param {cv.Mat} originalImage - The source image (for dimensions)
+ * @param {Array} regions - Selected regions
+ * @param {Array} strokes - Finished strokes { type, points, size, color?, intensity? } in world coordinates
+ * @param {Array<number>} transform - World to image transform (setTransform order); unused
+ *   without strokes
+ * @param {number} lineScale - Outline width of 1 screen pixel in image pixels
+ * @param {object} output - { feather, margin } as passed to createMask
+ * @param {object} cv - OpenCV.js instance
+ * @returns {HTMLCanvasElement} Canvas at original image size
+ */
+function renderOutputMask(originalImage, regions, strokes, transform, lineScale, output, cv) {
+  const litStrokes = strokes.filter(stroke => stroke.type === 'white' || stroke.type === 'polygon-white');
+  const lights = groupByLight([...regions, ...litStrokes]);
+  const plain = lights.every(light => light.hex === DEFAULT_LIGHT_COLOR);
+  const groups = plain ? [{ items: [...regions, ...litStrokes] }] : lights;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = originalImage.cols;
+  canvas.height = originalImage.rows;
+  const ctx = canvas.getContext('2d');
+  const result = plain ? null : new cv.Mat(originalImage.rows, originalImage.cols, cv.CV_8UC4, new cv.Scalar(0, 0, 0, 255));
+
+  for (const group of groups) {
+    const members = new Set(group.items);
+    const mask = renderRegionsMask(originalImage, regions.filter(r => members.has(r)), cv, { margins: true });
+    cv.imshow(canvas, mask);
+    mask.delete();
+
+    // Strokes of this light are drawn white, every other stroke black
+    const groupStrokes = strokes.map(stroke => {
+      const { color: _color, intensity: _intensity, ...rest } = stroke;
+      const lit = members.has(stroke);
+      const polygon = stroke.type === 'polygon-white' || stroke.type === 'polygon-black';
+      return { ...rest, type: (polygon ? 'polygon-' : '') + (lit ? 'white' : 'black') };
+    });
+    if (groupStrokes.length > 0) {
+      ctx.setTransform(...transform);
+      drawBrushStrokes(ctx, groupStrokes, 1.0, 0, lineScale);
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalAlpha = 1.0;
+    }
+
+    const composite = cv.imread(canvas);
+    const gray = new cv.Mat();
+    cv.cvtColor(composite, gray, cv.COLOR_RGBA2GRAY);
+    finishLightMask(gray, output, cv);
+    if (plain) {
+      cv.imshow(canvas, gray);
+    } else {
+      addLight(result, gray, group.rgb, cv);
+    }
+    cleanupMats(composite, gray);
+  }
+
+  if (result) {
+    cv.imshow(canvas, result);
+    result.delete();
+  }
+  return canvas;
+}
+
+/**
+ * Format a worker progress update for the status bar
+ * e.g. "Segmenting image: watershed (step 3/5)"
+ */
+function formatSegmentationProgress(label, step, fraction) {
+  const stepIndex = SEGMENTATION_STEPS.indexOf(step);
+  const stepText = stepIndex >= 0 ? ` (step ${stepIndex + 1}/${SEGMENTATION_STEPS.length})` : '';
+  const percentText = fraction > 0 ? ` ${Math.round(fraction * 100)}%` : '';
+  return `${label}: ${step}${percentText}${stepText}`;
+}
+
+/**
+ * Inspector rows for region stats (see computeRegionStats / summarizeRegionStats)
+ * All measurements are in original-image pixels.
+ */
+function RegionStatsList({ stats }) {
+  const { r, g, b } = stats.color;
+  const hex = '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+  return (
+    <dl className="inspector-stats">
+      <dt>Area</dt>
+      <dd>{Math.round(stats.area).toLocaleString()} px²</dd>
+      <dt>Perimeter</dt>
+      <dd>{Math.round(stats.perimeter).toLocaleString()} px</dd>
+      <dt>Centroid</dt>
+      <dd>{Math.round(stats.centroid.x)}, {Math.round(stats.centroid.y)}</dd>
+      <dt>Bounds</dt>
+      <dd>{stats.bounds.width} × {stats.bounds.height} at {stats.bounds.x}, {stats.bounds.y}</dd>
+      <dt>Mean color</dt>
+      <dd>
+        <span className="inspector-swatch" style={{ background: hex }} />
+        {hex} ({r}, {g}, {b})
+      </dd>
+      {stats.neighborCount !== undefined && (
+        <>
+          <dt>Neighbors</dt>
+          <dd>{stats.neighborCount}</dd>
+        </>
+      )}
+    </dl>
+  );
+}
+
+/**
+ * Free the Mats of regions referenced only by discarded history snapshots
+ * Snapshots share region objects (and their Mats) with each other and with the
+ * live region list, so a region is kept while any kept list still contains it.
+ *
+ * @param {Array} discarded - History snapshots being dropped
+ * @param {Array<Array>} keptRegionLists - Region lists that stay reachable
+ */
+function releaseHistoryRegions(discarded, keptRegionLists) {
+  const live = new Set();
+  keptRegionLists.forEach(list => list && list.forEach(region => live.add(region.contour)));
+  discarded.forEach(snapshot => {
+    if (!snapshot.regions) return;
+    snapshot.regions.forEach(region => {
+      if (!live.has(region.contour)) cleanupMats(region.contour, region.mask);
+    });
+  });
+}
+
+/**
+ * Check whether a history snapshot's region list can still be restored
+ *
+ * @param {object} snapshot - History snapshot
+ * @returns {boolean} True if every region's Mats are still allocated
+ */
+function snapshotRegionsAlive(snapshot) {
+  return Boolean(snapshot.regions) && snapshot.regions.every(region =>
+    !region.contour.isDeleted() && !region.mask.isDeleted()
+  );
+}
+
 /**
  * Main application component
  * Manages image upload, segmentation, region selection, and mask generation
  */
 function App() {
   const { cv, loading: cvLoading, error: cvError } = useOpenCV();
+  const {
+    segment: segmentInWorker,
+    tune: tuneInWorker,
+    split: splitInWorker,
+    refine: refineInWorker,
+    detectQuads: detectQuadsInWorker,
+    cancel: cancelSegmentation,
+    busy: segmenting
+  } = useSegmentationWorker(cv);
 
   // State management
   const [originalImage, setOriginalImage] = useState(null);
   const [regions, setRegions] = useState([]);
   const [detailLevel, setDetailLevel] = useState(5);
   const [mergeStrength, setMergeStrength] = useState(10);
+  const [autoTuneMode, setAutoTuneMode] = useState('count'); // 'count' (regions) or 'area' (average px per region)
+  const [autoTuneTarget, setAutoTuneTarget] = useState(500);
+  const [autoTuning, setAutoTuning] = useState(null); // Last autoTuneSegmentation() result
+  const [segmentationMethod, setSegmentationMethod] = useState('watershed'); // 'watershed' | 'slic'
+  const [fullResolution, setFullResolution] = useState(false); // Tiled native-resolution segmentation
+  const [colorMetric, setColorMetric] = useState(DEFAULT_COLOR_METRIC); // 'rgb' | 'deltaE2000' | 'chroma'
+  const [textureWeight, setTextureWeight] = useState(0); // Percent of texture (vs. color) in region similarity
+  const [scribbles, setScribbles] = useState([]); // Scribble mode markers: [{label: 0 = background | 1..n, points: [{x, y}], size}]
+  const [scribbleLabel, setScribbleLabel] = useState(1); // Label painted by the next scribble
+  const [scribbleObjectCount, setScribbleObjectCount] = useState(1);
+  const [scribbling, setScribbling] = useState(true); // Scribble mode: canvas paints scribbles instead of selecting
   const [selectionRadius, setSelectionRadius] = useState(30); // Radius in pixels for drag selection
+  const [collectDebugLayers, setCollectDebugLayers] = useState(false); // Ask segmentImage for its intermediate images
+  const [debugLayers, setDebugLayers] = useState(null); // Debug output of the last segmentation
+  const [debugLayer, setDebugLayer] = useState(''); // Layer shown over the segmentation canvas ('' = none)
+  const [wandMode, setWandMode] = useState(false); // Canvas clicks flood-fill with the magic wand
+  const [wandTolerance, setWandTolerance] = useState(32); // Max per-channel difference from the clicked color
+  const [wandConnectivity, setWandConnectivity] = useState(4); // 4 or 8 neighbors
+  const [maskFeather, setMaskFeather] = useState(0); // Soft edge width in original-image pixels (0 = hard edges)
+  const [featherMode, setFeatherMode] = useState('gaussian'); // One of FEATHER_MODES
+  const [maskMargin, setMaskMargin] = useState(0); // Grow (+) or shrink (-) the whole mask, in original-image pixels
+  const [outputProfileId, setOutputProfileId] = useState('native'); // One of OUTPUT_PROFILES: download and presenter resolution
+  const [outputFit, setOutputFit] = useState('fit'); // One of FIT_MODES
+  const [outputRotation, setOutputRotation] = useState(0); // Clockwise degrees, one of OUTPUT_ROTATIONS
+  const [svgTolerance, setSvgTolerance] = useState(1); // SVG export outline simplification in original-image pixels (0 = exact)
+  const [lightColor, setLightColor] = useState(DEFAULT_LIGHT_COLOR); // Light color applied to regions and new lit strokes
+  const [lightIntensity, setLightIntensity] = useState(DEFAULT_LIGHT_INTENSITY); // Light intensity in percent
+  const [scenes, setScenes] = useState([]); // Named snapshots of the lit areas and strokes (see scenes.js)
+  const [activeSceneId, setActiveSceneId] = useState(null); // Scene the current selection and strokes belong to (null = none)
+  const [transitionType, setTransitionType] = useState('crossfade'); // One of TRANSITION_TYPES, for presenter scene changes
+  const [transitionDuration, setTransitionDuration] = useState(800); // Milliseconds
+  const [presenterTransition, setPresenterTransition] = useState(null); // Running transition { type, duration, from, clips }
+  const [cues, setCues] = useState([]); // Cue list of the show (see cues.js)
+  const [showRunning, setShowRunning] = useState(false); // Presenter mode plays the cue list
+  const [showPaused, setShowPaused] = useState(false); // Timed cues wait while paused
+  const [showCueIndex, setShowCueIndex] = useState(-1); // Current cue among the playable cues (-1 = show not started)
+  const [showJump, setShowJump] = useState(''); // Cue number typed to jump to (Enter)
+  const [selectionStats, setSelectionStats] = useState(null); // { summary, lit } of the selected regions for the inspector
   const [status, setStatus] = useState({ message: '', type: 'info' });
   const [highlightedRegion, setHighlightedRegion] = useState(-1);
   const [showAISegment, setShowAISegment] = useState(false);
@@ -43,6 +372,7 @@ function App() {
 
   // Undo/redo state
   const [selectionHistory, setSelectionHistory] = useState([]);
+  const selectionHistoryRef = useRef([]); // Latest history, for updates that free Mats
   const [historyIndex, setHistoryIndex] = useState(-1);
 
   // Presenter mode state
@@ -54,11 +384,12 @@ function App() {
   const [presenterIsDragging, setPresenterIsDragging] = useState(false);
   const [showDownloadModal, setShowDownloadModal] = useState(false);
   const [finalPresenterImage, setFinalPresenterImage] = useState(null);
+  const [finalPresenterStrokes, setFinalPresenterStrokes] = useState(null); // Presenter strokes in image pixels, for the SVG download
   const [presenterMousePos, setPresenterMousePos] = useState(null); // {x, y, imgX, imgY} for hover preview
   const [presenterSelectionRadius, setPresenterSelectionRadius] = useState(30); // Radius for segment selection in presenter mode
   const [presenterDragMode, setPresenterDragMode] = useState(null); // 'select' or 'deselect' - set on mousedown, maintained during drag
   const [showImageOverlay, setShowImageOverlay] = useState(false); // Toggle original image overlay in presenter mode
-  const [presenterRotation, setPresenterRotation] = useState(false); // Toggle 90° CW rotation for portrait images
+  const [presenterRotation, setPresenterRotation] = useState(0); // Clockwise rotation in degrees (starts at the output rotation, R adds 90°)
   const [presenterZoom, setPresenterZoom] = useState(1.0); // Zoom level (min 1.0)
   const [presenterZoomOffset, setPresenterZoomOffset] = useState({ x: 0, y: 0 }); // Pan offset for zoom
 
@@ -68,6 +399,10 @@ function App() {
   const [editingPolygonIndex, setEditingPolygonIndex] = useState(null); // Index into brushStrokes of polygon being edited
   const [editingPointIndex, setEditingPointIndex] = useState(null); // Index of point being dragged
 
+  // Livewire tool state (image coordinates)
+  const [livewireAnchors, setLivewireAnchors] = useState([]); // Clicked anchor points
+  const [livewirePoints, setLivewirePoints] = useState([]); // Traced path from the first to the last anchor
+
   // Transform mode state
   const [transformMode, setTransformMode] = useState(false);
   const [transformPoints, setTransformPoints] = useState([]); // Array of {x, y, type: 'source'|'dest'}
@@ -75,6 +410,7 @@ function App() {
 
   // Canvas refs
   const segmentationCanvasRef = useRef(null);
+  const debugCanvasRef = useRef(null);
   const maskCanvasRef = useRef(null);
   const presenterCanvasRef = useRef(null);
   const presenterContainerRef = useRef(null);
@@ -84,12 +420,42 @@ function App() {
   const regionsRef = useRef([]);
   const brushStrokesRef = useRef([]);
   const edgeMapRef = useRef(null);
+  const mergeTreeRef = useRef(null); // Merge hierarchy of the last segmentation
+  const mergeLevelRef = useRef(null); // Merge tree level the current regions were built at
+  const labelMapRef = useRef(null); // { labelMap, contours } - label map and the regions it was built for
+  const boundaryGradientRef = useRef(null); // Full-resolution gradient for snapping merge slider regions
+  const maskOutputRef = useRef({ feather: null, margin: 0 }); // Output options passed to createMask
+  const showTimerRef = useRef({ remaining: null, startedAt: 0 }); // Hold time left of the current cue (null = manual)
+  const presenterStrokeTransformRef = useRef(null); // World to image transform of the last presenter frame
+  const featheredMaskRef = useRef(null); // Presenter: last feathered or grown/shrunk mask canvas and what it was built from
+  const livewireRef = useRef({ edgeMap: null, costMap: null, tree: null }); // Cost map of edgeMapRef and the tree from the last anchor
+  const scribbleStrokeRef = useRef(null); // Scribble being painted
 
   // Store base/untransformed state for reset
   const baseImageRef = useRef(null);
   const baseRegionsRef = useRef([]);
   const baseBrushStrokesRef = useRef([]);
 
+  // Light of a new presenter stroke: lit (white) strokes take the current light color
+  const strokeLight = (type) => (
+    type === 'white' || type === 'polygon-white' ? { color: lightColor, intensity: lightIntensity } : {}
+  );
+
+  /**
+   * Replace the undo history and free the Mats of dropped snapshots that no kept
+   * snapshot still uses
+   * Kept out of state updaters: React may run an updater twice (StrictMode), which
+   * would free the same Mats twice.
+   *
+   * @param {Array} newHistory - History to keep
+   * @param {Array} discarded - Snapshots being dropped
+   */
+  const replaceHistory = useCallback((newHistory, discarded) => {
+    releaseHistoryRegions(discarded, newHistory.map(entry => entry.regions));
+    selectionHistoryRef.current = newHistory;
+    setSelectionHistory(newHistory);
+  }, []);
+
   /**
    * Load image into OpenCV and set up canvases
    */
@@ -134,6 +500,16 @@ function App() {
 
       setRegions([]);
       regionsRef.current = [];
+      mergeTreeRef.current = null;
+      cleanupMats(boundaryGradientRef.current);
+      boundaryGradientRef.current = null;
+      setScribbles([]);
+      setScribbling(true);
+      setDebugLayers(null);
+      setAutoTuning(null);
+      setScenes([]);
+      setActiveSceneId(null);
+      setCues([]);
       setStatus({
         message: 'Image loaded successfully! Adjust settings and click "Segment Image".',
         type: 'success'
@@ -170,14 +546,25 @@ function App() {
   }, [loadImage]);
 
   /**
-   * Perform image segmentation
+   * Perform image segmentation in the background worker
+   * With autoTune, the worker first searches the detail level and merge strength
+   * that give about autoTuneTarget regions (or that average region area) and the
+   * sliders are set to what it chose.
+   *
+   * @param {boolean} autoTune - Tune the parameters before segmenting
    */
-  const handleSegment = useCallback(() => {
+  const handleSegment = useCallback(async (autoTune = false) => {
     if (!originalImage || !cv) {
       setStatus({ message: 'Please upload an image first.', type: 'error' });
       return;
     }
 
+    const scribbleMode = segmentationMethod === 'scribbles';
+    if (scribbleMode && !(scribbles.some(s => s.label === 0) && scribbles.some(s => s.label > 0))) {
+      setStatus({ message: 'Paint at least one object and the background before segmenting.', type: 'error' });
+      return;
+    }
+
     setStatus({ message: 'Segmenting image... This may take a few seconds.', type: 'info' });
 
     // Save current selection mask if there are selected regions
@@ -187,149 +574,176 @@ function App() {
     if (selectedRegions.length > 0) {
       console.log('[Segmentation] Preserving selection from', selectedRegions.length, 'regions');
       // Create a mask of currently selected regions to preserve
-      savedSelectionMask = cv.Mat.zeros(originalImage.rows, originalImage.cols, cv.CV_8U);
-      createMask(originalImage, regions, {
-        width: originalImage.cols,
-        height: originalImage.rows,
-        getContext: () => ({
-          // Mock context - we'll use cv.imshow alternative
-          fillStyle: '',
-          fillRect: () => {}
-        })
-      }, cv);
-
-      // Actually create the mask properly
-      for (let region of selectedRegions) {
-        const scaleFactor = region.scaleFactor || 1;
-        const scale = 1 / scaleFactor;
-
-        // Create scaled contour
-        const scaledContour = new cv.Mat(region.contour.rows, 1, cv.CV_32SC2);
-        for (let i = 0; i < region.contour.rows; i++) {
-          scaledContour.data32S[i * 2] = Math.round(region.contour.data32S[i * 2] * scale);
-          scaledContour.data32S[i * 2 + 1] = Math.round(region.contour.data32S[i * 2 + 1] * scale);
-        }
-
-        const contourVec = new cv.MatVector();
-        contourVec.push_back(scaledContour);
-        cv.drawContours(savedSelectionMask, contourVec, 0, new cv.Scalar(255), -1);
-        contourVec.delete();
-        scaledContour.delete();
-      }
+      savedSelectionMask = renderRegionsMask(originalImage, selectedRegions, cv);
     }
 
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-      try {
-        const derivedSensitivity = detailLevel;
-        const derivedRegionSize = Math.round(10 + (detailLevel - 1) * (70 / 19));
-        const result = segmentImage(originalImage, derivedSensitivity, derivedRegionSize, cv, mergeStrength);
-        const newRegions = result.regions;
-
-        // Store edge map for segment boundary editing
-        if (edgeMapRef.current) cleanupMats(edgeMapRef.current);
-        edgeMapRef.current = result.edgeMap;
-
-        // If we have a saved selection, mark overlapping regions as selected
-        if (savedSelectionMask) {
-          console.log('[Segmentation] Restoring selection to new regions...');
-          let restoredCount = 0;
-
-          for (let i = 0; i < newRegions.length; i++) {
-            const region = newRegions[i];
-            const scaleFactor = region.scaleFactor || 1;
-            const scale = 1 / scaleFactor;
-
-            // Check if this region overlaps with the saved selection
-            // Sample several points in the region's mask
-            let overlapCount = 0;
-            let totalSamples = 0;
-
-            // Sample points from the region's mask
-            const sampleStep = Math.max(1, Math.floor(region.mask.rows / 10));
-            for (let y = 0; y < region.mask.rows; y += sampleStep) {
-              for (let x = 0; x < region.mask.cols; x += sampleStep) {
-                if (region.mask.ucharAt(y, x) > 0) {
-                  totalSamples++;
-
-                  // Transform to original image coordinates
-                  const origX = Math.floor((region.bounds.x + x) * scale);
-                  const origY = Math.floor((region.bounds.y + y) * scale);
-
-                  if (origX >= 0 && origX < savedSelectionMask.cols &&
-                      origY >= 0 && origY < savedSelectionMask.rows) {
-                    if (savedSelectionMask.ucharAt(origY, origX) > 0) {
-                      overlapCount++;
-                    }
-                  }
-                }
-              }
-            }
-
-            // If more than 50% of sampled points overlap, mark as selected
-            if (totalSamples > 0 && (overlapCount / totalSamples) > 0.5) {
-              newRegions[i].selected = true;
-              restoredCount++;
-            }
-          }
-
-          console.log('[Segmentation] Restored selection to', restoredCount, 'new regions');
-          savedSelectionMask.delete();
-        }
-
-        setRegions(newRegions);
-        regionsRef.current = newRegions;
-
-        // Reset undo/redo history for new segmentation
-        const initialSnapshot = {
-          selections: newRegions.map(r => r.selected),
-          brushStrokes: []
-        };
-        setSelectionHistory([initialSnapshot]);
-        setHistoryIndex(0);
-
-        drawSegmentation(
+    try {
+      const options = {
+        method: segmentationMethod,
+        tiled: fullResolution,
+        colorMetric,
+        textureWeight: textureWeight / 100,
+        scribbles: scribbleMode ? scribbles : undefined,
+        debug: collectDebugLayers
+      };
+      const onProgress = (step, fraction) => setStatus({
+        message: formatSegmentationProgress(step === 'tuning' ? 'Auto-tuning' : 'Segmenting image', step, fraction),
+        type: 'info'
+      });
+      const result = autoTune
+        ? await tuneInWorker(
           originalImage,
-          newRegions,
-          segmentationCanvasRef.current,
-          -1,
-          cv
+          { target: autoTuneMode === 'area' ? { averageArea: autoTuneTarget } : { regionCount: autoTuneTarget }, options },
+          onProgress
+        )
+        : await segmentInWorker(
+          originalImage,
+          {
+            sensitivity: detailLevel,
+            regionSize: regionSizeForDetail(detailLevel),
+            mergeThreshold: mergeStrength,
+            options
+          },
+          onProgress
         );
+      const newRegions = result.regions;
+      const usedMergeStrength = result.tuning ? result.tuning.mergeThreshold : mergeStrength;
+      if (result.tuning) {
+        setDetailLevel(result.tuning.detailLevel);
+        setMergeStrength(result.tuning.mergeThreshold);
+      }
+      setAutoTuning(result.tuning || null);
+
+      // Free the regions being replaced
+      regionsRef.current.forEach(region => cleanupMats(region.contour, region.mask));
+
+      // Store edge map for segment boundary editing
+      if (edgeMapRef.current) cleanupMats(edgeMapRef.current);
+      edgeMapRef.current = result.edgeMap;
+
+      // Keep the merge hierarchy for the live merge slider
+      mergeTreeRef.current = result.mergeTree;
+      cleanupMats(boundaryGradientRef.current);
+      boundaryGradientRef.current = null;
+      mergeLevelRef.current = result.mergeTree ? mergeTreeLevel(result.mergeTree, usedMergeStrength) : null;
+
+      // Label map for constant-time hit testing
+      labelMapRef.current = result.labelMap
+        ? { labelMap: result.labelMap, contours: newRegions.map(r => r.contour) }
+        : null;
+
+      setDebugLayers(result.debug);
+
+      // If we have a saved selection, mark overlapping regions as selected
+      if (savedSelectionMask) {
+        console.log('[Segmentation] Restoring selection to new regions...');
+        const restoredCount = restoreSelectionFromMask(newRegions, savedSelectionMask, result.labelMap);
+        console.log('[Segmentation] Restored selection to', restoredCount, 'new regions');
+        savedSelectionMask.delete();
+      }
 
-        // Update mask with restored selection
-        if (newRegions.some(r => r.selected)) {
-          createMask(originalImage, newRegions, maskCanvasRef.current, cv);
-        }
+      setRegions(newRegions);
+      regionsRef.current = newRegions;
+      // Scribble results are meant to be clicked right away
+      if (scribbleMode) setScribbling(false);
+
+      // Reset undo/redo history for new segmentation
+      const initialSnapshot = {
+        selections: newRegions.map(r => r.selected),
+        brushStrokes: [],
+        regions: newRegions
+      };
+      replaceHistory([initialSnapshot], selectionHistoryRef.current);
+      setHistoryIndex(0);
 
-        const selectedCount = newRegions.filter(r => r.selected).length;
+      drawSegmentation(
+        originalImage,
+        newRegions,
+        segmentationCanvasRef.current,
+        -1,
+        cv
+      );
+
+      // Update mask with restored selection
+      if (newRegions.some(r => r.selected)) {
+        createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
+      }
+
+      const selectedCount = newRegions.filter(r => r.selected).length;
+      if (scribbleMode) {
         setStatus({
-          message: `Found ${newRegions.length} regions${selectedCount > 0 ? `, restored ${selectedCount} selected` : ''}. Click and drag to select them.`,
+          message: `Found ${newRegions.filter(r => r.scribbleLabel > 0).length} object(s) and the background. Click them to select.`,
           type: 'success'
         });
-      } catch (error) {
-        console.error('Error during segmentation:', error);
-        setStatus({ message: 'Error during segmentation: ' + error.message, type: 'error' });
+        return;
       }
-    }, 100);
-  }, [originalImage, detailLevel, mergeStrength, cv, regions]);
+      const tunedText = result.tuning
+        ? `Auto-tuned to Detail ${result.tuning.detailLevel}, Merge ${result.tuning.mergeThreshold} for a target of ${result.tuning.targetCount}: `
+        : '';
+      if (result.tuning && !result.tuning.reached) {
+        setStatus({
+          message: `Auto-tune could not get near ${result.tuning.targetCount} regions; the closest it could reach is about ${result.tuning.regionCount} (Detail ${result.tuning.detailLevel}, Merge ${result.tuning.mergeThreshold}). Found ${newRegions.length} regions.`,
+          type: 'warning'
+        });
+        return;
+      }
+      setStatus({
+        message: `${tunedText}Found ${newRegions.length} regions${selectedCount > 0 ? `, restored ${selectedCount} selected` : ''}. Click and drag to select them.`,
+        type: 'success'
+      });
+    } catch (error) {
+      cleanupMats(savedSelectionMask);
+      if (error.cancelled) {
+        setStatus({ message: 'Segmentation cancelled.', type: 'warning' });
+        return;
+      }
+      console.error('Error during segmentation:', error);
+      setStatus({ message: 'Error during segmentation: ' + error.message, type: 'error' });
+    }
+  }, [originalImage, detailLevel, mergeStrength, autoTuneMode, autoTuneTarget, segmentationMethod, fullResolution, colorMetric, textureWeight, scribbles, collectDebugLayers, cv, regions, segmentInWorker, tuneInWorker, replaceHistory]);
+
+  /**
+   * Get the label map for a region list
+   * The cached map is reused while the regions keep the same contours (selection
+   * changes don't affect it) and rebuilt after split, refine, undo, transforms, etc.
+   */
+  const getLabelMap = useCallback((currentRegions) => {
+    const cached = labelMapRef.current;
+    if (cached && cached.contours.length === currentRegions.length &&
+        cached.contours.every((contour, i) => currentRegions[i].contour === contour)) {
+      return cached.labelMap;
+    }
+    if (!originalImage || currentRegions.length === 0) return null;
+
+    const scaleFactor = currentRegions[0].scaleFactor || 1;
+    const labelMap = buildLabelMap(
+      currentRegions,
+      Math.floor(originalImage.cols * scaleFactor),
+      Math.floor(originalImage.rows * scaleFactor),
+      scaleFactor
+    );
+    labelMapRef.current = { labelMap, contours: currentRegions.map(r => r.contour) };
+    return labelMap;
+  }, [originalImage]);
 
   /**
    * Push the current state onto the undo history
-   * Tracks both region selections and brush strokes
+   * Tracks region selections, brush strokes and the region list itself, so
+   * structural changes (e.g. GrabCut refinement) can be undone too
    */
   const pushHistory = useCallback((currentRegions, currentBrushStrokes) => {
     const snapshot = {
       selections: currentRegions.map(r => r.selected),
-      brushStrokes: JSON.parse(JSON.stringify(currentBrushStrokes))
+      brushStrokes: JSON.parse(JSON.stringify(currentBrushStrokes)),
+      regions: currentRegions
     };
-    setSelectionHistory(prev => {
-      const truncated = prev.slice(0, historyIndex + 1);
-      const newHistory = [...truncated, snapshot];
-      if (newHistory.length > 50) newHistory.shift();
-      return newHistory;
-    });
+    const history = selectionHistoryRef.current;
+    const discarded = history.slice(historyIndex + 1);
+    const newHistory = [...history.slice(0, historyIndex + 1), snapshot];
+    if (newHistory.length > 50) discarded.push(newHistory.shift());
+    replaceHistory(newHistory, discarded);
     setHistoryIndex(prev => Math.min(prev + 1, 49));
-  }, [historyIndex]);
+  }, [historyIndex, replaceHistory]);
 
   /**
    * Undo the last change (selection or brush stroke)
@@ -340,14 +754,16 @@ function App() {
     const snapshot = selectionHistory[newIndex];
     if (!snapshot) return;
 
-    // Restore selections if they match
-    if (snapshot.selections && snapshot.selections.length === regions.length) {
-      const newRegions = regions.map((r, i) => ({ ...r, selected: snapshot.selections[i] || false }));
+    // Restore the snapshot's region list (unless its Mats were freed by a
+    // re-segmentation or transform since), then its selections if they match
+    const baseRegions = snapshotRegionsAlive(snapshot) ? snapshot.regions : regions;
+    if (snapshot.selections && snapshot.selections.length === baseRegions.length) {
+      const newRegions = baseRegions.map((r, i) => ({ ...r, selected: snapshot.selections[i] || false }));
       setRegions(newRegions);
       regionsRef.current = newRegions;
       if (originalImage && cv) {
         drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
-        createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+        createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
       }
     }
 
@@ -371,13 +787,14 @@ function App() {
     const snapshot = selectionHistory[newIndex];
     if (!snapshot) return;
 
-    if (snapshot.selections && snapshot.selections.length === regions.length) {
-      const newRegions = regions.map((r, i) => ({ ...r, selected: snapshot.selections[i] || false }));
+    const baseRegions = snapshotRegionsAlive(snapshot) ? snapshot.regions : regions;
+    if (snapshot.selections && snapshot.selections.length === baseRegions.length) {
+      const newRegions = baseRegions.map((r, i) => ({ ...r, selected: snapshot.selections[i] || false }));
       setRegions(newRegions);
       regionsRef.current = newRegions;
       if (originalImage && cv) {
         drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
-        createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+        createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
       }
     }
 
@@ -391,17 +808,138 @@ function App() {
     setStatus({ message: 'Redo', type: 'info' });
   }, [historyIndex, selectionHistory, regions, originalImage, cv]);
 
+  /**
+   * Live merge slider: re-cut the merge hierarchy of the last segmentation when
+   * Merge changes, without recomputing edges or watershed. Debounced so dragging
+   * the slider only rebuilds once it settles; the selection, with its light and margin,
+   * carries over by pixel ownership, regions added by hand stay, and the change can be undone.
+   */
+  useEffect(() => {
+    const mergeTree = mergeTreeRef.current;
+    if (!mergeTree || !originalImage || !cv || segmenting) return;
+    if (mergeTreeLevel(mergeTree, mergeStrength) === mergeLevelRef.current) return;
+
+    const timer = setTimeout(() => {
+      // Groups that changed come back downscaled and are snapped to this gradient
+      if (mergeTree.scaleFactor !== 1 && !boundaryGradientRef.current) {
+        boundaryGradientRef.current = computeBoundaryGradient(originalImage, cv);
+      }
+      // Previous regions stay owned by the undo history; unchanged groups share their Mats
+      const { regions: newRegions, labelMap } = regionsAtMergeLevel(
+        originalImage,
+        mergeTree,
+        mergeStrength,
+        regionsRef.current,
+        cv,
+        { gradient: boundaryGradientRef.current }
+      );
+      labelMapRef.current = { labelMap, contours: newRegions.map(r => r.contour) };
+
+      mergeLevelRef.current = mergeTreeLevel(mergeTree, mergeStrength);
+      setRegions(newRegions);
+      regionsRef.current = newRegions;
+      drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
+      if (!createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current)) {
+        const ctx = maskCanvasRef.current.getContext('2d');
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, 0, maskCanvasRef.current.width, maskCanvasRef.current.height);
+      }
+      pushHistory(newRegions, brushStrokesRef.current);
+      setStatus({ message: `Merge ${mergeStrength}: ${newRegions.length} regions`, type: 'info' });
+    }, 80);
+
+    return () => clearTimeout(timer);
+  }, [mergeStrength, originalImage, cv, segmenting, pushHistory]);
+
+  // Scribble mode with painting switched on: the canvas paints scribbles
+  const scribblePainting = segmentationMethod === 'scribbles' && scribbling;
+
+  // Distinct margins of the selected regions (one value = shown in the inspector, several = mixed)
+  const selectedRegionMargins = new Set(regions.filter(r => r.selected).map(r => r.margin || 0));
+  // Run show: the cues that can play and the scene of the current one, for the presenter overlay
+  const showCues = playableCues(cues, scenes);
+  const showCueScene = showCues[showCueIndex] ? scenes.find(scene => scene.id === showCues[showCueIndex].sceneId) : null;
+
+  /**
+   * Commit the scribble being painted
+   */
+  const finishScribble = useCallback(() => {
+    const stroke = scribbleStrokeRef.current;
+    if (!stroke) return;
+    scribbleStrokeRef.current = null;
+    setScribbles(prev => [...prev, stroke]);
+  }, []);
+
+  /**
+   * Switch the canvas between painting scribbles and selecting regions
+   */
+  const setScribblePainting = useCallback((painting) => {
+    setScribbling(painting);
+    if (painting || !originalImage || !cv) return;
+    // Hide the scribbles again
+    if (regions.length > 0) {
+      drawSegmentation(originalImage, regions, segmentationCanvasRef.current, -1, cv);
+    } else {
+      cv.imshow(segmentationCanvasRef.current, originalImage);
+    }
+  }, [originalImage, regions, cv]);
+
+  // Show the scribbles over the image (and any regions) while painting
+  useEffect(() => {
+    if (!scribblePainting || !originalImage || !cv) return;
+    const canvas = segmentationCanvasRef.current;
+    if (regions.length > 0) {
+      drawSegmentation(originalImage, regions, canvas, -1, cv);
+    } else {
+      cv.imshow(canvas, originalImage);
+    }
+    drawScribbles(canvas, scribbles);
+  }, [scribblePainting, scribbles, regions, originalImage, cv]);
+
+  // Selection totals for the inspector; debounced so drag painting stays responsive
+  useEffect(() => {
+    if (!originalImage || !cv || regions.length === 0) {
+      setSelectionStats(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      const selectedRegions = regions.filter(r => r.selected);
+      setSelectionStats({
+        summary: summarizeRegionStats(selectedRegions.map(region => computeRegionStats(region))),
+        lit: measureLitArea(originalImage, selectedRegions, cv)
+      });
+    }, 150);
+    return () => clearTimeout(timer);
+  }, [regions, originalImage, cv]);
+
+  // Draw the chosen debug layer on the overlay canvas; it sits above the segmentation
+  // canvas, so hover redraws underneath don't wipe it
+  useEffect(() => {
+    if (!debugCanvasRef.current) return;
+    drawDebugLayer(debugCanvasRef.current, debugLayers, debugLayer);
+  }, [debugLayers, debugLayer]);
+
   /**
    * Handle mouse movement over segmentation canvas
    */
   const handleCanvasMouseMove = useCallback((event) => {
+    if (scribblePainting) {
+      const stroke = scribbleStrokeRef.current;
+      if (!stroke) return;
+      const pos = getCanvasMousePosition(segmentationCanvasRef.current, event);
+      const last = stroke.points[stroke.points.length - 1];
+      stroke.points.push(pos);
+      // Draw just the new segment; the full overlay is redrawn when the stroke ends
+      drawScribbles(segmentationCanvasRef.current, [{ ...stroke, points: [last, pos] }]);
+      return;
+    }
     if (regions.length === 0 || !originalImage || !cv) return;
 
     const pos = getCanvasMousePosition(segmentationCanvasRef.current, event);
 
     // If dragging, select all regions within the selection radius
     if (isDragging) {
-      const regionIndices = findRegionsInRadius(pos.x, pos.y, selectionRadius, regions);
+      const regionIndices = findRegionsInRadius(pos.x, pos.y, selectionRadius, regions, getLabelMap(regions));
 
       if (regionIndices.length > 0) {
         const newRegions = [...regions];
@@ -419,12 +957,12 @@ function App() {
           regionsRef.current = newRegions;
 
           // Automatically update mask
-          createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+          createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
         }
       }
 
       // For highlighting during drag, just show the center point
-      const regionIndex = findRegionAtPoint(pos.x, pos.y, regions);
+      const regionIndex = findRegionAtPoint(pos.x, pos.y, regions, getLabelMap(regions));
       setHighlightedRegion(regionIndex);
       drawSegmentation(
         originalImage,
@@ -435,7 +973,7 @@ function App() {
       );
     } else {
       // When not dragging, just highlight the region under cursor
-      const regionIndex = findRegionAtPoint(pos.x, pos.y, regions);
+      const regionIndex = findRegionAtPoint(pos.x, pos.y, regions, getLabelMap(regions));
       setHighlightedRegion(regionIndex);
       drawSegmentation(
         originalImage,
@@ -445,12 +983,16 @@ function App() {
         cv
       );
     }
-  }, [regions, originalImage, cv, isDragging, selectionRadius]);
+  }, [regions, originalImage, cv, isDragging, selectionRadius, getLabelMap, scribblePainting]);
 
   /**
    * Handle mouse leaving the segmentation canvas
    */
   const handleCanvasMouseLeave = useCallback(() => {
+    if (scribblePainting) {
+      finishScribble();
+      return;
+    }
     if (regions.length === 0 || !originalImage || !cv) return;
 
     setIsDragging(false);
@@ -462,30 +1004,86 @@ function App() {
       -1,
       cv
     );
-  }, [regions, originalImage, cv]);
+  }, [regions, originalImage, cv, scribblePainting, finishScribble]);
+
+  /**
+   * Magic wand click: add the flood-filled area as a selected region, or cut it
+   * out of the selected regions when subtracting (Alt+Click)
+   */
+  const applyMagicWand = useCallback((pos, subtract) => {
+    const area = magicWandRegion(originalImage, pos.x, pos.y, cv, {
+      tolerance: wandTolerance,
+      connectivity: wandConnectivity
+    });
+    if (!area) return;
+
+    const currentRegions = regionsRef.current;
+    let newRegions, changedIndices, cutCount;
+    if (subtract) {
+      ({ regions: newRegions, changedIndices, cutCount } = subtractFromRegions(originalImage, currentRegions, area, cv));
+      cleanupMats(area.contour, area.mask);
+      if (cutCount === 0) {
+        setStatus({ message: 'The wand area does not overlap the selection.', type: 'warning' });
+        return;
+      }
+    } else {
+      newRegions = [...currentRegions, area];
+      changedIndices = [currentRegions.length];
+    }
+
+    const refreshed = refreshRegionAdjacency(originalImage, newRegions, changedIndices);
+    newRegions = refreshed.regions;
+    labelMapRef.current = { labelMap: refreshed.labelMap, contours: newRegions.map(r => r.contour) };
+    setRegions(newRegions);
+    regionsRef.current = newRegions;
+    drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
+    if (!createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current)) {
+      const ctx = maskCanvasRef.current.getContext('2d');
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, maskCanvasRef.current.width, maskCanvasRef.current.height);
+    }
+    pushHistory(newRegions, brushStrokesRef.current);
+    setStatus({
+      message: subtract
+        ? `Cut the wand area out of ${cutCount} selected region(s)`
+        : 'Added the wand area to the selection. Alt+Click cuts an area out instead.',
+      type: 'info'
+    });
+  }, [originalImage, cv, wandTolerance, wandConnectivity, pushHistory]);
 
   /**
    * Handle mouse down on segmentation canvas to start drag selection
    */
   const handleCanvasMouseDown = useCallback((event) => {
+    if (scribblePainting) {
+      if (!originalImage) return;
+      const pos = getCanvasMousePosition(segmentationCanvasRef.current, event);
+      const stroke = { label: scribbleLabel, points: [pos], size: Math.max(2, selectionRadius) };
+      scribbleStrokeRef.current = stroke;
+      drawScribbles(segmentationCanvasRef.current, [stroke]);
+      return;
+    }
+    if (wandMode) {
+      if (!originalImage || !cv) return;
+      applyMagicWand(getCanvasMousePosition(segmentationCanvasRef.current, event), event.altKey);
+      return;
+    }
     if (regions.length === 0 || !originalImage || !cv) return;
 
     const pos = getCanvasMousePosition(segmentationCanvasRef.current, event);
-    const regionIndex = findRegionAtPoint(pos.x, pos.y, regions);
+    const regionIndex = findRegionAtPoint(pos.x, pos.y, regions, getLabelMap(regions));
 
-    // Shift+Click: Select Similar regions
+    // Shift+Click: Select Similar regions (Shift+Alt+Click also gives them the current light)
     if (event.shiftKey && regionIndex !== -1) {
-      const toSelect = selectSimilarRegions(regionIndex, regions, mergeStrength > 0 ? mergeStrength : 40);
-      const newRegions = [...regions];
-      for (const idx of toSelect) {
-        newRegions[idx].selected = true;
-      }
+      const toSelect = selectSimilarRegions(regionIndex, regions, mergeStrength > 0 ? mergeStrength : 40, { colorMetric, textureWeight: textureWeight / 100 });
+      const light = event.altKey ? { color: lightColor, intensity: lightIntensity } : null;
+      const newRegions = selectRegionsWithLight(regions, toSelect, light);
       setRegions(newRegions);
       regionsRef.current = newRegions;
       drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, regionIndex, cv);
-      createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+      createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
       pushHistory(newRegions, brushStrokes);
-      setStatus({ message: `Selected ${toSelect.length} similar connected regions`, type: 'info' });
+      setStatus({ message: `Selected ${toSelect.length} similar connected regions${light ? ' in the current light' : ''}`, type: 'info' });
       return;
     }
 
@@ -507,14 +1105,18 @@ function App() {
       );
 
       // Automatically update mask
-      createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+      createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
     }
-  }, [regions, originalImage, cv, mergeStrength, pushHistory, brushStrokes]);
+  }, [regions, originalImage, cv, mergeStrength, colorMetric, textureWeight, pushHistory, brushStrokes, getLabelMap, scribblePainting, scribbleLabel, selectionRadius, wandMode, applyMagicWand, lightColor, lightIntensity]);
 
   /**
    * Handle mouse up on segmentation canvas to end drag selection
    */
   const handleCanvasMouseUp = useCallback(() => {
+    if (scribblePainting) {
+      finishScribble();
+      return;
+    }
     if (!isDragging) return;
 
     setIsDragging(false);
@@ -522,7 +1124,7 @@ function App() {
 
     const selectedCount = regions.filter(r => r.selected).length;
     setStatus({ message: `${selectedCount} region(s) selected`, type: 'info' });
-  }, [isDragging, regions, pushHistory, brushStrokes]);
+  }, [isDragging, regions, pushHistory, brushStrokes, scribblePainting, finishScribble]);
 
   /**
    * Clear all region selections
@@ -550,16 +1152,136 @@ function App() {
   }, [regions, originalImage, cv, pushHistory, brushStrokes]);
 
 
+  /**
+   * Refine the current selection with GrabCut
+   * The selected regions are deselected (but kept, so the image stays fully
+   * covered) and the pixel-accurate refined region(s) are added on top, selected.
+   */
+  const handleRefineSelection = useCallback(async () => {
+    if (!originalImage || !cv || segmenting) return;
+
+    const currentRegions = regionsRef.current;
+    const selectedRegions = currentRegions.filter(r => r.selected);
+    if (selectedRegions.length === 0) {
+      setStatus({ message: 'Select regions to refine first.', type: 'warning' });
+      return;
+    }
+
+    setStatus({ message: 'Refining selection...', type: 'info' });
+    try {
+      const refined = await refineInWorker(
+        originalImage,
+        selectedRegions,
+        {},
+        (step, fraction) => setStatus({
+          message: formatSegmentationProgress('Refining selection', step, fraction),
+          type: 'info'
+        })
+      );
+
+      // Regions may have been replaced while the worker was running
+      if (regionsRef.current !== currentRegions) {
+        refined.forEach(region => cleanupMats(region.contour, region.mask));
+        setStatus({ message: 'Regions changed during refinement; result discarded.', type: 'warning' });
+        return;
+      }
+      if (refined.length === 0) {
+        setStatus({ message: 'Refinement found no foreground; selection unchanged.', type: 'warning' });
+        return;
+      }
+
+      const { regions: newRegions, labelMap } = refreshRegionAdjacency(
+        originalImage,
+        [...currentRegions.map(r => (r.selected ? { ...r, selected: false } : r)), ...refined],
+        refined.map((_, i) => currentRegions.length + i)
+      );
+      labelMapRef.current = { labelMap, contours: newRegions.map(r => r.contour) };
+      setRegions(newRegions);
+      regionsRef.current = newRegions;
+      drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
+      createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
+      pushHistory(newRegions, brushStrokesRef.current);
+      setStatus({
+        message: `Refined ${selectedRegions.length} region(s) into ${refined.length} pixel-accurate region(s)`,
+        type: 'success'
+      });
+    } catch (error) {
+      if (error.cancelled) {
+        setStatus({ message: 'Refinement cancelled.', type: 'warning' });
+        return;
+      }
+      console.error('[Refine] Error:', error);
+      setStatus({ message: 'Error refining selection: ' + error.message, type: 'error' });
+    }
+  }, [originalImage, cv, segmenting, refineInWorker, pushHistory]);
+
+  /**
+   * Detect rectangular posters and frames
+   * Each quad is added on top of the current regions as one region with a clean
+   * 4-point outline. Unselected quads from an earlier detection are replaced.
+   */
+  const handleDetectPosters = useCallback(async () => {
+    if (!originalImage || !cv || segmenting) return;
+
+    const currentRegions = regionsRef.current;
+    setStatus({ message: 'Detecting posters...', type: 'info' });
+    try {
+      const quads = await detectQuadsInWorker(
+        originalImage,
+        {},
+        (step, fraction) => setStatus({
+          message: formatSegmentationProgress('Detecting posters', step, fraction),
+          type: 'info'
+        })
+      );
+
+      if (regionsRef.current !== currentRegions) {
+        quads.forEach(region => cleanupMats(region.contour, region.mask));
+        setStatus({ message: 'Regions changed during detection; result discarded.', type: 'warning' });
+        return;
+      }
+      if (quads.length === 0) {
+        setStatus({ message: 'No rectangular posters found.', type: 'warning' });
+        return;
+      }
+
+      const keptRegions = currentRegions.filter(r => !r.quad || r.selected);
+      const { regions: newRegions, labelMap } = refreshRegionAdjacency(
+        originalImage,
+        [...keptRegions, ...quads],
+        quads.map((_, i) => keptRegions.length + i)
+      );
+      labelMapRef.current = { labelMap, contours: newRegions.map(r => r.contour) };
+      setRegions(newRegions);
+      regionsRef.current = newRegions;
+      drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
+      pushHistory(newRegions, brushStrokesRef.current);
+      setStatus({ message: `Detected ${quads.length} poster(s). Click them to select.`, type: 'success' });
+    } catch (error) {
+      if (error.cancelled) {
+        setStatus({ message: 'Poster detection cancelled.', type: 'warning' });
+        return;
+      }
+      console.error('[Quads] Error:', error);
+      setStatus({ message: 'Error detecting posters: ' + error.message, type: 'error' });
+    }
+  }, [originalImage, cv, segmenting, detectQuadsInWorker, pushHistory]);
+
   /**
    * Download the generated mask
    */
   const handleDownloadMask = useCallback(() => {
     try {
-      maskCanvasRef.current.toBlob((blob) => {
+      // An output profile renders the mask at the projector's resolution; 'native' keeps the photo size
+      const profile = getOutputProfile(outputProfileId);
+      const canvas = profile.width
+        ? renderToOutput(maskCanvasRef.current, profile.width, profile.height, outputRotation, outputFit)
+        : maskCanvasRef.current;
+      canvas.toBlob((blob) => {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'mask.png';
+        a.download = profile.width ? `mask-${profile.width}x${profile.height}.png` : 'mask.png';
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -571,8 +1293,425 @@ function App() {
       console.error('Error downloading mask:', error);
       setStatus({ message: 'Error downloading mask: ' + error.message, type: 'error' });
     }
+  }, [outputProfileId, outputRotation, outputFit]);
+
+  /**
+   * Download the selected regions (and presenter strokes) as an SVG
+   *
+   * @param {Array} strokes - Strokes in image pixels (see strokesToImage), drawn over the regions
+   */
+  const handleDownloadSvg = useCallback((strokes = []) => {
+    if (!originalImage) return;
+
+    try {
+      const svg = buildMaskSvg(regionsRef.current, originalImage.cols, originalImage.rows, {
+        strokes,
+        tolerance: svgTolerance
+      });
+      const blob = new Blob([svg], { type: 'image/svg+xml' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'mask.svg';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      setStatus({ message: `SVG mask downloaded (${Math.round(blob.size / 1024)} KB).`, type: 'success' });
+    } catch (error) {
+      console.error('Error downloading SVG:', error);
+      setStatus({ message: 'Error downloading SVG: ' + error.message, type: 'error' });
+    }
+  }, [originalImage, svgTolerance]);
+
+  /**
+   * Grow or shrink the selected regions by their own margin
+   * Stored per region (region.margin, original-image pixels) and applied before the
+   * mask-wide margin, so one poster can be pulled in without touching the others.
+   *
+   * @param {number} margin - Positive grows, negative shrinks, 0 removes the margin (NaN and values
+   *   past MAX_MASK_MARGIN are ignored)
+   */
+  const handleRegionMargin = useCallback((margin) => {
+    if (!originalImage || !cv || !(Math.abs(margin) <= MAX_MASK_MARGIN)) return;
+    const currentRegions = regionsRef.current;
+    if (!currentRegions.some(r => r.selected)) return;
+
+    const newRegions = currentRegions.map(r => (r.selected ? { ...r, margin } : r));
+    setRegions(newRegions);
+    regionsRef.current = newRegions;
+    createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
+    pushHistory(newRegions, brushStrokesRef.current);
+  }, [originalImage, cv, pushHistory]);
+
+  /**
+   * Give the selected regions the current light color and intensity
+   */
+  const handleApplyLight = useCallback(() => {
+    if (!originalImage || !cv) return;
+    const currentRegions = regionsRef.current;
+    if (!currentRegions.some(r => r.selected)) return;
+
+    const newRegions = currentRegions.map(r => (r.selected ? { ...r, color: lightColor, intensity: lightIntensity } : r));
+    setRegions(newRegions);
+    regionsRef.current = newRegions;
+    createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
+    pushHistory(newRegions, brushStrokesRef.current);
+  }, [originalImage, cv, lightColor, lightIntensity, pushHistory]);
+
+  /**
+   * The scene list with the current selection and strokes stored in the active scene
+   * Edits always belong to the active scene; it is stored like this before switching
+   * away, exporting or saving.
+   */
+  const scenesWithActiveStored = useCallback(() => (
+    scenes.map(scene => (scene.id === activeSceneId
+      ? { ...scene, ...captureScene(regionsRef.current, brushStrokesRef.current) }
+      : scene))
+  ), [scenes, activeSceneId]);
+
+  /**
+   * Save the current selection and strokes as a new scene and make it active
+   */
+  const handleNewScene = useCallback(() => {
+    const stored = scenesWithActiveStored();
+    const scene = createScene(stored, regionsRef.current, brushStrokesRef.current);
+    setScenes([...stored, scene]);
+    setActiveSceneId(scene.id);
+    setStatus({ message: `Scene "${scene.name}" created.`, type: 'info' });
+  }, [scenesWithActiveStored]);
+
+  /**
+   * Make a scene active: its selection and strokes replace the current ones
+   * The scene's lit areas select the current regions by pixel ownership, so it still
+   * fits after the segmentation changed.
+   *
+   * @param {number} id - Scene id
+   */
+  const handleSwitchScene = useCallback((id) => {
+    if (!originalImage || !cv || id === activeSceneId) return;
+    const stored = scenesWithActiveStored();
+    const scene = stored.find(s => s.id === id);
+    if (!scene) return;
+
+    const newRegions = applyScene(scene, regionsRef.current, originalImage, cv, getLabelMap(regionsRef.current));
+    setRegions(newRegions);
+    regionsRef.current = newRegions;
+    setBrushStrokes(scene.strokes);
+    brushStrokesRef.current = scene.strokes;
+    drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
+    createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
+    pushHistory(newRegions, scene.strokes);
+    setScenes(stored);
+    setActiveSceneId(id);
+
+    setStatus({ message: `Switched to scene "${scene.name}".`, type: 'info' });
+  }, [originalImage, cv, activeSceneId, scenesWithActiveStored, pushHistory, getLabelMap]);
+
+  /**
+   * Copy a scene (placed right after it)
+   *
+   * @param {number} id - Scene id
+   */
+  const handleDuplicateScene = useCallback((id) => {
+    setScenes(duplicateScene(scenesWithActiveStored(), id));
+  }, [scenesWithActiveStored]);
+
+  const handleRenameScene = useCallback((id, name) => {
+    setScenes(prev => prev.map(scene => (scene.id === id ? { ...scene, name } : scene)));
+  }, []);
+
+  const handleMoveScene = useCallback((id, offset) => {
+    setScenes(prev => moveScene(prev, id, offset));
   }, []);
 
+  /**
+   * Remove a scene and its cues; the current selection and strokes stay as they are
+   */
+  const handleDeleteScene = useCallback((id) => {
+    setScenes(prev => prev.filter(scene => scene.id !== id));
+    setCues(prev => prev.filter(cue => cue.sceneId !== id));
+    if (id === activeSceneId) setActiveSceneId(null);
+  }, [activeSceneId]);
+
+  /**
+   * Presenter mode: show a scene with a transition
+   * The frame on screen now is kept as the start of the transition; the transition
+   * effect captures the end frame once the new scene has been rendered.
+   *
+   * @param {number} id - Scene id
+   * @param {object} transition - { type, duration } (default: the transition settings)
+   */
+  const presenterShowScene = useCallback((id, transition = { type: transitionType, duration: transitionDuration }) => {
+    const canvas = presenterCanvasRef.current;
+    if (!canvas || id === activeSceneId) return;
+
+    const before = regionsRef.current;
+    let from = null;
+    if (transition.type !== 'cut' && transition.duration > 0) {
+      from = document.createElement('canvas');
+      from.width = canvas.width;
+      from.height = canvas.height;
+      from.getContext('2d').drawImage(canvas, 0, 0);
+    }
+    handleSwitchScene(id);
+    if (!from) {
+      setPresenterTransition(null);
+      return;
+    }
+
+    const after = regionsRef.current;
+    const clips = transition.type === 'stagger'
+      ? changedRegionIndices(before, after).map(i => regionClipPath(after[i]))
+      : [];
+    setPresenterTransition({ type: transition.type, duration: transition.duration, from, clips });
+  }, [activeSceneId, transitionType, transitionDuration, handleSwitchScene]);
+
+  /**
+   * Presenter mode: step to the next or previous scene in the list (no wrap-around)
+   *
+   * @param {number} offset - 1 = next, -1 = previous
+   */
+  const presenterStepScene = useCallback((offset) => {
+    if (scenes.length === 0) return;
+    const index = scenes.findIndex(scene => scene.id === activeSceneId);
+    // Without an active scene, next starts at the first scene and previous at the last
+    const target = index === -1
+      ? (offset > 0 ? 0 : scenes.length - 1)
+      : Math.min(scenes.length - 1, Math.max(0, index + offset));
+    presenterShowScene(scenes[target].id);
+  }, [scenes, activeSceneId, presenterShowScene]);
+
+  /**
+   * Add a cue for the active scene (or the last scene) with the current transition settings
+   */
+  const handleAddCue = useCallback(() => {
+    if (scenes.length === 0) return;
+    const sceneId = activeSceneId !== null ? activeSceneId : scenes[scenes.length - 1].id;
+    setCues(prev => [...prev, createCue(prev, sceneId, { transition: transitionType, duration: transitionDuration })]);
+  }, [scenes, activeSceneId, transitionType, transitionDuration]);
+
+  const handleUpdateCue = useCallback((id, changes) => {
+    setCues(prev => updateCue(prev, id, changes));
+  }, []);
+
+  const handleMoveCue = useCallback((id, offset) => {
+    setCues(prev => moveCue(prev, id, offset));
+  }, []);
+
+  const handleDeleteCue = useCallback((id) => {
+    setCues(prev => prev.filter(cue => cue.id !== id));
+  }, []);
+
+  /**
+   * Run show: go to a cue (clamped to the list) with its transition and start its hold time
+   *
+   * @param {number} index - Position among the playable cues
+   */
+  const goToCue = useCallback((index) => {
+    const playable = playableCues(cues, scenes);
+    if (playable.length === 0 || regionsRef.current.length === 0) return;
+    const target = Math.min(playable.length - 1, Math.max(0, index));
+    const cue = playable[target];
+    // A new object, so the timer of the previous cue cannot count against this one
+    showTimerRef.current = { remaining: cueHoldMs(cue), startedAt: 0 };
+    setShowCueIndex(target);
+    presenterShowScene(cue.sceneId, { type: cue.transition, duration: cue.duration });
+  }, [cues, scenes, presenterShowScene]);
+
+  /**
+   * Download every scene as its own PNG, rendered like Download Mask (output profile,
+   * margin, feather and lights). Strokes need the presenter frame they were drawn in, so
+   * they are only included once presenter mode has been shown.
+   */
+  const handleDownloadScenes = useCallback(() => {
+    if (!originalImage || !cv || scenes.length === 0) return;
+
+    try {
+      const stored = scenesWithActiveStored();
+      setScenes(stored);
+      const profile = getOutputProfile(outputProfileId);
+      const transform = presenterStrokeTransformRef.current;
+      const [a, b, c, d] = transform || [1, 0, 0, 1];
+
+      const labelMap = getLabelMap(regionsRef.current);
+      stored.forEach((scene, i) => {
+        const sceneRegions = applyScene(scene, regionsRef.current, originalImage, cv, labelMap).filter(r => r.selected);
+        const maskCanvas = renderOutputMask(
+          originalImage, sceneRegions, transform ? scene.strokes : [],
+          transform, Math.sqrt(Math.abs(a * d - b * c)), maskOutputRef.current, cv
+        );
+        const canvas = profile.width
+          ? renderToOutput(maskCanvas, profile.width, profile.height, outputRotation, outputFit)
+          : maskCanvas;
+        const size = profile.width ? `-${profile.width}x${profile.height}` : '';
+        canvas.toBlob((blob) => {
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = `mask-${i + 1}-${sceneFileName(scene.name)}${size}.png`;
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          URL.revokeObjectURL(url);
+        });
+      });
+
+      const strokesLeftOut = !transform && stored.some(scene => scene.strokes.length > 0);
+      setStatus({
+        message: `${stored.length} scene masks downloaded.` + (strokesLeftOut ? ' Strokes were left out; open presenter mode once to include them.' : ''),
+        type: strokesLeftOut ? 'warning' : 'success'
+      });
+    } catch (error) {
+      console.error('Error downloading scenes:', error);
+      setStatus({ message: 'Error downloading scenes: ' + error.message, type: 'error' });
+    }
+  }, [originalImage, cv, scenes, scenesWithActiveStored, outputProfileId, outputRotation, outputFit, getLabelMap]);
+
+  /**
+   * Save the image, regions (selection, margins and lights included), strokes, scenes and settings as a project file
+   */
+  const handleSaveProject = useCallback(() => {
+    if (!originalImage || !cv) return;
+
+    try {
+      // PNG keeps the image lossless, so the saved outlines still line up with it
+      const imageCanvas = document.createElement('canvas');
+      cv.imshow(imageCanvas, originalImage);
+      const project = serializeProject({
+        image: imageCanvas.toDataURL('image/png'),
+        width: originalImage.cols,
+        height: originalImage.rows,
+        regions: regionsRef.current,
+        strokes: brushStrokesRef.current,
+        scenes: scenesWithActiveStored(),
+        activeSceneId,
+        cues,
+        settings: {
+          detailLevel,
+          mergeStrength,
+          segmentationMethod,
+          fullResolution,
+          colorMetric,
+          textureWeight,
+          maskFeather,
+          featherMode,
+          maskMargin,
+          outputProfileId,
+          outputFit,
+          outputRotation,
+          lightColor,
+          lightIntensity,
+          transitionType,
+          transitionDuration
+        }
+      });
+
+      const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'mask-project.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      setStatus({ message: `Project saved with ${project.regions.length} regions.`, type: 'success' });
+    } catch (error) {
+      console.error('Error saving project:', error);
+      setStatus({ message: 'Error saving project: ' + error.message, type: 'error' });
+    }
+  }, [originalImage, cv, detailLevel, mergeStrength, segmentationMethod, fullResolution, colorMetric, textureWeight, maskFeather, featherMode, maskMargin, outputProfileId, outputFit, outputRotation, lightColor, lightIntensity, transitionType, transitionDuration, scenesWithActiveStored, activeSceneId, cues]);
+
+  /**
+   * Open a project file saved with handleSaveProject
+   * Replaces the image and regions; the merge slider needs a new segmentation
+   * because the merge hierarchy is not saved.
+   */
+  const handleProjectUpload = useCallback((event) => {
+    const file = event.target.files[0];
+    if (!file || !cv) return;
+
+    setStatus({ message: 'Loading project...', type: 'info' });
+
+    file.text().then(text => {
+      const project = validateProject(JSON.parse(text));
+      const img = new Image();
+      img.onload = () => {
+        try {
+          loadImage(img);
+          const image = originalImageRef.current;
+          if (image.cols !== project.width || image.rows !== project.height) {
+            throw new Error(`image is ${image.cols}x${image.rows}, the regions were saved for ${project.width}x${project.height}`);
+          }
+
+          const settings = project.settings || {};
+          const setters = {
+            detailLevel: setDetailLevel,
+            mergeStrength: setMergeStrength,
+            segmentationMethod: setSegmentationMethod,
+            fullResolution: setFullResolution,
+            colorMetric: setColorMetric,
+            textureWeight: setTextureWeight,
+            maskFeather: setMaskFeather,
+            featherMode: setFeatherMode,
+            maskMargin: setMaskMargin,
+            outputProfileId: setOutputProfileId,
+            outputFit: setOutputFit,
+            outputRotation: setOutputRotation,
+            lightColor: setLightColor,
+            lightIntensity: setLightIntensity,
+            transitionType: setTransitionType,
+            transitionDuration: setTransitionDuration
+          };
+          Object.entries(setters).forEach(([key, set]) => {
+            if (settings[key] !== undefined) set(settings[key]);
+          });
+
+          const newRegions = deserializeProjectRegions(project.regions, cv);
+          cleanupMats(edgeMapRef.current);
+          edgeMapRef.current = null;
+          mergeLevelRef.current = null;
+          labelMapRef.current = null;
+          setRegions(newRegions);
+          regionsRef.current = newRegions;
+          setScribbling(false);
+          const strokes = project.strokes || [];
+          setBrushStrokes(strokes);
+          brushStrokesRef.current = strokes;
+          setScenes(upgradeScenes(project.scenes || [], newRegions));
+          setActiveSceneId(projectActiveSceneId(project));
+          setCues(project.cues || []);
+
+          const initialSnapshot = {
+            selections: newRegions.map(r => r.selected),
+            brushStrokes: JSON.parse(JSON.stringify(strokes)),
+            regions: newRegions
+          };
+          replaceHistory([initialSnapshot], selectionHistoryRef.current);
+          setHistoryIndex(0);
+
+          // The mask preview is redrawn by the output settings effect once the settings above apply
+          drawSegmentation(image, newRegions, segmentationCanvasRef.current, -1, cv);
+          setStatus({
+            message: `Project loaded: ${newRegions.length} regions, ${newRegions.filter(r => r.selected).length} selected.`,
+            type: 'success'
+          });
+        } catch (error) {
+          console.error('Error loading project:', error);
+          setStatus({ message: 'Error loading project: ' + error.message, type: 'error' });
+        }
+      };
+      img.onerror = () => setStatus({ message: 'Error loading project: the image could not be decoded.', type: 'error' });
+      img.src = project.image;
+    }).catch(error => {
+      console.error('Error loading project:', error);
+      setStatus({ message: 'Error loading project: ' + error.message, type: 'error' });
+    });
+  }, [cv, loadImage, replaceHistory]);
+
   /**
    * Download the presenter mode image
    */
@@ -607,8 +1746,12 @@ function App() {
 
     setPresenterMode(true);
     setPresenterSubMode('segment');
-    setBrushStrokes([]);
-    brushStrokesRef.current = [];
+    setPresenterRotation(outputRotation);
+    // The active scene keeps its strokes; otherwise every session starts without strokes
+    if (activeSceneId === null) {
+      setBrushStrokes([]);
+      brushStrokesRef.current = [];
+    }
 
     // Request fullscreen on the container
     setTimeout(() => {
@@ -622,7 +1765,33 @@ function App() {
         }
       }
     }, 100);
-  }, [regions]);
+  }, [regions, outputRotation, activeSceneId]);
+
+  /**
+   * Enter presenter mode and play the cue list from the first cue
+   */
+  const handleRunShow = useCallback(() => {
+    if (playableCues(cues, scenes).length === 0) {
+      setStatus({ message: 'Add cues for your scenes first.', type: 'error' });
+      return;
+    }
+    // Skipping cues silently would renumber the show under the presenter's jump keys
+    const stale = staleCuePositions(cues, scenes);
+    if (stale.length > 0) {
+      setStatus({ message: `Cue ${stale.join(', ')} shows a deleted scene. Pick a scene for it or remove it first.`, type: 'error' });
+      return;
+    }
+    if (regionsRef.current.length === 0) {
+      setStatus({ message: 'Please segment the image first.', type: 'error' });
+      return;
+    }
+    // The first cue starts once the presenter canvas is up (see the run show effect)
+    setShowCueIndex(-1);
+    setShowPaused(false);
+    setShowJump('');
+    setShowRunning(true);
+    enterPresenterMode();
+  }, [cues, scenes, enterPresenterMode]);
 
   /**
    * Exit presenter mode
@@ -633,6 +1802,9 @@ function App() {
       try {
         const dataURL = presenterCanvasRef.current.toDataURL('image/png');
         setFinalPresenterImage(dataURL);
+        setFinalPresenterStrokes(presenterStrokeTransformRef.current
+          ? strokesToImage(brushStrokesRef.current, presenterStrokeTransformRef.current)
+          : []);
         setShowDownloadModal(true);
       } catch (error) {
         console.error('Error capturing presenter canvas:', error);
@@ -645,9 +1817,13 @@ function App() {
     setPresenterDragMode(null);
     setCurrentStroke(null);
     setPresenterMousePos(null);
-    setPresenterRotation(false);
+    setPresenterRotation(0);
     setPresenterZoom(1.0);
     setPresenterZoomOffset({ x: 0, y: 0 });
+    setPresenterTransition(null);
+    setShowRunning(false);
+    setShowJump('');
+    featheredMaskRef.current = null;
 
     // Exit fullscreen
     if (document.fullscreenElement) {
@@ -659,74 +1835,36 @@ function App() {
     }
   }, []);
 
-  // Helper: compute display layout for presenter mode (rotation-aware)
+  // Helper: compute display layout for presenter mode (rotation-aware, placed by the output fit mode)
   const getPresenterLayout = useCallback((canvas, image, rotation) => {
-    const effectiveCols = rotation ? image.rows : image.cols;
-    const effectiveRows = rotation ? image.cols : image.rows;
-    const imageAspect = effectiveCols / effectiveRows;
-    const canvasAspect = canvas.width / canvas.height;
-
-    let displayWidth, displayHeight, offsetX, offsetY;
-
-    if (imageAspect > canvasAspect) {
-      displayWidth = canvas.width;
-      displayHeight = canvas.width / imageAspect;
-      offsetX = 0;
-      offsetY = (canvas.height - displayHeight) / 2;
-    } else {
-      displayHeight = canvas.height;
-      displayWidth = canvas.height * imageAspect;
-      offsetX = (canvas.width - displayWidth) / 2;
-      offsetY = 0;
-    }
-
-    return { displayWidth, displayHeight, offsetX, offsetY };
-  }, []);
+    return computeOutputLayout(canvas.width, canvas.height, image.cols, image.rows, rotation, outputFit);
+  }, [outputFit]);
 
   // Helper: convert screen coords to image coords (rotation-aware)
   const screenToImage = useCallback((sx, sy, layout, image, rotation) => {
-    const { displayWidth, displayHeight, offsetX, offsetY } = layout;
-    if (rotation) {
-      const centerX = offsetX + displayWidth / 2;
-      const centerY = offsetY + displayHeight / 2;
-      return {
-        imgX: ((sy - centerY + displayHeight / 2) / displayHeight) * image.cols,
-        imgY: ((centerX - sx + displayWidth / 2) / displayWidth) * image.rows
-      };
-    }
-    return {
-      imgX: ((sx - offsetX) / displayWidth) * image.cols,
-      imgY: ((sy - offsetY) / displayHeight) * image.rows
-    };
+    const transform = invertTransform(imageToOutputTransform(layout, image.cols, image.rows, rotation));
+    const { x, y } = applyTransform(transform, sx, sy);
+    return { imgX: x, imgY: y };
   }, []);
 
   // Helper: convert image coords to screen coords (rotation-aware)
   const imageToScreen = useCallback((imgX, imgY, layout, image, rotation) => {
-    const { displayWidth, displayHeight, offsetX, offsetY } = layout;
-    if (rotation) {
-      return {
-        sx: offsetX + displayWidth - (imgY / image.rows) * displayWidth,
-        sy: offsetY + (imgX / image.cols) * displayHeight
-      };
-    }
-    return {
-      sx: (imgX / image.cols) * displayWidth + offsetX,
-      sy: (imgY / image.rows) * displayHeight + offsetY
-    };
+    const { x, y } = applyTransform(imageToOutputTransform(layout, image.cols, image.rows, rotation), imgX, imgY);
+    return { sx: x, sy: y };
+  }, []);
+
+  // Helper: canvas transform from screen (world) coords to image coords (rotation-aware),
+  // the inverse of imageToScreen, as setTransform arguments
+  const worldToImageTransform = useCallback((layout, image, rotation) => {
+    return invertTransform(imageToOutputTransform(layout, image.cols, image.rows, rotation));
   }, []);
 
-  // Helper: draw an image source onto the canvas respecting rotation
+  // Helper: draw an image-sized source onto the canvas respecting rotation
   const drawRotated = useCallback((ctx, source, layout, rotation) => {
-    const { displayWidth, displayHeight, offsetX, offsetY } = layout;
-    if (rotation) {
-      ctx.save();
-      ctx.translate(offsetX + displayWidth / 2, offsetY + displayHeight / 2);
-      ctx.rotate(Math.PI / 2);
-      ctx.drawImage(source, -displayHeight / 2, -displayWidth / 2, displayHeight, displayWidth);
-      ctx.restore();
-    } else {
-      ctx.drawImage(source, offsetX, offsetY, displayWidth, displayHeight);
-    }
+    ctx.save();
+    ctx.transform(...imageToOutputTransform(layout, source.width, source.height, rotation));
+    ctx.drawImage(source, 0, 0);
+    ctx.restore();
   }, []);
 
   // Helper: convert screen coords to world (unzoomed canvas) coords
@@ -746,9 +1884,10 @@ function App() {
     const canvas = presenterCanvasRef.current;
     const ctx = canvas.getContext('2d');
 
-    // Set canvas to full window size
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+    // Render at the output profile's resolution (scaled to the window by CSS), or the window size
+    const profile = getOutputProfile(outputProfileId);
+    canvas.width = profile.width || window.innerWidth;
+    canvas.height = profile.height || window.innerHeight;
 
     // Fill with black background
     ctx.fillStyle = 'black';
@@ -801,37 +1940,46 @@ function App() {
     // Calculate scaling to fit the mask in the canvas while maintaining aspect ratio
     const { displayWidth, displayHeight, offsetX, offsetY } = getPresenterLayout(canvas, originalImage, presenterRotation);
 
-    // Create the mask from selected regions
-    const mask = cv.Mat.zeros(originalImage.rows, originalImage.cols, cv.CV_8UC1);
-    const selectedRegions = regions.filter(r => r.selected);
-
-    for (let region of selectedRegions) {
-      const scaleFactor = region.scaleFactor || 1;
-      const scale = 1 / scaleFactor;
-
-      // Create scaled contour
-      const scaledContour = new cv.Mat(region.contour.rows, 1, cv.CV_32SC2);
-      for (let i = 0; i < region.contour.rows; i++) {
-        scaledContour.data32S[i * 2] = Math.round(region.contour.data32S[i * 2] * scale);
-        scaledContour.data32S[i * 2 + 1] = Math.round(region.contour.data32S[i * 2 + 1] * scale);
+    const layout = { displayWidth, displayHeight, offsetX, offsetY };
+    presenterStrokeTransformRef.current = worldToImageTransform(layout, originalImage, presenterRotation);
+    const feather = maskFeather > 0 ? { radius: maskFeather, mode: featherMode } : null;
+    // When image overlay is on, make strokes semi-transparent so image shows through
+    const strokeOpacity = showImageOverlay ? 0.5 : 1.0;
+
+    const processed = Boolean(feather) || maskMargin !== 0;
+    if (processed) {
+      // Feathered or grown/shrunk output: regions and finished strokes are combined at original
+      // image resolution and processed together, then cached until one of them changes
+      const cache = featheredMaskRef.current;
+      const upToDate = cache && cache.regions === regions && cache.brushStrokes === brushStrokes &&
+        (cache.feather && cache.feather.radius) === (feather && feather.radius) &&
+        (cache.feather && cache.feather.mode) === (feather && feather.mode) &&
+        cache.margin === maskMargin && cache.rotation === presenterRotation &&
+        ['displayWidth', 'displayHeight', 'offsetX', 'offsetY'].every(key => cache.layout[key] === layout[key]);
+      if (!upToDate) {
+        const maskCanvas = renderOutputMask(
+          originalImage, regions.filter(r => r.selected), brushStrokes,
+          presenterStrokeTransformRef.current, originalImage.cols / displayWidth,
+          { feather, margin: maskMargin }, cv
+        );
+        featheredMaskRef.current = { regions, brushStrokes, feather, margin: maskMargin, rotation: presenterRotation, layout, canvas: maskCanvas };
       }
+      drawRotated(ctx, featheredMaskRef.current.canvas, layout, presenterRotation);
+    } else {
+      // Create the mask from selected regions (same rasterization as the downloaded mask,
+      // holes and light colors included)
+      const mask = renderLightMask(originalImage, regions.filter(r => r.selected), cv);
 
-      const contourVec = new cv.MatVector();
-      contourVec.push_back(scaledContour);
-      cv.drawContours(mask, contourVec, 0, new cv.Scalar(255), -1);
-      contourVec.delete();
-      scaledContour.delete();
-    }
-
-    // Convert mask to ImageData
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = mask.cols;
-    tempCanvas.height = mask.rows;
-    cv.imshow(tempCanvas, mask);
-    mask.delete();
+      // Convert mask to ImageData
+      const tempCanvas = document.createElement('canvas');
+      tempCanvas.width = mask.cols;
+      tempCanvas.height = mask.rows;
+      cv.imshow(tempCanvas, mask);
+      mask.delete();
 
-    // Draw the mask scaled to fit
-    drawRotated(ctx, tempCanvas, { displayWidth, displayHeight, offsetX, offsetY }, presenterRotation);
+      // Draw the mask scaled to fit
+      drawRotated(ctx, tempCanvas, layout, presenterRotation);
+    }
 
     // Optionally overlay the original image at low opacity (toggled with 'O' key)
     if (showImageOverlay) {
@@ -840,68 +1988,16 @@ function App() {
       imgCanvas.height = originalImage.rows;
       cv.imshow(imgCanvas, originalImage);
       ctx.globalAlpha = 0.25;
-      drawRotated(ctx, imgCanvas, { displayWidth, displayHeight, offsetX, offsetY }, presenterRotation);
+      drawRotated(ctx, imgCanvas, layout, presenterRotation);
       ctx.globalAlpha = 1.0;
     }
 
-    // Apply brush strokes overlay
-    if (brushStrokes.length > 0 || currentStroke) {
-      const allStrokes = currentStroke ? [...brushStrokes, currentStroke] : brushStrokes;
-      // When image overlay is on, make strokes semi-transparent so image shows through
-      const strokeOpacity = showImageOverlay ? 0.5 : 1.0;
-
-      for (const stroke of allStrokes) {
-        // Handle polygon strokes (filled shapes)
-        if (stroke.type === 'polygon-white' || stroke.type === 'polygon-black') {
-          const color = stroke.type === 'polygon-white' ? 'white' : 'black';
-          ctx.globalAlpha = strokeOpacity;
-          ctx.fillStyle = color;
-          ctx.strokeStyle = color;
-          ctx.lineWidth = 1 * zoomLineScale;
-          if (stroke.points.length >= 3) {
-            ctx.beginPath();
-            ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-            for (let i = 1; i < stroke.points.length; i++) {
-              ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
-            }
-            ctx.closePath();
-            ctx.fill();
-          }
-          continue;
-        }
-
-        ctx.globalAlpha = strokeOpacity;
-        ctx.strokeStyle = stroke.type === 'white' ? 'white' : 'black';
-        ctx.fillStyle = stroke.type === 'white' ? 'white' : 'black';
-        const strokeSize = stroke.size || brushSize; // Use stroke's stored size, or current brushSize for in-progress strokes
-        ctx.lineWidth = strokeSize;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
-        if (stroke.points.length === 1) {
-          // Single point - draw a circle
-          const point = stroke.points[0];
-          ctx.beginPath();
-          ctx.arc(point.x, point.y, strokeSize / 2, 0, Math.PI * 2);
-          ctx.fill();
-        } else if (stroke.points.length > 1) {
-          // Multiple points - draw a path
-          ctx.beginPath();
-          ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-          for (let i = 1; i < stroke.points.length; i++) {
-            ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
-          }
-          ctx.stroke();
-
-          // Also draw circles at each point for smoother appearance
-          for (const point of stroke.points) {
-            ctx.beginPath();
-            ctx.arc(point.x, point.y, strokeSize / 2, 0, Math.PI * 2);
-            ctx.fill();
-          }
-        }
-      }
-      ctx.globalAlpha = 1.0;
+    // Apply brush strokes overlay (processed output already contains the finished strokes;
+    // the stroke being drawn stays sharp until it is finished)
+    const overlayStrokes = processed ? [] : [...brushStrokes];
+    if (currentStroke) overlayStrokes.push(currentStroke);
+    if (overlayStrokes.length > 0) {
+      drawBrushStrokes(ctx, overlayStrokes, strokeOpacity, brushSize, zoomLineScale);
     }
 
     // Draw in-progress polygon
@@ -948,6 +2044,64 @@ function App() {
       }
     }
 
+    // Draw in-progress livewire outline
+    if (presenterSubMode === 'livewire' && livewireAnchors.length > 0) {
+      const toScreen = (p) => imageToScreen(p.x, p.y, { displayWidth, displayHeight, offsetX, offsetY }, originalImage, presenterRotation);
+      const wireColor = polygonColor === 'white' ? 'white' : 'black';
+      ctx.strokeStyle = wireColor;
+      ctx.lineWidth = 2 * zoomLineScale;
+      ctx.setLineDash([]);
+
+      // Traced path so far
+      ctx.beginPath();
+      livewirePoints.forEach((p, i) => {
+        const { sx, sy } = toScreen(p);
+        if (i === 0) ctx.moveTo(sx, sy);
+        else ctx.lineTo(sx, sy);
+      });
+      ctx.stroke();
+
+      // Live path from the last anchor to the cursor
+      const tree = livewireRef.current.tree;
+      if (presenterMousePos && presenterMousePos.imgX !== undefined && tree) {
+        const last = livewireAnchors[livewireAnchors.length - 1];
+        const cursor = { x: presenterMousePos.imgX, y: presenterMousePos.imgY };
+        const live = livewirePath(tree, cursor.x, cursor.y) || [last, cursor];
+        ctx.strokeStyle = 'rgba(255, 200, 0, 0.9)';
+        ctx.beginPath();
+        live.forEach((p, i) => {
+          const { sx, sy } = toScreen(p);
+          if (i === 0) ctx.moveTo(sx, sy);
+          else ctx.lineTo(sx, sy);
+        });
+        ctx.stroke();
+      }
+
+      // Anchors
+      livewireAnchors.forEach((anchor, i) => {
+        const { sx, sy } = toScreen(anchor);
+        ctx.beginPath();
+        ctx.arc(sx, sy, 5, 0, Math.PI * 2);
+        ctx.fillStyle = i === 0 ? 'red' : wireColor;
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0,0,0,0.5)';
+        ctx.lineWidth = 1 * zoomLineScale;
+        ctx.stroke();
+      });
+
+      // Highlight the first anchor when the cursor is near it (for closing)
+      if (presenterMousePos && livewireAnchors.length >= 2) {
+        const start = toScreen(livewireAnchors[0]);
+        if (Math.hypot(presenterMousePos.x - start.sx, presenterMousePos.y - start.sy) < 15) {
+          ctx.beginPath();
+          ctx.arc(start.sx, start.sy, 15, 0, Math.PI * 2);
+          ctx.strokeStyle = 'red';
+          ctx.lineWidth = 3 * zoomLineScale;
+          ctx.stroke();
+        }
+      }
+    }
+
     // Draw polygon edit mode handles
     if (presenterSubMode === 'polygon-edit') {
       for (let si = 0; si < brushStrokes.length; si++) {
@@ -971,7 +2125,7 @@ function App() {
     if (presenterMousePos && !transformMode) {
       if (presenterSubMode === 'segment') {
         // Check if hovering over a selected region (for deselecting)
-        const centerRegionIndex = findRegionAtPoint(presenterMousePos.imgX, presenterMousePos.imgY, regions);
+        const centerRegionIndex = findRegionAtPoint(presenterMousePos.imgX, presenterMousePos.imgY, regions, getLabelMap(regions));
         const isHoveringSelected = centerRegionIndex !== -1 && regions[centerRegionIndex].selected;
 
         if (isHoveringSelected) {
@@ -1020,7 +2174,8 @@ function App() {
             presenterMousePos.imgX,
             presenterMousePos.imgY,
             presenterSelectionRadius,
-            regions
+            regions,
+            getLabelMap(regions)
           );
 
           if (regionIndices.length > 0) {
@@ -1104,7 +2259,7 @@ function App() {
 
     ctx.restore();
     return { displayWidth, displayHeight, offsetX, offsetY };
-  }, [originalImage, regions, cv, brushStrokes, currentStroke, brushSize, transformMode, transformPoints, homographyMatrix, presenterMousePos, presenterSubMode, presenterSelectionRadius, showImageOverlay, polygonPoints, polygonColor, editingPolygonIndex, editingPointIndex, presenterRotation, getPresenterLayout, screenToImage, imageToScreen, drawRotated, presenterZoom, presenterZoomOffset]);
+  }, [originalImage, regions, cv, brushStrokes, currentStroke, brushSize, transformMode, transformPoints, homographyMatrix, presenterMousePos, presenterSubMode, presenterSelectionRadius, showImageOverlay, polygonPoints, polygonColor, livewireAnchors, livewirePoints, editingPolygonIndex, editingPointIndex, presenterRotation, getPresenterLayout, screenToImage, imageToScreen, worldToImageTransform, drawRotated, maskFeather, featherMode, maskMargin, outputProfileId, presenterZoom, presenterZoomOffset, getLabelMap]);
 
   /**
    * Save the current state as the base (untransformed) state
@@ -1195,6 +2350,7 @@ function App() {
 
       setRegions(restoredRegions);
       regionsRef.current = restoredRegions;
+      mergeTreeRef.current = null; // Regions no longer match the merge hierarchy
 
       // Restore brush strokes
       const restoredStrokes = JSON.parse(JSON.stringify(baseBrushStrokesRef.current));
@@ -1205,7 +2361,7 @@ function App() {
       const segCanvas = segmentationCanvasRef.current;
       cv.imshow(segCanvas, restoredImage);
       drawSegmentation(restoredImage, restoredRegions, segCanvas, -1, cv);
-      createMask(restoredImage, restoredRegions, maskCanvasRef.current, cv);
+      createMask(restoredImage, restoredRegions, maskCanvasRef.current, cv, maskOutputRef.current);
 
       console.log('[Transform] Base state restored');
 
@@ -1359,10 +2515,27 @@ function App() {
         relativeContour.delete();
         contourVec.delete();
 
+        // Holes move with the outline
+        const holes = baseRegion.holes && baseRegion.holes.map(hole => {
+          const moved = new Int32Array(hole.length);
+          for (let i = 0; i < hole.length; i += 2) {
+            try {
+              const transformed = applyHomography(homographyMatrix, { x: hole[i], y: hole[i + 1] });
+              moved[i] = Math.round(transformed.x);
+              moved[i + 1] = Math.round(transformed.y);
+            } catch (e) {
+              moved[i] = hole[i];
+              moved[i + 1] = hole[i + 1];
+            }
+          }
+          return moved;
+        });
+
         // Keep the selected state, but use new contour, bounds, and mask
         // Set scaleFactor to 1 since transformed contours are in full image coordinates
         return {
           ...baseRegion,
+          holes,
           contour: newContour,
           bounds: newBounds,
           mask: newMask,
@@ -1381,6 +2554,7 @@ function App() {
       });
 
       setRegions(transformedRegions);
+      mergeTreeRef.current = null; // Regions no longer match the merge hierarchy
       regionsRef.current = transformedRegions;
 
       // Step 3: Transform brush strokes FROM BASE strokes (not current strokes)
@@ -1410,7 +2584,7 @@ function App() {
       drawSegmentation(warpedMat, transformedRegions, segCanvas, -1, cv);
 
       // Update mask
-      createMask(warpedMat, transformedRegions, maskCanvasRef.current, cv);
+      createMask(warpedMat, transformedRegions, maskCanvasRef.current, cv, maskOutputRef.current);
 
       // Reset transform points
       setTransformPoints([]);
@@ -1507,6 +2681,7 @@ function App() {
 
       setRegions(newRegions);
       regionsRef.current = newRegions;
+      mergeTreeRef.current = null; // Regions no longer match the merge hierarchy
 
       // Draw the regions
       drawSegmentation(
@@ -1601,7 +2776,7 @@ function App() {
           break;
         case 'r':
           if (!transformMode) {
-            setPresenterRotation(prev => !prev);
+            setPresenterRotation(prev => (prev + 90) % 360);
           }
           break;
         case 'p':
@@ -1615,6 +2790,20 @@ function App() {
             }
           }
           break;
+        case 'l':
+          if (!transformMode) {
+            if (presenterSubMode === 'livewire') {
+              // Shares the polygon color, toggled the same way
+              setPolygonColor(prev => prev === 'white' ? 'black' : 'white');
+            } else if (!edgeMapRef.current) {
+              setStatus({ message: 'Run segmentation first; the livewire follows its edge map.', type: 'warning' });
+            } else {
+              setPresenterSubMode('livewire');
+              setLivewireAnchors([]);
+              setLivewirePoints([]);
+            }
+          }
+          break;
         case 'd':
           if (!transformMode) {
             setPresenterSubMode(prev => prev === 'polygon-edit' ? 'segment' : 'polygon-edit');
@@ -1638,22 +2827,76 @@ function App() {
             }
           }
           break;
-        case 'y':
-          if ((e.ctrlKey || e.metaKey) && !transformMode) {
+        case 'y':
+          if ((e.ctrlKey || e.metaKey) && !transformMode) {
+            e.preventDefault();
+            redo();
+          }
+          break;
+        case 'x':
+          // Increase brush/selection radius size
+          if (!transformMode) {
+            if (presenterSubMode === 'segment') {
+              // Geometric scaling for selection radius (20% increase), no upper limit
+              setPresenterSelectionRadius(prev => Math.round(prev * 1.2));
+            } else {
+              // Geometric scaling for brush size (20% increase), no upper limit
+              setBrushSize(prev => Math.round(prev * 1.2));
+            }
+          }
+          break;
+        case ' ':
+        case 'arrowright':
+          if (showRunning && !transformMode) {
+            e.preventDefault();
+            goToCue(showCueIndex + 1);
+          }
+          break;
+        case 'arrowleft':
+          if (showRunning && !transformMode) {
+            e.preventDefault();
+            goToCue(showCueIndex - 1);
+          }
+          break;
+        case 'k':
+          if (showRunning) {
+            setShowPaused(prev => !prev);
+          }
+          break;
+        case 'enter':
+          if (showRunning && showJump) {
+            e.preventDefault();
+            goToCue(parseInt(showJump) - 1);
+            setShowJump('');
+          }
+          break;
+        case '0':
+        case '1':
+        case '2':
+        case '3':
+        case '4':
+        case '5':
+        case '6':
+        case '7':
+        case '8':
+        case '9':
+          // Cue number to jump to, confirmed with Enter
+          if (showRunning) {
+            setShowJump(prev => (prev + e.key).slice(-3));
+          }
+          break;
+        case 'pagedown':
+        case ']':
+          if (!transformMode) {
             e.preventDefault();
-            redo();
+            presenterStepScene(1);
           }
           break;
-        case 'x':
-          // Increase brush/selection radius size
+        case 'pageup':
+        case '[':
           if (!transformMode) {
-            if (presenterSubMode === 'segment') {
-              // Geometric scaling for selection radius (20% increase), no upper limit
-              setPresenterSelectionRadius(prev => Math.round(prev * 1.2));
-            } else {
-              // Geometric scaling for brush size (20% increase), no upper limit
-              setBrushSize(prev => Math.round(prev * 1.2));
-            }
+            e.preventDefault();
+            presenterStepScene(-1);
           }
           break;
         case 'h':
@@ -1667,8 +2910,8 @@ function App() {
           if (!transformMode) {
             e.preventDefault();
             const zoomIn = Math.max(1.0, presenterZoom * 1.2);
-            const cx = presenterMousePos ? presenterMousePos.x * presenterZoom + presenterZoomOffset.x : window.innerWidth / 2;
-            const cy = presenterMousePos ? presenterMousePos.y * presenterZoom + presenterZoomOffset.y : window.innerHeight / 2;
+            const cx = presenterMousePos ? presenterMousePos.x * presenterZoom + presenterZoomOffset.x : presenterCanvasRef.current.width / 2;
+            const cy = presenterMousePos ? presenterMousePos.y * presenterZoom + presenterZoomOffset.y : presenterCanvasRef.current.height / 2;
             const wx = (cx - presenterZoomOffset.x) / presenterZoom;
             const wy = (cy - presenterZoomOffset.y) / presenterZoom;
             setPresenterZoomOffset({ x: cx - wx * zoomIn, y: cy - wy * zoomIn });
@@ -1682,8 +2925,8 @@ function App() {
             if (zoomOut === 1.0) {
               setPresenterZoomOffset({ x: 0, y: 0 });
             } else {
-              const cx2 = presenterMousePos ? presenterMousePos.x * presenterZoom + presenterZoomOffset.x : window.innerWidth / 2;
-              const cy2 = presenterMousePos ? presenterMousePos.y * presenterZoom + presenterZoomOffset.y : window.innerHeight / 2;
+              const cx2 = presenterMousePos ? presenterMousePos.x * presenterZoom + presenterZoomOffset.x : presenterCanvasRef.current.width / 2;
+              const cy2 = presenterMousePos ? presenterMousePos.y * presenterZoom + presenterZoomOffset.y : presenterCanvasRef.current.height / 2;
               const wx2 = (cx2 - presenterZoomOffset.x) / presenterZoom;
               const wy2 = (cy2 - presenterZoomOffset.y) / presenterZoom;
               setPresenterZoomOffset({ x: cx2 - wx2 * zoomOut, y: cy2 - wy2 * zoomOut });
@@ -1695,25 +2938,72 @@ function App() {
           if (!transformMode && originalImage && cv) {
             // Split selected regions into finer sub-segments
             const selectedIndices = regions.reduce((acc, r, i) => r.selected ? [...acc, i] : acc, []);
-            if (selectedIndices.length > 0) {
-              try {
-                setStatus({ message: 'Splitting selected regions...', type: 'info' });
-                const splitSensitivity = Math.min(20, detailLevel + 5);
-                const splitRegionSize = Math.round(10 + (splitSensitivity - 1) * (70 / 19));
-                const newRegions = splitRegions(originalImage, regions, selectedIndices, cv, splitSensitivity, splitRegionSize, mergeStrength);
+            if (selectedIndices.length > 0 && !segmenting) {
+              setStatus({ message: 'Splitting selected regions...', type: 'info' });
+              const splitSensitivity = Math.min(20, detailLevel + 5);
+              const splitRegionSize = regionSizeForDetail(splitSensitivity);
+              const splitContours = selectedIndices.map(i => regions[i].contour);
+              splitInWorker(
+                originalImage,
+                selectedIndices.map(i => regions[i]),
+                {
+                  sensitivity: splitSensitivity,
+                  regionSize: splitRegionSize,
+                  mergeThreshold: mergeStrength,
+                  options: {
+                    // Scribbles only cover the whole image, so splits use plain watershed
+                    method: segmentationMethod === 'scribbles' ? 'watershed' : segmentationMethod,
+                    tiled: fullResolution,
+                    colorMetric,
+                    textureWeight: textureWeight / 100
+                  }
+                },
+                (step, fraction) => setStatus({
+                  message: formatSegmentationProgress('Splitting regions', step, fraction),
+                  type: 'info'
+                })
+              ).then(subRegions => {
+                // Regions may have been replaced while the worker was running
+                const currentRegions = regionsRef.current;
+                const stillValid = selectedIndices.every((idx, k) =>
+                  currentRegions[idx] && currentRegions[idx].contour === splitContours[k]
+                );
+                if (!stillValid) {
+                  subRegions.forEach(region => cleanupMats(region.contour, region.mask));
+                  setStatus({ message: 'Regions changed during split; split discarded.', type: 'warning' });
+                  return;
+                }
+
+                const replaced = replaceRegions(currentRegions, selectedIndices, subRegions);
+                const firstNew = replaced.length - subRegions.length;
+                const { regions: newRegions, labelMap } = refreshRegionAdjacency(
+                  originalImage,
+                  replaced,
+                  subRegions.map((_, i) => firstNew + i)
+                );
+                labelMapRef.current = { labelMap, contours: newRegions.map(r => r.contour) };
                 setRegions(newRegions);
                 regionsRef.current = newRegions;
                 drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
-                createMask(originalImage, newRegions, maskCanvasRef.current, cv);
-                pushHistory(newRegions, brushStrokes);
+                createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
+                pushHistory(newRegions, brushStrokesRef.current);
                 setStatus({ message: `Split into ${newRegions.length} regions`, type: 'success' });
-              } catch (error) {
+              }).catch(error => {
+                if (error.cancelled) {
+                  setStatus({ message: 'Split cancelled.', type: 'warning' });
+                  return;
+                }
                 console.error('[Split] Error:', error);
                 setStatus({ message: 'Error splitting regions: ' + error.message, type: 'error' });
-              }
+              });
             }
           }
           break;
+        case 'g':
+          if (!transformMode) {
+            handleRefineSelection();
+          }
+          break;
         case 't':
           // Enter transform mode and reset to original untransformed state
           if (!transformMode) {
@@ -1754,8 +3044,7 @@ function App() {
       const newZoom = Math.max(1.0, presenterZoom * factor);
 
       // Keep the point under cursor fixed
-      const mouseX = e.clientX;
-      const mouseY = e.clientY;
+      const { x: mouseX, y: mouseY } = getCanvasMousePosition(presenterCanvasRef.current, e);
       const worldX = (mouseX - presenterZoomOffset.x) / presenterZoom;
       const worldY = (mouseY - presenterZoomOffset.y) / presenterZoom;
 
@@ -1778,7 +3067,18 @@ function App() {
       window.removeEventListener('keyup', handleKeyUp);
       window.removeEventListener('wheel', handleWheel);
     };
-  }, [presenterMode, transformMode, presenterSubMode, exitPresenterMode, homographyMatrix, transformPoints, applyTransformation, saveBaseState, restoreBaseState, undo, redo, presenterZoom, presenterZoomOffset, originalImage, regions, cv, detailLevel, mergeStrength, brushStrokes, pushHistory, presenterMousePos]);
+  }, [presenterMode, transformMode, presenterSubMode, exitPresenterMode, homographyMatrix, transformPoints, applyTransformation, saveBaseState, restoreBaseState, undo, redo, presenterZoom, presenterZoomOffset, originalImage, regions, cv, detailLevel, mergeStrength, segmentationMethod, fullResolution, colorMetric, textureWeight, brushStrokes, pushHistory, presenterMousePos, segmenting, splitInWorker, handleRefineSelection, presenterStepScene, showRunning, showCueIndex, showJump, goToCue]);
+
+  // Keep the feather and margin settings for createMask and refresh the preview mask when they change
+  useEffect(() => {
+    maskOutputRef.current = {
+      feather: maskFeather > 0 ? { radius: maskFeather, mode: featherMode } : null,
+      margin: maskMargin
+    };
+    if (originalImage && cv && regionsRef.current.some(r => r.selected)) {
+      createMask(originalImage, regionsRef.current, maskCanvasRef.current, cv, maskOutputRef.current);
+    }
+  }, [maskFeather, featherMode, maskMargin, originalImage, cv]);
 
   // Presenter mode: Render canvas when state changes
   useEffect(() => {
@@ -1787,6 +3087,70 @@ function App() {
     }
   }, [presenterMode, regions, brushStrokes, currentStroke, transformMode, transformPoints, renderPresenterCanvas, showImageOverlay, presenterRotation, presenterZoom, presenterZoomOffset]);
 
+  // Presenter mode: play a scene transition, blending the start and end frames on every
+  // animation frame. It runs with the render function of the moment it started; edits
+  // during the transition show once it ends.
+  useEffect(() => {
+    if (!presenterMode || !presenterTransition || !presenterCanvasRef.current || !originalImage) return;
+    const canvas = presenterCanvasRef.current;
+    const ctx = canvas.getContext('2d');
+
+    // The new scene is on the canvas after this render; keep it as the end frame
+    renderPresenterCanvas();
+    const to = document.createElement('canvas');
+    to.width = canvas.width;
+    to.height = canvas.height;
+    to.getContext('2d').drawImage(canvas, 0, 0);
+
+    // Region outlines are in image pixels; map them like the presenter draws the mask (zoom included)
+    const layout = getPresenterLayout(canvas, originalImage, presenterRotation);
+    const [a, b, c, d, e, f] = imageToOutputTransform(layout, originalImage.cols, originalImage.rows, presenterRotation);
+    const zoom = presenterZoom;
+    const transition = {
+      ...presenterTransition,
+      to,
+      clipTransform: [a * zoom, b * zoom, c * zoom, d * zoom, e * zoom + presenterZoomOffset.x, f * zoom + presenterZoomOffset.y]
+    };
+
+    const start = performance.now();
+    let frame = null;
+    const tick = (now) => {
+      const progress = transitionProgress(now - start, transition.duration);
+      if (progress >= 1) {
+        setPresenterTransition(null);
+        renderPresenterCanvas();
+        return;
+      }
+      drawTransitionFrame(ctx, transition, progress);
+      frame = requestAnimationFrame(tick);
+    };
+    drawTransitionFrame(ctx, transition, 0);
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [presenterMode, presenterTransition]);
+
+  // Run show: start with the first cue once the presenter canvas is showing
+  useEffect(() => {
+    if (presenterMode && showRunning && showCueIndex === -1) {
+      goToCue(0);
+    }
+  }, [presenterMode, showRunning, showCueIndex, goToCue]);
+
+  // Run show: move on when a timed cue's hold is over. Pausing (or any other re-run of
+  // the effect) keeps the time left, so the hold continues where it stopped.
+  useEffect(() => {
+    if (!presenterMode || !showRunning || showPaused || showCueIndex === -1) return;
+    const timing = showTimerRef.current;
+    if (timing.remaining === null || showCueIndex + 1 >= playableCues(cues, scenes).length) return;
+
+    timing.startedAt = performance.now();
+    const timer = setTimeout(() => goToCue(showCueIndex + 1), Math.max(0, timing.remaining));
+    return () => {
+      clearTimeout(timer);
+      timing.remaining -= performance.now() - timing.startedAt;
+    };
+  }, [presenterMode, showRunning, showPaused, showCueIndex, cues, scenes, goToCue]);
+
   // Presenter mode: Handle window resize
   useEffect(() => {
     if (!presenterMode) return;
@@ -1805,10 +3169,9 @@ function App() {
   const handlePresenterMouseDown = useCallback((event) => {
     if (!presenterMode || !originalImage || !cv) return;
 
+    // Canvas pixels: the canvas is scaled to the window when an output profile sets its size
     const canvas = presenterCanvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const screenX = event.clientX - rect.left;
-    const screenY = event.clientY - rect.top;
+    const { x: screenX, y: screenY } = getCanvasMousePosition(canvas, event);
 
     // Inverse-transform screen coords to world (unzoomed) coords
     const { x: x, y: y } = screenToWorld(screenX, screenY, presenterZoom, presenterZoomOffset);
@@ -1863,24 +3226,22 @@ function App() {
       // Convert to image coordinates
       const { imgX, imgY } = screenToImage(x, y, layout, originalImage, presenterRotation);
 
-      // Shift+Click: Select Similar regions
+      // Shift+Click: Select Similar regions (Shift+Alt+Click also gives them the current light)
       if (event.shiftKey) {
-        const regionIndex = findRegionAtPoint(imgX, imgY, regions);
+        const regionIndex = findRegionAtPoint(imgX, imgY, regions, getLabelMap(regions));
         if (regionIndex !== -1) {
-          const toSelect = selectSimilarRegions(regionIndex, regions, mergeStrength > 0 ? mergeStrength : 40);
-          const newRegions = [...regions];
-          for (const idx of toSelect) {
-            newRegions[idx].selected = true;
-          }
+          const toSelect = selectSimilarRegions(regionIndex, regions, mergeStrength > 0 ? mergeStrength : 40, { colorMetric, textureWeight: textureWeight / 100 });
+          const light = event.altKey ? { color: lightColor, intensity: lightIntensity } : null;
+          const newRegions = selectRegionsWithLight(regions, toSelect, light);
           setRegions(newRegions);
           regionsRef.current = newRegions;
-          createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+          createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
           return;
         }
       }
 
       // Check if we're clicking on a selected region (to deselect)
-      const centerRegionIndex = findRegionAtPoint(imgX, imgY, regions);
+      const centerRegionIndex = findRegionAtPoint(imgX, imgY, regions, getLabelMap(regions));
 
       if (centerRegionIndex !== -1 && regions[centerRegionIndex].selected) {
         // Start deselecting mode: only affect the single region under cursor
@@ -1889,11 +3250,11 @@ function App() {
         newRegions[centerRegionIndex].selected = false;
         setRegions(newRegions);
         regionsRef.current = newRegions;
-        createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+        createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
       } else {
         // Start selecting mode: use radius to select all regions within radius
         setPresenterDragMode('select');
-        const regionIndices = findRegionsInRadius(imgX, imgY, presenterSelectionRadius, regions);
+        const regionIndices = findRegionsInRadius(imgX, imgY, presenterSelectionRadius, regions, getLabelMap(regions));
 
         if (regionIndices.length > 0) {
           const newRegions = [...regions];
@@ -1909,14 +3270,14 @@ function App() {
           if (changed) {
             setRegions(newRegions);
             regionsRef.current = newRegions;
-            createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+            createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
           }
         }
       }
     } else if (presenterSubMode === 'brush-white' || presenterSubMode === 'brush-black') {
       // Start a new brush stroke with current brush size
       const strokeType = presenterSubMode === 'brush-white' ? 'white' : 'black';
-      setCurrentStroke({ type: strokeType, points: [{ x, y }], size: brushSize });
+      setCurrentStroke({ type: strokeType, points: [{ x, y }], size: brushSize, ...strokeLight(strokeType) });
     } else if (presenterSubMode === 'eraser') {
       // Start erasing - we'll remove strokes that intersect
       // Store current brush size for eraser radius
@@ -1934,6 +3295,7 @@ function App() {
             points: [...polygonPoints],
             size: 0
           };
+          Object.assign(newStroke, strokeLight(newStroke.type));
           const newStrokes = [...brushStrokes, newStroke];
           setBrushStrokes(newStrokes);
           brushStrokesRef.current = newStrokes;
@@ -1945,6 +3307,81 @@ function App() {
       // Add a new vertex
       setPolygonPoints(prev => [...prev, { x, y }]);
       return;
+    } else if (presenterSubMode === 'livewire') {
+      // Livewire mode - each click adds an anchor; the path between anchors follows the edge map
+      const layout = getPresenterLayout(canvas, originalImage, presenterRotation);
+      const { displayWidth, displayHeight, offsetX, offsetY } = layout;
+      if (x < offsetX || x > offsetX + displayWidth || y < offsetY || y > offsetY + displayHeight) {
+        return;
+      }
+      const { imgX, imgY } = screenToImage(x, y, layout, originalImage, presenterRotation);
+      const livewire = livewireRef.current;
+      if (livewire.edgeMap !== edgeMapRef.current) {
+        livewire.edgeMap = edgeMapRef.current;
+        livewire.costMap = createCostMap(edgeMapRef.current, originalImage.cols);
+        livewire.tree = null;
+      }
+
+      // Path from the last anchor, or a straight line when the target is out of the searched window
+      const traceTo = (target) => {
+        const last = livewireAnchors[livewireAnchors.length - 1];
+        return (livewire.tree && livewirePath(livewire.tree, target.x, target.y)) || [last, target];
+      };
+
+      if (livewireAnchors.length >= 2) {
+        // Check if clicking near the first anchor to close the outline
+        const start = imageToScreen(livewireAnchors[0].x, livewireAnchors[0].y, layout, originalImage, presenterRotation);
+        if (Math.hypot(x - start.sx, y - start.sy) < 15) {
+          const closing = traceTo(livewireAnchors[0]);
+          // Drop the repeated last anchor and the closing point (the first anchor)
+          const outline = simplifyPath([...livewirePoints, ...closing.slice(1, -1)], 0.75 / livewire.costMap.scale);
+          setLivewireAnchors([]);
+          setLivewirePoints([]);
+          livewire.tree = null;
+          if (outline.length < 3) return;
+
+          if (event.shiftKey) {
+            // Shift+Click: the outline becomes a selected region
+            const currentRegions = regionsRef.current;
+            const refreshed = refreshRegionAdjacency(
+              originalImage,
+              [...currentRegions, polygonRegion(outline, originalImage, cv)],
+              [currentRegions.length]
+            );
+            const newRegions = refreshed.regions;
+            labelMapRef.current = { labelMap: refreshed.labelMap, contours: newRegions.map(r => r.contour) };
+            setRegions(newRegions);
+            regionsRef.current = newRegions;
+            drawSegmentation(originalImage, newRegions, segmentationCanvasRef.current, -1, cv);
+            createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
+            pushHistory(newRegions, brushStrokesRef.current);
+            return;
+          }
+
+          // Otherwise it becomes a polygon stroke, stored in screen coordinates like the polygon tool's
+          const newStroke = {
+            type: polygonColor === 'white' ? 'polygon-white' : 'polygon-black',
+            points: outline.map(p => {
+              const { sx, sy } = imageToScreen(p.x, p.y, layout, originalImage, presenterRotation);
+              return { x: sx, y: sy };
+            }),
+            size: 0
+          };
+          Object.assign(newStroke, strokeLight(newStroke.type));
+          const newStrokes = [...brushStrokes, newStroke];
+          setBrushStrokes(newStrokes);
+          brushStrokesRef.current = newStrokes;
+          pushHistory(regions, newStrokes);
+          return;
+        }
+      }
+
+      const anchor = { x: imgX, y: imgY };
+      const segment = livewireAnchors.length > 0 ? traceTo(anchor) : [anchor];
+      setLivewirePoints(prev => livewireAnchors.length > 0 ? [...prev, ...segment.slice(1)] : segment);
+      setLivewireAnchors(prev => [...prev, anchor]);
+      livewire.tree = livewireTree(livewire.costMap, imgX, imgY);
+      return;
     } else if (presenterSubMode === 'polygon-edit') {
       // Find nearest polygon vertex to start dragging
       let bestDist = 20; // Max grab distance
@@ -1971,7 +3408,7 @@ function App() {
       }
       return;
     }
-  }, [presenterMode, presenterSubMode, originalImage, regions, cv, brushSize, transformMode, transformPoints, homographyMatrix, mergeStrength, polygonPoints, polygonColor, brushStrokes, pushHistory, presenterRotation, getPresenterLayout, screenToImage, imageToScreen, presenterZoom, presenterZoomOffset, screenToWorld]);
+  }, [presenterMode, presenterSubMode, originalImage, regions, cv, brushSize, transformMode, transformPoints, homographyMatrix, mergeStrength, colorMetric, textureWeight, polygonPoints, polygonColor, livewireAnchors, livewirePoints, brushStrokes, pushHistory, presenterRotation, getPresenterLayout, screenToImage, imageToScreen, presenterZoom, presenterZoomOffset, screenToWorld, getLabelMap, lightColor, lightIntensity]);
 
   /**
    * Presenter mode: Handle mouse move
@@ -1979,10 +3416,9 @@ function App() {
   const handlePresenterMouseMove = useCallback((event) => {
     if (!presenterMode || transformMode) return;
 
+    // Canvas pixels: the canvas is scaled to the window when an output profile sets its size
     const canvas = presenterCanvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const screenX = event.clientX - rect.left;
-    const screenY = event.clientY - rect.top;
+    const { x: screenX, y: screenY } = getCanvasMousePosition(canvas, event);
 
     // Inverse-transform screen coords to world (unzoomed) coords
     const { x: x, y: y } = screenToWorld(screenX, screenY, presenterZoom, presenterZoomOffset);
@@ -2010,18 +3446,18 @@ function App() {
       // Continue the drag in the mode we started with
       if (presenterDragMode === 'deselect') {
         // Deselecting: only affect single regions one at a time
-        const regionIndex = findRegionAtPoint(imgX, imgY, regions);
+        const regionIndex = findRegionAtPoint(imgX, imgY, regions, getLabelMap(regions));
 
         if (regionIndex !== -1 && regions[regionIndex].selected) {
           const newRegions = [...regions];
           newRegions[regionIndex].selected = false;
           setRegions(newRegions);
           regionsRef.current = newRegions;
-          createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+          createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
         }
       } else if (presenterDragMode === 'select') {
         // Selecting: use radius to select all regions within radius
-        const regionIndices = findRegionsInRadius(imgX, imgY, presenterSelectionRadius, regions);
+        const regionIndices = findRegionsInRadius(imgX, imgY, presenterSelectionRadius, regions, getLabelMap(regions));
 
         if (regionIndices.length > 0) {
           const newRegions = [...regions];
@@ -2037,7 +3473,7 @@ function App() {
           if (changed) {
             setRegions(newRegions);
             regionsRef.current = newRegions;
-            createMask(originalImage, newRegions, maskCanvasRef.current, cv);
+            createMask(originalImage, newRegions, maskCanvasRef.current, cv, maskOutputRef.current);
           }
         }
       }
@@ -2067,7 +3503,7 @@ function App() {
       setBrushStrokes(newStrokes);
       brushStrokesRef.current = newStrokes;
     }
-  }, [presenterMode, presenterIsDragging, presenterSubMode, presenterDragMode, currentStroke, originalImage, regions, cv, presenterSelectionRadius, editingPolygonIndex, editingPointIndex, brushStrokes, presenterRotation, getPresenterLayout, screenToImage, presenterZoom, presenterZoomOffset, screenToWorld]);
+  }, [presenterMode, presenterIsDragging, presenterSubMode, presenterDragMode, currentStroke, originalImage, regions, cv, presenterSelectionRadius, editingPolygonIndex, editingPointIndex, brushStrokes, presenterRotation, getPresenterLayout, screenToImage, presenterZoom, presenterZoomOffset, screenToWorld, getLabelMap]);
 
   /**
    * Presenter mode: Handle mouse leave
@@ -2206,8 +3642,24 @@ function App() {
               </ul>
             </li>
             <li><strong>Segment:</strong> Click "Segment Image" to divide the image into selectable regions</li>
-            <li><strong>Select Regions:</strong> Click to toggle, drag to paint-select, Shift+Click to select all similar connected regions</li>
+            <li><strong>Select Regions:</strong> Click to toggle, drag to paint-select, Shift+Click to select all similar connected regions (Shift+Alt+Click also gives them the current light)</li>
+            <li><strong>Auto-tune:</strong> Enter a target region count (or average region area in pixels) and click "Auto-tune &amp; Segment"; the Detail Level and Merge sliders are set to what it found, ready for fine-tuning. A target it cannot get near (large images have a lower limit) is reported with the closest count it reached</li>
+            <li><strong>Detect Posters:</strong> Adds every rectangular print or frame found (also at an angle) as a single region you can click</li>
+            <li><strong>Scribbles:</strong> Choose the "Scribbles" method, paint each object in its own color (New Object) and the background, then segment to get one region per object</li>
+            <li><strong>Magic Wand:</strong> Click a pixel to add the connected area of similar color (set the tolerance); Alt+Click cuts the area out of the selected regions</li>
+            <li><strong>Livewire:</strong> In presenter mode press L and click points around an object; the outline snaps to its edges. Click the first point to close it as a polygon, or Shift+Click it to add it as a selected region</li>
+            <li><strong>Inspector:</strong> Below the canvases, shows the size, position and color of the hovered region and the totals of the selection, including how much of the image the mask lights up</li>
+            <li><strong>Debug layers:</strong> Tick "Debug layers" before segmenting, then pick a layer to see the gradient, edges, markers or pre-merge labels over the image</li>
+            <li><strong>Feather:</strong> Softens the mask edges by the given number of image pixels (Gaussian or linear falloff) so projected light fades out instead of ending in a hard line; applies to the preview, the download and presenter mode, strokes included</li>
+            <li><strong>Margin:</strong> Shrinks (negative) or grows (positive) the mask by that many image pixels with a round edge, to keep light off the wall or cover alignment error; select regions and set "Region margin" in the inspector to adjust only them</li>
+            <li><strong>Projects:</strong> "Save Project" downloads the image, regions, selection, margins and settings as one file; "Open Project" restores it</li>
             <li><strong>Download:</strong> Click "Download Mask" to save your projection mask</li>
+            <li><strong>Output:</strong> Pick your projector's resolution, how the image fits the frame (fit, fill or stretch) and its rotation; the downloaded mask is rendered at exactly that size and presenter mode draws the same frame, so the projection matches the download pixel for pixel. "Photo / window size" downloads at photo resolution and fills the window</li>
+            <li><strong>SVG:</strong> "Download SVG" saves the selected regions (holes included) as vector outlines for projection software or a laser cutter; after presenter mode the download dialog also offers an SVG with your strokes. "SVG simplify" trades outline detail for file size; margins and feathering are PNG-only</li>
+            <li><strong>Scenes:</strong> "New Scene" saves the current selection (with lights and margins) and presenter strokes under a name; click "Show" to switch, and edits go to the active scene. Scenes can be renamed, reordered, duplicated and downloaded together as one PNG each with "Download All Scenes"; they remember the lit areas, so they still fit after re-segmenting, moving Merge or editing regions</li>
+            <li><strong>Transitions:</strong> In presenter mode PgDn/PgUp (or ] and [) step through the scenes with the chosen transition: a cut, a crossfade, a left-to-right wipe, or a stagger where the regions that change fade one after another; set its length next to it</li>
+            <li><strong>Cue list:</strong> Add cues that each show a scene with a transition and either hold for some seconds (then the next cue starts) or wait for you (empty hold). "Run Show" plays it in presenter mode: Space or → for the next cue, ← for the previous, K to pause the timer, and a cue number followed by Enter to jump. Cues are saved with the project</li>
+            <li><strong>Light colors:</strong> Pick a light color and intensity, then "Apply to Selection" to light the selected regions in it; Shift+Alt+Click similar selection applies it to every matched region (plain Shift+Click keeps their lights), and new white presenter strokes are drawn in it. A mask with any non-white light downloads as an RGB image</li>
           </ul>
         </div>
 
@@ -2222,6 +3674,140 @@ function App() {
             />
           </div>
 
+          <div className="file-input-wrapper">
+            <label htmlFor="projectUpload" className="btn btn-secondary" title="Open a project saved with Save Project">Open Project</label>
+            <input
+              type="file"
+              id="projectUpload"
+              accept="application/json,.json"
+              onChange={handleProjectUpload}
+            />
+          </div>
+
+          <div className="slider-group">
+            <label htmlFor="segmentationMethodSelect">Method:</label>
+            <select
+              id="segmentationMethodSelect"
+              value={segmentationMethod}
+              onChange={(e) => {
+                setSegmentationMethod(e.target.value);
+                setScribblePainting(e.target.value === 'scribbles');
+              }}
+              disabled={!originalImage || segmenting}
+              title="Watershed follows edges; SLIC produces uniform, compact superpixels; Scribbles grows one region from each object you paint"
+            >
+              <option value="watershed">Watershed</option>
+              <option value="slic">SLIC superpixels</option>
+              <option value="scribbles">Scribbles (paint objects)</option>
+            </select>
+          </div>
+
+          {segmentationMethod === 'scribbles' && (
+            <>
+              <div className="slider-group">
+                <label htmlFor="scribbleLabelSelect">Scribble:</label>
+                <select
+                  id="scribbleLabelSelect"
+                  value={scribbleLabel}
+                  onChange={(e) => {
+                    setScribbleLabel(parseInt(e.target.value));
+                    setScribblePainting(true);
+                  }}
+                  disabled={!originalImage || segmenting}
+                  title="What the next scribble marks: the background, or one object (each object becomes one region)"
+                >
+                  <option value={0}>Background</option>
+                  {Array.from({ length: scribbleObjectCount }, (_, i) => (
+                    <option key={i + 1} value={i + 1}>Object {i + 1}</option>
+                  ))}
+                </select>
+                <span style={{
+                  display: 'inline-block',
+                  width: '14px',
+                  height: '14px',
+                  borderRadius: '50%',
+                  backgroundColor: scribbleColor(scribbleLabel)
+                }} />
+              </div>
+
+              <button
+                className="btn btn-secondary"
+                onClick={() => {
+                  setScribbleObjectCount(scribbleObjectCount + 1);
+                  setScribbleLabel(scribbleObjectCount + 1);
+                  setScribblePainting(true);
+                }}
+                disabled={!originalImage || segmenting}
+                title="Start scribbling a new object in its own color"
+              >
+                New Object
+              </button>
+
+              <button
+                className="btn btn-secondary"
+                onClick={() => setScribblePainting(!scribbling)}
+                disabled={!originalImage}
+                title="Switch the canvas between painting scribbles and selecting regions"
+              >
+                {scribbling ? 'Select Regions' : 'Paint Scribbles'}
+              </button>
+
+              <button
+                className="btn btn-secondary"
+                onClick={() => {
+                  setScribbles([]);
+                  setScribbleObjectCount(1);
+                  setScribbleLabel(1);
+                }}
+                disabled={scribbles.length === 0}
+              >
+                Clear Scribbles
+              </button>
+            </>
+          )}
+
+          <div className="slider-group">
+            <label htmlFor="fullResolutionCheckbox">Full resolution:</label>
+            <input
+              type="checkbox"
+              id="fullResolutionCheckbox"
+              checked={fullResolution}
+              onChange={(e) => setFullResolution(e.target.checked)}
+              disabled={!originalImage || segmenting}
+              title="Segment overlapping tiles at native resolution instead of downscaling large images to 2000px (slower, uses more memory)"
+            />
+          </div>
+
+          <div className="slider-group">
+            <label htmlFor="colorMetricSelect">Color:</label>
+            <select
+              id="colorMetricSelect"
+              value={colorMetric}
+              onChange={(e) => setColorMetric(e.target.value)}
+              disabled={!originalImage || segmenting}
+              title="How region colors are compared when merging (next segmentation) and for Shift+Click select similar. Merge values mean the most for RGB; ΔE distances are smaller, so lower Merge values go further. Chroma ignores lightness, so shadows match the lit surface."
+            >
+              <option value="rgb">RGB</option>
+              <option value="deltaE2000">Perceptual (ΔE 2000)</option>
+              <option value="chroma">Chroma only</option>
+            </select>
+          </div>
+
+          <div className="slider-group">
+            <label htmlFor="textureWeightSlider">Texture:</label>
+            <input
+              type="range"
+              id="textureWeightSlider"
+              min="0"
+              max="100"
+              value={textureWeight}
+              onChange={(e) => setTextureWeight(parseInt(e.target.value))}
+              disabled={!originalImage || segmenting}
+              title="How much texture counts next to color when merging (next segmentation) and for Shift+Click select similar. Raise it to keep patterned surfaces like brick or foliage in one piece."
+            />
+            <span className="value">{textureWeight}%</span>
+          </div>
+
           <div className="slider-group">
             <label htmlFor="detailLevelSlider">Detail Level:</label>
             <input
@@ -2247,11 +3833,38 @@ function App() {
               value={mergeStrength}
               onChange={(e) => setMergeStrength(parseInt(e.target.value))}
               disabled={!originalImage}
-              title="Higher = merge more similar adjacent regions (0 = no merging)"
+              title="Higher = merge more similar adjacent regions (0 = no merging). Updates the current segmentation live."
             />
             <span className="value">{mergeStrength}</span>
           </div>
 
+          <div className="slider-group">
+            <label htmlFor="autoTuneTargetInput">Auto Target:</label>
+            <input
+              type="number"
+              id="autoTuneTargetInput"
+              min="1"
+              value={autoTuneTarget}
+              onChange={(e) => setAutoTuneTarget(parseInt(e.target.value))}
+              disabled={!originalImage}
+              title="Region count or average region area that Auto-tune & Segment aims for"
+            />
+            <select
+              id="autoTuneModeSelect"
+              value={autoTuneMode}
+              onChange={(e) => setAutoTuneMode(e.target.value)}
+              disabled={!originalImage}
+            >
+              <option value="count">regions</option>
+              <option value="area">px² per region</option>
+            </select>
+            {autoTuning && (
+              <span className="value" title={`Settings the last auto-tune chose, expected to give about ${autoTuning.regionCount} regions`}>
+                Detail {autoTuning.detailLevel}, Merge {autoTuning.mergeThreshold}
+              </span>
+            )}
+          </div>
+
           <div className="slider-group">
             <label htmlFor="selectionRadiusSlider">Brush Size:</label>
             <input
@@ -2261,20 +3874,136 @@ function App() {
               max="100"
               value={selectionRadius}
               onChange={(e) => setSelectionRadius(parseInt(e.target.value))}
-              disabled={regions.length === 0}
-              title="Selection radius for drag painting (0 = single region, 100 = large brush)"
+              disabled={regions.length === 0 && !scribblePainting}
+              title="Selection radius for drag painting (0 = single region, 100 = large brush); scribble width in scribble mode"
             />
             <span className="value">{selectionRadius}px</span>
           </div>
 
+          <div className="slider-group">
+            <label htmlFor="maskFeatherSlider">Feather:</label>
+            <input
+              type="range"
+              id="maskFeatherSlider"
+              min="0"
+              max="50"
+              value={maskFeather}
+              onChange={(e) => setMaskFeather(parseInt(e.target.value))}
+              disabled={!originalImage}
+              title="Soft edge width (original-image pixels) of the mask preview, the downloaded mask and presenter output, strokes included"
+            />
+            <span className="value">{maskFeather}px</span>
+            <select
+              id="featherModeSelect"
+              value={featherMode}
+              onChange={(e) => setFeatherMode(e.target.value)}
+              disabled={!originalImage || maskFeather === 0}
+              title="Shape of the falloff: Gaussian fades in and out gently, linear is a straight ramp"
+            >
+              {FEATHER_MODES.map(mode => (
+                <option key={mode} value={mode}>{mode === 'gaussian' ? 'Gaussian' : 'Linear'}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="slider-group">
+            <label htmlFor="maskMarginSlider">Margin:</label>
+            <input
+              type="range"
+              id="maskMarginSlider"
+              min={-MAX_MASK_MARGIN}
+              max={MAX_MASK_MARGIN}
+              value={maskMargin}
+              onChange={(e) => setMaskMargin(parseInt(e.target.value))}
+              disabled={!originalImage}
+              title="Shrink (negative) the whole mask to keep light off the wall, or grow it (positive) to cover alignment error; original-image pixels, strokes included"
+            />
+            <span className="value">{maskMargin > 0 ? '+' : ''}{maskMargin}px</span>
+          </div>
+
+          <div className="slider-group">
+            <label htmlFor="lightColorInput">Light:</label>
+            <input
+              type="color"
+              id="lightColorInput"
+              value={lightColor}
+              onChange={(e) => setLightColor(e.target.value)}
+              disabled={!originalImage}
+              title="Color for Apply to Selection, Shift+Alt+Click similar selection and new white presenter strokes"
+            />
+            <input
+              type="range"
+              id="lightIntensitySlider"
+              min="0"
+              max="100"
+              value={lightIntensity}
+              onChange={(e) => setLightIntensity(parseInt(e.target.value))}
+              disabled={!originalImage}
+              title="Brightness of the light color in percent"
+            />
+            <span className="value">{lightIntensity}%</span>
+            <button
+              className="btn btn-secondary"
+              onClick={handleApplyLight}
+              disabled={!originalImage || !regions.some(r => r.selected)}
+              title="Light the selected regions in this color and intensity; any non-white light makes the mask an RGB image"
+            >
+              Apply to Selection
+            </button>
+          </div>
+
+          <div className="slider-group">
+            <label htmlFor="debugLayersCheckbox">Debug layers:</label>
+            <input
+              type="checkbox"
+              id="debugLayersCheckbox"
+              checked={collectDebugLayers}
+              onChange={(e) => setCollectDebugLayers(e.target.checked)}
+              disabled={!originalImage || segmenting}
+              title="Keep the intermediate images of the next segmentation (gradient, Canny, edge mask, distance transform, markers, pre-merge labels) for inspection"
+            />
+            {debugLayers && (
+              <select
+                id="debugLayerSelect"
+                value={debugLayer}
+                onChange={(e) => setDebugLayer(e.target.value)}
+                title="Intermediate image shown over the segmentation"
+              >
+                <option value="">None</option>
+                {Object.keys(debugLayers.layers).map(name => (
+                  <option key={name} value={name}>{DEBUG_LAYER_TITLES[name] || name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
           <button
             className="btn btn-secondary"
-            onClick={handleSegment}
-            disabled={!originalImage}
+            onClick={() => handleSegment()}
+            disabled={!originalImage || segmenting}
+          >
+            {segmenting ? 'Segmenting...' : 'Segment Image'}
+          </button>
+
+          <button
+            className="btn btn-secondary"
+            onClick={() => handleSegment(true)}
+            disabled={!originalImage || segmenting || segmentationMethod === 'scribbles' || !(autoTuneTarget >= 1)}
+            title="Search the Detail Level and Merge settings that give the auto target, then segment with them"
           >
-            Segment Image
+            Auto-tune &amp; Segment
           </button>
 
+          {segmenting && (
+            <button
+              className="btn btn-secondary"
+              onClick={cancelSegmentation}
+              title="Stop the running segmentation"
+            >
+              Cancel
+            </button>
+          )}
+
           <button
             className="btn btn-secondary"
             onClick={() => setShowAISegment(true)}
@@ -2292,6 +4021,101 @@ function App() {
             Clear Selection
           </button>
 
+          <button
+            className="btn btn-secondary"
+            onClick={handleRefineSelection}
+            disabled={!regions.some(r => r.selected) || segmenting}
+            title="Snap the selection to the object outline with GrabCut"
+          >
+            Refine Selection
+          </button>
+
+          <button
+            className="btn btn-secondary"
+            onClick={handleDetectPosters}
+            disabled={!originalImage || segmenting}
+            title="Find rectangular posters and frames (also at an angle) and add each as one region"
+          >
+            Detect Posters
+          </button>
+
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              if (!wandMode && scribblePainting) setScribblePainting(false);
+              setWandMode(!wandMode);
+            }}
+            disabled={!originalImage}
+            title="Click a pixel to select the connected area of similar color; Alt+Click cuts it out of the selection"
+          >
+            {wandMode ? 'Select Regions' : 'Magic Wand'}
+          </button>
+
+          {wandMode && (
+            <>
+              <div className="slider-group">
+                <label htmlFor="wandToleranceSlider">Tolerance:</label>
+                <input
+                  type="range"
+                  id="wandToleranceSlider"
+                  min="0"
+                  max="128"
+                  value={wandTolerance}
+                  onChange={(e) => setWandTolerance(parseInt(e.target.value))}
+                  title="How far (per color channel) a pixel may be from the clicked color to be included"
+                />
+                <span className="value">{wandTolerance}</span>
+              </div>
+
+              <div className="slider-group">
+                <label htmlFor="wandConnectivitySelect">Connect:</label>
+                <select
+                  id="wandConnectivitySelect"
+                  value={wandConnectivity}
+                  onChange={(e) => setWandConnectivity(parseInt(e.target.value))}
+                  title="8 neighbors also spreads through diagonal gaps, e.g. along thin diagonal lines"
+                >
+                  <option value={4}>4 neighbors</option>
+                  <option value={8}>8 neighbors</option>
+                </select>
+              </div>
+            </>
+          )}
+
+          <div className="slider-group">
+            <label htmlFor="outputProfileSelect">Output:</label>
+            <select
+              id="outputProfileSelect"
+              value={outputProfileId}
+              onChange={(e) => setOutputProfileId(e.target.value)}
+              title="Resolution of the downloaded mask and of presenter mode, so what is projected matches the download pixel for pixel"
+            >
+              {OUTPUT_PROFILES.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+            <select
+              id="outputFitSelect"
+              value={outputFit}
+              onChange={(e) => setOutputFit(e.target.value)}
+              title="Fit shows the whole image with black bars, fill covers the frame and crops, stretch covers it and distorts"
+            >
+              {FIT_MODES.map(fit => (
+                <option key={fit} value={fit}>{fit.charAt(0).toUpperCase() + fit.slice(1)}</option>
+              ))}
+            </select>
+            <select
+              id="outputRotationSelect"
+              value={outputRotation}
+              onChange={(e) => setOutputRotation(parseInt(e.target.value))}
+              title="Clockwise rotation of the image in the output frame (presenter mode starts here; R rotates further)"
+            >
+              {OUTPUT_ROTATIONS.map(rotation => (
+                <option key={rotation} value={rotation}>{rotation}°</option>
+              ))}
+            </select>
+          </div>
+
           <button
             className="btn btn-success"
             onClick={handleDownloadMask}
@@ -2300,6 +4124,40 @@ function App() {
             Download Mask
           </button>
 
+          <button
+            className="btn btn-success"
+            onClick={() => handleDownloadSvg()}
+            disabled={!regions.some(r => r.selected)}
+            title="Download the selected regions as vector outlines (white on black, original-image pixels)"
+          >
+            Download SVG
+          </button>
+
+          <div className="slider-group">
+            <label htmlFor="svgToleranceSlider">SVG simplify:</label>
+            <input
+              type="range"
+              id="svgToleranceSlider"
+              min="0"
+              max="5"
+              step="0.5"
+              value={svgTolerance}
+              onChange={(e) => setSvgTolerance(parseFloat(e.target.value))}
+              disabled={regions.length === 0}
+              title="Drop outline points within this many image pixels of a straighter outline; smaller SVG files, 0 keeps every point"
+            />
+            <span className="value">{svgTolerance === 0 ? 'Off' : `${svgTolerance}px`}</span>
+          </div>
+
+          <button
+            className="btn btn-secondary"
+            onClick={handleSaveProject}
+            disabled={!originalImage}
+            title="Download the image, regions, selection, margins and settings as a project file"
+          >
+            Save Project
+          </button>
+
           <button
             className="btn btn-primary"
             onClick={enterPresenterMode}
@@ -2320,14 +4178,29 @@ function App() {
           <div className="canvas-container">
             <h3>Original Image with Segmentation</h3>
             <div className="canvas-wrapper">
-              <canvas
-                id="originalCanvas"
-                ref={segmentationCanvasRef}
-                onMouseMove={handleCanvasMouseMove}
-                onMouseLeave={handleCanvasMouseLeave}
-                onMouseDown={handleCanvasMouseDown}
-                onMouseUp={handleCanvasMouseUp}
-              />
+              <div style={{ position: 'relative', display: 'inline-block', lineHeight: 0 }}>
+                <canvas
+                  id="originalCanvas"
+                  ref={segmentationCanvasRef}
+                  onMouseMove={handleCanvasMouseMove}
+                  onMouseLeave={handleCanvasMouseLeave}
+                  onMouseDown={handleCanvasMouseDown}
+                  onMouseUp={handleCanvasMouseUp}
+                />
+                <canvas
+                  id="debugLayerCanvas"
+                  ref={debugCanvasRef}
+                  style={{
+                    position: 'absolute',
+                    top: 0,
+                    left: 0,
+                    width: '100%',
+                    height: '100%',
+                    pointerEvents: 'none',
+                    display: debugLayers && debugLayer && debugLayers.layers[debugLayer] ? 'block' : 'none'
+                  }}
+                />
+              </div>
             </div>
           </div>
 
@@ -2339,6 +4212,211 @@ function App() {
           </div>
         </div>
 
+        {regions.length > 0 && (
+          <div className="inspector">
+            <h3>Inspector</h3>
+            <div className="inspector-body">
+              <div>
+                <h4>{highlightedRegion >= 0 && regions[highlightedRegion] ? `Region ${highlightedRegion + 1}` : 'Region'}</h4>
+                {highlightedRegion >= 0 && regions[highlightedRegion]
+                  ? <RegionStatsList stats={computeRegionStats(regions[highlightedRegion])} />
+                  : <p className="help-text">Hover over a region to inspect it.</p>}
+                {highlightedRegion >= 0 && regions[highlightedRegion] && regions[highlightedRegion].margin
+                  ? <p className="inspector-lit">Margin: {regions[highlightedRegion].margin > 0 ? '+' : ''}{regions[highlightedRegion].margin}px</p>
+                  : null}
+              </div>
+              <div>
+                <h4>Selection{selectionStats && selectionStats.summary ? ` (${selectionStats.summary.count} regions)` : ''}</h4>
+                {selectionStats && (
+                  <p className="inspector-lit">
+                    Lit area: <strong>{(selectionStats.lit.fraction * 100).toFixed(1)}%</strong> of the image
+                    ({selectionStats.lit.litPixels.toLocaleString()} of {selectionStats.lit.totalPixels.toLocaleString()} px)
+                  </p>
+                )}
+                {selectionStats && selectionStats.summary
+                  ? <RegionStatsList stats={selectionStats.summary} />
+                  : <p className="help-text">Select regions to see the totals of the mask.</p>}
+                {selectedRegionMargins.size > 0 && (
+                  <div className="slider-group">
+                    <label htmlFor="regionMarginInput">Region margin:</label>
+                    <input
+                      type="number"
+                      id="regionMarginInput"
+                      min={-MAX_MASK_MARGIN}
+                      max={MAX_MASK_MARGIN}
+                      value={selectedRegionMargins.size === 1 ? [...selectedRegionMargins][0] : ''}
+                      placeholder="mixed"
+                      onChange={(e) => handleRegionMargin(parseInt(e.target.value))}
+                      title="Grow (positive) or shrink (negative) only the selected regions, in original-image pixels, on top of the mask margin"
+                    />
+                    <span className="value">px</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {regions.length > 0 && (
+          <div className="inspector">
+            <h3>Scenes</h3>
+            <div className="scenes-body">
+              {scenes.length === 0
+                ? <p className="help-text">Save the current selection and strokes as a scene to prepare several masks over this image.</p>
+                : (
+                  <ol className="scene-list">
+                    {scenes.map((scene, i) => (
+                      <li key={scene.id} className={scene.id === activeSceneId ? 'scene active' : 'scene'}>
+                        <input
+                          type="text"
+                          value={scene.name}
+                          onChange={(e) => handleRenameScene(scene.id, e.target.value)}
+                          aria-label="Scene name"
+                        />
+                        <button
+                          className="btn btn-primary"
+                          onClick={() => handleSwitchScene(scene.id)}
+                          disabled={scene.id === activeSceneId}
+                          title="Show this scene; the current selection and strokes are kept in the active scene"
+                        >
+                          {scene.id === activeSceneId ? 'Active' : 'Show'}
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => handleMoveScene(scene.id, -1)} disabled={i === 0} title="Move up">↑</button>
+                        <button className="btn btn-secondary" onClick={() => handleMoveScene(scene.id, 1)} disabled={i === scenes.length - 1} title="Move down">↓</button>
+                        <button className="btn btn-secondary" onClick={() => handleDuplicateScene(scene.id)} title="Copy this scene">Duplicate</button>
+                        <button className="btn btn-secondary" onClick={() => handleDeleteScene(scene.id)} title="Remove this scene">Delete</button>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              <div className="scene-actions">
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleNewScene}
+                  title="Save the current selection, lights, margins and presenter strokes as a new scene"
+                >
+                  New Scene
+                </button>
+                <button
+                  className="btn btn-success"
+                  onClick={handleDownloadScenes}
+                  disabled={scenes.length === 0}
+                  title="Download every scene as its own PNG, at the output resolution"
+                >
+                  Download All Scenes
+                </button>
+              </div>
+              <div className="slider-group">
+                <label htmlFor="transitionTypeSelect">Transition:</label>
+                <select
+                  id="transitionTypeSelect"
+                  value={transitionType}
+                  onChange={(e) => setTransitionType(e.target.value)}
+                  title="How presenter mode changes scenes (PgDn/PgUp): cut, crossfade, left-to-right wipe, or the changed regions fading one after another"
+                >
+                  {TRANSITION_TYPES.map(type => (
+                    <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>
+                  ))}
+                </select>
+                <input
+                  type="range"
+                  id="transitionDurationSlider"
+                  min="100"
+                  max="5000"
+                  step="100"
+                  value={transitionDuration}
+                  onChange={(e) => setTransitionDuration(parseInt(e.target.value))}
+                  disabled={transitionType === 'cut'}
+                  title="Transition length"
+                />
+                <span className="value">{(transitionDuration / 1000).toFixed(1)}s</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {scenes.length > 0 && (
+          <div className="inspector">
+            <h3>Cue List</h3>
+            <div className="scenes-body">
+              {cues.length === 0
+                ? <p className="help-text">Add cues to script a show: each cue shows a scene with a transition, then holds for a time or waits for you.</p>
+                : (
+                  <ol className="scene-list">
+                    {cues.map((cue, i) => (
+                      <li key={cue.id} className={showRunning && showCues[showCueIndex] === cue ? 'scene active' : 'scene'}>
+                        <select
+                          value={cue.sceneId}
+                          onChange={(e) => handleUpdateCue(cue.id, { sceneId: parseInt(e.target.value) })}
+                          aria-label="Cue scene"
+                        >
+                          {!scenes.some(scene => scene.id === cue.sceneId) && (
+                            <option value={cue.sceneId} disabled>Deleted scene</option>
+                          )}
+                          {scenes.map(scene => (
+                            <option key={scene.id} value={scene.id}>{scene.name}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={cue.transition}
+                          onChange={(e) => handleUpdateCue(cue.id, { transition: e.target.value })}
+                          aria-label="Cue transition"
+                        >
+                          {TRANSITION_TYPES.map(type => (
+                            <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={cue.duration / 1000}
+                          onChange={(e) => handleUpdateCue(cue.id, { duration: Math.max(0, Math.round(parseFloat(e.target.value) * 1000)) || 0 })}
+                          disabled={cue.transition === 'cut'}
+                          aria-label="Transition seconds"
+                          title="Transition length in seconds"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.5"
+                          value={cue.hold === null ? '' : cue.hold}
+                          placeholder="manual"
+                          onChange={(e) => {
+                            const hold = parseFloat(e.target.value);
+                            handleUpdateCue(cue.id, { hold: hold >= 0 ? hold : null });
+                          }}
+                          aria-label="Hold seconds"
+                          title="Seconds before the next cue starts by itself; leave empty to wait for Space"
+                        />
+                        <button className="btn btn-secondary" onClick={() => handleMoveCue(cue.id, -1)} disabled={i === 0} title="Move up">↑</button>
+                        <button className="btn btn-secondary" onClick={() => handleMoveCue(cue.id, 1)} disabled={i === cues.length - 1} title="Move down">↓</button>
+                        <button className="btn btn-secondary" onClick={() => handleDeleteCue(cue.id)} title="Remove this cue">Delete</button>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              <div className="scene-actions">
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleAddCue}
+                  title="Add a cue for the active scene with the current transition"
+                >
+                  Add Cue
+                </button>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleRunShow}
+                  disabled={showCues.length === 0}
+                  title="Play the cue list in presenter mode: Space/→ next, ← previous, K pause, number + Enter jumps"
+                >
+                  Run Show
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* AI Segmentation Modal */}
         {showAISegment && (
           <div className="modal-overlay" onClick={() => setShowAISegment(false)}>
@@ -2391,6 +4469,9 @@ function App() {
               height: '100vh',
               backgroundColor: 'black',
               zIndex: 9999,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
               cursor: presenterSubMode === 'segment' ? 'pointer' : 'crosshair'
             }}
           >
@@ -2403,11 +4484,10 @@ function App() {
                 handlePresenterMouseUp();
                 handlePresenterMouseLeave();
               }}
-              style={{
-                display: 'block',
-                width: '100%',
-                height: '100%'
-              }}
+              style={getOutputProfile(outputProfileId).width
+                // Profile resolution, shown 1:1 when the window is that size and scaled down to fit otherwise
+                ? { display: 'block', maxWidth: '100%', maxHeight: '100%' }
+                : { display: 'block', width: '100%', height: '100%' }}
             />
 
             {/* Mode indicator - hides when cursor is near it */}
@@ -2461,28 +4541,49 @@ function App() {
                       presenterSubMode === 'brush-black' ? 'Black Brush' :
                       presenterSubMode === 'polygon' ? `Polygon (${polygonColor})` :
                       presenterSubMode === 'polygon-edit' ? 'Polygon Edit' :
+                      presenterSubMode === 'livewire' ? `Livewire (${polygonColor})` :
                       'Eraser'
                     }
                   </div>
+                  {showRunning && (
+                    <div style={{ marginBottom: '4px' }}>
+                      <strong>Cue:</strong> {showCueIndex + 1} / {showCues.length}{showCueScene ? ` ${showCueScene.name}` : ''}
+                      {showPaused ? ' (paused)' : ''}
+                      {showJump ? ` → cue ${showJump}` : ''}
+                    </div>
+                  )}
                   <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid rgba(255,255,255,0.3)' }}>
                     <div><kbd>S</kbd> Segment Mode</div>
                     <div><kbd>W</kbd> White Brush</div>
                     <div><kbd>B</kbd> Black Brush</div>
                     <div><kbd>E</kbd> Eraser</div>
                     <div><kbd>O</kbd> Image Overlay {showImageOverlay ? '(ON)' : '(off)'}</div>
-                    <div><kbd>R</kbd> Rotate 90° {presenterRotation ? '(ON)' : '(off)'}</div>
+                    <div><kbd>R</kbd> Rotate 90° (now {presenterRotation}°)</div>
                     <div><kbd>P</kbd> Polygon Tool</div>
                     <div><kbd>D</kbd> Polygon Edit</div>
+                    <div><kbd>L</kbd> Livewire (Shift+Click start = region)</div>
                     <div style={{ marginTop: '8px', paddingTop: '8px', borderTop: '1px solid rgba(255,255,255,0.2)' }}>
                       <kbd>Z</kbd> Smaller {presenterSubMode === 'segment' ? 'Radius' : 'Brush'}
                     </div>
                     <div><kbd>X</kbd> Larger {presenterSubMode === 'segment' ? 'Radius' : 'Brush'}</div>
                     <div><kbd>T</kbd> Transform Mode</div>
                     <div><kbd>F</kbd> Split Selected</div>
+                    <div><kbd>G</kbd> Refine Selection (GrabCut)</div>
                     <div style={{ marginTop: '8px', paddingTop: '8px', borderTop: '1px solid rgba(255,255,255,0.2)' }}>
                       <kbd>+</kbd>/<kbd>-</kbd> Zoom in/out
                     </div>
                     <div><kbd>H</kbd> Reset Zoom {presenterZoom > 1.0 ? `(${presenterZoom.toFixed(1)}x)` : ''}</div>
+                    {scenes.length > 0 && (
+                      <div style={{ marginTop: '8px', paddingTop: '8px', borderTop: '1px solid rgba(255,255,255,0.2)' }}>
+                        <kbd>PgDn</kbd>/<kbd>PgUp</kbd> Next/Prev Scene ({(scenes.find(scene => scene.id === activeSceneId) || { name: 'none' }).name})
+                      </div>
+                    )}
+                    {showRunning && (
+                      <>
+                        <div><kbd>Space</kbd>/<kbd>→</kbd> Next Cue, <kbd>←</kbd> Previous</div>
+                        <div><kbd>K</kbd> {showPaused ? 'Resume' : 'Pause'}, <kbd>0-9</kbd> <kbd>Enter</kbd> Jump to Cue</div>
+                      </>
+                    )}
                     <div style={{ marginTop: '8px' }}><kbd>ESC</kbd> Exit</div>
                   </div>
                 </>
@@ -2648,7 +4749,7 @@ function App() {
 
         {/* Download Modal after exiting presenter mode */}
         {showDownloadModal && finalPresenterImage && (
-          <div className="modal-overlay" onClick={() => { setShowDownloadModal(false); setFinalPresenterImage(null); }}>
+          <div className="modal-overlay" onClick={() => { setShowDownloadModal(false); setFinalPresenterImage(null); setFinalPresenterStrokes(null); }}>
             <div className="modal" onClick={(e) => e.stopPropagation()}>
               <h3>Download Presenter Mask</h3>
               <p>Your presenter mask is ready! Preview below and download when ready.</p>
@@ -2683,10 +4784,18 @@ function App() {
                   onClick={() => {
                     setShowDownloadModal(false);
                     setFinalPresenterImage(null);
+                    setFinalPresenterStrokes(null);
                   }}
                 >
                   Close
                 </button>
+                <button
+                  className="btn btn-success"
+                  onClick={() => handleDownloadSvg(finalPresenterStrokes || [])}
+                  title="Selected segments and strokes as vector paths in original-image pixels (without the output profile, margins or feathering)"
+                >
+                  Download SVG
+                </button>
                 <button
                   className="btn btn-success"
                   onClick={handleDownloadPresenterImage}
@@ -0,0 +1,224 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import {
+  serializeImage,
+  serializeRegions,
+  deserializeRegions,
+  deserializeSegmentationResult
+} from '../utils/regionTransfer';
+
+// Same build as the one loaded by index.html for the main thread
+const OPENCV_URL = 'https://docs.opencv.org/4.5.2/opencv.js';
+
+let openCVSourcePromise = null;
+
+/**
+ * Fetch the OpenCV.js source once per page
+ * Every worker is handed this copy, so a worker started after a cancel neither
+ * downloads the ~8 MB script again nor needs the network.
+ *
+ * @returns {Promise<string>} Script source
+ */
+function loadOpenCVSource() {
+  if (!openCVSourcePromise) {
+    openCVSourcePromise = fetch(OPENCV_URL).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load OpenCV.js for the worker (HTTP ${response.status})`);
+      }
+      return response.text();
+    });
+    // Allow a retry with the next job if loading failed
+    openCVSourcePromise.catch(() => { openCVSourcePromise = null; });
+  }
+  return openCVSourcePromise;
+}
+
+/**
+ * Custom hook that runs segmentation in a dedicated Web Worker
+ * The worker runs its own OpenCV.js, so the main thread stays responsive.
+ * Only one job runs at a time. The pipeline steps are synchronous, so a running
+ * job can only be stopped by terminating the worker; a fresh one is started
+ * lazily for the next job from the cached OpenCV.js source.
+ *
+ * @param {object} cv - Main-thread OpenCV.js instance (used to rebuild result Mats)
+ */
+export function useSegmentationWorker(cv) {
+  const [busy, setBusy] = useState(false);
+  const workerRef = useRef(null);
+  const jobRef = useRef(null); // { id, resolve, reject, onProgress }
+  const nextIdRef = useRef(1);
+
+  const getWorker = useCallback((openCVSource) => {
+    if (workerRef.current) return workerRef.current;
+
+    const worker = new Worker(
+      new URL('../workers/segmentation.worker.js', import.meta.url),
+      { type: 'module' }
+    );
+    worker.postMessage({ type: 'init', source: openCVSource });
+
+    worker.onmessage = (event) => {
+      const job = jobRef.current;
+      if (!job || event.data.id !== job.id) return; // Stale message from a cancelled job
+
+      if (event.data.type === 'progress') {
+        if (job.onProgress) job.onProgress(event.data.step, event.data.fraction);
+        return;
+      }
+
+      jobRef.current = null;
+      setBusy(false);
+      if (event.data.type === 'result') {
+        job.resolve(event.data.result);
+      } else {
+        job.reject(new Error(event.data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      const job = jobRef.current;
+      jobRef.current = null;
+      setBusy(false);
+      worker.terminate();
+      workerRef.current = null;
+      if (job) job.reject(new Error(event.message || 'Segmentation worker crashed'));
+    };
+
+    workerRef.current = worker;
+    return worker;
+  }, []);
+
+  /**
+   * Cancel the running job (if any) by terminating the worker
+   */
+  const cancel = useCallback(() => {
+    const job = jobRef.current;
+    if (!job) return;
+
+    jobRef.current = null;
+    setBusy(false);
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+
+    const error = new Error('Segmentation cancelled');
+    error.cancelled = true;
+    job.reject(error);
+  }, []);
+
+  const run = useCallback((message, transfer, onProgress) => {
+    // A new job supersedes any job still running
+    cancel();
+
+    const id = nextIdRef.current++;
+    return new Promise((resolve, reject) => {
+      jobRef.current = { id, resolve, reject, onProgress };
+      setBusy(true);
+      loadOpenCVSource().then(source => {
+        // Cancelled or superseded while the source was loading
+        if (!jobRef.current || jobRef.current.id !== id) return;
+        getWorker(source).postMessage({ ...message, id }, transfer);
+      }).catch(error => {
+        if (!jobRef.current || jobRef.current.id !== id) return;
+        jobRef.current = null;
+        setBusy(false);
+        reject(error);
+      });
+    });
+  }, [cancel, getWorker]);
+
+  /**
+   * Segment an image in the worker
+   *
+   * @param {cv.Mat} image - Original RGBA image
+   * @param {object} params - { sensitivity, regionSize, mergeThreshold, options }
+   * @param {Function} onProgress - Called as onProgress(step, fraction)
+   * @returns {Promise<object>} segmentImage()-shaped result with main-thread Mats
+   */
+  const segment = useCallback(async (image, params, onProgress) => {
+    const { image: serializedImage, transfer } = serializeImage(image);
+    const result = await run({ type: 'segment', image: serializedImage, params }, transfer, onProgress);
+    return deserializeSegmentationResult(result, cv);
+  }, [cv, run]);
+
+  /**
+   * Auto-tune the detail level and merge threshold to a target, then segment in the worker
+   *
+   * @param {cv.Mat} image - Original RGBA image
+   * @param {object} params - { target: { regionCount } | { averageArea }, options }
+   * @param {Function} onProgress - Called as onProgress(step, fraction)
+   * @returns {Promise<object>} segmentImage()-shaped result with main-thread Mats, plus
+   *   tuning (see autoTuneSegmentation)
+   */
+  const tune = useCallback(async (image, params, onProgress) => {
+    const { image: serializedImage, transfer } = serializeImage(image);
+    const result = await run({ type: 'tune', image: serializedImage, params }, transfer, onProgress);
+    return { ...deserializeSegmentationResult(result, cv), tuning: result.tuning };
+  }, [cv, run]);
+
+  /**
+   * Split regions into finer sub-regions in the worker
+   *
+   * @param {cv.Mat} image - Original RGBA image
+   * @param {Array} regions - Regions to split (not modified)
+   * @param {object} params - { sensitivity, regionSize, mergeThreshold, options }
+   * @param {Function} onProgress - Called as onProgress(step, fraction)
+   * @returns {Promise<Array>} New sub-regions with main-thread Mats
+   */
+  const split = useCallback(async (image, regions, params, onProgress) => {
+    const { image: serializedImage, transfer } = serializeImage(image);
+    const { regions: serializedRegions, transfer: regionTransfer } = serializeRegions(regions);
+    const result = await run(
+      { type: 'split', image: serializedImage, regions: serializedRegions, params },
+      [...transfer, ...regionTransfer],
+      onProgress
+    );
+    return deserializeRegions(result.regions, cv);
+  }, [cv, run]);
+
+  /**
+   * Refine regions into pixel-accurate regions with GrabCut in the worker
+   *
+   * @param {cv.Mat} image - Original RGBA image
+   * @param {Array} regions - Regions whose union seeds the foreground (not modified)
+   * @param {object} params - refineRegionsWithGrabCut options ({ iterations, padding })
+   * @param {Function} onProgress - Called as onProgress(step, fraction)
+   * @returns {Promise<Array>} New refined regions with main-thread Mats
+   */
+  const refine = useCallback(async (image, regions, params, onProgress) => {
+    const { image: serializedImage, transfer } = serializeImage(image);
+    const { regions: serializedRegions, transfer: regionTransfer } = serializeRegions(regions);
+    const result = await run(
+      { type: 'refine', image: serializedImage, regions: serializedRegions, params },
+      [...transfer, ...regionTransfer],
+      onProgress
+    );
+    return deserializeRegions(result.regions, cv);
+  }, [cv, run]);
+
+  /**
+   * Detect rectangular posters and frames in the worker
+   *
+   * @param {cv.Mat} image - Original RGBA image
+   * @param {object} params - detectQuadrilaterals options ({ maxDimension, minEdgeSupport, ... })
+   * @param {Function} onProgress - Called as onProgress(step, fraction)
+   * @returns {Promise<Array>} New quad regions with main-thread Mats
+   */
+  const detectQuads = useCallback(async (image, params, onProgress) => {
+    const { image: serializedImage, transfer } = serializeImage(image);
+    const result = await run({ type: 'quads', image: serializedImage, params }, transfer, onProgress);
+    return deserializeRegions(result.regions, cv);
+  }, [cv, run]);
+
+  // Terminate the worker on unmount
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, []);
+
+  return { segment, tune, split, refine, detectQuads, cancel, busy };
+}
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for perceptual color differences
+ */
+
+import { describe, it, expect } from 'vitest';
+import { rgbToLab, deltaE2000, rgbDistance, colorDistance } from '../utils/color';
+
+describe('deltaE2000', () => {
+  // Reference pairs from Sharma, Wu & Dalal (2005)
+  const referencePairs = [
+    [{ l: 50, a: 2.6772, b: -79.7751 }, { l: 50, a: 0, b: -82.7485 }, 2.0425],
+    [{ l: 50, a: -1.3802, b: -84.2814 }, { l: 50, a: 0, b: -82.7485 }, 1.0],
+    [{ l: 50, a: 2.5, b: 0 }, { l: 50, a: 0, b: -2.5 }, 4.3065],
+    [{ l: 50, a: 2.5, b: 0 }, { l: 73, a: 25, b: -18 }, 27.1492],
+    [{ l: 2.0776, a: 0.0795, b: -1.135 }, { l: 0.9033, a: -0.0636, b: -0.5514 }, 0.9082],
+  ];
+
+  it('should match the published reference differences', () => {
+    for (const [lab1, lab2, expected] of referencePairs) {
+      expect(deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4);
+    }
+  });
+
+  it('should be symmetric and zero for identical colors', () => {
+    const lab1 = rgbToLab(30, 120, 200);
+    const lab2 = rgbToLab(90, 60, 180);
+    expect(deltaE2000(lab1, lab1)).toBe(0);
+    expect(deltaE2000(lab1, lab2)).toBeCloseTo(deltaE2000(lab2, lab1), 10);
+  });
+});
+
+describe('colorDistance', () => {
+  it('should ignore lightness in chroma mode', () => {
+    // A white wall and the same wall in shadow
+    const wall = rgbToLab(230, 230, 230);
+    const shadow = rgbToLab(90, 90, 90);
+
+    expect(colorDistance(wall, shadow, 'deltaE2000')).toBeGreaterThan(30);
+    expect(colorDistance(wall, shadow, 'chroma')).toBeLessThan(0.5);
+  });
+
+  it('should still separate different hues in chroma mode', () => {
+    const blue = rgbToLab(40, 40, 200);
+    const purple = rgbToLab(120, 40, 200);
+    expect(colorDistance(blue, purple, 'chroma')).toBeGreaterThan(5);
+  });
+
+  it('should default to deltaE2000 and reject unknown metrics', () => {
+    const lab1 = rgbToLab(10, 20, 30);
+    const lab2 = rgbToLab(40, 50, 60);
+    expect(colorDistance(lab1, lab2)).toBe(deltaE2000(lab1, lab2));
+    expect(() => colorDistance(lab1, lab2, 'hsv')).toThrow('Unknown color metric');
+  });
+});
+
+describe('rgbDistance', () => {
+  it('should be the Euclidean distance of the sRGB values', () => {
+    expect(rgbDistance({ r: 100, g: 100, b: 100 }, { r: 110, g: 100, b: 100 })).toBe(10);
+    expect(rgbDistance({ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 })).toBeCloseTo(441.67, 2);
+  });
+});
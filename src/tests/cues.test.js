@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createCue, updateCue, moveCue, cueHoldMs, playableCues, staleCuePositions } from '../utils/cues';
+
+describe('cues', () => {
+  it('should create cues with unique ids and defaults', () => {
+    const first = createCue([], 2);
+    const second = createCue([first], 3, { transition: 'stagger', duration: 1500, hold: 4 });
+
+    expect(first).toEqual({ id: 1, sceneId: 2, transition: 'crossfade', duration: 800, hold: null });
+    expect(second).toEqual({ id: 2, sceneId: 3, transition: 'stagger', duration: 1500, hold: 4 });
+    expect(() => createCue([], 1, { transition: 'spin' })).toThrow('Unknown transition: spin');
+  });
+
+  it('should update and reorder cues without changing the list', () => {
+    const cues = [createCue([], 1), { ...createCue([], 2), id: 2 }];
+    const updated = updateCue(cues, 2, { hold: 3 });
+
+    expect(updated[1].hold).toBe(3);
+    expect(cues[1].hold).toBeNull();
+    expect(moveCue(cues, 2, -1).map(cue => cue.id)).toEqual([2, 1]);
+  });
+
+  it('should turn hold seconds into milliseconds, null for manual cues', () => {
+    expect(cueHoldMs({ hold: 2.5 })).toBe(2500);
+    expect(cueHoldMs({ hold: 0 })).toBe(0);
+    expect(cueHoldMs({ hold: null })).toBeNull();
+    expect(cueHoldMs({ hold: -1 })).toBeNull();
+  });
+
+  it('should skip cues of deleted scenes', () => {
+    const cues = [{ id: 1, sceneId: 1 }, { id: 2, sceneId: 5 }, { id: 3, sceneId: 2 }];
+    expect(playableCues(cues, [{ id: 1 }, { id: 2 }]).map(cue => cue.id)).toEqual([1, 3]);
+  });
+
+  it('should report the positions of cues of deleted scenes', () => {
+    const cues = [{ id: 4, sceneId: 7 }, { id: 2, sceneId: 1 }, { id: 3, sceneId: 9 }];
+    expect(staleCuePositions(cues, [{ id: 1 }])).toEqual([1, 3]);
+    expect(staleCuePositions(cues, [{ id: 1 }, { id: 7 }, { id: 9 }])).toEqual([]);
+  });
+});
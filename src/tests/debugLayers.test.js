@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { debugLayerPixels, labelColor } from '../utils/debugLayers';
+
+describe('debugLayerPixels', () => {
+  it('should render 8-bit layers as opaque grayscale', () => {
+    const debug = { width: 2, height: 1, layers: { canny: Uint8Array.from([0, 200]) } };
+    const pixels = debugLayerPixels(debug, 'canny');
+    expect(Array.from(pixels)).toEqual([0, 0, 0, 255, 200, 200, 200, 255]);
+  });
+
+  it('should color labels and leave label 0 black', () => {
+    const debug = { width: 3, height: 1, layers: { labels: Int32Array.from([0, 4, 9]) } };
+    const pixels = debugLayerPixels(debug, 'labels');
+    expect(Array.from(pixels.slice(0, 3))).toEqual([0, 0, 0]);
+    expect(Array.from(pixels.slice(4, 7))).toEqual(labelColor(4));
+    expect(Array.from(pixels.slice(8, 11))).toEqual(labelColor(9));
+    expect(labelColor(4)).not.toEqual(labelColor(9));
+  });
+
+  it('should draw markers as squares that stay inside the image', () => {
+    const layer = new Int32Array(5 * 5);
+    layer[0] = 3;
+    const pixels = debugLayerPixels({ width: 5, height: 5, layers: { markers: layer } }, 'markers');
+    const colored = (x, y) => pixels[(y * 5 + x) * 4] !== 0;
+    expect(colored(0, 0) && colored(1, 0) && colored(0, 1) && colored(1, 1)).toBe(true);
+    expect(colored(2, 2)).toBe(false);
+  });
+
+  it('should return null for layers that were not recorded', () => {
+    expect(debugLayerPixels({ width: 1, height: 1, layers: {} }, 'distance')).toBeNull();
+    expect(debugLayerPixels(null, 'distance')).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+// @vitest-environment node
+/**
+ * Unit tests for mask feathering
+ *
+ * Argument handling runs against the mocked OpenCV.js from setup.js; the falloffs
+ * run against the real OpenCV build from opencv-wasm.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import { featherMask, linearFeatherValue } from '../utils/feather';
+import { renderLightMask, finishLightMask, rebuildRegionMask } from '../utils/segmentation';
+
+const realCv = createRequire(import.meta.url)('opencv-wasm').cv;
+
+// 40x40 mask with the square 10-29 lit; its left edge lies between columns 9 and 10
+function squareMask() {
+  const mask = realCv.Mat.zeros(40, 40, realCv.CV_8UC1);
+  realCv.rectangle(mask, new realCv.Point(10, 10), new realCv.Point(29, 29), new realCv.Scalar(255), -1);
+  return mask;
+}
+
+// Middle row from the left side up to the middle of the square
+function leftProfile(mask) {
+  return Array.from({ length: 20 }, (_, x) => mask.ucharAt(20, x));
+}
+
+describe('linearFeatherValue', () => {
+  it('should ramp from dark to lit across the edge', () => {
+    expect(linearFeatherValue(-4, 4)).toBe(0);
+    expect(linearFeatherValue(-10, 4)).toBe(0);
+    expect(linearFeatherValue(0, 4)).toBe(128);
+    expect(linearFeatherValue(2, 4)).toBe(191);
+    expect(linearFeatherValue(4, 4)).toBe(255);
+  });
+});
+
+describe('featherMask', () => {
+  it('should leave the mask untouched without a radius', () => {
+    const mask = new cv.Mat(2, 2, cv.CV_8UC1);
+    mask.data.set([0, 255, 255, 0]);
+    expect(featherMask(mask, 0, 'linear', cv)).toBe(mask);
+    expect(Array.from(mask.data)).toEqual([0, 255, 255, 0]);
+  });
+
+  it('should reject unknown modes', () => {
+    const mask = new cv.Mat(2, 2, cv.CV_8UC1);
+    expect(() => featherMask(mask, 3, 'box', cv)).toThrow('Unknown feather mode');
+  });
+
+  for (const mode of ['gaussian', 'linear']) {
+    it(`should center the ${mode} falloff on the original edge`, () => {
+      const mask = squareMask();
+      expect(featherMask(mask, 4, mode, realCv)).toBe(mask);
+      const profile = leftProfile(mask);
+
+      // Half lit at the edge: the pixels on either side of it add up to full
+      expect(Math.abs(profile[9] + profile[10] - 255)).toBeLessThanOrEqual(2);
+      expect(profile[9]).toBeLessThan(128);
+      expect(profile[10]).toBeGreaterThan(128);
+      // Dark and fully lit one radius out either way (the edge is at 9.5)
+      expect(profile.slice(0, 6).every(v => v === 0)).toBe(true);
+      expect(profile.slice(14).every(v => v === 255)).toBe(true);
+      // Rising all the way across
+      for (let x = 6; x < 14; x++) expect(profile[x + 1]).toBeGreaterThanOrEqual(profile[x]);
+
+      mask.delete();
+    });
+  }
+});
+
+describe('finishLightMask', () => {
+  it('should feather a region like the same shape painted as a stroke', () => {
+    const image = new realCv.Mat(40, 40, realCv.CV_8UC4);
+    const contour = new realCv.Mat(4, 1, realCv.CV_32SC2);
+    contour.data32S.set([10, 10, 29, 10, 29, 29, 10, 29]);
+    const region = { contour, mask: null, scaleFactor: 1, selected: true };
+    rebuildRegionMask(region, realCv);
+    const options = { feather: { radius: 4, mode: 'linear' }, margin: 2 };
+
+    const fromRegion = renderLightMask(image, [region], realCv, options);
+    // Strokes reach the same step as a mask the canvas painted them into
+    const fromStroke = finishLightMask(squareMask(), options, realCv);
+
+    expect(Array.from(fromRegion.data)).toEqual(Array.from(fromStroke.data));
+    // The margin moved the edge out by 2 before feathering
+    expect(Math.abs(fromRegion.ucharAt(20, 7) + fromRegion.ucharAt(20, 8) - 255)).toBeLessThanOrEqual(2);
+
+    [image, contour, region.mask, fromRegion, fromStroke].forEach(mat => mat.delete());
+  });
+});
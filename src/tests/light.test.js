@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { lightRgb, lightHex, isDefaultLight, groupByLight, selectRegionsWithLight } from '../utils/light';
+
+describe('lightRgb', () => {
+  it('should scale the color by the intensity', () => {
+    expect(lightRgb('#ff8000', 50)).toEqual({ r: 128, g: 64, b: 0 });
+    expect(lightRgb('#FF8000', 100)).toEqual({ r: 255, g: 128, b: 0 });
+  });
+
+  it('should default to full white and clamp the intensity', () => {
+    expect(lightRgb()).toEqual({ r: 255, g: 255, b: 255 });
+    expect(lightRgb('#ffffff', 150)).toEqual({ r: 255, g: 255, b: 255 });
+    expect(lightRgb('#ffffff', -10)).toEqual({ r: 0, g: 0, b: 0 });
+  });
+
+  it('should reject invalid colors', () => {
+    expect(() => lightRgb('red')).toThrow('Invalid light color');
+  });
+});
+
+describe('lightHex', () => {
+  it('should treat regions and strokes without a light as full white', () => {
+    expect(lightHex({})).toBe('#ffffff');
+    expect(isDefaultLight({ selected: true })).toBe(true);
+    expect(isDefaultLight({ color: '#ffffff', intensity: 80 })).toBe(false);
+    expect(lightHex({ color: '#00ff00', intensity: 20 })).toBe('#003300');
+  });
+});
+
+describe('groupByLight', () => {
+  it('should group items by light in order of first appearance', () => {
+    const a = { color: '#ff0000' };
+    const b = {};
+    const c = { color: '#ff0000', intensity: 100 };
+    const d = { color: '#ffffff', intensity: 100 };
+    const groups = groupByLight([a, b, c, d]);
+
+    expect(groups.map(group => group.hex)).toEqual(['#ff0000', '#ffffff']);
+    expect(groups[0].items).toEqual([a, c]);
+    expect(groups[1].items).toEqual([b, d]);
+    expect(groups[0].rgb).toEqual({ r: 255, g: 0, b: 0 });
+  });
+});
+
+describe('selectRegionsWithLight', () => {
+  const regions = [
+    { id: 0, selected: false },
+    { id: 1, selected: true, color: '#ffb060', intensity: 80 },
+    { id: 2, selected: false, color: '#60b0ff' }
+  ];
+
+  it('should keep the lights regions already have', () => {
+    const selected = selectRegionsWithLight(regions, [1, 2]);
+
+    expect(selected[0]).toBe(regions[0]);
+    expect(selected[1]).toEqual({ id: 1, selected: true, color: '#ffb060', intensity: 80 });
+    expect(selected[2]).toEqual({ id: 2, selected: true, color: '#60b0ff' });
+    expect(regions[2].selected).toBe(false);
+  });
+
+  it('should give every matched region the light when one is passed', () => {
+    const selected = selectRegionsWithLight(regions, [0, 1], { color: '#ffffff', intensity: 50 });
+
+    expect(selected.slice(0, 2).map(r => [r.selected, r.color, r.intensity])).toEqual([
+      [true, '#ffffff', 50],
+      [true, '#ffffff', 50]
+    ]);
+    expect(selected[2]).toBe(regions[2]);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createCostMap, livewireTree, livewirePath, simplifyPath } from '../utils/livewire';
+
+// Edge map with a strong edge along a rectangle outline from (4, 4) to (15, 15)
+function makeOutlineEdgeMap(size = 20) {
+  const edgeMap = new cv.Mat(size, size, cv.CV_8U);
+  for (let i = 4; i <= 15; i++) {
+    edgeMap.data[4 * size + i] = 255;
+    edgeMap.data[15 * size + i] = 255;
+    edgeMap.data[i * size + 4] = 255;
+    edgeMap.data[i * size + 15] = 255;
+  }
+  return edgeMap;
+}
+
+describe('livewirePath', () => {
+  it('should follow the edge instead of cutting across', () => {
+    const costMap = createCostMap(makeOutlineEdgeMap(), 20);
+    const tree = livewireTree(costMap, 4, 15);
+    const path = livewirePath(tree, 15, 4);
+
+    expect(path[0]).toEqual({ x: 4, y: 15 });
+    expect(path[path.length - 1]).toEqual({ x: 15, y: 4 });
+    // Every step stays on the outline, never through the empty inside
+    for (const p of path) {
+      expect(p.x === 4 || p.x === 15 || p.y === 4 || p.y === 15).toBe(true);
+    }
+  });
+
+  it('should map between image and downscaled edge map coordinates', () => {
+    const costMap = createCostMap(makeOutlineEdgeMap(), 40);
+    const tree = livewireTree(costMap, 8, 30);
+    const path = livewirePath(tree, 30, 30);
+
+    expect(costMap.scale).toBe(0.5);
+    expect(path[0]).toEqual({ x: 8, y: 30 });
+    expect(path[path.length - 1]).toEqual({ x: 30, y: 30 });
+    expect(path.every(p => p.y === 30)).toBe(true);
+  });
+
+  it('should return null for targets outside the searched window', () => {
+    const costMap = createCostMap(makeOutlineEdgeMap(), 20);
+    const tree = livewireTree(costMap, 2, 2, 3);
+
+    expect(livewirePath(tree, 5, 5)).not.toBeNull();
+    expect(livewirePath(tree, 10, 10)).toBeNull();
+  });
+});
+
+describe('simplifyPath', () => {
+  it('should keep corners and drop points along straight runs', () => {
+    const points = [];
+    for (let x = 0; x <= 5; x++) points.push({ x, y: 0 });
+    for (let y = 1; y <= 5; y++) points.push({ x: 5, y });
+
+    expect(simplifyPath(points, 0.5)).toEqual([{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 5, y: 5 }]);
+  });
+});
@@ -0,0 +1,178 @@
+// @vitest-environment node
+/**
+ * Unit tests for the magic wand
+ *
+ * Argument handling runs against the mocked OpenCV.js from setup.js; flood fills
+ * run against the real OpenCV build from opencv-wasm on a small synthetic image.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import { magicWandRegion, subtractFromRegions } from '../utils/magicWand';
+import { renderRegionsMask } from '../utils/segmentation';
+
+const realCv = createRequire(import.meta.url)('opencv-wasm').cv;
+
+const RED = [200, 30, 30];
+const LIGHTER_RED = [215, 30, 30];
+const GREEN = [30, 160, 60];
+const BLUE = [30, 60, 200];
+
+/**
+ * 80x50 light grey image:
+ * - red square A (5-19, 5-19), a lighter red square D right of it (20-34, 5-19) and
+ *   a red square B below D (20-34, 20-34) that touches A only at a corner
+ * - green rectangle E (40-74, 25-44) with a blue square F inside (45-51, 30-36) and
+ *   a blue bar H across it (62-63, 25-44)
+ */
+function createTestImage() {
+  const image = new realCv.Mat(50, 80, realCv.CV_8UC4, new realCv.Scalar(240, 240, 240, 255));
+  const fill = (x0, y0, x1, y1, [r, g, b]) => {
+    realCv.rectangle(image, new realCv.Point(x0, y0), new realCv.Point(x1, y1), new realCv.Scalar(r, g, b, 255), -1);
+  };
+  fill(5, 5, 19, 19, RED);
+  fill(20, 5, 34, 19, LIGHTER_RED);
+  fill(20, 20, 34, 34, RED);
+  fill(40, 25, 74, 44, GREEN);
+  fill(45, 30, 51, 36, BLUE);
+  fill(62, 25, 63, 44, BLUE);
+  return image;
+}
+
+function pixelCount(region) {
+  return realCv.countNonZero(region.mask);
+}
+
+function freeRegions(regions) {
+  regions.forEach(region => {
+    if (!region.contour.isDeleted()) region.contour.delete();
+    if (!region.mask.isDeleted()) region.mask.delete();
+  });
+}
+
+describe('magicWandRegion', () => {
+  it('should return null for seeds outside the image', () => {
+    const image = new cv.Mat(10, 20, cv.CV_8UC4);
+    expect(magicWandRegion(image, -1, 5, cv)).toBeNull();
+    expect(magicWandRegion(image, 5, -0.5, cv)).toBeNull();
+    expect(magicWandRegion(image, 20, 5, cv)).toBeNull();
+    expect(magicWandRegion(image, 5, 10, cv)).toBeNull();
+  });
+
+  it('should fill the connected area within the tolerance', () => {
+    const image = createTestImage();
+
+    const square = magicWandRegion(image, 10, 10, realCv, { tolerance: 10 });
+    expect(square.bounds).toEqual({ x: 5, y: 5, width: 15, height: 15 });
+    expect(pixelCount(square)).toBe(225);
+    expect(square.avgColor).toEqual({ r: 200, g: 30, b: 30 });
+    expect(square).toMatchObject({ selected: true, wand: true, manual: true, scaleFactor: 1 });
+
+    // A higher tolerance takes in the lighter square, and the one below it through that
+    const squares = magicWandRegion(image, 10, 10, realCv, { tolerance: 20 });
+    expect(pixelCount(squares)).toBe(3 * 225);
+
+    freeRegions([square, squares]);
+    image.delete();
+  });
+
+  it('should only cross diagonal contacts with 8-connectivity', () => {
+    const image = createTestImage();
+
+    const four = magicWandRegion(image, 10, 10, realCv, { tolerance: 10, connectivity: 4 });
+    const eight = magicWandRegion(image, 10, 10, realCv, { tolerance: 10, connectivity: 8 });
+    expect(pixelCount(four)).toBe(225);
+    expect(pixelCount(eight)).toBe(2 * 225);
+    expect(eight.bounds).toEqual({ x: 5, y: 5, width: 30, height: 30 });
+
+    freeRegions([four, eight]);
+    image.delete();
+  });
+
+  it('should leave enclosed areas as holes', () => {
+    const image = createTestImage();
+
+    // Left part of the green rectangle, around the blue square
+    const region = magicWandRegion(image, 42, 27, realCv, { tolerance: 10 });
+    expect(region.bounds).toEqual({ x: 40, y: 25, width: 22, height: 20 });
+    expect(region.holes).toHaveLength(1);
+    expect(pixelCount(region)).toBe(22 * 20 - 7 * 7);
+
+    const mask = renderRegionsMask(image, [region], realCv);
+    expect(mask.ucharAt(27, 42)).toBe(255);
+    expect(mask.ucharAt(33, 48)).toBe(0);
+
+    mask.delete();
+    freeRegions([region]);
+    image.delete();
+  });
+});
+
+describe('subtractFromRegions', () => {
+  // The whole green rectangle (blue shapes included), selected with a light and margin
+  function selectGreenRectangle(image) {
+    const region = magicWandRegion(image, 42, 27, realCv, { tolerance: 150 });
+    expect(pixelCount(region)).toBe(35 * 20);
+    return { ...region, color: '#00ff00', intensity: 70, margin: 2 };
+  }
+
+  it('should cut a hole that survives rendering', () => {
+    const image = createTestImage();
+    const selected = selectGreenRectangle(image);
+    const unselected = { ...magicWandRegion(image, 10, 10, realCv, { tolerance: 10 }), selected: false };
+    const area = magicWandRegion(image, 48, 33, realCv, { tolerance: 10 });
+
+    const { regions, changedIndices, cutCount } = subtractFromRegions(image, [unselected, selected], area, realCv);
+
+    expect(cutCount).toBe(1);
+    expect(regions).toHaveLength(2);
+    expect(regions[0]).toBe(unselected);
+    expect(changedIndices).toEqual([1]);
+    const piece = regions[1];
+    expect(piece.holes).toHaveLength(1);
+    expect(pixelCount(piece)).toBe(35 * 20 - 7 * 7);
+    expect(piece).toMatchObject({ selected: true, manual: true, color: '#00ff00', intensity: 70, margin: 2 });
+
+    const mask = renderRegionsMask(image, [piece], realCv);
+    expect(mask.ucharAt(27, 42)).toBe(255);
+    expect(mask.ucharAt(33, 48)).toBe(0);
+    expect(mask.ucharAt(33, 70)).toBe(255);
+
+    mask.delete();
+    freeRegions([selected, unselected, area, piece]);
+    image.delete();
+  });
+
+  it('should split a region into pieces', () => {
+    const image = createTestImage();
+    const selected = selectGreenRectangle(image);
+    const area = magicWandRegion(image, 62, 30, realCv, { tolerance: 10 });
+
+    const { regions, cutCount } = subtractFromRegions(image, [selected], area, realCv);
+
+    expect(cutCount).toBe(1);
+    expect(regions).toHaveLength(2);
+    const [left, right] = [...regions].sort((a, b) => a.bounds.x - b.bounds.x);
+    expect(left.bounds).toEqual({ x: 40, y: 25, width: 22, height: 20 });
+    expect(right.bounds).toEqual({ x: 64, y: 25, width: 11, height: 20 });
+    expect(pixelCount(left)).toBe(22 * 20);
+    expect(regions.every(r => r.selected && r.manual && r.color === '#00ff00')).toBe(true);
+
+    freeRegions([selected, area, ...regions]);
+    image.delete();
+  });
+
+  it('should leave the selection alone when the area misses it', () => {
+    const image = createTestImage();
+    const selected = selectGreenRectangle(image);
+    const area = magicWandRegion(image, 10, 10, realCv, { tolerance: 10 });
+
+    const { regions, cutCount } = subtractFromRegions(image, [selected], area, realCv);
+
+    expect(cutCount).toBe(0);
+    expect(regions).toEqual([selected]);
+
+    freeRegions([selected, area]);
+    image.delete();
+  });
+});
@@ -0,0 +1,88 @@
+// @vitest-environment node
+/**
+ * Unit tests for mask margins
+ *
+ * Argument handling runs against the mocked OpenCV.js from setup.js; growing and
+ * shrinking run against the real OpenCV build from opencv-wasm.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import { adjustMaskMargin } from '../utils/margin';
+import { renderRegionsMask, rebuildRegionMask } from '../utils/segmentation';
+
+const realCv = createRequire(import.meta.url)('opencv-wasm').cv;
+
+// 40x40 mask with a 10x10 square (15-24) lit
+function squareMask() {
+  const mask = realCv.Mat.zeros(40, 40, realCv.CV_8UC1);
+  realCv.rectangle(mask, new realCv.Point(15, 15), new realCv.Point(24, 24), new realCv.Scalar(255), -1);
+  return mask;
+}
+
+describe('adjustMaskMargin', () => {
+  it('should leave the mask untouched for margins that round to zero', () => {
+    const mask = new cv.Mat(2, 2, cv.CV_8UC1);
+    mask.data.set([0, 255, 255, 0]);
+    expect(adjustMaskMargin(mask, 0, cv)).toBe(mask);
+    expect(adjustMaskMargin(mask, -0.4, cv)).toBe(mask);
+    expect(Array.from(mask.data)).toEqual([0, 255, 255, 0]);
+  });
+
+  it('should grow a mask with round corners', () => {
+    const mask = squareMask();
+    expect(adjustMaskMargin(mask, 2, realCv)).toBe(mask);
+
+    // 2px on every side, plus one pixel in each corner
+    expect(realCv.countNonZero(mask)).toBe(100 + 4 * 10 * 2 + 4);
+    expect(mask.ucharAt(20, 13)).toBe(255);
+    expect(mask.ucharAt(20, 12)).toBe(0);
+    expect(mask.ucharAt(13, 13)).toBe(0);
+    expect(mask.ucharAt(14, 14)).toBe(255);
+    mask.delete();
+  });
+
+  it('should shrink a mask', () => {
+    const mask = squareMask();
+    adjustMaskMargin(mask, -2, realCv);
+
+    expect(realCv.countNonZero(mask)).toBe(6 * 6);
+    expect(mask.ucharAt(17, 17)).toBe(255);
+    expect(mask.ucharAt(16, 20)).toBe(0);
+    mask.delete();
+  });
+
+  it('should not shrink a mask away from the image border', () => {
+    const mask = new realCv.Mat(20, 30, realCv.CV_8UC1, new realCv.Scalar(255));
+    adjustMaskMargin(mask, -5, realCv);
+
+    expect(realCv.countNonZero(mask)).toBe(20 * 30);
+    mask.delete();
+  });
+});
+
+describe('renderRegionsMask with margins', () => {
+  it('should grow or shrink each region by its own margin', () => {
+    const image = new realCv.Mat(40, 40, realCv.CV_8UC4);
+    const region = (x0, y0, x1, y1, margin) => {
+      const contour = new realCv.Mat(4, 1, realCv.CV_32SC2);
+      contour.data32S.set([x0, y0, x1, y0, x1, y1, x0, y1]);
+      const result = { contour, mask: null, scaleFactor: 1, selected: true, margin };
+      rebuildRegionMask(result, realCv);
+      return result;
+    };
+    const grown = region(5, 5, 14, 14, 2);
+    const shrunk = region(25, 25, 34, 34, -2);
+
+    const withMargins = renderRegionsMask(image, [grown, shrunk], realCv, { margins: true });
+    expect(realCv.countNonZero(withMargins)).toBe(184 + 36);
+    expect(withMargins.ucharAt(10, 3)).toBe(255);
+    expect(withMargins.ucharAt(30, 26)).toBe(0);
+
+    // Without the option the margins are ignored
+    const plain = renderRegionsMask(image, [grown, shrunk], realCv);
+    expect(realCv.countNonZero(plain)).toBe(200);
+
+    [image, withMargins, plain, grown.contour, grown.mask, shrunk.contour, shrunk.mask].forEach(mat => mat.delete());
+  });
+});
@@ -0,0 +1,98 @@
+// @vitest-environment node
+/**
+ * Unit tests for the live merge slider (regionsAtMergeLevel)
+ *
+ * Runs against the real OpenCV build from opencv-wasm on a hand-built merge tree.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import { regionsAtMergeLevel, regionsFromMergeTree } from '../utils/segmentation';
+import { magicWandRegion } from '../utils/magicWand';
+
+const realCv = createRequire(import.meta.url)('opencv-wasm').cv;
+
+// 80x40 image of four 20px strips: blue, a slightly different blue, red, a slightly
+// different red, with a yellow square in the last strip
+const STRIP_COLORS = [[30, 60, 200], [40, 70, 210], [200, 40, 40], [210, 50, 40]];
+
+function createStripImage() {
+  const image = new realCv.Mat(40, 80, realCv.CV_8UC4, new realCv.Scalar(0, 0, 0, 255));
+  STRIP_COLORS.forEach(([r, g, b], i) => {
+    realCv.rectangle(image, new realCv.Point(i * 20, 0), new realCv.Point(i * 20 + 19, 39), new realCv.Scalar(r, g, b, 255), -1);
+  });
+  realCv.rectangle(image, new realCv.Point(65, 15), new realCv.Point(74, 24), new realCv.Scalar(240, 220, 30, 255), -1);
+  return image;
+}
+
+// One leaf per strip; the blues merge below 5, the reds below 30
+function createStripTree() {
+  const leafLabels = new Int32Array(80 * 40);
+  for (let i = 0; i < leafLabels.length; i++) leafLabels[i] = Math.floor((i % 80) / 20) + 1;
+  return {
+    width: 80,
+    height: 40,
+    scaleFactor: 1,
+    leafLabels,
+    leaves: Int32Array.from([1, 2, 3, 4]),
+    leafCounts: Int32Array.from([800, 800, 800, 800]),
+    leafColors: Float32Array.from(STRIP_COLORS.flat()),
+    mergeA: Int32Array.from([0, 2]),
+    mergeB: Int32Array.from([1, 3]),
+    mergeDistance: Float32Array.from([5, 30])
+  };
+}
+
+function freeRegions(regions) {
+  const freed = new Set();
+  for (const region of regions) {
+    for (const mat of [region.contour, region.mask]) {
+      if (mat && !freed.has(mat) && !mat.isDeleted()) mat.delete();
+      freed.add(mat);
+    }
+  }
+}
+
+describe('regionsAtMergeLevel', () => {
+  it('should keep wand regions and carry light and margin over by pixel ownership', () => {
+    const image = createStripImage();
+    const mergeTree = createStripTree();
+
+    // Merge 10: the blues are one region, the reds two
+    const { regions: merged } = regionsFromMergeTree(mergeTree, 10, realCv);
+    expect(merged).toHaveLength(3);
+    const blue = merged.findIndex(r => r.bounds.x === 0);
+    const red = merged.findIndex(r => r.bounds.x === 40);
+    merged[blue] = { ...merged[blue], selected: true, color: '#ff8000', intensity: 60, margin: 3 };
+    merged[red] = { ...merged[red], selected: true };
+    const wand = magicWandRegion(image, 70, 20, realCv, { tolerance: 10 });
+    expect(wand.manual).toBe(true);
+    const current = [...merged, wand];
+
+    // Merge 0: every strip is its own region
+    const { regions, labelMap } = regionsAtMergeLevel(image, mergeTree, 0, current, realCv);
+
+    expect(regions).toHaveLength(5);
+    const stripAt = x => regions.find(r => !r.manual && r.bounds.x === x);
+    for (const x of [0, 20]) {
+      expect(stripAt(x)).toMatchObject({ selected: true, color: '#ff8000', intensity: 60, margin: 3 });
+    }
+    expect(stripAt(40).selected).toBe(true);
+    expect(stripAt(40).color).toBeUndefined();
+    expect(stripAt(60).selected).toBe(false);
+
+    // The wand region stays on top, still selected
+    const kept = regions[regions.length - 1];
+    expect(kept.manual).toBe(true);
+    expect(kept.contour).toBe(wand.contour);
+    expect(kept.selected).toBe(true);
+    expect(labelMap.data[20 * 80 + 70]).toBe(regions.length - 1);
+
+    // Regions owned by the undo history are not changed
+    expect(current[blue].color).toBe('#ff8000');
+    expect(merged.filter(r => r.selected)).toHaveLength(2);
+
+    freeRegions([...current, ...regions]);
+    image.delete();
+  });
+});
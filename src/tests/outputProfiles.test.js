@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeOutputLayout,
+  imageToOutputTransform,
+  invertTransform,
+  applyTransform,
+  getOutputProfile
+} from '../utils/outputProfiles';
+
+describe('computeOutputLayout', () => {
+  it('should letterbox with fit, crop with fill and distort with stretch', () => {
+    // 400x200 image in a 1920x1080 frame
+    expect(computeOutputLayout(1920, 1080, 400, 200, 0, 'fit'))
+      .toEqual({ displayWidth: 1920, displayHeight: 960, offsetX: 0, offsetY: 60 });
+    expect(computeOutputLayout(1920, 1080, 400, 200, 0, 'fill'))
+      .toEqual({ displayWidth: 2160, displayHeight: 1080, offsetX: -120, offsetY: 0 });
+    expect(computeOutputLayout(1920, 1080, 400, 200, 0, 'stretch'))
+      .toEqual({ displayWidth: 1920, displayHeight: 1080, offsetX: 0, offsetY: 0 });
+  });
+
+  it('should swap the image sides for quarter turns', () => {
+    expect(computeOutputLayout(1000, 1000, 400, 200, 90))
+      .toEqual({ displayWidth: 500, displayHeight: 1000, offsetX: 250, offsetY: 0 });
+    expect(computeOutputLayout(1000, 1000, 400, 200, 180))
+      .toEqual({ displayWidth: 1000, displayHeight: 500, offsetX: 0, offsetY: 250 });
+  });
+
+  it('should reject unknown fit modes', () => {
+    expect(() => computeOutputLayout(100, 100, 10, 10, 0, 'zoom')).toThrow('Unknown fit mode');
+  });
+});
+
+describe('imageToOutputTransform', () => {
+  it('should map the image corners clockwise for each rotation', () => {
+    const layout = { displayWidth: 200, displayHeight: 100, offsetX: 10, offsetY: 20 };
+    const corner = rotation => {
+      const transform = imageToOutputTransform(layout, 50, 100, rotation);
+      return applyTransform(transform, 0, 0);
+    };
+    // Where the image's top-left corner ends up
+    expect(corner(0)).toEqual({ x: 10, y: 20 });
+    expect(corner(90)).toEqual({ x: 210, y: 20 });
+    expect(corner(180)).toEqual({ x: 210, y: 120 });
+    expect(corner(270)).toEqual({ x: 10, y: 120 });
+  });
+
+  it('should round-trip points through its inverse', () => {
+    const layout = computeOutputLayout(1280, 800, 300, 500, 270, 'fill');
+    const transform = imageToOutputTransform(layout, 300, 500, 270);
+    const output = applyTransform(transform, 120, 45);
+    const back = applyTransform(invertTransform(transform), output.x, output.y);
+    expect(back.x).toBeCloseTo(120, 6);
+    expect(back.y).toBeCloseTo(45, 6);
+  });
+});
+
+describe('getOutputProfile', () => {
+  it('should fall back to the native profile', () => {
+    expect(getOutputProfile('fhd')).toMatchObject({ width: 1920, height: 1080 });
+    expect(getOutputProfile('missing').id).toBe('native');
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { serializeProject, validateProject, deserializeProjectRegions, projectActiveSceneId, PROJECT_VERSION } from '../utils/project';
+
+function makeRegion(points, extra = {}) {
+  const contour = new cv.Mat(points.length / 2, 1, cv.CV_32SC2);
+  contour.data32S.set(points);
+  return {
+    contour,
+    mask: new cv.Mat(1, 1, cv.CV_8UC1),
+    bounds: { x: 0, y: 0, width: 1, height: 1 },
+    scaleFactor: 0.5,
+    selected: false,
+    label: 0,
+    avgColor: { r: 10, g: 20, b: 30 },
+    texture: new Float32Array([0.25, 0.75]),
+    adjacentIndices: [1],
+    ...extra
+  };
+}
+
+describe('project files', () => {
+  it('should round-trip regions, their margins and the settings through JSON', () => {
+    const regions = [
+      makeRegion([2, 3, 12, 3, 12, 9, 2, 9], { selected: true, margin: -4 }),
+      makeRegion([20, 20, 30, 20, 25, 28])
+    ];
+    const project = serializeProject({
+      image: 'data:image/png;base64,AAAA',
+      width: 100,
+      height: 80,
+      regions,
+      settings: { detailLevel: 7, maskMargin: 3 }
+    });
+
+    const loaded = validateProject(JSON.parse(JSON.stringify(project)));
+    const restored = deserializeProjectRegions(loaded.regions, cv);
+
+    expect(loaded.settings).toEqual({ detailLevel: 7, maskMargin: 3 });
+    expect(restored).toHaveLength(2);
+    expect(Array.from(restored[0].contour.data32S)).toEqual([2, 3, 12, 3, 12, 9, 2, 9]);
+    expect(restored[0].margin).toBe(-4);
+    expect(restored[0].selected).toBe(true);
+    expect(restored[0].scaleFactor).toBe(0.5);
+    expect(restored[0].texture).toEqual([0.25, 0.75]);
+    // Masks are redrawn from the outline
+    expect(restored[0].bounds).toEqual({ x: 2, y: 3, width: 11, height: 7 });
+    expect(restored[0].mask.rows).toBe(7);
+    expect(restored[1].margin).toBeUndefined();
+  });
+
+  it('should save scenes and cues as plain data', () => {
+    const scenes = [{ id: 1, name: 'Gala', regions: [{ selected: true }], strokes: [{ type: 'white', points: [{ x: 1, y: 2 }], size: 4 }] }];
+    const cues = [{ id: 1, sceneId: 1, transition: 'wipe', duration: 500, hold: null }];
+    const project = JSON.parse(JSON.stringify(serializeProject({ image: '', width: 1, height: 1, regions: [], settings: {}, scenes, cues })));
+
+    expect(project.scenes).toEqual(scenes);
+    expect(project.cues).toEqual(cues);
+    expect(serializeProject({ image: '', width: 1, height: 1, regions: [] }).scenes).toEqual([]);
+  });
+
+  it('should round-trip the presenter strokes and the active scene', () => {
+    const strokes = [
+      { type: 'white', points: [{ x: 1.5, y: 2 }, { x: 3, y: 4.25 }], size: 12, color: '#ff8000', intensity: 60 },
+      { type: 'polygon-black', points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 5, y: 8 }], size: 0 }
+    ];
+    const scenes = [{ id: 3, name: 'Gala', regions: [], strokes }];
+    const project = serializeProject({ image: '', width: 1, height: 1, regions: [], strokes, scenes, activeSceneId: 3 });
+    const loaded = validateProject(JSON.parse(JSON.stringify(project)));
+
+    expect(loaded.strokes).toEqual(strokes);
+    expect(projectActiveSceneId(loaded)).toBe(3);
+  });
+
+  it('should open projects without strokes or a saved active scene', () => {
+    const project = serializeProject({ image: '', width: 1, height: 1, regions: [] });
+    expect(project.strokes).toEqual([]);
+    expect(project.activeSceneId).toBeNull();
+    expect(projectActiveSceneId(project)).toBeNull();
+    // An active scene that was not saved is dropped
+    expect(projectActiveSceneId({ scenes: [{ id: 1 }], activeSceneId: 2 })).toBeNull();
+    expect(projectActiveSceneId({ activeSceneId: 1 })).toBeNull();
+  });
+
+  it('should reject other files and newer versions', () => {
+    expect(() => validateProject({ regions: [] })).toThrow('Not an image mask project file');
+    expect(() => validateProject({ type: 'image-mask-project', version: PROJECT_VERSION + 1, image: '', regions: [] }))
+      .toThrow('newer');
+    expect(() => validateProject({ type: 'image-mask-project', version: PROJECT_VERSION, regions: [] }))
+      .toThrow('missing');
+  });
+});
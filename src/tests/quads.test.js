@@ -0,0 +1,109 @@
+/**
+ * Unit tests for rectangular poster detection
+ *
+ * Note: the edge and Hough steps need the real OpenCV.js; these tests cover
+ * the geometry that turns line segments into quads.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectQuadrilaterals,
+  orderQuadCorners,
+  groupLineSegments,
+  quadsFromLines,
+  suppressDuplicateQuads
+} from '../utils/quads';
+
+// The four sides of a quad as line segments
+function sides(corners) {
+  return corners.map((p, k) => {
+    const q = corners[(k + 1) % 4];
+    return { x1: p.x, y1: p.y, x2: q.x, y2: q.y };
+  });
+}
+
+describe('orderQuadCorners', () => {
+  it('should order corners clockwise from the top-left', () => {
+    const ordered = orderQuadCorners([
+      { x: 10, y: 50 }, { x: 90, y: 10 }, { x: 10, y: 10 }, { x: 90, y: 50 }
+    ]);
+    expect(ordered).toEqual([
+      { x: 10, y: 10 }, { x: 90, y: 10 }, { x: 90, y: 50 }, { x: 10, y: 50 }
+    ]);
+  });
+});
+
+describe('groupLineSegments', () => {
+  it('should merge broken collinear pieces into one line', () => {
+    const lines = groupLineSegments([
+      { x1: 0, y1: 10, x2: 40, y2: 10 },
+      { x1: 60, y1: 11, x2: 100, y2: 11 },
+      { x1: 0, y1: 40, x2: 30, y2: 40 }, // Parallel but elsewhere
+    ]);
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0].x1).toBeCloseTo(0, 0);
+    expect(lines[0].x2).toBeCloseTo(100, 0);
+  });
+
+  it('should keep pieces apart when the gap is too large', () => {
+    const lines = groupLineSegments([
+      { x1: 0, y1: 10, x2: 40, y2: 10 },
+      { x1: 200, y1: 10, x2: 240, y2: 10 },
+    ]);
+    expect(lines).toHaveLength(2);
+  });
+});
+
+describe('quadsFromLines', () => {
+  it('should close four lines into a rectangle', () => {
+    const rect = [{ x: 20, y: 30 }, { x: 120, y: 30 }, { x: 120, y: 100 }, { x: 20, y: 100 }];
+    const quads = quadsFromLines(sides(rect), 200, 200);
+
+    expect(quads).toHaveLength(1);
+    quads[0].forEach((p, k) => {
+      expect(p.x).toBeCloseTo(rect[k].x, 5);
+      expect(p.y).toBeCloseTo(rect[k].y, 5);
+    });
+  });
+
+  it('should find a poster seen at an angle from partial sides', () => {
+    const quad = [{ x: 40, y: 20 }, { x: 160, y: 40 }, { x: 150, y: 170 }, { x: 30, y: 150 }];
+    // Only the middle half of every side is visible
+    const partial = sides(quad).map(s => ({
+      x1: s.x1 + (s.x2 - s.x1) * 0.25,
+      y1: s.y1 + (s.y2 - s.y1) * 0.25,
+      x2: s.x1 + (s.x2 - s.x1) * 0.75,
+      y2: s.y1 + (s.y2 - s.y1) * 0.75
+    }));
+    const quads = quadsFromLines(partial, 200, 200);
+
+    expect(quads).toHaveLength(1);
+    quads[0].forEach((p, k) => {
+      expect(p.x).toBeCloseTo(quad[k].x, 5);
+      expect(p.y).toBeCloseTo(quad[k].y, 5);
+    });
+  });
+
+  it('should ignore quads smaller than minArea', () => {
+    const rect = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+    expect(quadsFromLines(sides(rect), 50, 50, { minArea: 400 })).toEqual([]);
+  });
+});
+
+describe('suppressDuplicateQuads', () => {
+  it('should drop quads whose corners match an earlier quad', () => {
+    const a = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+    const nearA = a.map(p => ({ x: p.x + 2, y: p.y + 1 }));
+    const inner = [{ x: 20, y: 20 }, { x: 80, y: 20 }, { x: 80, y: 80 }, { x: 20, y: 80 }];
+
+    expect(suppressDuplicateQuads([a, nearA, inner])).toEqual([a, inner]);
+  });
+});
+
+describe('detectQuadrilaterals', () => {
+  it('should throw without an image or OpenCV instance', () => {
+    expect(() => detectQuadrilaterals(null, cv)).toThrow('Invalid image or OpenCV instance');
+    expect(() => detectQuadrilaterals(new cv.Mat(10, 10), null)).toThrow();
+  });
+});
@@ -0,0 +1,76 @@
+// @vitest-environment node
+/**
+ * Unit tests for GrabCut selection refinement
+ *
+ * Argument handling runs against the mocked OpenCV.js from setup.js; GrabCut itself
+ * runs against the real OpenCV build from opencv-wasm.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import { refineRegionsWithGrabCut } from '../utils/refine';
+
+const realCv = createRequire(import.meta.url)('opencv-wasm').cv;
+
+// Grey 80x80 image with a dark blue disc of radius 18 at (40, 40)
+function createDiscImage() {
+  const image = new realCv.Mat(80, 80, realCv.CV_8UC4, new realCv.Scalar(200, 200, 200, 255));
+  realCv.circle(image, new realCv.Point(40, 40), 18, new realCv.Scalar(20, 40, 160, 255), -1);
+  return image;
+}
+
+// Rough rectangular selection from (x0, y0) to (x1, y1)
+function createRectRegion(x0, y0, x1, y1) {
+  const contour = realCv.matFromArray(4, 1, realCv.CV_32SC2, [x0, y0, x1, y0, x1, y1, x0, y1]);
+  return {
+    contour,
+    mask: null,
+    bounds: { x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 },
+    scaleFactor: 1,
+    selected: true
+  };
+}
+
+describe('refineRegionsWithGrabCut', () => {
+  it('should throw without an image or OpenCV instance', () => {
+    expect(() => refineRegionsWithGrabCut(null, [], cv)).toThrow('Invalid image or OpenCV instance');
+    expect(() => refineRegionsWithGrabCut(new cv.Mat(10, 10), [], null)).toThrow();
+  });
+
+  it('should return no regions when nothing is selected', () => {
+    const image = new cv.Mat(10, 10, cv.CV_8UC4);
+    expect(refineRegionsWithGrabCut(image, [], cv)).toEqual([]);
+    expect(refineRegionsWithGrabCut(image, null, cv)).toEqual([]);
+  });
+
+  it('should snap a rough rectangle to the outline of the shape under it', () => {
+    const image = createDiscImage();
+    // Corners stick out of the disc, edge midpoints fall short of it
+    const rough = createRectRegion(24, 24, 56, 56);
+
+    const refined = refineRegionsWithGrabCut(image, [rough], realCv);
+
+    expect(refined).toHaveLength(1);
+    const [region] = refined;
+    expect(region.selected).toBe(true);
+    expect(region.scaleFactor).toBe(1);
+    // Bounds grow from the selection (24..56) to the disc (22..58)
+    expect(region.bounds.x).toBeGreaterThanOrEqual(21);
+    expect(region.bounds.x).toBeLessThanOrEqual(23);
+    expect(region.bounds.x + region.bounds.width).toBeGreaterThanOrEqual(58);
+    expect(region.bounds.x + region.bounds.width).toBeLessThanOrEqual(60);
+    // Disc area is about 1018 pixels, the selection was 1024 but a different shape
+    const area = realCv.contourArea(region.contour);
+    expect(area).toBeGreaterThan(900);
+    expect(area).toBeLessThan(1150);
+    // Centre and edge midpoint in, selection corner out
+    expect(realCv.pointPolygonTest(region.contour, new realCv.Point(40, 40), false)).toBeGreaterThan(0);
+    expect(realCv.pointPolygonTest(region.contour, new realCv.Point(40, 23), false)).toBeGreaterThanOrEqual(0);
+    expect(realCv.pointPolygonTest(region.contour, new realCv.Point(24, 24), false)).toBeLessThan(0);
+    expect(region.avgColor.b).toBeGreaterThan(120);
+
+    refined.forEach(r => { r.contour.delete(); r.mask.delete(); });
+    rough.contour.delete();
+    image.delete();
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { computeRegionStats, summarizeRegionStats } from '../utils/regionStats';
+
+// Rectangle region stored at the given scale
+function makeRectRegion(x, y, width, height, scaleFactor = 1) {
+  const mask = new cv.Mat(height, width, cv.CV_8U);
+  mask.data.fill(255);
+  const contour = new cv.Mat(4, 1, cv.CV_32SC2);
+  contour.data32S.set([x, y, x + width, y, x + width, y + height, x, y + height]);
+  return {
+    contour,
+    mask,
+    bounds: { x, y, width, height },
+    scaleFactor,
+    avgColor: { r: 10.4, g: 200.6, b: 30 },
+    adjacentIndices: [3, 4]
+  };
+}
+
+describe('computeRegionStats', () => {
+  it('should measure a full-resolution region', () => {
+    const stats = computeRegionStats(makeRectRegion(10, 20, 4, 2));
+
+    expect(stats.area).toBe(8);
+    expect(stats.perimeter).toBe(12);
+    expect(stats.centroid).toEqual({ x: 12, y: 21 });
+    expect(stats.bounds).toEqual({ x: 10, y: 20, width: 4, height: 2 });
+    expect(stats.color).toEqual({ r: 10, g: 201, b: 30 });
+    expect(stats.neighborCount).toBe(2);
+  });
+
+  it('should report downscaled regions in original-image pixels', () => {
+    const stats = computeRegionStats(makeRectRegion(5, 10, 4, 2, 0.5));
+
+    expect(stats.area).toBe(32);
+    expect(stats.perimeter).toBe(24);
+    expect(stats.centroid).toEqual({ x: 14, y: 22 });
+    expect(stats.bounds).toEqual({ x: 10, y: 20, width: 8, height: 4 });
+  });
+
+  it('should only count mask pixels that are set', () => {
+    const region = makeRectRegion(0, 0, 2, 2);
+    region.mask.data.set([255, 0, 0, 0]);
+    const stats = computeRegionStats(region);
+
+    expect(stats.area).toBe(1);
+    expect(stats.centroid).toEqual({ x: 0.5, y: 0.5 });
+  });
+});
+
+describe('summarizeRegionStats', () => {
+  it('should sum areas and weight the color by area', () => {
+    const a = { ...computeRegionStats(makeRectRegion(0, 0, 2, 2)), color: { r: 0, g: 0, b: 0 } };
+    const b = { ...computeRegionStats(makeRectRegion(10, 0, 6, 2)), color: { r: 100, g: 0, b: 0 } };
+    const summary = summarizeRegionStats([a, b]);
+
+    expect(summary.count).toBe(2);
+    expect(summary.area).toBe(16);
+    expect(summary.color.r).toBe(75);
+    expect(summary.bounds).toEqual({ x: 0, y: 0, width: 16, height: 2 });
+  });
+
+  it('should return null without regions', () => {
+    expect(summarizeRegionStats([])).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for region transfer (worker <-> main thread) utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  serializeRegions,
+  deserializeRegions,
+  serializeSegmentationResult,
+  deserializeSegmentationResult,
+  serializeImage
+} from '../utils/regionTransfer';
+
+function makeRegion() {
+  const contour = new cv.Mat(3, 1, cv.CV_32SC2);
+  contour.data32S.set([1, 2, 10, 2, 10, 12]);
+  const mask = new cv.Mat(11, 10, cv.CV_8U);
+  mask.data.fill(255);
+  return {
+    contour,
+    mask,
+    bounds: { x: 1, y: 2, width: 10, height: 11 },
+    scaleFactor: 0.5,
+    selected: true,
+    label: 7,
+    avgColor: { r: 10, g: 20, b: 30 },
+    adjacentIndices: [1, 2]
+  };
+}
+
+describe('serializeRegions / deserializeRegions', () => {
+  it('should round-trip contour, mask and plain properties', () => {
+    const region = makeRegion();
+    const { regions: serialized } = serializeRegions([region]);
+    const [restored] = deserializeRegions(serialized, cv);
+
+    expect(Array.from(restored.contour.data32S)).toEqual([1, 2, 10, 2, 10, 12]);
+    expect(restored.contour.rows).toBe(3);
+    expect(restored.mask.rows).toBe(11);
+    expect(restored.mask.cols).toBe(10);
+    expect(restored.mask.data.every(v => v === 255)).toBe(true);
+    expect(restored.bounds).toEqual(region.bounds);
+    expect(restored.scaleFactor).toBe(0.5);
+    expect(restored.selected).toBe(true);
+    expect(restored.label).toBe(7);
+    expect(restored.avgColor).toEqual(region.avgColor);
+    expect(restored.adjacentIndices).toEqual([1, 2]);
+  });
+
+  it('should copy data so the source Mats can be deleted', () => {
+    const region = makeRegion();
+    const { regions: serialized } = serializeRegions([region]);
+    region.contour.data32S.fill(0);
+    region.mask.data.fill(0);
+
+    expect(Array.from(serialized[0].contour)).toEqual([1, 2, 10, 2, 10, 12]);
+    expect(serialized[0].mask.data[0]).toBe(255);
+  });
+
+  it('should list one transferable buffer per typed array', () => {
+    const { transfer } = serializeRegions([makeRegion(), makeRegion()]);
+    expect(transfer).toHaveLength(4);
+    transfer.forEach(buffer => expect(buffer).toBeInstanceOf(ArrayBuffer));
+  });
+});
+
+describe('serializeSegmentationResult', () => {
+  it('should include the edge map', () => {
+    const edgeMap = new cv.Mat(4, 5, cv.CV_8U);
+    edgeMap.data[3] = 200;
+    const { result, transfer } = serializeSegmentationResult({ regions: [makeRegion()], edgeMap });
+    expect(transfer).toHaveLength(3);
+
+    const restored = deserializeSegmentationResult(result, cv);
+    expect(restored.regions).toHaveLength(1);
+    expect(restored.edgeMap.rows).toBe(4);
+    expect(restored.edgeMap.cols).toBe(5);
+    expect(restored.edgeMap.data[3]).toBe(200);
+  });
+
+  it('should handle a missing edge map', () => {
+    const { result } = serializeSegmentationResult({ regions: [], edgeMap: null });
+    const restored = deserializeSegmentationResult(result, cv);
+    expect(restored.regions).toEqual([]);
+    expect(restored.edgeMap).toBeNull();
+    expect(restored.labelMap).toBeNull();
+    expect(restored.mergeTree).toBeNull();
+    expect(restored.debug).toBeNull();
+  });
+
+  it('should pass the merge tree through and transfer its typed arrays', () => {
+    const mergeTree = {
+      width: 2,
+      height: 1,
+      scaleFactor: 1,
+      leafLabels: Int32Array.from([1, 2]),
+      leaves: Int32Array.from([1, 2]),
+      mergeDistance: Float32Array.from([3.5])
+    };
+    const { result, transfer } = serializeSegmentationResult({ regions: [], edgeMap: null, mergeTree });
+    expect(transfer).toContain(mergeTree.leafLabels.buffer);
+    expect(transfer).toContain(mergeTree.mergeDistance.buffer);
+    expect(transfer).toHaveLength(3);
+
+    const restored = deserializeSegmentationResult(result, cv);
+    expect(restored.mergeTree.width).toBe(2);
+    expect(Array.from(restored.mergeTree.leaves)).toEqual([1, 2]);
+  });
+
+  it('should pass debug layers through and transfer each buffer once', () => {
+    const shared = new Uint8Array(4);
+    const debug = {
+      width: 2,
+      height: 2,
+      scaleFactor: 1,
+      layers: { gradient: shared, canny: shared, labels: Int32Array.from([1, 1, 2, 2]) }
+    };
+    const { result, transfer } = serializeSegmentationResult({ regions: [], edgeMap: null, debug });
+    expect(transfer).toHaveLength(2);
+    expect(transfer).toContain(debug.layers.labels.buffer);
+
+    const restored = deserializeSegmentationResult(result, cv);
+    expect(restored.debug.width).toBe(2);
+    expect(Array.from(restored.debug.layers.labels)).toEqual([1, 1, 2, 2]);
+  });
+});
+
+describe('serializeImage / deserializeImage', () => {
+  it('should round-trip image dimensions and pixels', () => {
+    const image = new cv.Mat(2, 3, cv.CV_8UC4);
+    image.data = new Uint8Array(2 * 3 * 4).map((_, i) => i);
+    const { image: serialized, transfer } = serializeImage(image);
+    expect(transfer).toHaveLength(1);
+    expect(serialized.rows).toBe(2);
+    expect(serialized.cols).toBe(3);
+    expect(serialized.data[5]).toBe(5);
+  });
+});
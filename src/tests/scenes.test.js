@@ -0,0 +1,137 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import {
+  captureScene,
+  applyScene,
+  upgradeScenes,
+  uniqueSceneName,
+  createScene,
+  duplicateScene,
+  moveScene,
+  sceneFileName
+} from '../utils/scenes';
+import { buildLabelMap, rebuildRegionMask } from '../utils/segmentation';
+
+const realCv = createRequire(import.meta.url)('opencv-wasm').cv;
+
+// 80x40 image; only its size matters
+const image = new realCv.Mat(40, 80, realCv.CV_8UC4);
+
+// Rectangle region covering x0..x1, y0..y1 (inclusive) in original pixels
+function rectRegion(x0, y0, x1, y1, extra = {}) {
+  const contour = new realCv.Mat(4, 1, realCv.CV_32SC2);
+  contour.data32S.set([x0, y0, x1, y0, x1, y1, x0, y1]);
+  const region = { contour, mask: null, scaleFactor: 1, selected: false, ...extra };
+  rebuildRegionMask(region, realCv);
+  return region;
+}
+
+const strokes = [{ type: 'white', points: [{ x: 1, y: 2 }], size: 5 }];
+
+describe('scenes', () => {
+  it('should capture the outlines, lights and margins of the lit regions', () => {
+    const regions = [
+      rectRegion(0, 0, 39, 39, { selected: true, color: '#ff0000', intensity: 50 }),
+      rectRegion(40, 0, 79, 39, { margin: 3 })
+    ];
+    // Downscaled regions are stored in original pixels
+    const half = new realCv.Mat(3, 1, realCv.CV_32SC2);
+    half.data32S.set([5, 5, 10, 5, 10, 9]);
+    regions.push({ contour: half, scaleFactor: 0.5, selected: true, margin: -2, holes: [Int32Array.from([6, 6, 7, 6, 7, 7])] });
+
+    const scene = captureScene(regions, strokes);
+
+    expect(scene.lit).toEqual([
+      { outline: [0, 0, 39, 0, 39, 39, 0, 39], color: '#ff0000', intensity: 50 },
+      { outline: [10, 10, 20, 10, 20, 18], holes: [[12, 12, 14, 12, 14, 14]], margin: -2 }
+    ]);
+    expect(scene.strokes).toEqual(strokes);
+    expect(scene.strokes[0].points).not.toBe(strokes[0].points);
+    expect(JSON.parse(JSON.stringify(scene))).toEqual(scene);
+  });
+
+  it('should apply a scene to copies of the regions', () => {
+    const regions = [
+      rectRegion(0, 0, 39, 39, { selected: true, color: '#ff0000' }),
+      rectRegion(40, 0, 79, 39)
+    ];
+    const scene = captureScene([{ ...regions[0], selected: false }, { ...regions[1], selected: true, color: '#00ff00', margin: 4 }], []);
+
+    const applied = applyScene(scene, regions, image, realCv);
+
+    expect(applied.map(r => r.selected)).toEqual([false, true]);
+    expect(applied[0].color).toBeUndefined();
+    expect(applied[1]).toMatchObject({ selected: true, color: '#00ff00', margin: 4 });
+    expect(applied[1].contour).toBe(regions[1].contour);
+    expect(regions[0].selected).toBe(true);
+    expect(regions[0].color).toBe('#ff0000');
+    expect(regions[1].selected).toBe(false);
+  });
+
+  it('should keep lighting the same areas after the regions changed', () => {
+    // Captured over two halves, applied to four strips
+    const halves = [
+      rectRegion(0, 0, 39, 39, { selected: true, color: '#ff8000', intensity: 60 }),
+      rectRegion(40, 0, 79, 39)
+    ];
+    const scene = captureScene(halves, []);
+    const strips = [0, 20, 40, 60].map(x => rectRegion(x, 0, x + 19, 39));
+
+    const applied = applyScene(scene, strips, image, realCv, buildLabelMap(strips, 80, 40, 1));
+
+    expect(applied.map(r => r.selected)).toEqual([true, true, false, false]);
+    expect(applied[1]).toMatchObject({ color: '#ff8000', intensity: 60 });
+    expect(applied[2].color).toBeUndefined();
+  });
+
+  it('should judge regions by the pixels they own', () => {
+    // A region added on top of most of another one; only the top one was lit
+    const regions = [
+      rectRegion(0, 0, 79, 39),
+      rectRegion(0, 0, 59, 39, { selected: true })
+    ];
+    const scene = captureScene(regions, []);
+    const reordered = [regions[0], { ...regions[1], selected: false }];
+
+    const applied = applyScene(scene, reordered, image, realCv, buildLabelMap(reordered, 80, 40, 1));
+
+    expect(applied.map(r => r.selected)).toEqual([false, true]);
+  });
+
+  it('should upgrade scenes saved with one state per region', () => {
+    const regions = [rectRegion(0, 0, 39, 39, { color: '#123456' }), rectRegion(40, 0, 79, 39)];
+    const legacy = { id: 1, name: 'Old', regions: [{ selected: false }, { selected: true, margin: 2 }], strokes };
+    const current = { id: 2, name: 'New', lit: [], strokes: [] };
+
+    const [upgraded, untouched] = upgradeScenes([legacy, current], regions);
+
+    expect(upgraded).toEqual({ id: 1, name: 'Old', lit: [{ outline: [40, 0, 79, 0, 79, 39, 40, 39], margin: 2 }], strokes });
+    expect(untouched).toBe(current);
+    expect(applyScene(upgraded, regions, image, realCv).map(r => r.selected)).toEqual([false, true]);
+  });
+
+  it('should name, duplicate and reorder scenes', () => {
+    const regions = [rectRegion(0, 0, 39, 39, { selected: true })];
+    let scenes = [createScene([], regions, strokes)];
+    scenes.push(createScene(scenes, regions, []));
+    expect(scenes.map(s => [s.id, s.name])).toEqual([[1, 'Scene 1'], [2, 'Scene 2']]);
+
+    scenes = duplicateScene(scenes, 1);
+    expect(scenes.map(s => s.name)).toEqual(['Scene 1', 'Scene 1 copy 1', 'Scene 2']);
+    expect(scenes[1].id).toBe(3);
+    expect(scenes[1].lit).toEqual(scenes[0].lit);
+    expect(scenes[1].lit[0]).not.toBe(scenes[0].lit[0]);
+    expect(scenes[1].strokes[0]).not.toBe(scenes[0].strokes[0]);
+    expect(() => duplicateScene(scenes, 9)).toThrow('No scene with id 9');
+
+    expect(moveScene(scenes, 2, -5).map(s => s.id)).toEqual([2, 1, 3]);
+    expect(moveScene(scenes, 1, 1).map(s => s.id)).toEqual([3, 1, 2]);
+    expect(uniqueSceneName([{ name: 'Scene 1' }, { name: 'Scene 3' }])).toBe('Scene 2');
+  });
+
+  it('should make safe file names', () => {
+    expect(sceneFileName('  Gala Dinner / Act 2 ')).toBe('gala-dinner-act-2');
+    expect(sceneFileName('***')).toBe('scene');
+  });
+});
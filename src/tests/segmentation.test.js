@@ -14,6 +14,21 @@ import {
   densifyContour,
   rebuildRegionMask,
   selectSimilarRegions,
+  computeLabelAdjacency,
+  mergeTreeLevel,
+  mergeThresholdForCount,
+  tuningReachedTarget,
+  restoreSelectionFromMask,
+  buildLabelMap,
+  assignRegionAdjacency,
+  refreshRegionAdjacency,
+  findRegionsInRadius,
+  planTiles,
+  stitchTileLabels,
+  refineRegionBoundaries,
+  rasterizeScribbles,
+  segmentImage,
+  LABEL_PAIR_BASE,
 } from '../utils/segmentation';
 
 describe('Segmentation Utilities', () => {
@@ -659,6 +674,53 @@ describe('selectSimilarRegions', () => {
     expect(result).not.toContain(2);
   });
 
+  it('should measure Delta E 2000 with the deltaE2000 metric', () => {
+    const regions = [
+      { avgColor: { r: 100, g: 100, b: 100 }, adjacentIndices: [1] },
+      { avgColor: { r: 110, g: 100, b: 100 }, adjacentIndices: [0, 2] },
+      { avgColor: { r: 120, g: 100, b: 100 }, adjacentIndices: [1] },
+    ];
+
+    // Delta E 2000 from the start color: ~5.4 and ~9.8
+    const result = selectSimilarRegions(0, regions, 8, { colorMetric: 'deltaE2000' });
+    expect(result).toContain(0);
+    expect(result).toContain(1);
+    expect(result).not.toContain(2);
+  });
+
+  it('should select shaded parts of one surface with the chroma metric', () => {
+    const regions = [
+      { avgColor: { r: 230, g: 230, b: 230 }, adjacentIndices: [1, 2] },
+      { avgColor: { r: 90, g: 90, b: 90 }, adjacentIndices: [0] }, // Same wall in shadow
+      { avgColor: { r: 230, g: 200, b: 120 }, adjacentIndices: [0] }, // Yellow poster
+    ];
+
+    expect(selectSimilarRegions(0, regions, 10)).toEqual([0]);
+    expect(selectSimilarRegions(0, regions, 10, { colorMetric: 'chroma' })).toEqual([0, 1]);
+  });
+
+  it('should blend texture into the similarity with textureWeight', () => {
+    const flat = new Float32Array([1, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    const striped = new Float32Array([0, 0, 0, 0.5, 0, 0.5, 0, 0, 0, 0]);
+    const regions = [
+      { avgColor: { r: 100, g: 100, b: 100 }, texture: flat, adjacentIndices: [1, 2] },
+      { avgColor: { r: 100, g: 100, b: 100 }, texture: striped, adjacentIndices: [0] }, // Same color, other pattern
+      { avgColor: { r: 100, g: 100, b: 100 }, texture: flat, adjacentIndices: [0] },
+    ];
+
+    expect(selectSimilarRegions(0, regions, 10)).toEqual([0, 1, 2]);
+    expect(selectSimilarRegions(0, regions, 10, { textureWeight: 0.5 })).toEqual([0, 2]);
+  });
+
+  it('should prefer a stored Lab color over avgColor', () => {
+    const regions = [
+      { avgColor: { r: 0, g: 0, b: 0 }, avgLab: { l: 50, a: 0, b: 0 }, adjacentIndices: [1] },
+      { avgColor: { r: 255, g: 255, b: 255 }, avgLab: { l: 51, a: 0, b: 0 }, adjacentIndices: [0] },
+    ];
+
+    expect(selectSimilarRegions(0, regions, 5, { colorMetric: 'deltaE2000' })).toEqual([0, 1]);
+  });
+
   it('should handle region without avgColor', () => {
     const regions = [{ adjacentIndices: [] }];
     const result = selectSimilarRegions(0, regions, 20);
@@ -671,6 +733,455 @@ describe('selectSimilarRegions', () => {
 // These verify the core requirements for segment quality
 // ============================================================
 
+describe('computeLabelAdjacency', () => {
+  it('should report each touching label pair once, smaller label first', () => {
+    // 1 1 2
+    // 3 3 2
+    const labels = new Int32Array([1, 1, 2, 3, 3, 2]);
+    const pairs = computeLabelAdjacency(labels, 3, 2);
+
+    expect([...pairs].sort((a, b) => a - b)).toEqual([
+      1 * LABEL_PAIR_BASE + 2,
+      1 * LABEL_PAIR_BASE + 3,
+      2 * LABEL_PAIR_BASE + 3
+    ]);
+  });
+
+  it('should ignore diagonal contact', () => {
+    // 1 2
+    // 3 1
+    const labels = new Int32Array([1, 2, 3, 1]);
+    const pairs = computeLabelAdjacency(labels, 2, 2);
+
+    expect(pairs.has(1 * LABEL_PAIR_BASE + 2)).toBe(true);
+    expect(pairs.has(1 * LABEL_PAIR_BASE + 3)).toBe(true);
+    expect(pairs.has(2 * LABEL_PAIR_BASE + 3)).toBe(false);
+  });
+});
+
+describe('Region adjacency', () => {
+  function makeBlockRegion(x, y, width, height) {
+    const mask = new cv.Mat(height, width, cv.CV_8U);
+    mask.data.fill(255);
+    return { bounds: { x, y, width, height }, mask, scaleFactor: 1, selected: false, adjacentIndices: [] };
+  }
+
+  // 4x2 RGBA image: left half red, right half blue
+  function makeImage() {
+    const data = new Uint8Array(4 * 2 * 4);
+    for (let i = 0; i < 8; i++) {
+      const blue = i % 4 >= 2;
+      data.set(blue ? [0, 0, 255, 255] : [255, 0, 0, 255], i * 4);
+    }
+    return { cols: 4, rows: 2, data, channels: () => 4 };
+  }
+
+  it('should connect regions that share a boundary in the label map', () => {
+    // 0 0 1 1
+    // 2 2 2 -
+    const regions = [{}, {}, {}];
+    assignRegionAdjacency(regions, { data: Int32Array.from([0, 0, 1, 1, 2, 2, 2, -1]), width: 4, height: 2 });
+
+    expect(regions[0].adjacentIndices.sort()).toEqual([1, 2]);
+    expect(regions[1].adjacentIndices.sort()).toEqual([0, 2]);
+    expect(regions[2].adjacentIndices.sort()).toEqual([0, 1]);
+  });
+
+  it('should not connect regions separated by uncovered pixels', () => {
+    const regions = [{}, {}];
+    assignRegionAdjacency(regions, { data: Int32Array.from([0, -1, 1]), width: 3, height: 1 });
+
+    expect(regions[0].adjacentIndices).toEqual([]);
+    expect(regions[1].adjacentIndices).toEqual([]);
+  });
+
+  it('should rebuild adjacency and colors without touching the given region objects', () => {
+    const stale = { ...makeBlockRegion(0, 0, 2, 2), avgColor: { r: 1, g: 2, b: 3 } };
+    const added = { ...makeBlockRegion(2, 0, 2, 2), avgColor: { r: 1, g: 2, b: 3 } };
+    const { regions, labelMap } = refreshRegionAdjacency(makeImage(), [stale, added], [1]);
+
+    expect(regions[0].adjacentIndices).toEqual([1]);
+    expect(regions[1].adjacentIndices).toEqual([0]);
+    // The new region and its neighbor are re-measured
+    expect(regions[0].avgColor).toEqual({ r: 255, g: 0, b: 0 });
+    expect(regions[1].avgColor).toEqual({ r: 0, g: 0, b: 255 });
+    expect(regions[1].avgLab.b).toBeLessThan(0);
+    // Mats are shared, objects are not
+    expect(regions[1].mask).toBe(added.mask);
+    expect(added.adjacentIndices).toEqual([]);
+    expect(added.avgColor).toEqual({ r: 1, g: 2, b: 3 });
+    expect(Array.from(labelMap.counts)).toEqual([4, 4]);
+  });
+});
+
+describe('mergeTreeLevel', () => {
+  const mergeTree = { mergeDistance: Float32Array.from([1, 4, 4, 9, 20]) };
+
+  it('should count merges strictly below the threshold', () => {
+    expect(mergeTreeLevel(mergeTree, 0)).toBe(0);
+    expect(mergeTreeLevel(mergeTree, 1)).toBe(0);
+    expect(mergeTreeLevel(mergeTree, 4)).toBe(1);
+    expect(mergeTreeLevel(mergeTree, 5)).toBe(3);
+    expect(mergeTreeLevel(mergeTree, 100)).toBe(5);
+  });
+
+  it('should handle a tree without merges', () => {
+    expect(mergeTreeLevel({ mergeDistance: new Float32Array(0) }, 50)).toBe(0);
+  });
+});
+
+describe('mergeThresholdForCount', () => {
+  // 10 leaves: 10 regions below threshold 2, 9 up to 4, 7 up to 9, 6 up to 20, then 5
+  const mergeTree = { leaves: new Int32Array(10), mergeDistance: Float32Array.from([1, 4, 4, 9, 20]) };
+
+  it('should hit a reachable count with the lowest threshold', () => {
+    expect(mergeThresholdForCount(mergeTree, 7)).toEqual({ mergeThreshold: 5, regionCount: 7 });
+    expect(mergeThresholdForCount(mergeTree, 10)).toEqual({ mergeThreshold: 0, regionCount: 10 });
+  });
+
+  it('should prefer the lower threshold when both neighbors are equally close', () => {
+    expect(mergeThresholdForCount(mergeTree, 8)).toEqual({ mergeThreshold: 2, regionCount: 9 });
+  });
+
+  it('should settle for the closest count outside the reachable range', () => {
+    expect(mergeThresholdForCount(mergeTree, 2)).toEqual({ mergeThreshold: 21, regionCount: 5 });
+    expect(mergeThresholdForCount(mergeTree, 50)).toEqual({ mergeThreshold: 0, regionCount: 10 });
+  });
+});
+
+describe('tuningReachedTarget', () => {
+  it('should accept counts within a factor of 1.5 of the target either way', () => {
+    expect(tuningReachedTarget(300, 300)).toBe(true);
+    expect(tuningReachedTarget(450, 300)).toBe(true);
+    expect(tuningReachedTarget(200, 300)).toBe(true);
+  });
+
+  it('should flag counts the settings could not bring near the target', () => {
+    expect(tuningReachedTarget(9777, 300)).toBe(false);
+    expect(tuningReachedTarget(451, 300)).toBe(false);
+    expect(tuningReachedTarget(199, 300)).toBe(false);
+  });
+});
+
+describe('refineRegionBoundaries', () => {
+  // Square region in half-resolution coordinates covering working pixels 10-19
+  function createDownscaledSquare() {
+    const contour = new cv.Mat(4, 1, cv.CV_32SC2);
+    contour.data32S.set([10, 10, 19, 10, 19, 19, 10, 19]);
+    return {
+      contour,
+      mask: new cv.Mat(10, 10, cv.CV_8U),
+      bounds: { x: 10, y: 10, width: 10, height: 10 },
+      scaleFactor: 0.5,
+      selected: true,
+      label: 7,
+      pixelCount: 100,
+      avgColor: { r: 1, g: 2, b: 3 },
+      adjacentIndices: [1]
+    };
+  }
+
+  function contourXs(contour) {
+    const xs = [];
+    for (let i = 0; i < contour.rows; i++) xs.push(contour.data32S[i * 2]);
+    return xs;
+  }
+
+  it('should snap the boundary to a nearby full-resolution edge', () => {
+    const image = new cv.Mat(60, 60, cv.CV_8UC4);
+    const gradient = new cv.Mat(60, 60, cv.CV_8U);
+    for (let y = 0; y < 60; y++) gradient.data[y * 60 + 40] = 255; // Edge just right of the region
+    const region = createDownscaledSquare();
+    const oldContour = region.contour;
+    const oldMask = region.mask;
+
+    const [refined] = refineRegionBoundaries(image, [region], cv, { gradient });
+    const xs = contourXs(refined.contour);
+
+    expect(refined.scaleFactor).toBe(1);
+    expect(Math.max(...xs)).toBe(40);
+    // No edge on the left: the side moves out to the border of its downscaled pixel
+    expect(Math.min(...xs)).toBe(20);
+    expect(refined.bounds.x).toBe(20);
+    expect(oldContour.isDeleted()).toBe(true);
+    expect(oldMask.isDeleted()).toBe(true);
+    expect(gradient.isDeleted()).toBe(false);
+  });
+
+  it('should keep region identity and pass full-resolution regions through', () => {
+    const image = new cv.Mat(60, 60, cv.CV_8UC4);
+    const gradient = new cv.Mat(60, 60, cv.CV_8U);
+    const fullRes = { ...createDownscaledSquare(), scaleFactor: 1 };
+    const region = createDownscaledSquare();
+
+    const result = refineRegionBoundaries(image, [fullRes, region], cv, { gradient });
+
+    expect(result[0]).toBe(fullRes);
+    expect(result[1]).not.toBe(region);
+    expect(result[1].label).toBe(7);
+    expect(result[1].pixelCount).toBe(100);
+    expect(result[1].selected).toBe(true);
+    expect(result[1].adjacentIndices).toEqual([1]);
+  });
+
+  it('should return the same list when nothing is downscaled', () => {
+    const image = new cv.Mat(60, 60, cv.CV_8UC4);
+    const regions = [{ ...createDownscaledSquare(), scaleFactor: 1 }];
+    expect(refineRegionBoundaries(image, regions, cv)).toBe(regions);
+  });
+});
+
+describe('Tiled segmentation', () => {
+  // Fill a tile's labels from a function of image coordinates
+  function labelTile(tile, labelAt) {
+    tile.labels = new Int32Array(tile.width * tile.height);
+    for (let y = 0; y < tile.height; y++) {
+      for (let x = 0; x < tile.width; x++) {
+        tile.labels[y * tile.width + x] = labelAt(tile.x + x, tile.y + y);
+      }
+    }
+    return tile;
+  }
+
+  it('should use a single tile when the image fits', () => {
+    const tiles = planTiles(300, 200, 1024, 32);
+    expect(tiles).toEqual([
+      { x: 0, y: 0, width: 300, height: 200, core: { x0: 0, y0: 0, x1: 300, y1: 200 } }
+    ]);
+  });
+
+  it('should plan overlapping tiles whose cores partition the image', () => {
+    const width = 2500;
+    const height = 1100;
+    const tiles = planTiles(width, height, 1024, 32);
+    const covered = new Uint8Array(width * height);
+
+    for (const tile of tiles) {
+      expect(tile.width).toBeLessThanOrEqual(1024);
+      expect(tile.height).toBeLessThanOrEqual(1024);
+      expect(tile.core.x0).toBeGreaterThanOrEqual(tile.x);
+      expect(tile.core.x1).toBeLessThanOrEqual(tile.x + tile.width);
+      expect(tile.core.y0).toBeGreaterThanOrEqual(tile.y);
+      expect(tile.core.y1).toBeLessThanOrEqual(tile.y + tile.height);
+      for (let y = tile.core.y0; y < tile.core.y1; y++) {
+        for (let x = tile.core.x0; x < tile.core.x1; x++) covered[y * width + x]++;
+      }
+    }
+
+    expect(tiles.length).toBe(3 * 2);
+    expect(covered.every(c => c === 1)).toBe(true);
+  });
+
+  it('should reject an overlap that leaves no tile core', () => {
+    expect(() => planTiles(2000, 2000, 64, 32)).toThrow();
+  });
+
+  it('should join a region that crosses a tile seam', () => {
+    // Two tiles side by side; the left half of the image is one region,
+    // the right half another, and both tiles see both halves in the overlap
+    const width = 40;
+    const height = 10;
+    const tiles = planTiles(width, height, 24, 8);
+    expect(tiles.length).toBe(2);
+    labelTile(tiles[0], (x) => (x < 20 ? 1 : 2));
+    labelTile(tiles[1], (x) => (x < 20 ? 5 : 7));
+
+    const labels = stitchTileLabels(tiles, width, height);
+
+    expect(new Set(labels).size).toBe(2);
+    for (let y = 0; y < height; y++) {
+      expect(labels[y * width + 2]).toBe(labels[y * width + 19]);
+      expect(labels[y * width + 20]).toBe(labels[y * width + 37]);
+      expect(labels[y * width + 19]).not.toBe(labels[y * width + 20]);
+    }
+  });
+
+  it('should keep labels apart when neither mostly covers the other', () => {
+    // Inside the overlap the left tile splits the image into top and bottom
+    // halves, the right tile into left and right halves
+    const width = 40;
+    const height = 10;
+    const tiles = planTiles(width, height, 24, 8);
+    labelTile(tiles[0], (x, y) => (y < 5 ? 1 : 2));
+    labelTile(tiles[1], (x) => (x < 20 ? 1 : 2));
+
+    const labels = stitchTileLabels(tiles, width, height);
+
+    expect(new Set(labels).size).toBe(3);
+    expect(labels[0]).not.toBe(labels[(height - 1) * width]);
+    expect(labels[0]).not.toBe(labels[width - 1]);
+    expect(labels[(height - 1) * width]).not.toBe(labels[width - 1]);
+  });
+
+  it('should join a label lying mostly within a label of the other tile', () => {
+    // The right tile splits what the left tile sees as one region
+    const width = 40;
+    const height = 10;
+    const tiles = planTiles(width, height, 24, 8);
+    labelTile(tiles[0], () => 1);
+    labelTile(tiles[1], (x, y) => (y < 5 ? 1 : 2));
+
+    const labels = stitchTileLabels(tiles, width, height);
+
+    expect(new Set(labels).size).toBe(1);
+  });
+
+  it('should number stitched labels from 1 without gaps', () => {
+    const width = 50;
+    const height = 50;
+    const tiles = planTiles(width, height, 24, 8);
+    tiles.forEach(tile => labelTile(tile, (x, y) => 100 + (x >> 3) + (y >> 3) * 7));
+
+    const labels = stitchTileLabels(tiles, width, height);
+    const distinct = [...new Set(labels)].sort((a, b) => a - b);
+
+    expect(distinct[0]).toBe(1);
+    expect(distinct[distinct.length - 1]).toBe(distinct.length);
+    // 8px blocks: 7 columns x 7 rows, each continuous across seams
+    expect(distinct.length).toBe(49);
+  });
+});
+
+describe('Scribble segmentation', () => {
+  it('should rasterize strokes as scribble label + 1 markers', () => {
+    const markers = rasterizeScribbles([
+      { label: 0, points: [{ x: 0, y: 0 }, { x: 9, y: 0 }], size: 1 },
+      { label: 2, points: [{ x: 5, y: 5 }], size: 3 },
+    ], 10, 10);
+
+    for (let x = 0; x < 10; x++) expect(markers[x]).toBe(1);
+    expect(markers[5 * 10 + 5]).toBe(3);
+    expect(markers[4 * 10 + 5]).toBe(3); // Within the 1.5px radius
+    expect(markers[3 * 10 + 5]).toBe(0);
+  });
+
+  it('should scale strokes to the working resolution and keep thin strokes visible', () => {
+    const markers = rasterizeScribbles([
+      { label: 1, points: [{ x: 10, y: 10 }, { x: 30, y: 10 }], size: 1 },
+    ], 20, 20, 0.5);
+
+    for (let x = 5; x <= 15; x++) expect(markers[5 * 20 + x]).toBe(2);
+    expect(markers[5 * 20 + 17]).toBe(0);
+  });
+
+  it('should let later strokes paint over earlier ones', () => {
+    const markers = rasterizeScribbles([
+      { label: 1, points: [{ x: 2, y: 2 }], size: 2 },
+      { label: 0, points: [{ x: 2, y: 2 }], size: 2 },
+    ], 5, 5);
+    expect(markers[2 * 5 + 2]).toBe(1); // Background (0 + 1)
+  });
+
+  it('should require an object scribble', () => {
+    const image = new cv.Mat(10, 10, cv.CV_8UC4);
+    expect(() => segmentImage(image, 5, 20, cv, 10, {
+      method: 'scribbles',
+      scribbles: [{ label: 0, points: [{ x: 1, y: 1 }], size: 2 }]
+    })).toThrow('at least one object scribble');
+  });
+});
+
+describe('restoreSelectionFromMask', () => {
+  // Minimal stand-in for a CV_8UC1 Mat backed by a function
+  const fakeMat = (rows, cols, valueAt) => ({ rows, cols, ucharAt: (y, x) => valueAt(x, y) });
+
+  it('should select regions that mostly lie inside the mask', () => {
+    // Selection covers the left half of a 20x10 image
+    const selectionMask = fakeMat(10, 20, x => (x < 10 ? 255 : 0));
+    const regions = [
+      { bounds: { x: 0, y: 0, width: 8, height: 10 }, mask: fakeMat(10, 8, () => 255), scaleFactor: 1, selected: false },
+      { bounds: { x: 12, y: 0, width: 8, height: 10 }, mask: fakeMat(10, 8, () => 255), scaleFactor: 1, selected: false }
+    ];
+
+    const count = restoreSelectionFromMask(regions, selectionMask);
+
+    expect(count).toBe(1);
+    expect(regions[0].selected).toBe(true);
+    expect(regions[1].selected).toBe(false);
+  });
+
+  it('should map downscaled region coordinates to the original image', () => {
+    // Region at half resolution: working x 6..9 -> original x 12..19 (unselected half)
+    const selectionMask = fakeMat(10, 20, x => (x < 10 ? 255 : 0));
+    const regions = [
+      { bounds: { x: 6, y: 0, width: 4, height: 5 }, mask: fakeMat(5, 4, () => 255), scaleFactor: 0.5, selected: false }
+    ];
+
+    expect(restoreSelectionFromMask(regions, selectionMask)).toBe(0);
+    expect(regions[0].selected).toBe(false);
+  });
+});
+
+describe('Label map', () => {
+  // Region whose cropped mask is fully set
+  function makeBlockRegion(x, y, width, height, scaleFactor = 1) {
+    const mask = new cv.Mat(height, width, cv.CV_8U);
+    mask.data.fill(255);
+    return { bounds: { x, y, width, height }, mask, scaleFactor, selected: false };
+  }
+
+  it('should rasterize region indices with later regions on top', () => {
+    const regions = [
+      makeBlockRegion(0, 0, 4, 4),
+      makeBlockRegion(2, 2, 4, 4)
+    ];
+    const labelMap = buildLabelMap(regions, 8, 8, 1);
+
+    expect(labelMap.data[0]).toBe(0);
+    expect(labelMap.data[3 * 8 + 3]).toBe(1); // overlap goes to the later region
+    expect(labelMap.data[7 * 8 + 7]).toBe(-1);
+    expect(Array.from(labelMap.counts)).toEqual([12, 16]);
+  });
+
+  it('should resample regions stored at a different scale', () => {
+    // Half-resolution region covering original pixels 0..3
+    const regions = [makeBlockRegion(0, 0, 2, 2, 0.5)];
+    const labelMap = buildLabelMap(regions, 6, 6, 1);
+
+    expect(labelMap.data[3 * 6 + 3]).toBe(0);
+    expect(labelMap.data[4 * 6 + 4]).toBe(-1);
+    expect(labelMap.counts[0]).toBe(16);
+  });
+
+  it('should hit-test with a single lookup', () => {
+    const regions = [makeBlockRegion(0, 0, 4, 8), makeBlockRegion(4, 0, 4, 8)];
+    const labelMap = buildLabelMap(regions, 8, 8, 1);
+
+    expect(findRegionAtPoint(1.5, 2, regions, labelMap)).toBe(0);
+    expect(findRegionAtPoint(6, 7.9, regions, labelMap)).toBe(1);
+    expect(findRegionAtPoint(-1, 2, regions, labelMap)).toBe(-1);
+    expect(findRegionAtPoint(8, 2, regions, labelMap)).toBe(-1);
+  });
+
+  it('should include regions mostly covered by the brush and the one under the cursor', () => {
+    // Small 2x2 region fully inside the brush, large region only partly covered
+    const regions = [makeBlockRegion(0, 0, 20, 20), makeBlockRegion(9, 9, 2, 2)];
+    const labelMap = buildLabelMap(regions, 20, 20, 1);
+
+    // Brush away from the small region: only the large region under the cursor
+    expect(findRegionsInRadius(3, 3, 4, regions, labelMap)).toEqual([0]);
+
+    // Brush on the large region next to the small one: the small region is fully covered,
+    // the large one is under the cursor
+    expect(findRegionsInRadius(8, 10, 4, regions, labelMap).sort()).toEqual([0, 1]);
+
+    // Brush centered on the small region: the large region is far from 90% covered
+    expect(findRegionsInRadius(10, 10, 3, regions, labelMap)).toEqual([1]);
+  });
+
+  it('should restore selection exactly from a label map', () => {
+    const regions = [makeBlockRegion(0, 0, 4, 4), makeBlockRegion(4, 0, 4, 4)];
+    const labelMap = buildLabelMap(regions, 8, 4, 1);
+    const selectionMask = new cv.Mat(4, 8, cv.CV_8U);
+    // Select columns 0..4: all of region 0, a quarter of region 1
+    for (let y = 0; y < 4; y++) for (let x = 0; x < 5; x++) selectionMask.data[y * 8 + x] = 255;
+
+    expect(restoreSelectionFromMask(regions, selectionMask, labelMap)).toBe(1);
+    expect(regions[0].selected).toBe(true);
+    expect(regions[1].selected).toBe(false);
+  });
+});
+
 describe('Segmentation Invariants', () => {
   /**
    * Helper: create a simple pixel label map from region masks
@@ -0,0 +1,51 @@
+// @vitest-environment node
+/**
+ * Unit tests for the segmentation worker's OpenCV.js start-up
+ *
+ * The worker module runs in this thread with `self` standing in for the worker scope.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// Stands in for the OpenCV.js source: fails the first two times it is evaluated, then
+// provides just enough of cv for a job to get as far as its type
+const source = `
+  self.cvStarts = (self.cvStarts || 0) + 1;
+  if (self.cvStarts < 3) throw new Error('Out of memory');
+  self.cv = {
+    CV_8UC4: 24,
+    Mat: class {
+      constructor(rows, cols) { this.data = new Uint8Array(rows * cols * 4); this.deleted = false; }
+      delete() { this.deleted = true; }
+      isDeleted() { return this.deleted; }
+    }
+  };
+`;
+
+describe('segmentation worker', () => {
+  it('should start OpenCV.js again after a failed start', async () => {
+    const mockCv = globalThis.cv;
+    const postMessage = vi.fn();
+    globalThis.self = globalThis;
+    globalThis.postMessage = postMessage;
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await import('../workers/segmentation.worker.js');
+
+    const job = async (id) => {
+      const image = { rows: 2, cols: 2, data: new Uint8Array(16) };
+      await self.onmessage({ data: { id, type: 'unknown', image, params: {} } });
+      return postMessage.mock.calls.find(([message]) => message.id === id)[0];
+    };
+
+    // The start from init fails, and so does the retry of the first job
+    await self.onmessage({ data: { type: 'init', source } });
+    expect(await job(1)).toEqual({ id: 1, type: 'error', message: 'Out of memory' });
+    // The next job starts OpenCV.js again instead of reusing the failure
+    expect(await job(2)).toEqual({ id: 2, type: 'error', message: 'Unknown worker request: unknown' });
+    expect(self.cvStarts).toBe(3);
+
+    for (const name of ['self', 'postMessage', 'cvStarts']) delete globalThis[name];
+    globalThis.cv = mockCv;
+    vi.restoreAllMocks();
+  });
+});
@@ -15,6 +15,8 @@ global.cv = {
       // Simulate data32S for CV_32SC2 contours
       if (rows && cols) {
         this.data32S = new Int32Array(rows * 2);
+        // Simulate 8-bit pixel data for masks
+        this.data = new Uint8Array(rows * cols);
       }
     }
     delete() {
@@ -28,6 +30,9 @@ global.cv = {
       if (this.data32S) {
         clone.data32S = new Int32Array(this.data32S);
       }
+      if (this.data) {
+        clone.data = new Uint8Array(this.data);
+      }
       return clone;
     }
     ucharAt(y, x) {
@@ -77,6 +82,7 @@ global.cv = {
   },
   CV_8U: 0,
   CV_8UC1: 0,
+  CV_8UC4: 24,
   CV_32S: 4,
   CV_32SC2: 12,
   CV_32F: 5,
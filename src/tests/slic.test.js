@@ -0,0 +1,124 @@
+/**
+ * Unit tests for SLIC superpixel labeling and color conversion
+ */
+
+import { describe, it, expect } from 'vitest';
+import { computeSlicLabels } from '../utils/slic';
+import { rgbToLab } from '../utils/color';
+
+/**
+ * Build an RGBA buffer from a per-pixel color function
+ */
+function makeImage(width, height, colorAt) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = colorAt(x, y);
+      const i = (y * width + x) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return data;
+}
+
+/**
+ * Count 4-connected components of one label
+ */
+function countComponents(labels, width, height, label) {
+  const seen = new Uint8Array(labels.length);
+  let components = 0;
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] !== label || seen[start]) continue;
+    components++;
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % width;
+      const neighbors = [];
+      if (x > 0) neighbors.push(i - 1);
+      if (x < width - 1) neighbors.push(i + 1);
+      if (i >= width) neighbors.push(i - width);
+      if (i + width < labels.length) neighbors.push(i + width);
+      for (const j of neighbors) {
+        if (!seen[j] && labels[j] === label) {
+          seen[j] = 1;
+          stack.push(j);
+        }
+      }
+    }
+  }
+  return components;
+}
+
+describe('rgbToLab', () => {
+  it('should map white and black to the ends of the lightness axis', () => {
+    const white = rgbToLab(255, 255, 255);
+    const black = rgbToLab(0, 0, 0);
+
+    expect(white.l).toBeCloseTo(100, 1);
+    expect(Math.abs(white.a)).toBeLessThan(0.01);
+    expect(Math.abs(white.b)).toBeLessThan(0.01);
+    expect(black.l).toBeCloseTo(0, 5);
+  });
+
+  it('should match reference values for pure red', () => {
+    const red = rgbToLab(255, 0, 0);
+
+    expect(red.l).toBeCloseTo(53.24, 1);
+    expect(red.a).toBeCloseTo(80.09, 1);
+    expect(red.b).toBeCloseTo(67.20, 1);
+  });
+});
+
+describe('computeSlicLabels', () => {
+  const width = 40;
+  const height = 30;
+
+  it('should label every pixel with a positive label', () => {
+    const data = makeImage(width, height, (x, y) => [(x * 6) % 256, (y * 8) % 256, 128]);
+    const labels = computeSlicLabels(data, width, height, { step: 10 });
+
+    expect(labels).toHaveLength(width * height);
+    expect(labels.every(label => label > 0)).toBe(true);
+  });
+
+  it('should produce roughly one superpixel per grid cell', () => {
+    const data = makeImage(width, height, () => [120, 120, 120]);
+    const labels = computeSlicLabels(data, width, height, { step: 10 });
+    const count = new Set(labels).size;
+
+    // 4 x 3 grid on a flat image
+    expect(count).toBeGreaterThanOrEqual(8);
+    expect(count).toBeLessThanOrEqual(16);
+  });
+
+  it('should make every label a single connected component', () => {
+    const data = makeImage(width, height, (x, y) => ((x + y) % 7 < 3 ? [250, 20, 20] : [20, 20, 250]));
+    const labels = computeSlicLabels(data, width, height, { step: 8 });
+
+    for (const label of new Set(labels)) {
+      expect(countComponents(labels, width, height, label)).toBe(1);
+    }
+  });
+
+  it('should not let superpixels cross a strong color boundary', () => {
+    // Left half red, right half blue, boundary between x = 19 and x = 20
+    const data = makeImage(width, height, x => (x < 20 ? [220, 30, 30] : [30, 30, 220]));
+    const labels = computeSlicLabels(data, width, height, { step: 10 });
+
+    const leftLabels = new Set();
+    const rightLabels = new Set();
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        (x < 20 ? leftLabels : rightLabels).add(labels[y * width + x]);
+      }
+    }
+    for (const label of leftLabels) {
+      expect(rightLabels.has(label)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { buildMaskSvg, strokesToImage } from '../utils/svgExport';
+
+function makeRegion(points, extra = {}) {
+  const contour = new cv.Mat(points.length / 2, 1, cv.CV_32SC2);
+  contour.data32S.set(points);
+  return { contour, scaleFactor: 1, selected: true, ...extra };
+}
+
+describe('buildMaskSvg', () => {
+  it('should write selected regions at original scale with their holes', () => {
+    const regions = [
+      makeRegion([0, 0, 10, 0, 10, 10, 0, 10], { scaleFactor: 0.5, holes: [Int32Array.from([2, 2, 4, 2, 4, 4])] }),
+      makeRegion([30, 30, 40, 30, 40, 40], { selected: false })
+    ];
+    const svg = buildMaskSvg(regions, 100, 80);
+
+    expect(svg).toContain('viewBox="0 0 100 80"');
+    expect(svg).toContain('<rect width="100" height="80" fill="black"/>');
+    expect(svg).toContain('<path d="M0.5 0.5 L20.5 0.5 L20.5 20.5 L0.5 20.5 Z M4.5 4.5 L8.5 4.5 L8.5 8.5 Z" fill="white"');
+    expect(svg).not.toContain('60.5');
+  });
+
+  it('should drop points along straight edges when simplifying', () => {
+    const points = [];
+    for (let x = 0; x < 10; x++) points.push(x, 0);
+    for (let y = 0; y < 10; y++) points.push(10, y);
+    points.push(10, 10, 0, 10);
+    const svg = buildMaskSvg([makeRegion(points)], 20, 20, { tolerance: 1 });
+
+    expect(svg).toContain('<path d="M0.5 0.5 L10.5 0.5 L10.5 10.5 L0.5 10.5 Z"');
+  });
+
+  it('should draw strokes in order over the regions', () => {
+    const strokes = strokesToImage([
+      { type: 'white', points: [{ x: 1, y: 1 }, { x: 3, y: 1 }], size: 4 },
+      { type: 'polygon-black', points: [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }], size: 4 },
+      { type: 'black', points: [{ x: 5, y: 5 }], size: 2 }
+    ], [2, 0, 0, 2, 10, 0]);
+    const svg = buildMaskSvg([], 50, 50, { strokes });
+    const lines = svg.split('\n');
+
+    expect(lines[3]).toBe('  <path d="M12 2 L16 2" fill="none" stroke="white" stroke-width="8" stroke-linecap="round" stroke-linejoin="round"/>');
+    expect(lines[4]).toBe('  <path d="M10 0 L14 0 L14 4 Z" fill="black"/>');
+    expect(lines[5]).toBe('  <circle cx="20" cy="10" r="2" fill="black"/>');
+  });
+
+  it('should fill regions and lit strokes in their light color', () => {
+    const regions = [makeRegion([0, 0, 10, 0, 10, 10], { color: '#ff8000', intensity: 50 })];
+    const strokes = [{ type: 'white', points: [{ x: 1, y: 1 }], size: 2, color: '#00ff00', intensity: 100 }];
+    const svg = buildMaskSvg(regions, 20, 20, { strokes });
+
+    expect(svg).toContain('fill="#804000" fill-rule="evenodd" stroke="#804000"');
+    expect(svg).toContain('<circle cx="1" cy="1" r="1" fill="#00ff00"/>');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for LBP texture signatures
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TEXTURE_BINS, computeTextureSignatures, textureDistance } from '../utils/texture';
+
+// Build an RGBA gray image from a luma function
+function grayImage(width, height, luma) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const v = luma(x, y);
+      rgba[i] = rgba[i + 1] = rgba[i + 2] = v;
+      rgba[i + 3] = 255;
+    }
+  }
+  return rgba;
+}
+
+describe('computeTextureSignatures', () => {
+  it('should code a flat area as no brighter neighbors', () => {
+    const rgba = grayImage(8, 8, () => 120);
+    const labels = new Int32Array(64).fill(1);
+
+    const signature = computeTextureSignatures(rgba, labels, 8, 8).get(1);
+    expect(signature.length).toBe(TEXTURE_BINS);
+    expect(signature[0]).toBe(1);
+  });
+
+  it('should give differently patterned labels distinct signatures', () => {
+    // Left half flat, right half vertical stripes
+    const rgba = grayImage(16, 8, (x) => (x < 8 ? 120 : (x % 2 ? 200 : 40)));
+    const labels = new Int32Array(16 * 8);
+    for (let i = 0; i < labels.length; i++) labels[i] = i % 16 < 8 ? 1 : 2;
+
+    const signatures = computeTextureSignatures(rgba, labels, 16, 8);
+    let total = 0;
+    for (const value of signatures.get(2)) total += value;
+
+    expect(total).toBeCloseTo(1, 5);
+    expect(textureDistance(signatures.get(1), signatures.get(2))).toBeGreaterThan(0.25);
+  });
+
+  it('should skip labels that only touch the image border', () => {
+    const rgba = grayImage(4, 4, () => 80);
+    const labels = new Int32Array(16).fill(1);
+    labels[0] = 2; // Corner pixel
+
+    expect(computeTextureSignatures(rgba, labels, 4, 4).has(2)).toBe(false);
+  });
+});
+
+describe('textureDistance', () => {
+  it('should be 0 for identical and 1 for disjoint signatures', () => {
+    const a = new Float32Array(TEXTURE_BINS);
+    const b = new Float32Array(TEXTURE_BINS);
+    a[0] = 1;
+    b[4] = 1;
+
+    expect(textureDistance(a, a)).toBe(0);
+    expect(textureDistance(a, b)).toBe(1);
+  });
+
+  it('should return null when a signature is empty', () => {
+    const a = new Float32Array(TEXTURE_BINS);
+    a[0] = 1;
+    expect(textureDistance(a, new Float32Array(TEXTURE_BINS))).toBeNull();
+  });
+});
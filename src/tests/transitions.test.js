@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { transitionProgress, changedRegionIndices, staggerProgress } from '../utils/transitions';
+
+function makeRegion(x, extra = {}) {
+  return { bounds: { x, y: 0, width: 10, height: 10 }, scaleFactor: 1, selected: false, ...extra };
+}
+
+describe('transitions', () => {
+  it('should ease progress from 0 to 1 over the duration', () => {
+    expect(transitionProgress(0, 1000)).toBe(0);
+    expect(transitionProgress(500, 1000)).toBe(0.5);
+    expect(transitionProgress(250, 1000)).toBeLessThan(0.25);
+    expect(transitionProgress(1500, 1000)).toBe(1);
+    expect(transitionProgress(0, 0)).toBe(1);
+  });
+
+  it('should find the regions that change, left to right', () => {
+    const before = [makeRegion(50, { selected: true }), makeRegion(10), makeRegion(30, { selected: true }), makeRegion(0, { selected: true })];
+    const after = [makeRegion(50), makeRegion(10, { selected: true }), makeRegion(30, { selected: true, color: '#ff0000' }), makeRegion(0, { selected: true })];
+
+    expect(changedRegionIndices(before, after)).toEqual([1, 2, 0]);
+    expect(changedRegionIndices(after, after)).toEqual([]);
+  });
+
+  it('should start staggered regions one after another', () => {
+    expect(staggerProgress(0, 1, 0.5)).toBe(0.5);
+    expect(staggerProgress(0, 3, 0.2)).toBeCloseTo(0.5);
+    expect(staggerProgress(2, 3, 0.2)).toBe(0);
+    expect(staggerProgress(2, 3, 1)).toBe(1);
+    expect(staggerProgress(1, 3, 0.5)).toBeCloseTo(0.5);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Color space utilities
+ * Conversions from sRGB to CIELAB (D65 reference white) and perceptual
+ * color differences
+ */
+
+/**
+ * Color metrics for comparing regions
+ * - 'rgb': Euclidean distance of the sRGB values (see rgbDistance); the Merge
+ *   slider's 0-100 range was tuned for it
+ * - 'deltaE2000': CIEDE2000 color difference (see colorDistance)
+ * - 'chroma': CIEDE2000 without the lightness term, so shading and shadows
+ *   on one surface count as the same color (see colorDistance)
+ */
+export const COLOR_METRICS = ['rgb', 'deltaE2000', 'chroma'];
+export const DEFAULT_COLOR_METRIC = 'rgb';
+
+// sRGB channel value (0-255) -> linear light (0-1), precomputed for speed
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// D65 reference white
+const XN = 0.95047;
+const YN = 1.0;
+const ZN = 1.08883;
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+/**
+ * Convert an sRGB color to CIELAB
+ *
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{ l: number, a: number, b: number }} L* (0-100), a*, b*
+ */
+export function rgbToLab(r, g, b) {
+  const rl = SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(r)))];
+  const gl = SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(g)))];
+  const bl = SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(b)))];
+
+  const x = rl * 0.4124564 + gl * 0.3575761 + bl * 0.1804375;
+  const y = rl * 0.2126729 + gl * 0.7151522 + bl * 0.0721750;
+  const z = rl * 0.0193339 + gl * 0.1191920 + bl * 0.9503041;
+
+  const fx = labF(x / XN);
+  const fy = labF(y / YN);
+  const fz = labF(z / ZN);
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
+function hueDegrees(b, a) {
+  if (a === 0 && b === 0) return 0;
+  const h = Math.atan2(b, a) * 180 / Math.PI;
+  return h < 0 ? h + 360 : h;
+}
+
+const RAD = Math.PI / 180;
+const POW25_7 = Math.pow(25, 7);
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ * (Sharma, Wu & Dalal, 2005; kL = kC = kH = 1)
+ *
+ * @param {{ l: number, a: number, b: number }} lab1 - First color
+ * @param {{ l: number, a: number, b: number }} lab2 - Second color
+ * @param {boolean} ignoreLightness - Drop the lightness term (chroma and hue only)
+ * @returns {number} Delta E 2000 (about 2.3 is a just noticeable difference)
+ */
+export function deltaE2000(lab1, lab2, ignoreLightness = false) {
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cBar7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + POW25_7)));
+
+  const a1 = (1 + g) * lab1.a;
+  const a2 = (1 + g) * lab2.a;
+  const c1p = Math.hypot(a1, lab1.b);
+  const c2p = Math.hypot(a2, lab2.b);
+  const h1p = hueDegrees(lab1.b, a1);
+  const h2p = hueDegrees(lab2.b, a2);
+
+  const dL = lab2.l - lab1.l;
+  const dC = c2p - c1p;
+  let dh = 0;
+  if (c1p * c2p !== 0) {
+    dh = h2p - h1p;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(c1p * c2p) * Math.sin(dh / 2 * RAD);
+
+  const lBar = (lab1.l + lab2.l) / 2;
+  const cBarP = (c1p + c2p) / 2;
+  let hBar = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hBar /= 2;
+    else hBar = hBar < 360 ? (hBar + 360) / 2 : (hBar - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos((hBar - 30) * RAD)
+    + 0.24 * Math.cos(2 * hBar * RAD)
+    + 0.32 * Math.cos((3 * hBar + 6) * RAD)
+    - 0.20 * Math.cos((4 * hBar - 63) * RAD);
+  const dTheta = 30 * Math.exp(-(((hBar - 275) / 25) ** 2));
+  const cBarP7 = Math.pow(cBarP, 7);
+  const rc = 2 * Math.sqrt(cBarP7 / (cBarP7 + POW25_7));
+  const sl = 1 + 0.015 * (lBar - 50) ** 2 / Math.sqrt(20 + (lBar - 50) ** 2);
+  const sc = 1 + 0.045 * cBarP;
+  const sh = 1 + 0.015 * cBarP * t;
+  const rt = -Math.sin(2 * dTheta * RAD) * rc;
+
+  const lTerm = ignoreLightness ? 0 : dL / sl;
+  const cTerm = dC / sc;
+  const hTerm = dH / sh;
+  return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + rt * cTerm * hTerm);
+}
+
+/**
+ * Euclidean distance between two sRGB colors
+ *
+ * @param {{ r: number, g: number, b: number }} rgb1 - First color
+ * @param {{ r: number, g: number, b: number }} rgb2 - Second color
+ * @returns {number} Distance, 0-441
+ */
+export function rgbDistance(rgb1, rgb2) {
+  return Math.sqrt((rgb1.r - rgb2.r) ** 2 + (rgb1.g - rgb2.g) ** 2 + (rgb1.b - rgb2.b) ** 2);
+}
+
+/**
+ * Perceptual distance between two CIELAB colors
+ *
+ * @param {{ l: number, a: number, b: number }} lab1 - First color
+ * @param {{ l: number, a: number, b: number }} lab2 - Second color
+ * @param {string} metric - 'deltaE2000' (default) or 'chroma'; 'rgb' compares sRGB
+ *   values instead (see rgbDistance)
+ * @returns {number} Color distance
+ */
+export function colorDistance(lab1, lab2, metric = 'deltaE2000') {
+  if (metric === 'deltaE2000') return deltaE2000(lab1, lab2);
+  if (metric === 'chroma') return deltaE2000(lab1, lab2, true);
+  throw new Error(`Unknown color metric: ${metric}`);
+}
@@ -0,0 +1,85 @@
+/**
+ * Cue lists
+ * A cue list scripts a show: each cue shows a scene (see scenes.js) with a transition
+ * (see transitions.js), then either holds for a number of seconds and moves on by
+ * itself or waits for the presenter to advance it. Scenes remember lit areas rather
+ * than regions, so a cue only goes stale when its scene is deleted.
+ */
+
+import { moveScene } from './scenes';
+import { TRANSITION_TYPES } from './transitions';
+
+/**
+ * Create a cue
+ *
+ * @param {Array} cues - Existing cues (for a unique id)
+ * @param {number} sceneId - Scene to show
+ * @param {object} options - Optional settings
+ * @param {string} options.transition - One of TRANSITION_TYPES (default 'crossfade')
+ * @param {number} options.duration - Transition length in milliseconds (default 800)
+ * @param {number|null} options.hold - Seconds before the next cue starts, null = wait for
+ *   the presenter (default null)
+ * @returns {object} Cue { id, sceneId, transition, duration, hold }
+ * @throws {Error} On an unknown transition
+ */
+export function createCue(cues, sceneId, options = {}) {
+  const { transition = 'crossfade', duration = 800, hold = null } = options;
+  if (!TRANSITION_TYPES.includes(transition)) {
+    throw new Error(`Unknown transition: ${transition}`);
+  }
+  const id = cues.reduce((max, cue) => Math.max(max, cue.id), 0) + 1;
+  return { id, sceneId, transition, duration, hold };
+}
+
+/**
+ * Change some properties of one cue
+ *
+ * @param {Array} cues - Cue list
+ * @param {number} id - Cue id
+ * @param {object} changes - Properties to set
+ * @returns {Array} New cue list
+ */
+export function updateCue(cues, id, changes) {
+  return cues.map(cue => (cue.id === id ? { ...cue, ...changes } : cue));
+}
+
+/**
+ * Move a cue by some places in the list (clamped to its ends); cues reorder like scenes
+ */
+export function moveCue(cues, id, offset) {
+  return moveScene(cues, id, offset);
+}
+
+/**
+ * Milliseconds a cue holds before the show moves on
+ *
+ * @param {object} cue - Cue
+ * @returns {number|null} null for a cue that waits for the presenter
+ */
+export function cueHoldMs(cue) {
+  return typeof cue.hold === 'number' && cue.hold >= 0 ? cue.hold * 1000 : null;
+}
+
+/**
+ * Drop cues whose scene no longer exists
+ *
+ * @param {Array} cues - Cue list
+ * @param {Array} scenes - Scene list
+ * @returns {Array} Cues that can be played
+ */
+export function playableCues(cues, scenes) {
+  const sceneIds = new Set(scenes.map(scene => scene.id));
+  return cues.filter(cue => sceneIds.has(cue.sceneId));
+}
+
+/**
+ * Cues whose scene no longer exists (e.g. from a project saved with a missing scene)
+ *
+ * @param {Array} cues - Cue list
+ * @param {Array} scenes - Scene list
+ * @returns {Array} 1-based positions of the stale cues in the list
+ */
+export function staleCuePositions(cues, scenes) {
+  const sceneIds = new Set(scenes.map(scene => scene.id));
+  return cues.flatMap((cue, i) => (sceneIds.has(cue.sceneId) ? [] : [i + 1]));
+}
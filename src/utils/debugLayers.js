@@ -0,0 +1,93 @@
+/**
+ * Segmentation debug layer rendering
+ * Turns the intermediate images returned by segmentImage({ debug: true }) into
+ * RGBA pixels for display: 8-bit layers as grayscale, label layers in a
+ * pseudo-random color per label.
+ */
+
+/**
+ * Display names for the debug layers, keyed by DEBUG_LAYERS name
+ */
+export const DEBUG_LAYER_TITLES = {
+  gradient: 'Gradient (Sobel)',
+  canny: 'Canny edges',
+  edgeMask: 'Edge mask (Otsu)',
+  distance: 'Distance transform',
+  markers: 'Watershed markers',
+  labels: 'Pre-merge labels'
+};
+
+/**
+ * Stable, well-spread color for a label (0 = black)
+ *
+ * @param {number} label - Label value
+ * @returns {number[]} [r, g, b]
+ */
+export function labelColor(label) {
+  if (label <= 0) return [0, 0, 0];
+  // Knuth multiplicative hash spreads consecutive labels across the color cube
+  const hash = Math.imul(label, 2654435761) >>> 0;
+  return [64 + (hash & 0xbf), 64 + ((hash >>> 8) & 0xbf), 64 + ((hash >>> 16) & 0xbf)];
+}
+
+/**
+ * Render one debug layer to RGBA pixels at the layer's resolution
+ * Markers are single pixels, so each one is drawn as a small square to stay
+ * visible when the layer is scaled down for display.
+ *
+ * @param {object} debug - segmentImage() debug output { width, height, layers }
+ * @param {string} name - Layer name (see DEBUG_LAYERS)
+ * @returns {Uint8ClampedArray|null} RGBA pixels, or null if the layer was not recorded
+ */
+export function debugLayerPixels(debug, name) {
+  const layer = debug && debug.layers[name];
+  if (!layer) return null;
+
+  const { width, height } = debug;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+
+  if (layer instanceof Uint8Array) {
+    for (let i = 0; i < layer.length; i++) {
+      pixels[i * 4] = pixels[i * 4 + 1] = pixels[i * 4 + 2] = layer[i];
+    }
+    return pixels;
+  }
+
+  const dotRadius = name === 'markers' ? Math.max(1, Math.round(Math.max(width, height) / 400)) : 0;
+  for (let i = 0; i < layer.length; i++) {
+    if (layer[i] <= 0) continue;
+    const [r, g, b] = labelColor(layer[i]);
+    const x = i % width;
+    const y = (i - x) / width;
+    for (let py = Math.max(0, y - dotRadius); py <= Math.min(height - 1, y + dotRadius); py++) {
+      for (let px = Math.max(0, x - dotRadius); px <= Math.min(width - 1, x + dotRadius); px++) {
+        const p = (py * width + px) * 4;
+        pixels[p] = r;
+        pixels[p + 1] = g;
+        pixels[p + 2] = b;
+      }
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Draw a debug layer onto a canvas, resizing the canvas to the layer
+ * The canvas is cleared when the layer is missing.
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {object} debug - segmentImage() debug output
+ * @param {string} name - Layer name
+ */
+export function drawDebugLayer(canvas, debug, name) {
+  const pixels = debugLayerPixels(debug, name);
+  const ctx = canvas.getContext('2d');
+  if (!pixels) {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    return;
+  }
+  canvas.width = debug.width;
+  canvas.height = debug.height;
+  ctx.putImageData(new ImageData(pixels, debug.width, debug.height), 0, 0);
+}
@@ -0,0 +1,71 @@
+/**
+ * Mask feathering
+ * Softens the hard 0/255 edges of a mask into a smooth falloff so projected light
+ * fades out instead of ending in a harsh line that shows every misalignment.
+ * The falloff is centered on the original edge, so a feathered mask lights up
+ * about the same area as the hard one.
+ */
+
+/**
+ * Available falloff shapes
+ * gaussian: blurred edge (soft start and end); linear: straight ramp from dark to lit
+ */
+export const FEATHER_MODES = ['gaussian', 'linear'];
+
+/**
+ * Brightness of a linear ramp at a signed distance from the mask edge
+ *
+ * @param {number} signedDistance - Distance from the edge in pixels, positive inside the mask
+ * @param {number} radius - Falloff width on each side of the edge in pixels (> 0)
+ * @returns {number} 0-255
+ */
+export function linearFeatherValue(signedDistance, radius) {
+  const t = (signedDistance + radius) / (2 * radius);
+  return Math.round(255 * Math.min(1, Math.max(0, t)));
+}
+
+/**
+ * Feather a binary mask in place
+ *
+ * @param {cv.Mat} mask - CV_8UC1 mask (nonzero = lit)
+ * @param {number} radius - Falloff width on each side of the edge, in the mask's pixels (0 = unchanged)
+ * @param {string} mode - One of FEATHER_MODES (default 'gaussian')
+ * @param {object} cv - OpenCV.js instance
+ * @returns {cv.Mat} The same mask, for chaining
+ */
+export function featherMask(mask, radius, mode, cv) {
+  if (!FEATHER_MODES.includes(mode || 'gaussian')) {
+    throw new Error(`Unknown feather mode: ${mode}`);
+  }
+  if (!(radius > 0)) return mask;
+
+  if (mode === 'linear') {
+    // Signed distance to the edge from the distance transforms of the mask and its inverse
+    const inside = new cv.Mat();
+    const outside = new cv.Mat();
+    const inverted = new cv.Mat();
+    try {
+      cv.distanceTransform(mask, inside, cv.DIST_L2, 5);
+      cv.bitwise_not(mask, inverted);
+      cv.distanceTransform(inverted, outside, cv.DIST_L2, 5);
+      const insideData = inside.data32F;
+      const outsideData = outside.data32F;
+      const data = mask.data;
+      for (let i = 0; i < data.length; i++) {
+        // The edge lies halfway between the last lit and the first dark pixel
+        const signed = insideData[i] > 0 ? insideData[i] - 0.5 : 0.5 - outsideData[i];
+        data[i] = linearFeatherValue(signed, radius);
+      }
+    } finally {
+      inside.delete();
+      outside.delete();
+      inverted.delete();
+    }
+    return mask;
+  }
+
+  // Two sigmas on each side of the edge cover the radius
+  const size = 2 * Math.ceil(radius) + 1;
+  cv.GaussianBlur(mask, mask, new cv.Size(size, size), radius / 2, radius / 2, cv.BORDER_REPLICATE);
+  return mask;
+}
@@ -0,0 +1,112 @@
+/**
+ * Mask light colors
+ * Selected regions and white presenter strokes can carry a light color
+ * (region.color / stroke.color, '#rrggbb') and an intensity (region.intensity /
+ * stroke.intensity, percent), so one projection can tint and dim different pieces.
+ * Without them a piece is lit full white, and a mask that is all full white stays a
+ * plain black-and-white (single channel) mask.
+ */
+
+export const DEFAULT_LIGHT_COLOR = '#ffffff';
+export const DEFAULT_LIGHT_INTENSITY = 100;
+
+/**
+ * Output color of a light color at an intensity
+ *
+ * @param {string} color - '#rrggbb' (default white)
+ * @param {number} intensity - Percent, 0-100 (default 100)
+ * @returns {{ r: number, g: number, b: number }} 0-255 per channel
+ */
+export function lightRgb(color = DEFAULT_LIGHT_COLOR, intensity = DEFAULT_LIGHT_INTENSITY) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(color || '');
+  if (!match) {
+    throw new Error(`Invalid light color: ${color}`);
+  }
+  const value = parseInt(match[1], 16);
+  const scale = Math.min(100, Math.max(0, intensity)) / 100;
+  return {
+    r: Math.round(((value >> 16) & 255) * scale),
+    g: Math.round(((value >> 8) & 255) * scale),
+    b: Math.round((value & 255) * scale)
+  };
+}
+
+/**
+ * CSS/SVG color of a region or stroke's light
+ *
+ * @param {object} item - Region or stroke with optional color and intensity
+ * @returns {string} '#rrggbb'
+ */
+export function lightHex(item) {
+  const { r, g, b } = lightRgb(item.color, item.intensity);
+  return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether a region or stroke is lit plain full white
+ */
+export function isDefaultLight(item) {
+  return lightHex(item) === DEFAULT_LIGHT_COLOR;
+}
+
+/**
+ * Select regions by index (select similar), copying the ones that change
+ * Without a light the regions keep the light they already have, as with a plain click;
+ * with one (Shift+Alt+Click) every matched region takes it.
+ *
+ * @param {Array} regions - Region list
+ * @param {Array<number>} indices - Regions to select
+ * @param {object|null} light - { color, intensity } to apply, or null
+ * @returns {Array} New region list
+ */
+export function selectRegionsWithLight(regions, indices, light = null) {
+  const newRegions = [...regions];
+  for (const idx of indices) {
+    newRegions[idx] = { ...newRegions[idx], selected: true, ...(light || {}) };
+  }
+  return newRegions;
+}
+
+/**
+ * Group items by their light, keeping the order in which each light first appears
+ *
+ * @param {Array} items - Regions or strokes
+ * @returns {Array<{ hex: string, rgb: object, items: Array }>}
+ */
+export function groupByLight(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const hex = lightHex(item);
+    if (!groups.has(hex)) groups.set(hex, { hex, rgb: lightRgb(item.color, item.intensity), items: [] });
+    groups.get(hex).items.push(item);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Add a single-channel mask to an RGBA image in a light color
+ * Where lights overlap (e.g. feathered edges) the brighter one wins per channel.
+ *
+ * @param {cv.Mat} target - CV_8UC4 image (alpha 255)
+ * @param {cv.Mat} mask - CV_8UC1 mask of the same size (0-255 = off to fully lit)
+ * @param {{ r: number, g: number, b: number }} rgb - Light color
+ * @param {object} cv - OpenCV.js instance
+ */
+export function addLight(target, mask, rgb, cv) {
+  const channels = new cv.MatVector();
+  const colored = new cv.Mat();
+  const scaled = [rgb.r, rgb.g, rgb.b].map(value => {
+    const channel = new cv.Mat();
+    mask.convertTo(channel, cv.CV_8U, value / 255);
+    return channel;
+  });
+  const alpha = new cv.Mat(mask.rows, mask.cols, cv.CV_8UC1, new cv.Scalar(255));
+  try {
+    [...scaled, alpha].forEach(channel => channels.push_back(channel));
+    cv.merge(channels, colored);
+    cv.max(target, colored, target);
+  } finally {
+    channels.delete();
+    [colored, alpha, ...scaled].forEach(mat => mat.delete());
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Livewire (intelligent scissors) boundary tracing
+ * Follows the cheapest path between two anchor points across the edge map that
+ * segmentImage returns, so a few clicks trace an irregular outline along strong
+ * edges. Paths come from Dijkstra's algorithm over 8-connected edge map pixels;
+ * all points going in and out are in original image coordinates.
+ */
+
+import { rgbToLab } from './color';
+
+// Stepping onto the strongest edge costs this much and a pixel without any edge 1;
+// much lower floors let the path wander far along edges instead of heading for the target
+const MIN_PIXEL_COST = 0.2;
+
+/**
+ * Turn an edge map into per-pixel step costs (low on strong edges)
+ *
+ * @param {cv.Mat} edgeMap - CV_8U edge strength at working resolution (segmentImage's edgeMap)
+ * @param {number} imageWidth - Width of the original image, to map between the two
+ * @returns {{ costs: Float32Array, width: number, height: number, scale: number }} Cost map;
+ *   scale converts original image coordinates to edge map coordinates
+ */
+export function createCostMap(edgeMap, imageWidth) {
+  const width = edgeMap.cols;
+  const height = edgeMap.rows;
+  const edges = edgeMap.data;
+
+  // Normalize by the strongest edge so faint images still attract the path
+  let maxEdge = 1;
+  for (let i = 0; i < width * height; i++) {
+    if (edges[i] > maxEdge) maxEdge = edges[i];
+  }
+
+  const costs = new Float32Array(width * height);
+  for (let i = 0; i < costs.length; i++) {
+    costs[i] = Math.max(MIN_PIXEL_COST, 1 - edges[i] / maxEdge);
+  }
+  return { costs, width, height, scale: width / imageWidth };
+}
+
+/**
+ * Find the cheapest paths from a seed to every pixel within a window around it
+ * Only the window is searched so each anchor click stays fast; targets outside
+ * it have no path (see livewirePath).
+ *
+ * @param {object} costMap - createCostMap() result
+ * @param {number} seedX - Seed x in original image pixels
+ * @param {number} seedY - Seed y in original image pixels
+ * @param {number} radius - Half the window size in edge map pixels (default 300)
+ * @returns {object} Shortest path tree { x0, y0, width, height, seed, parents, scale }
+ */
+export function livewireTree(costMap, seedX, seedY, radius = 300) {
+  const { costs, scale } = costMap;
+  const sx = Math.min(costMap.width - 1, Math.max(0, Math.round(seedX * scale)));
+  const sy = Math.min(costMap.height - 1, Math.max(0, Math.round(seedY * scale)));
+  const x0 = Math.max(0, sx - radius);
+  const y0 = Math.max(0, sy - radius);
+  const width = Math.min(costMap.width, sx + radius + 1) - x0;
+  const height = Math.min(costMap.height, sy + radius + 1) - y0;
+
+  const distances = new Float32Array(width * height).fill(Infinity);
+  const parents = new Int32Array(width * height).fill(-1);
+  const done = new Uint8Array(width * height);
+  const seed = (sy - y0) * width + (sx - x0);
+  distances[seed] = 0;
+
+  // Binary min-heap of window indices; stale entries are skipped when popped
+  const heap = { nodes: [seed], keys: [0] };
+  while (heap.nodes.length > 0) {
+    const node = heapPop(heap);
+    if (done[node]) continue;
+    done[node] = 1;
+
+    const x = node % width;
+    const y = (node - x) / width;
+    for (let dy = -1; dy <= 1; dy++) {
+      const ny = y + dy;
+      if (ny < 0 || ny >= height) continue;
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        if ((dx === 0 && dy === 0) || nx < 0 || nx >= width) continue;
+        const next = ny * width + nx;
+        if (done[next]) continue;
+
+        const step = costs[(ny + y0) * costMap.width + nx + x0] * (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+        const distance = distances[node] + step;
+        if (distance < distances[next]) {
+          distances[next] = distance;
+          parents[next] = node;
+          heapPush(heap, next, distance);
+        }
+      }
+    }
+  }
+
+  return { x0, y0, width, height, seed, parents, scale };
+}
+
+/**
+ * Trace the cheapest path from a tree's seed to a target
+ *
+ * @param {object} tree - livewireTree() result
+ * @param {number} x - Target x in original image pixels
+ * @param {number} y - Target y in original image pixels
+ * @returns {Array<{x: number, y: number}>|null} Points from the seed to the target in
+ *   original image pixels, or null if the target lies outside the tree's window
+ */
+export function livewirePath(tree, x, y) {
+  const tx = Math.round(x * tree.scale) - tree.x0;
+  const ty = Math.round(y * tree.scale) - tree.y0;
+  if (tx < 0 || ty < 0 || tx >= tree.width || ty >= tree.height) return null;
+
+  const points = [];
+  for (let node = ty * tree.width + tx; node !== -1; node = tree.parents[node]) {
+    const px = node % tree.width;
+    points.push({ x: (px + tree.x0) / tree.scale, y: ((node - px) / tree.width + tree.y0) / tree.scale });
+  }
+  return points.reverse();
+}
+
+/**
+ * Drop path points that lie within a tolerance of the line through their
+ * neighbors (Douglas-Peucker), keeping the first and last point
+ *
+ * @param {Array<{x: number, y: number}>} points - Path points
+ * @param {number} tolerance - Largest allowed deviation, in the points' units
+ * @returns {Array<{x: number, y: number}>} Simplified path
+ */
+export function simplifyPath(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const a = points[first];
+    const b = points[last];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const p = points[i];
+      const distance = length > 0
+        ? Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length
+        : Math.hypot(p.x - a.x, p.y - a.y);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Build a full-resolution region from a closed outline in original image coordinates
+ *
+ * @param {Array<{x: number, y: number}>} points - Outline points (at least 3)
+ * @param {cv.Mat} originalImage - The full original RGBA image (for clipping and colors)
+ * @param {object} cv - OpenCV.js instance
+ * @returns {object} Region (selected, traced: true, manual: true)
+ */
+export function polygonRegion(points, originalImage, cv) {
+  const clamped = points.map(p => ({
+    x: Math.min(originalImage.cols - 1, Math.max(0, Math.round(p.x))),
+    y: Math.min(originalImage.rows - 1, Math.max(0, Math.round(p.y)))
+  }));
+  // Reduce instead of Math.min(...) so long outlines cannot overflow the argument list
+  const minX = clamped.reduce((m, p) => Math.min(m, p.x), Infinity);
+  const minY = clamped.reduce((m, p) => Math.min(m, p.y), Infinity);
+  const bounds = {
+    x: minX,
+    y: minY,
+    width: clamped.reduce((m, p) => Math.max(m, p.x), -Infinity) - minX + 1,
+    height: clamped.reduce((m, p) => Math.max(m, p.y), -Infinity) - minY + 1
+  };
+
+  const contour = new cv.Mat(clamped.length, 1, cv.CV_32SC2);
+  const localContour = new cv.Mat(clamped.length, 1, cv.CV_32SC2);
+  clamped.forEach((p, k) => {
+    contour.data32S[k * 2] = p.x;
+    contour.data32S[k * 2 + 1] = p.y;
+    localContour.data32S[k * 2] = p.x - minX;
+    localContour.data32S[k * 2 + 1] = p.y - minY;
+  });
+
+  const mask = cv.Mat.zeros(bounds.height, bounds.width, cv.CV_8UC1);
+  const contourVec = new cv.MatVector();
+  contourVec.push_back(localContour);
+  cv.drawContours(mask, contourVec, 0, new cv.Scalar(255), -1);
+  contourVec.delete();
+  localContour.delete();
+
+  const regionImage = originalImage.roi(new cv.Rect(bounds.x, bounds.y, bounds.width, bounds.height));
+  const mean = cv.mean(regionImage, mask);
+  regionImage.delete();
+  const avgColor = { r: Math.round(mean[0]), g: Math.round(mean[1]), b: Math.round(mean[2]) };
+
+  return {
+    contour,
+    mask,
+    bounds,
+    scaleFactor: 1,
+    selected: true,
+    label: -1,
+    avgColor,
+    avgLab: rgbToLab(avgColor.r, avgColor.g, avgColor.b),
+    adjacentIndices: [],
+    traced: true,
+    manual: true
+  };
+}
+
+function heapPush(heap, node, key) {
+  const { nodes, keys } = heap;
+  let i = nodes.length;
+  nodes.push(node);
+  keys.push(key);
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (keys[parent] <= key) break;
+    nodes[i] = nodes[parent];
+    keys[i] = keys[parent];
+    i = parent;
+  }
+  nodes[i] = node;
+  keys[i] = key;
+}
+
+function heapPop(heap) {
+  const { nodes, keys } = heap;
+  const top = nodes[0];
+  const lastNode = nodes.pop();
+  const lastKey = keys.pop();
+  if (nodes.length === 0) return top;
+
+  let i = 0;
+  const n = nodes.length;
+  while (true) {
+    let child = i * 2 + 1;
+    if (child >= n) break;
+    if (child + 1 < n && keys[child + 1] < keys[child]) child++;
+    if (keys[child] >= lastKey) break;
+    nodes[i] = nodes[child];
+    keys[i] = keys[child];
+    i = child;
+  }
+  nodes[i] = lastNode;
+  keys[i] = lastKey;
+  return top;
+}
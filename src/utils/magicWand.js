@@ -0,0 +1,223 @@
+/**
+ * Magic wand selection
+ * Flood-fills the original image from a clicked pixel to pick out details that fall
+ * inside a bigger segmentation region (a thin frame edge, a logo), and cuts such an
+ * area out of selected regions. Results are full-resolution regions (scaleFactor 1);
+ * holes are kept in region.holes so masks stay exact.
+ */
+
+import { cleanupMats, renderRegionPiece, SELECTION_STATE_FIELDS } from './segmentation';
+import { rgbToLab } from './color';
+
+/**
+ * Flood-fill from a pixel and turn the filled area into a selected region
+ * Pixels join while each channel stays within the tolerance of the clicked pixel.
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {number} x - Seed x in original image pixels
+ * @param {number} y - Seed y in original image pixels
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional settings
+ * @param {number} options.tolerance - Max per-channel difference from the seed color, 0-255 (default 32)
+ * @param {number} options.connectivity - 4 or 8 (default 4; 8 also leaks through diagonal gaps)
+ * @returns {object|null} Region (selected, wand: true, manual: true), or null if the seed is outside the image
+ */
+export function magicWandRegion(originalImage, x, y, cv, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : 32;
+  const connectivity = options.connectivity === 8 ? 8 : 4;
+  const seedX = Math.floor(x);
+  const seedY = Math.floor(y);
+  if (seedX < 0 || seedY < 0 || seedX >= originalImage.cols || seedY >= originalImage.rows) return null;
+
+  let rgb, fillMask, area;
+  try {
+    // floodFill needs a 1- or 3-channel image
+    rgb = new cv.Mat();
+    cv.cvtColor(originalImage, rgb, cv.COLOR_RGBA2RGB);
+
+    // The fill mask is 2 pixels larger than the image; filled pixels become 255
+    fillMask = cv.Mat.zeros(originalImage.rows + 2, originalImage.cols + 2, cv.CV_8UC1);
+    const box = new cv.Rect();
+    const diff = new cv.Scalar(tolerance, tolerance, tolerance);
+    const flags = connectivity | (255 << 8) | cv.FLOODFILL_MASK_ONLY | cv.FLOODFILL_FIXED_RANGE;
+    cv.floodFill(rgb, fillMask, new cv.Point(seedX, seedY), new cv.Scalar(0), box, diff, diff, flags);
+
+    // Crop to the filled box; floodFill marks the mask border with 1, which the threshold drops
+    const roi = fillMask.roi(new cv.Rect(box.x + 1, box.y + 1, box.width, box.height));
+    area = new cv.Mat();
+    cv.threshold(roi, area, 254, 255, cv.THRESH_BINARY);
+    roi.delete();
+
+    const regions = regionsFromMask(area, box.x, box.y, originalImage, cv);
+    console.log(`[Wand] Filled ${box.width}x${box.height} at (${box.x},${box.y}), tolerance ${tolerance}`);
+    if (regions.length === 0) return null;
+
+    // A flood fill is one connected area; keep the largest piece if contours split it
+    regions.sort((a, b) => cv.countNonZero(b.mask) - cv.countNonZero(a.mask));
+    regions.slice(1).forEach(region => cleanupMats(region.contour, region.mask));
+    return { ...regions[0], selected: true, wand: true, manual: true };
+  } finally {
+    cleanupMats(rgb, fillMask, area);
+  }
+}
+
+/**
+ * Cut an area out of the selected regions
+ * Every selected region overlapping the area is replaced by what is left of it,
+ * at full resolution, selected and with its light and margin; a region can split into
+ * several pieces or get a hole. Pieces are not part of the merge tree (manual: true).
+ * The replaced regions' Mats are not freed (the undo history owns them).
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {Array} regions - All current regions
+ * @param {object} area - Region to cut out (e.g. from magicWandRegion)
+ * @param {object} cv - OpenCV.js instance
+ * @returns {{ regions: Array, changedIndices: Array<number>, cutCount: number }} New region
+ *   list (kept regions in order, pieces appended), indices of the pieces and the
+ *   number of regions that were cut
+ */
+export function subtractFromRegions(originalImage, regions, area, cv) {
+  const cutArea = renderRegionPiece(area, cv);
+  const kept = [];
+  const pieces = [];
+  let cutCount = 0;
+
+  try {
+    for (const region of regions) {
+      if (!region.selected) {
+        kept.push(region);
+        continue;
+      }
+
+      const piece = renderRegionPiece(region, cv);
+      try {
+        // Overlap of the region's box and the area's box
+        const x0 = Math.max(piece.x, cutArea.x);
+        const y0 = Math.max(piece.y, cutArea.y);
+        const x1 = Math.min(piece.x + piece.mask.cols, cutArea.x + cutArea.mask.cols);
+        const y1 = Math.min(piece.y + piece.mask.rows, cutArea.y + cutArea.mask.rows);
+        if (x1 <= x0 || y1 <= y0) {
+          kept.push(region);
+          continue;
+        }
+
+        const pieceRoi = piece.mask.roi(new cv.Rect(x0 - piece.x, y0 - piece.y, x1 - x0, y1 - y0));
+        const areaRoi = cutArea.mask.roi(new cv.Rect(x0 - cutArea.x, y0 - cutArea.y, x1 - x0, y1 - y0));
+        const overlap = new cv.Mat();
+        cv.bitwise_and(pieceRoi, areaRoi, overlap);
+        const overlapping = cv.countNonZero(overlap) > 0;
+        // Saturating subtraction clears the area's pixels in place
+        if (overlapping) cv.subtract(pieceRoi, areaRoi, pieceRoi);
+        cleanupMats(pieceRoi, areaRoi, overlap);
+
+        if (!overlapping) {
+          kept.push(region);
+          continue;
+        }
+        cutCount++;
+        const state = {};
+        for (const field of SELECTION_STATE_FIELDS) {
+          if (region[field] !== undefined) state[field] = region[field];
+        }
+        regionsFromMask(piece.mask, piece.x, piece.y, originalImage, cv, 4).forEach(remainder => {
+          pieces.push({ ...remainder, ...state, selected: true, manual: true });
+        });
+      } finally {
+        cleanupMats(piece.mask);
+      }
+    }
+  } finally {
+    cleanupMats(cutArea.mask);
+  }
+
+  console.log(`[Wand] Cut ${cutCount} region(s) into ${pieces.length} piece(s)`);
+  return {
+    regions: [...kept, ...pieces],
+    changedIndices: pieces.map((_, i) => kept.length + i),
+    cutCount
+  };
+}
+
+/**
+ * Turn a binary mask into full-resolution regions, one per outer contour
+ * Inner contours become the region's holes.
+ *
+ * @param {cv.Mat} mask - CV_8UC1 mask (255 = inside)
+ * @param {number} originX - X of the mask's top-left corner in the original image
+ * @param {number} originY - Y of the mask's top-left corner in the original image
+ * @param {cv.Mat} originalImage - The full original RGBA image (for colors)
+ * @param {object} cv - OpenCV.js instance
+ * @param {number} minPixels - Pieces with fewer pixels are dropped (default 1)
+ * @returns {Array} Regions (not selected, label -1)
+ */
+function regionsFromMask(mask, originX, originY, originalImage, cv, minPixels = 1) {
+  const regions = [];
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  try {
+    cv.findContours(mask, contours, hierarchy, cv.RETR_CCOMP, cv.CHAIN_APPROX_SIMPLE);
+    // Hierarchy entries: [next, previous, first child, parent]; copied, since allocating
+    // Mats below may move the WebAssembly heap under a view
+    const links = Int32Array.from(hierarchy.data32S);
+
+    for (let i = 0; i < contours.size(); i++) {
+      if (links[i * 4 + 3] !== -1) continue; // holes are collected with their outline
+
+      const outline = contours.get(i);
+      const box = cv.boundingRect(outline);
+
+      // Outline filled with its holes left open, limited to this piece's pixels
+      const regionMask = cv.Mat.zeros(box.height, box.width, cv.CV_8UC1);
+      cv.drawContours(regionMask, contours, i, new cv.Scalar(255), -1, cv.LINE_8, hierarchy, 1, new cv.Point(-box.x, -box.y));
+      const maskRoi = mask.roi(box);
+      cv.bitwise_and(regionMask, maskRoi, regionMask);
+      maskRoi.delete();
+
+      if (cv.countNonZero(regionMask) < minPixels) {
+        cleanupMats(regionMask, outline);
+        continue;
+      }
+
+      const contour = new cv.Mat(outline.rows, 1, cv.CV_32SC2);
+      for (let j = 0; j < outline.rows * 2; j += 2) {
+        contour.data32S[j] = outline.data32S[j] + originX;
+        contour.data32S[j + 1] = outline.data32S[j + 1] + originY;
+      }
+      outline.delete();
+      const holes = [];
+      for (let child = links[i * 4 + 2]; child !== -1; child = links[child * 4]) {
+        const holeContour = contours.get(child);
+        const hole = Int32Array.from(holeContour.data32S);
+        holeContour.delete();
+        for (let j = 0; j < hole.length; j += 2) {
+          hole[j] += originX;
+          hole[j + 1] += originY;
+        }
+        holes.push(hole);
+      }
+
+      const bounds = { x: box.x + originX, y: box.y + originY, width: box.width, height: box.height };
+      const regionImage = originalImage.roi(new cv.Rect(bounds.x, bounds.y, bounds.width, bounds.height));
+      const mean = cv.mean(regionImage, regionMask);
+      regionImage.delete();
+      const avgColor = { r: Math.round(mean[0]), g: Math.round(mean[1]), b: Math.round(mean[2]) };
+
+      regions.push({
+        contour,
+        mask: regionMask,
+        bounds,
+        scaleFactor: 1,
+        selected: false,
+        label: -1,
+        avgColor,
+        avgLab: rgbToLab(avgColor.r, avgColor.g, avgColor.b),
+        adjacentIndices: [],
+        holes
+      });
+    }
+  } finally {
+    contours.delete();
+    hierarchy.delete();
+  }
+  return regions;
+}
@@ -0,0 +1,48 @@
+/**
+ * Mask margins
+ * Grows or shrinks a mask by a number of pixels so projected light can stay a little
+ * inside a poster (no spill onto the wall) or reach a little past it (covering
+ * alignment error). Corners grow round and every edge moves by the same distance.
+ */
+
+// Largest margin the UI offers, in original image pixels either way
+export const MAX_MASK_MARGIN = 50;
+
+/**
+ * Grow or shrink a mask in place
+ * Same result as dilating or eroding with a round kernel of the given radius, but
+ * thresholds an exact distance transform instead: cv.dilate with a 101px round
+ * kernel takes seconds on a large photo, the distance transform a fraction of one.
+ * The image border is not treated as an edge, so shrinking never pulls the mask
+ * away from the side of the image.
+ *
+ * @param {cv.Mat} mask - CV_8UC1 mask (nonzero = lit)
+ * @param {number} pixels - Margin in the mask's pixels: positive grows, negative shrinks (0 = unchanged)
+ * @param {object} cv - OpenCV.js instance
+ * @returns {cv.Mat} The same mask (now 0/255), for chaining
+ */
+export function adjustMaskMargin(mask, pixels, cv) {
+  const radius = Math.round(Math.abs(pixels || 0));
+  if (radius === 0) return mask;
+
+  const source = new cv.Mat();
+  const distances = new cv.Mat();
+  try {
+    if (pixels > 0) {
+      // Distance from every dark pixel to the nearest lit one; light up those within the radius
+      cv.bitwise_not(mask, source);
+      cv.distanceTransform(source, distances, cv.DIST_L2, cv.DIST_MASK_PRECISE);
+      cv.threshold(distances, distances, radius, 255, cv.THRESH_BINARY_INV);
+    } else {
+      // Distance from every lit pixel to the nearest dark one; keep those farther than the radius
+      cv.threshold(mask, source, 0, 255, cv.THRESH_BINARY);
+      cv.distanceTransform(source, distances, cv.DIST_L2, cv.DIST_MASK_PRECISE);
+      cv.threshold(distances, distances, radius, 255, cv.THRESH_BINARY);
+    }
+    distances.convertTo(mask, cv.CV_8U);
+  } finally {
+    source.delete();
+    distances.delete();
+  }
+  return mask;
+}
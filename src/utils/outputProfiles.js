@@ -0,0 +1,150 @@
+/**
+ * Output profiles
+ * Named projector resolutions that the mask is rendered at, both for downloads and
+ * in presenter mode, so the projected frame matches the downloaded one pixel for
+ * pixel. The image is placed in the output frame by a fit mode and a rotation in
+ * quarter turns; all placement math lives here so every caller agrees on it.
+ */
+
+/**
+ * Available profiles; 'native' keeps the photo resolution for downloads and the
+ * window size in presenter mode
+ */
+export const OUTPUT_PROFILES = [
+  { id: 'native', name: 'Photo / window size', width: null, height: null },
+  { id: 'hd', name: '1280×720 (HD)', width: 1280, height: 720 },
+  { id: 'wxga', name: '1280×800 (WXGA)', width: 1280, height: 800 },
+  { id: 'xga', name: '1024×768 (XGA)', width: 1024, height: 768 },
+  { id: 'fhd', name: '1920×1080 (Full HD)', width: 1920, height: 1080 },
+  { id: 'wuxga', name: '1920×1200 (WUXGA)', width: 1920, height: 1200 },
+  { id: 'uhd', name: '3840×2160 (4K UHD)', width: 3840, height: 2160 }
+];
+
+/**
+ * How the image is placed in the output frame
+ * fit: whole image visible, black bars; fill: frame covered, image cropped;
+ * stretch: frame covered, aspect ratio ignored
+ */
+export const FIT_MODES = ['fit', 'fill', 'stretch'];
+
+// Clockwise rotations in degrees
+export const OUTPUT_ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Look up a profile by id (unknown ids fall back to 'native')
+ *
+ * @param {string} id - Profile id
+ * @returns {object} Profile { id, name, width, height }
+ */
+export function getOutputProfile(id) {
+  return OUTPUT_PROFILES.find(profile => profile.id === id) || OUTPUT_PROFILES[0];
+}
+
+/**
+ * Place a (rotated) image in an output frame
+ *
+ * @param {number} outputWidth - Frame width in pixels
+ * @param {number} outputHeight - Frame height in pixels
+ * @param {number} imageWidth - Image width before rotation
+ * @param {number} imageHeight - Image height before rotation
+ * @param {number} rotation - Clockwise rotation in degrees (0, 90, 180 or 270)
+ * @param {string} fit - One of FIT_MODES (default 'fit')
+ * @returns {{ displayWidth: number, displayHeight: number, offsetX: number, offsetY: number }}
+ *   Box the rotated image covers in the frame (may extend past it with 'fill')
+ */
+export function computeOutputLayout(outputWidth, outputHeight, imageWidth, imageHeight, rotation, fit = 'fit') {
+  if (!FIT_MODES.includes(fit)) {
+    throw new Error(`Unknown fit mode: ${fit}`);
+  }
+  if (fit === 'stretch') {
+    return { displayWidth: outputWidth, displayHeight: outputHeight, offsetX: 0, offsetY: 0 };
+  }
+
+  const quarterTurn = rotation % 180 !== 0;
+  const rotatedWidth = quarterTurn ? imageHeight : imageWidth;
+  const rotatedHeight = quarterTurn ? imageWidth : imageHeight;
+  const scale = fit === 'fill'
+    ? Math.max(outputWidth / rotatedWidth, outputHeight / rotatedHeight)
+    : Math.min(outputWidth / rotatedWidth, outputHeight / rotatedHeight);
+  const displayWidth = rotatedWidth * scale;
+  const displayHeight = rotatedHeight * scale;
+  return {
+    displayWidth,
+    displayHeight,
+    offsetX: (outputWidth - displayWidth) / 2,
+    offsetY: (outputHeight - displayHeight) / 2
+  };
+}
+
+/**
+ * Transform from image pixels to output pixels for a layout
+ *
+ * @param {object} layout - computeOutputLayout() result
+ * @param {number} imageWidth - Image width before rotation
+ * @param {number} imageHeight - Image height before rotation
+ * @param {number} rotation - Clockwise rotation in degrees (0, 90, 180 or 270)
+ * @returns {Array<number>} [a, b, c, d, e, f] in canvas setTransform order
+ *   (x' = a*x + c*y + e, y' = b*x + d*y + f)
+ */
+export function imageToOutputTransform(layout, imageWidth, imageHeight, rotation) {
+  const { displayWidth: w, displayHeight: h, offsetX: x0, offsetY: y0 } = layout;
+  switch (((rotation % 360) + 360) % 360) {
+    case 90:
+      return [0, h / imageWidth, -w / imageHeight, 0, x0 + w, y0];
+    case 180:
+      return [-w / imageWidth, 0, 0, -h / imageHeight, x0 + w, y0 + h];
+    case 270:
+      return [0, -h / imageWidth, w / imageHeight, 0, x0, y0 + h];
+    default:
+      return [w / imageWidth, 0, 0, h / imageHeight, x0, y0];
+  }
+}
+
+/**
+ * Invert a transform in setTransform order
+ *
+ * @param {Array<number>} transform - [a, b, c, d, e, f]
+ * @returns {Array<number>} Inverse transform
+ */
+export function invertTransform([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+/**
+ * Apply a transform in setTransform order to a point
+ *
+ * @param {Array<number>} transform - [a, b, c, d, e, f]
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ x: number, y: number }}
+ */
+export function applyTransform([a, b, c, d, e, f], x, y) {
+  return { x: a * x + c * y + e, y: b * x + d * y + f };
+}
+
+/**
+ * Render an image-sized source (e.g. the mask canvas) into a new canvas at an
+ * output resolution, black outside the image
+ *
+ * @param {HTMLCanvasElement} source - Canvas at original image size
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number} rotation - Clockwise rotation in degrees
+ * @param {string} fit - One of FIT_MODES
+ * @returns {HTMLCanvasElement} Output canvas
+ */
+export function renderToOutput(source, width, height, rotation, fit) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, width, height);
+
+  const layout = computeOutputLayout(width, height, source.width, source.height, rotation, fit);
+  ctx.setTransform(...imageToOutputTransform(layout, source.width, source.height, rotation));
+  ctx.drawImage(source, 0, 0);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  return canvas;
+}
@@ -0,0 +1,116 @@
+/**
+ * Project files
+ * Saves the image, the regions (with their selection and per-region settings), the
+ * presenter strokes, the scenes and cue list (see scenes.js, cues.js) with the active
+ * scene, and the mask settings as one JSON document, so a mask can be reopened and adjusted
+ * later without segmenting again. Region masks are not stored; they are redrawn
+ * from the outlines on load.
+ */
+
+import { rebuildRegionMask, renderRegionPiece } from './segmentation';
+
+export const PROJECT_TYPE = 'image-mask-project';
+export const PROJECT_VERSION = 1;
+
+/**
+ * Convert typed arrays (also inside arrays and objects) to plain arrays for JSON
+ */
+function toPlain(value) {
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toPlain(inner)]));
+  }
+  return value;
+}
+
+/**
+ * Build a project document
+ *
+ * @param {object} project - What to save
+ * @param {string} project.image - The original image as a data URL (PNG keeps it lossless)
+ * @param {number} project.width - Image width in pixels
+ * @param {number} project.height - Image height in pixels
+ * @param {Array} project.regions - Region objects with contour Mats
+ * @param {object} project.settings - Plain settings object (sliders, mask options)
+ * @param {Array} project.strokes - Presenter strokes in world coordinates (optional)
+ * @param {Array} project.scenes - Scenes (optional)
+ * @param {number|null} project.activeSceneId - Id of the scene being edited (optional)
+ * @param {Array} project.cues - Cue list (optional)
+ * @returns {object} JSON-ready project document
+ */
+export function serializeProject({ image, width, height, regions, settings, strokes, scenes, activeSceneId, cues }) {
+  return {
+    type: PROJECT_TYPE,
+    version: PROJECT_VERSION,
+    image,
+    width,
+    height,
+    settings: toPlain(settings || {}),
+    strokes: toPlain(strokes || []),
+    scenes: toPlain(scenes || []),
+    activeSceneId: activeSceneId ?? null,
+    cues: toPlain(cues || []),
+    regions: regions.map(region => {
+      const { contour, mask: _mask, ...rest } = region;
+      return { ...toPlain(rest), contour: Array.from(contour.data32S) };
+    })
+  };
+}
+
+/**
+ * Check that parsed JSON is a project this version can open
+ *
+ * @param {object} data - Parsed JSON
+ * @returns {object} The same project document
+ * @throws {Error} If it is not a project file or comes from a newer version
+ */
+export function validateProject(data) {
+  if (!data || data.type !== PROJECT_TYPE) {
+    throw new Error('Not an image mask project file');
+  }
+  if (!(data.version <= PROJECT_VERSION)) {
+    throw new Error(`Project version ${data.version} is newer than this app supports (${PROJECT_VERSION})`);
+  }
+  if (typeof data.image !== 'string' || !Array.isArray(data.regions)) {
+    throw new Error('Project file is missing its image or regions');
+  }
+  return data;
+}
+
+/**
+ * Id of the project's active scene, if that scene was saved with it
+ *
+ * @param {object} project - Validated project document
+ * @returns {number|null}
+ */
+export function projectActiveSceneId(project) {
+  const { activeSceneId, scenes } = project;
+  return (scenes || []).some(scene => scene.id === activeSceneId) ? activeSceneId : null;
+}
+
+/**
+ * Rebuild region objects (contour and mask Mats) from a project document
+ *
+ * @param {Array} serializedRegions - The project's regions
+ * @param {object} cv - OpenCV.js instance
+ * @returns {Array} Region objects
+ */
+export function deserializeProjectRegions(serializedRegions, cv) {
+  return serializedRegions.map(data => {
+    const contour = new cv.Mat(data.contour.length / 2, 1, cv.CV_32SC2);
+    contour.data32S.set(data.contour);
+    const region = { ...data, contour, mask: null };
+    if (data.holes) region.holes = data.holes.map(hole => Int32Array.from(hole));
+
+    if (region.holes && region.holes.length > 0) {
+      // Regions with holes are full resolution; the piece leaves the holes open
+      const piece = renderRegionPiece(region, cv);
+      region.mask = piece.mask;
+      region.bounds = { x: piece.x, y: piece.y, width: piece.mask.cols, height: piece.mask.rows };
+    } else {
+      rebuildRegionMask(region, cv);
+    }
+    return region;
+  });
+}
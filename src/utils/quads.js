@@ -0,0 +1,494 @@
+/**
+ * Rectangular poster and frame detection
+ * Finds quadrilaterals in the edge map two ways: polygon approximation of edge
+ * contours, and grouping of straight line segments (probabilistic Hough) into
+ * four-sided outlines. Each detected quad becomes a region with a clean 4-point
+ * contour that lives in the same region list as the watershed regions.
+ */
+
+import { cleanupMats } from './segmentation';
+import { rgbToLab } from './color';
+
+// A point lies on a straight edge when the 3x3 Sobel gradient there is at least
+// this strong (0-1020 scale) and points within this angle of the edge normal
+const GRADIENT_MIN_MAGNITUDE = 40;
+const GRADIENT_MAX_ANGLE = Math.PI / 8;
+// A chord across a quad that follows an edge for this fraction of its length
+// separates two posters (see hasInternalEdge)
+const INTERNAL_EDGE_SUPPORT = 0.7;
+
+/**
+ * Detect quadrilaterals (posters, prints, frames) in an image
+ * Detection runs on a copy downscaled to options.maxDimension; the returned
+ * contours are in original image coordinates. Quads seen at an angle (perspective)
+ * are found too, as long as they stay convex.
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional settings
+ * @param {number} options.maxDimension - Longest side of the detection image (default 1000)
+ * @param {number} options.minAreaFraction - Smallest quad as a fraction of the image area (default 0.002)
+ * @param {number} options.minEdgeSupport - Fraction of the outline that must follow an edge (default 0.8)
+ * @param {number} options.maxQuads - Most quads returned, best supported first (default 60)
+ * @param {Function} options.onProgress - Called as onProgress(step, fraction)
+ * @returns {Array} New full-resolution regions (scaleFactor 1, quad: true), one per quad
+ */
+export function detectQuadrilaterals(originalImage, cv, options = {}) {
+  if (!originalImage || !cv) {
+    throw new Error('Invalid image or OpenCV instance');
+  }
+
+  const maxDimension = options.maxDimension || 1000;
+  const minAreaFraction = options.minAreaFraction || 0.002;
+  const minEdgeSupport = options.minEdgeSupport || 0.8;
+  const maxQuads = options.maxQuads || 60;
+  const reportProgress = (step, fraction) => {
+    if (options.onProgress) options.onProgress(step, fraction);
+  };
+
+  const scale = Math.min(1, maxDimension / Math.max(originalImage.cols, originalImage.rows));
+  let small, gray, edges, dilated, kernel, contours, hierarchy, lines, gradX, gradY;
+  try {
+    reportProgress('edges', 0);
+    small = new cv.Mat();
+    if (scale < 1) {
+      cv.resize(originalImage, small, new cv.Size(Math.round(originalImage.cols * scale), Math.round(originalImage.rows * scale)), 0, 0, cv.INTER_AREA);
+    } else {
+      originalImage.copyTo(small);
+    }
+    const width = small.cols;
+    const height = small.rows;
+    const minArea = width * height * minAreaFraction;
+
+    gray = new cv.Mat();
+    cv.cvtColor(small, gray, cv.COLOR_RGBA2GRAY);
+    cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+    edges = new cv.Mat();
+    cv.Canny(gray, edges, 40, 120);
+
+    // Gradient field: a straight edge has a strong gradient across it all along its length,
+    // which texture clutter that happens to line up does not
+    gradX = new cv.Mat();
+    gradY = new cv.Mat();
+    cv.Sobel(gray, gradX, cv.CV_32F, 1, 0, 3);
+    cv.Sobel(gray, gradY, cv.CV_32F, 0, 1, 3);
+    const gradient = { gx: gradX.data32F, gy: gradY.data32F, width, height };
+
+    // Closing small gaps lets poster outlines form closed contours
+    dilated = new cv.Mat();
+    kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+    cv.dilate(edges, dilated, kernel);
+
+    // Candidates 1: edge contours that approximate to a convex quadrilateral
+    reportProgress('contours', 0);
+    const candidates = [];
+    contours = new cv.MatVector();
+    hierarchy = new cv.Mat();
+    cv.findContours(dilated, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      const area = cv.contourArea(contour);
+      if (area < minArea || area > width * height * 0.9) continue;
+      const approx = new cv.Mat();
+      cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true);
+      if (approx.rows === 4 && cv.isContourConvex(approx)) {
+        const corners = [];
+        for (let j = 0; j < 4; j++) corners.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+        candidates.push(orderQuadCorners(corners));
+      }
+      approx.delete();
+    }
+    const contourCount = candidates.length;
+
+    // Candidates 2: four grouped line segments that close into a quadrilateral
+    reportProgress('lines', 0);
+    lines = new cv.Mat();
+    const minSide = Math.sqrt(minArea) / 2;
+    cv.HoughLinesP(edges, lines, 1, Math.PI / 180, 30, minSide / 2, 3);
+    const segments = [];
+    for (let i = 0; i < lines.rows; i++) {
+      const d = lines.data32S.subarray(i * 4, i * 4 + 4);
+      const segment = { x1: d[0], y1: d[1], x2: d[2], y2: d[3] };
+      if (gradientSupport({ x: d[0], y: d[1] }, { x: d[2], y: d[3] }, gradient) >= 0.8) segments.push(segment);
+    }
+    const grouped = groupLineSegments(segments).slice(0, 150);
+    candidates.push(...quadsFromLines(grouped, width, height, { minArea }));
+    console.log(`[Quads] ${contourCount} contour and ${candidates.length - contourCount} line candidates from ${segments.length} segments`);
+
+    // Keep quads whose whole outline lies on edges, best supported first. Posters hung
+    // in rows and columns line up, so outlines around several of them are rejected by
+    // the edge that runs straight across their inside.
+    reportProgress('quads', 0);
+    const scored = [];
+    for (const corners of candidates) {
+      if (polygonArea(corners) < minArea) continue;
+      const support = outlineSupport(corners, gradient);
+      if (support.min < minEdgeSupport * 0.75 || support.mean < minEdgeSupport) continue;
+      if (hasInternalEdge(corners, gradient)) continue;
+      scored.push({ corners, score: support.mean });
+    }
+    scored.sort((a, b) => b.score - a.score);
+    const quads = suppressDuplicateQuads(scored.map(s => s.corners)).slice(0, maxQuads);
+
+    const regions = quads.map(corners => quadRegion(
+      corners.map(p => ({ x: p.x / scale, y: p.y / scale })),
+      originalImage,
+      cv
+    ));
+    console.log(`[Quads] Detected ${regions.length} quadrilateral(s)`);
+    return regions;
+  } finally {
+    cleanupMats(small, gray, edges, dilated, kernel, contours, hierarchy, lines, gradX, gradY);
+  }
+}
+
+/**
+ * Order four corners clockwise (in image coordinates) starting from the top-left
+ *
+ * @param {Array} corners - Four {x, y} points in any order
+ * @returns {Array} The same points, ordered
+ */
+export function orderQuadCorners(corners) {
+  const cx = corners.reduce((sum, p) => sum + p.x, 0) / corners.length;
+  const cy = corners.reduce((sum, p) => sum + p.y, 0) / corners.length;
+  const sorted = [...corners].sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+  // Top-left is the corner with the smallest x + y
+  let start = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].x + sorted[i].y < sorted[start].x + sorted[start].y) start = i;
+  }
+  return [...sorted.slice(start), ...sorted.slice(0, start)];
+}
+
+/**
+ * Merge collinear, overlapping or nearly touching line segments into lines
+ *
+ * @param {Array} segments - Segments {x1, y1, x2, y2}
+ * @param {object} options - { angleTolerance (radians, default 3°), distanceTolerance (px, default 3),
+ *   maxGap (px, default 40) }
+ * @returns {Array} Merged segments {x1, y1, x2, y2}, longest first
+ */
+export function groupLineSegments(segments, options = {}) {
+  const angleTolerance = options.angleTolerance || Math.PI / 60;
+  const distanceTolerance = options.distanceTolerance || 3;
+  const maxGap = options.maxGap || 40;
+
+  const sorted = [...segments].sort((a, b) => segmentLength(b) - segmentLength(a));
+  const groups = []; // { angle, dx, dy, rho, t0, t1 } with direction (dx, dy) and normal offset rho
+
+  for (const s of sorted) {
+    const length = segmentLength(s);
+    if (length === 0) continue;
+    let group = null;
+    for (const g of groups) {
+      if (angleBetween(g.angle, segmentAngle(s)) > angleTolerance) continue;
+      // Both endpoints close to the group's line
+      const rho1 = s.x1 * -g.dy + s.y1 * g.dx;
+      const rho2 = s.x2 * -g.dy + s.y2 * g.dx;
+      if (Math.abs(rho1 - g.rho) > distanceTolerance || Math.abs(rho2 - g.rho) > distanceTolerance) continue;
+      const ta = s.x1 * g.dx + s.y1 * g.dy;
+      const tb = s.x2 * g.dx + s.y2 * g.dy;
+      if (Math.min(ta, tb) > g.t1 + maxGap || Math.max(ta, tb) < g.t0 - maxGap) continue;
+      group = g;
+      group.t0 = Math.min(group.t0, ta, tb);
+      group.t1 = Math.max(group.t1, ta, tb);
+      break;
+    }
+    if (!group) {
+      const dx = (s.x2 - s.x1) / length;
+      const dy = (s.y2 - s.y1) / length;
+      const ta = s.x1 * dx + s.y1 * dy;
+      groups.push({ angle: segmentAngle(s), dx, dy, rho: s.x1 * -dy + s.y1 * dx, t0: ta, t1: ta + length });
+    }
+  }
+
+  return groups
+    .map(g => ({
+      x1: g.t0 * g.dx - g.rho * g.dy,
+      y1: g.t0 * g.dy + g.rho * g.dx,
+      x2: g.t1 * g.dx - g.rho * g.dy,
+      y2: g.t1 * g.dy + g.rho * g.dx
+    }))
+    .sort((a, b) => segmentLength(b) - segmentLength(a));
+}
+
+/**
+ * Find quadrilaterals whose four sides are each partly covered by a line
+ * Opposite sides come from roughly parallel lines (within 25°, which allows
+ * perspective); adjacent sides must meet at more than 45°. Poster edges are
+ * often broken up by overlaps and clutter, so coverage is low by default and
+ * candidates are meant to be verified against the image afterwards.
+ *
+ * @param {Array} lines - Segments {x1, y1, x2, y2}
+ * @param {number} width - Image width (corners must lie inside the image)
+ * @param {number} height - Image height
+ * @param {object} options - { minArea (px², default 100), minCoverage (default 0.2) }
+ * @returns {Array} Quads as four ordered corners (see orderQuadCorners)
+ */
+export function quadsFromLines(lines, width, height, options = {}) {
+  const minArea = options.minArea || 100;
+  const minCoverage = options.minCoverage || 0.2;
+  const maxParallelAngle = Math.PI * 25 / 180;
+  const minCornerAngle = Math.PI / 4;
+  const slack = 0.02 * Math.max(width, height);
+  const angles = lines.map(segmentAngle);
+  const inside = (p) => p && p.x >= -slack && p.y >= -slack && p.x <= width + slack && p.y <= height + slack;
+
+  const quads = [];
+  for (let a = 0; a < lines.length; a++) {
+    for (let b = a + 1; b < lines.length; b++) {
+      if (angleBetween(angles[a], angles[b]) > maxParallelAngle) continue;
+      if (distanceToLine(segmentMidpoint(lines[b]), lines[a]) < Math.sqrt(minArea) / 2) continue;
+
+      // Cross lines that span the gap between a and b. Each quad is built from its
+      // lowest-index line only, so it is found once.
+      const crossing = [];
+      for (let c = a + 1; c < lines.length; c++) {
+        if (c === b) continue;
+        if (angleBetween(angles[c], angles[a]) < minCornerAngle || angleBetween(angles[c], angles[b]) < minCornerAngle) continue;
+        const pa = lineIntersection(lines[a], lines[c]);
+        const pb = lineIntersection(lines[b], lines[c]);
+        if (!inside(pa) || !inside(pb)) continue;
+        if (sideCoverage(lines[c], pa, pb) < minCoverage) continue;
+        crossing.push({ c, pa, pb });
+      }
+
+      for (let i = 0; i < crossing.length; i++) {
+        for (let j = i + 1; j < crossing.length; j++) {
+          const first = crossing[i];
+          const second = crossing[j];
+          if (angleBetween(angles[first.c], angles[second.c]) > maxParallelAngle) continue;
+          if (sideCoverage(lines[a], first.pa, second.pa) < minCoverage) continue;
+          if (sideCoverage(lines[b], first.pb, second.pb) < minCoverage) continue;
+
+          const corners = [first.pa, second.pa, second.pb, first.pb];
+          if (!isConvexQuad(corners) || polygonArea(corners) < minArea) continue;
+          quads.push(orderQuadCorners(corners));
+        }
+      }
+    }
+  }
+  return quads;
+}
+
+/**
+ * Drop quads whose corners all lie close to those of a quad kept earlier
+ *
+ * @param {Array} quads - Ordered corner lists, best first
+ * @returns {Array} Quads without near-duplicates
+ */
+export function suppressDuplicateQuads(quads) {
+  const kept = [];
+  for (const quad of quads) {
+    const tolerance = Math.max(6, 0.08 * Math.sqrt(polygonArea(quad)));
+    const duplicate = kept.some(other => quad.every((p, k) =>
+      Math.hypot(p.x - other[k].x, p.y - other[k].y) <= tolerance
+    ));
+    if (!duplicate) kept.push(quad);
+  }
+  return kept;
+}
+
+/**
+ * Fraction of a quad's outline that follows an edge
+ *
+ * @param {Array} corners - Four ordered corners
+ * @param {object} gradient - { gx, gy, width, height } Sobel gradient field
+ * @returns {{ min: number, mean: number }} Lowest per-side support and length-weighted support
+ */
+function outlineSupport(corners, gradient) {
+  let min = 1, weighted = 0, perimeter = 0;
+  for (let k = 0; k < 4; k++) {
+    const p = corners[k];
+    const q = corners[(k + 1) % 4];
+    const length = Math.hypot(q.x - p.x, q.y - p.y);
+    const support = gradientSupport(p, q, gradient);
+    min = Math.min(min, support);
+    weighted += support * length;
+    perimeter += length;
+  }
+  return { min, mean: perimeter > 0 ? weighted / perimeter : 0 };
+}
+
+/**
+ * Check whether a straight edge crosses a quad from one side to the opposite one
+ * Chords between matching points of opposite sides are tested, skipping a margin
+ * along the sides so the frame and mat of a framed print don't count.
+ *
+ * @param {Array} corners - Four ordered corners
+ * @param {object} gradient - { gx, gy, width, height } Sobel gradient field
+ * @returns {boolean} True if some chord is an edge along almost its whole length
+ */
+function hasInternalEdge(corners, gradient) {
+  const margin = 0.15;
+  for (let k = 0; k < 2; k++) {
+    // Side k runs p0 -> p1; the opposite side runs q0 -> q1 in the same direction
+    const p0 = corners[k], p1 = corners[k + 1];
+    const q0 = corners[(k + 3) % 4], q1 = corners[k + 2];
+    const steps = Math.ceil(Math.max(Math.hypot(p1.x - p0.x, p1.y - p0.y), Math.hypot(q1.x - q0.x, q1.y - q0.y)));
+    for (let s = Math.ceil(steps * margin); s <= steps * (1 - margin); s++) {
+      const t = s / steps;
+      const a = { x: p0.x + (p1.x - p0.x) * t, y: p0.y + (p1.y - p0.y) * t };
+      const b = { x: q0.x + (q1.x - q0.x) * t, y: q0.y + (q1.y - q0.y) * t };
+      if (gradientSupport(a, b, gradient) >= INTERNAL_EDGE_SUPPORT) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Fraction of the points of a segment with a strong gradient across it
+ * A point counts when the gradient within one pixel of it (either side) is stronger
+ * than GRADIENT_MIN_MAGNITUDE and within GRADIENT_MAX_ANGLE of the segment's normal.
+ *
+ * @param {object} p - Segment start {x, y}
+ * @param {object} q - Segment end {x, y}
+ * @param {object} gradient - { gx, gy, width, height } Sobel gradient field
+ * @returns {number} Support in [0, 1]
+ */
+function gradientSupport(p, q, gradient) {
+  const { gx, gy, width, height } = gradient;
+  const length = Math.hypot(q.x - p.x, q.y - p.y);
+  if (length === 0) return 0;
+  const nx = -(q.y - p.y) / length;
+  const ny = (q.x - p.x) / length;
+  const minCos = Math.cos(GRADIENT_MAX_ANGLE);
+  const steps = Math.ceil(length);
+
+  let hits = 0;
+  for (let s = 0; s <= steps; s++) {
+    const x = p.x + (q.x - p.x) * s / steps;
+    const y = p.y + (q.y - p.y) * s / steps;
+    for (let offset = -1; offset <= 1; offset++) {
+      const px = Math.round(x + nx * offset);
+      const py = Math.round(y + ny * offset);
+      if (px < 0 || py < 0 || px >= width || py >= height) continue;
+      const i = py * width + px;
+      const magnitude = Math.hypot(gx[i], gy[i]);
+      if (magnitude > GRADIENT_MIN_MAGNITUDE && Math.abs(gx[i] * nx + gy[i] * ny) >= minCos * magnitude) {
+        hits++;
+        break;
+      }
+    }
+  }
+  return hits / (steps + 1);
+}
+
+/**
+ * Build a full-resolution region from four corners in original image coordinates
+ */
+function quadRegion(corners, originalImage, cv) {
+  const points = corners.map(p => ({
+    x: Math.min(originalImage.cols - 1, Math.max(0, Math.round(p.x))),
+    y: Math.min(originalImage.rows - 1, Math.max(0, Math.round(p.y)))
+  }));
+  const minX = Math.min(...points.map(p => p.x));
+  const minY = Math.min(...points.map(p => p.y));
+  const bounds = {
+    x: minX,
+    y: minY,
+    width: Math.max(...points.map(p => p.x)) - minX + 1,
+    height: Math.max(...points.map(p => p.y)) - minY + 1
+  };
+
+  const contour = new cv.Mat(4, 1, cv.CV_32SC2);
+  const localContour = new cv.Mat(4, 1, cv.CV_32SC2);
+  points.forEach((p, k) => {
+    contour.data32S[k * 2] = p.x;
+    contour.data32S[k * 2 + 1] = p.y;
+    localContour.data32S[k * 2] = p.x - minX;
+    localContour.data32S[k * 2 + 1] = p.y - minY;
+  });
+
+  const mask = cv.Mat.zeros(bounds.height, bounds.width, cv.CV_8UC1);
+  const contourVec = new cv.MatVector();
+  contourVec.push_back(localContour);
+  cv.drawContours(mask, contourVec, 0, new cv.Scalar(255), -1);
+  contourVec.delete();
+  localContour.delete();
+
+  const regionImage = originalImage.roi(new cv.Rect(bounds.x, bounds.y, bounds.width, bounds.height));
+  const mean = cv.mean(regionImage, mask);
+  regionImage.delete();
+  const avgColor = { r: Math.round(mean[0]), g: Math.round(mean[1]), b: Math.round(mean[2]) };
+
+  return {
+    contour,
+    mask,
+    bounds,
+    scaleFactor: 1,
+    selected: false,
+    label: -1,
+    avgColor,
+    avgLab: rgbToLab(avgColor.r, avgColor.g, avgColor.b),
+    adjacentIndices: [],
+    quad: true
+  };
+}
+
+function segmentLength(s) {
+  return Math.hypot(s.x2 - s.x1, s.y2 - s.y1);
+}
+
+function segmentMidpoint(s) {
+  return { x: (s.x1 + s.x2) / 2, y: (s.y1 + s.y2) / 2 };
+}
+
+// Undirected line angle in [0, π)
+function segmentAngle(s) {
+  const angle = Math.atan2(s.y2 - s.y1, s.x2 - s.x1);
+  return angle < 0 ? angle + Math.PI : (angle >= Math.PI ? angle - Math.PI : angle);
+}
+
+// Difference between two undirected line angles, in [0, π/2]
+function angleBetween(a, b) {
+  const diff = Math.abs(a - b) % Math.PI;
+  return Math.min(diff, Math.PI - diff);
+}
+
+function distanceToLine(p, s) {
+  const length = segmentLength(s);
+  return Math.abs((s.x2 - s.x1) * (s.y1 - p.y) - (s.x1 - p.x) * (s.y2 - s.y1)) / length;
+}
+
+// Intersection of the infinite lines through two segments (null if parallel)
+function lineIntersection(s, t) {
+  const d1x = s.x2 - s.x1, d1y = s.y2 - s.y1;
+  const d2x = t.x2 - t.x1, d2y = t.y2 - t.y1;
+  const denom = d1x * d2y - d1y * d2x;
+  if (Math.abs(denom) < 1e-9) return null;
+  const u = ((t.x1 - s.x1) * d2y - (t.y1 - s.y1) * d2x) / denom;
+  return { x: s.x1 + u * d1x, y: s.y1 + u * d1y };
+}
+
+// Fraction of the side p-q covered by the segment's projection onto it
+function sideCoverage(s, p, q) {
+  const dx = q.x - p.x, dy = q.y - p.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return 0;
+  const ta = ((s.x1 - p.x) * dx + (s.y1 - p.y) * dy) / lengthSq;
+  const tb = ((s.x2 - p.x) * dx + (s.y2 - p.y) * dy) / lengthSq;
+  return Math.max(0, Math.min(1, Math.max(ta, tb)) - Math.max(0, Math.min(ta, tb)));
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let k = 0; k < points.length; k++) {
+    const p = points[k];
+    const q = points[(k + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+function isConvexQuad(corners) {
+  let sign = 0;
+  for (let k = 0; k < 4; k++) {
+    const p = corners[k], q = corners[(k + 1) % 4], r = corners[(k + 2) % 4];
+    const cross = (q.x - p.x) * (r.y - q.y) - (q.y - p.y) * (r.x - q.x);
+    if (cross === 0) return false;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
@@ -0,0 +1,180 @@
+/**
+ * Selection refinement utilities
+ * Snaps a rough region selection to the true object outline using GrabCut
+ */
+
+import { cleanupMats, renderRegionsMask } from './segmentation';
+import { rgbToLab } from './color';
+
+/**
+ * Refine selected regions into pixel-accurate regions with GrabCut
+ * The union of the regions is used as probable foreground, a band around it as
+ * probable background, and everything outside the padded bounding box as
+ * definite background. GrabCut runs at full resolution on that box only.
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {Array} selectedRegions - Regions whose union seeds the foreground
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional settings
+ * @param {number} options.iterations - GrabCut iterations (default 5)
+ * @param {number} options.padding - Box padding as a fraction of the selection size (default 0.15)
+ * @param {Function} options.onProgress - Called as onProgress(step, fraction)
+ * @returns {Array} New full-resolution regions (scaleFactor 1, selected, refined and
+ *   manual: true), one per
+ *   connected foreground component; empty if GrabCut found no foreground
+ */
+export function refineRegionsWithGrabCut(originalImage, selectedRegions, cv, options = {}) {
+  if (!originalImage || !cv) {
+    throw new Error('Invalid image or OpenCV instance');
+  }
+  if (!selectedRegions || selectedRegions.length === 0) return [];
+
+  const iterations = options.iterations || 5;
+  const padding = options.padding !== undefined ? options.padding : 0.15;
+  const reportProgress = (step, fraction) => {
+    if (options.onProgress) options.onProgress(step, fraction);
+  };
+
+  let seed, rgb, gcMask, core, kernel, bgdModel, fgdModel, foreground, contours, hierarchy;
+  try {
+    reportProgress('seed', 0);
+    seed = renderRegionsMask(originalImage, selectedRegions, cv);
+
+    // Bounding box of the seed in original image coordinates
+    const cols = seed.cols;
+    const rows = seed.rows;
+    let minX = cols, minY = rows, maxX = -1, maxY = -1;
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        if (seed.data[y * cols + x] === 0) continue;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+    if (maxX < 0) return [];
+
+    const pad = Math.max(10, Math.round(Math.max(maxX - minX, maxY - minY) * padding));
+    const rect = new cv.Rect(
+      Math.max(0, minX - pad),
+      Math.max(0, minY - pad),
+      Math.min(cols, maxX + pad + 1) - Math.max(0, minX - pad),
+      Math.min(rows, maxY + pad + 1) - Math.max(0, minY - pad)
+    );
+    console.log(`[Refine] GrabCut on ${rect.width}x${rect.height} at (${rect.x},${rect.y})`);
+
+    // GrabCut needs an 8-bit 3-channel image
+    const roi = originalImage.roi(rect);
+    rgb = new cv.Mat();
+    cv.cvtColor(roi, rgb, cv.COLOR_RGBA2RGB);
+    roi.delete();
+
+    // Seed interior (selection shrunk by a few percent) is kept as definite foreground
+    // so GrabCut cannot discard the whole selection on low-contrast images
+    const seedRoi = seed.roi(rect);
+    core = new cv.Mat();
+    const erodeSize = Math.max(3, Math.round(Math.min(rect.width, rect.height) * 0.05)) | 1;
+    kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(erodeSize, erodeSize));
+    cv.erode(seedRoi, core, kernel);
+
+    gcMask = new cv.Mat(rect.height, rect.width, cv.CV_8UC1);
+    const gcData = gcMask.data;
+    const seedData = seedRoi.data;
+    const seedStep = seedRoi.step[0];
+    for (let y = 0; y < rect.height; y++) {
+      for (let x = 0; x < rect.width; x++) {
+        const i = y * rect.width + x;
+        const onBorder = x === 0 || y === 0 || x === rect.width - 1 || y === rect.height - 1;
+        if (core.data[i] > 0) {
+          gcData[i] = cv.GC_FGD;
+        } else if (seedData[y * seedStep + x] > 0) {
+          gcData[i] = cv.GC_PR_FGD;
+        } else {
+          gcData[i] = onBorder ? cv.GC_BGD : cv.GC_PR_BGD;
+        }
+      }
+    }
+    seedRoi.delete();
+
+    reportProgress('grabcut', 0);
+    bgdModel = new cv.Mat();
+    fgdModel = new cv.Mat();
+    cv.grabCut(rgb, gcMask, new cv.Rect(0, 0, 0, 0), bgdModel, fgdModel, iterations, cv.GC_INIT_WITH_MASK);
+
+    // Foreground = definite or probable foreground
+    foreground = cv.Mat.zeros(rect.height, rect.width, cv.CV_8UC1);
+    for (let i = 0; i < gcData.length; i++) {
+      if (gcData[i] === cv.GC_FGD || gcData[i] === cv.GC_PR_FGD) foreground.data[i] = 255;
+    }
+
+    reportProgress('contours', 0);
+    contours = new cv.MatVector();
+    hierarchy = new cv.Mat();
+    cv.findContours(foreground, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    // Drop specks: keep components of at least 0.5% of the largest one
+    let largestArea = 0;
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      largestArea = Math.max(largestArea, cv.contourArea(contour));
+      contour.delete();
+    }
+    const minArea = Math.max(16, largestArea * 0.005);
+
+    const refined = [];
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      if (cv.contourArea(contour) < minArea) {
+        contour.delete();
+        continue;
+      }
+
+      const box = cv.boundingRect(contour);
+      const bounds = { x: box.x + rect.x, y: box.y + rect.y, width: box.width, height: box.height };
+
+      // Translate contour from box-local to image coordinates
+      const translatedContour = new cv.Mat(contour.rows, 1, cv.CV_32SC2);
+      const localContour = new cv.Mat(contour.rows, 1, cv.CV_32SC2);
+      for (let j = 0; j < contour.rows; j++) {
+        translatedContour.data32S[j * 2] = contour.data32S[j * 2] + rect.x;
+        translatedContour.data32S[j * 2 + 1] = contour.data32S[j * 2 + 1] + rect.y;
+        localContour.data32S[j * 2] = contour.data32S[j * 2] - box.x;
+        localContour.data32S[j * 2 + 1] = contour.data32S[j * 2 + 1] - box.y;
+      }
+
+      // Filled mask matches the contour, like every other region mask
+      const mask = cv.Mat.zeros(box.height, box.width, cv.CV_8UC1);
+      const contourVec = new cv.MatVector();
+      contourVec.push_back(localContour);
+      cv.drawContours(mask, contourVec, 0, new cv.Scalar(255), -1);
+      contourVec.delete();
+      localContour.delete();
+      contour.delete();
+
+      const regionImage = originalImage.roi(new cv.Rect(bounds.x, bounds.y, bounds.width, bounds.height));
+      const mean = cv.mean(regionImage, mask);
+      regionImage.delete();
+      const avgColor = { r: Math.round(mean[0]), g: Math.round(mean[1]), b: Math.round(mean[2]) };
+
+      refined.push({
+        contour: translatedContour,
+        mask,
+        bounds,
+        scaleFactor: 1,
+        selected: true,
+        label: -1,
+        avgColor,
+        avgLab: rgbToLab(avgColor.r, avgColor.g, avgColor.b),
+        adjacentIndices: [],
+        refined: true,
+        manual: true
+      });
+    }
+
+    console.log(`[Refine] ${refined.length} refined region(s) from ${selectedRegions.length} selected`);
+    return refined;
+  } finally {
+    cleanupMats(seed, rgb, gcMask, core, kernel, bgdModel, fgdModel, foreground, contours, hierarchy);
+  }
+}
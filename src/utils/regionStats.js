@@ -0,0 +1,120 @@
+/**
+ * Region statistics
+ * Measurements of regions in original-image pixels for the inspector panel:
+ * area, perimeter, centroid, bounding box, mean color and neighbor count, plus
+ * selection totals such as the fraction of the image a mask lights up.
+ */
+
+import { cleanupMats, renderRegionsMask } from './segmentation';
+
+/**
+ * Measure one region in original-image pixels
+ * Area and centroid come from the mask, the perimeter from the contour.
+ *
+ * @param {object} region - Region with mask, contour, bounds, scaleFactor, avgColor, adjacentIndices
+ * @returns {object} { area, perimeter, centroid: {x, y}, bounds: {x, y, width, height},
+ *   color: {r, g, b}, neighborCount }
+ */
+export function computeRegionStats(region) {
+  const scale = 1 / (region.scaleFactor || 1);
+  const { mask, bounds } = region;
+
+  let count = 0, sumX = 0, sumY = 0;
+  for (let y = 0; y < mask.rows; y++) {
+    const row = y * mask.cols;
+    for (let x = 0; x < mask.cols; x++) {
+      if (mask.data[row + x] === 0) continue;
+      count++;
+      sumX += x;
+      sumY += y;
+    }
+  }
+
+  // Closed polygon length of the contour
+  const points = region.contour.data32S;
+  const n = points.length / 2;
+  let perimeter = 0;
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    perimeter += Math.hypot(points[j * 2] - points[i * 2], points[j * 2 + 1] - points[i * 2 + 1]);
+  }
+
+  const color = region.avgColor || { r: 0, g: 0, b: 0 };
+  return {
+    area: count * scale * scale,
+    perimeter: perimeter * scale,
+    // Pixel centers, so a single pixel at (0, 0) has its centroid at (0.5, 0.5)
+    centroid: count > 0
+      ? { x: (bounds.x + sumX / count + 0.5) * scale, y: (bounds.y + sumY / count + 0.5) * scale }
+      : { x: (bounds.x + bounds.width / 2) * scale, y: (bounds.y + bounds.height / 2) * scale },
+    bounds: {
+      x: Math.round(bounds.x * scale),
+      y: Math.round(bounds.y * scale),
+      width: Math.round(bounds.width * scale),
+      height: Math.round(bounds.height * scale)
+    },
+    color: { r: Math.round(color.r), g: Math.round(color.g), b: Math.round(color.b) },
+    neighborCount: (region.adjacentIndices || []).length
+  };
+}
+
+/**
+ * Combine the stats of several regions
+ * Areas and perimeters are summed (overlaps count twice; see measureLitArea for
+ * the covered area), the color is area-weighted and the bounds are their union.
+ *
+ * @param {Array<object>} statsList - computeRegionStats() results
+ * @returns {object|null} { count, area, perimeter, centroid, bounds, color }, or null for no regions
+ */
+export function summarizeRegionStats(statsList) {
+  if (statsList.length === 0) return null;
+
+  let area = 0, perimeter = 0, cx = 0, cy = 0, r = 0, g = 0, b = 0;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const stats of statsList) {
+    area += stats.area;
+    perimeter += stats.perimeter;
+    cx += stats.centroid.x * stats.area;
+    cy += stats.centroid.y * stats.area;
+    r += stats.color.r * stats.area;
+    g += stats.color.g * stats.area;
+    b += stats.color.b * stats.area;
+    minX = Math.min(minX, stats.bounds.x);
+    minY = Math.min(minY, stats.bounds.y);
+    maxX = Math.max(maxX, stats.bounds.x + stats.bounds.width);
+    maxY = Math.max(maxY, stats.bounds.y + stats.bounds.height);
+  }
+
+  const weight = area || 1;
+  return {
+    count: statsList.length,
+    area,
+    perimeter,
+    centroid: { x: cx / weight, y: cy / weight },
+    bounds: { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
+    color: { r: Math.round(r / weight), g: Math.round(g / weight), b: Math.round(b / weight) }
+  };
+}
+
+/**
+ * Measure how much of the image the mask of the given regions lights up
+ * Uses the same rasterization as the downloaded mask, so overlapping regions
+ * count once.
+ *
+ * @param {cv.Mat} originalImage - The source image (for dimensions)
+ * @param {Array} regions - Regions in the mask (usually the selected ones)
+ * @param {object} cv - OpenCV.js instance
+ * @returns {{ litPixels: number, totalPixels: number, fraction: number }}
+ */
+export function measureLitArea(originalImage, regions, cv) {
+  const totalPixels = originalImage.rows * originalImage.cols;
+  if (regions.length === 0) return { litPixels: 0, totalPixels, fraction: 0 };
+
+  const mask = renderRegionsMask(originalImage, regions, cv);
+  try {
+    const litPixels = cv.countNonZero(mask);
+    return { litPixels, totalPixels, fraction: litPixels / totalPixels };
+  } finally {
+    cleanupMats(mask);
+  }
+}
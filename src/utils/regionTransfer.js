@@ -0,0 +1,139 @@
+/**
+ * Region transfer utilities
+ * Converts segmentation results between OpenCV-backed region objects and plain
+ * typed arrays so they can be posted between the main thread and a Web Worker.
+ * Each side owns its own OpenCV.js instance, so Mats never cross the boundary.
+ */
+
+/**
+ * Copy an OpenCV Mat into a plain object with its own typed array
+ * The copy is required because Mat data is a view into the WebAssembly heap
+ *
+ * @param {cv.Mat} mat - Single-channel 8-bit Mat
+ * @returns {object|null} { rows, cols, data: Uint8Array }
+ */
+function matToTransfer(mat) {
+  if (!mat || mat.isDeleted()) return null;
+  return { rows: mat.rows, cols: mat.cols, data: new Uint8Array(mat.data) };
+}
+
+/**
+ * Rebuild an 8-bit single-channel Mat from a transferred object
+ *
+ * @param {object} transferred - { rows, cols, data }
+ * @param {object} cv - OpenCV.js instance
+ * @returns {cv.Mat|null}
+ */
+function matFromTransfer(transferred, cv) {
+  if (!transferred) return null;
+  const mat = new cv.Mat(transferred.rows, transferred.cols, cv.CV_8U);
+  mat.data.set(transferred.data);
+  return mat;
+}
+
+/**
+ * Serialize region objects into plain data plus the list of transferable buffers
+ *
+ * @param {Array} regions - Region objects with contour/mask Mats
+ * @returns {{ regions: Array, transfer: Array<ArrayBuffer> }}
+ */
+export function serializeRegions(regions) {
+  const transfer = [];
+  const serialized = regions.map(region => {
+    const contour = new Int32Array(region.contour.data32S);
+    const mask = matToTransfer(region.mask);
+    transfer.push(contour.buffer);
+    if (mask) transfer.push(mask.data.buffer);
+
+    // Copy every plain property so new region fields survive the round trip
+    const { contour: _contour, mask: _mask, ...rest } = region;
+    return { ...rest, contour, mask };
+  });
+  return { regions: serialized, transfer };
+}
+
+/**
+ * Rebuild region objects (with Mats owned by the given OpenCV instance)
+ * from serialized region data
+ *
+ * @param {Array} serializedRegions - Output of serializeRegions().regions
+ * @param {object} cv - OpenCV.js instance
+ * @returns {Array} Region objects with contour and mask Mats
+ */
+export function deserializeRegions(serializedRegions, cv) {
+  return serializedRegions.map(data => {
+    const contour = new cv.Mat(data.contour.length / 2, 1, cv.CV_32SC2);
+    contour.data32S.set(data.contour);
+    const mask = matFromTransfer(data.mask, cv);
+    return { ...data, contour, mask };
+  });
+}
+
+/**
+ * Serialize a full segmentImage() result (regions, edge map, label map, merge tree,
+ * debug layers). The label map, merge tree and debug layers are already plain typed
+ * arrays, so their buffers are transferred as-is
+ *
+ * @param {object} result - { regions, edgeMap, labelMap, mergeTree, debug }
+ * @returns {{ result: object, transfer: Array<ArrayBuffer> }}
+ */
+export function serializeSegmentationResult(result) {
+  const { regions, transfer } = serializeRegions(result.regions);
+  const edgeMap = matToTransfer(result.edgeMap);
+  if (edgeMap) transfer.push(edgeMap.data.buffer);
+  const labelMap = result.labelMap || null;
+  const mergeTree = result.mergeTree || null;
+  const debug = result.debug || null;
+  [labelMap, mergeTree, debug && debug.layers].forEach(plain => {
+    if (!plain) return;
+    Object.values(plain).forEach(value => {
+      // A buffer may only be listed once
+      if (ArrayBuffer.isView(value) && !transfer.includes(value.buffer)) transfer.push(value.buffer);
+    });
+  });
+  return { result: { regions, edgeMap, labelMap, mergeTree, debug }, transfer };
+}
+
+/**
+ * Rebuild a segmentImage()-shaped result from serialized data
+ *
+ * @param {object} serialized - Output of serializeSegmentationResult().result
+ * @param {object} cv - OpenCV.js instance
+ * @returns {object} { regions, edgeMap, labelMap, mergeTree, debug }
+ */
+export function deserializeSegmentationResult(serialized, cv) {
+  return {
+    regions: deserializeRegions(serialized.regions, cv),
+    edgeMap: matFromTransfer(serialized.edgeMap, cv),
+    labelMap: serialized.labelMap || null,
+    mergeTree: serialized.mergeTree || null,
+    debug: serialized.debug || null
+  };
+}
+
+/**
+ * Copy an RGBA image Mat into a transferable object
+ *
+ * @param {cv.Mat} image - CV_8UC4 image
+ * @returns {{ image: object, transfer: Array<ArrayBuffer> }}
+ */
+export function serializeImage(image) {
+  const data = new Uint8Array(image.data);
+  return {
+    image: { rows: image.rows, cols: image.cols, data },
+    transfer: [data.buffer]
+  };
+}
+
+/**
+ * Rebuild an RGBA image Mat from serializeImage() output
+ *
+ * @param {object} serialized - { rows, cols, data }
+ * @param {object} cv - OpenCV.js instance
+ * @returns {cv.Mat} CV_8UC4 image (caller must delete)
+ */
+export function deserializeImage(serialized, cv) {
+  const mat = new cv.Mat(serialized.rows, serialized.cols, cv.CV_8UC4);
+  mat.data.set(serialized.data);
+  return mat;
+}
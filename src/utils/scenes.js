@@ -0,0 +1,182 @@
+/**
+ * Scenes
+ * Named snapshots of what is lit - which areas are selected, with their light and
+ * margin, plus the presenter strokes - so the same wall can be prepared for several
+ * events and switched between without selecting again. A scene stores the outlines of
+ * its lit regions in original image pixels and is applied by pixel ownership (see
+ * restoreSelectionFromRegions), so it keeps lighting the same areas when the regions
+ * change: another merge level, a split, wand, refined or traced regions, detected
+ * posters or a new segmentation.
+ */
+
+import { SELECTION_STATE_FIELDS, restoreSelectionFromRegions } from './segmentation';
+
+/**
+ * Outline (and holes) of a region in original image pixels with its light and margin
+ */
+function litArea(region) {
+  const scale = 1 / (region.scaleFactor || 1);
+  const area = { outline: Array.from(region.contour.data32S, v => Math.round(v * scale)) };
+  if (region.holes && region.holes.length > 0) {
+    area.holes = region.holes.map(hole => Array.from(hole, v => Math.round(v * scale)));
+  }
+  for (const field of SELECTION_STATE_FIELDS) {
+    if (region[field] !== undefined) area[field] = region[field];
+  }
+  return area;
+}
+
+function copyStrokes(strokes) {
+  return strokes.map(stroke => ({ ...stroke, points: stroke.points.map(p => ({ x: p.x, y: p.y })) }));
+}
+
+/**
+ * Snapshot the lit regions and the strokes
+ *
+ * @param {Array} regions - Region objects
+ * @param {Array} strokes - Presenter strokes (world coordinates)
+ * @returns {{ lit: Array<object>, strokes: Array }} Plain, JSON-ready state: lit holds
+ *   { outline, holes?, color?, intensity?, margin? } per selected region, outlines and
+ *   holes as flat [x, y, ...] arrays in original image pixels
+ */
+export function captureScene(regions, strokes) {
+  return {
+    lit: regions.filter(region => region.selected).map(litArea),
+    strokes: copyStrokes(strokes)
+  };
+}
+
+/**
+ * Regions with a scene's selection, lights and margins applied
+ * A region is lit when the scene's outlines cover most of the pixels it owns, and takes
+ * the light and margin of the outlines covering it. Regions are copied, never changed
+ * in place, since the undo history shares them.
+ *
+ * @param {object} scene - Scene (or captureScene() result)
+ * @param {Array} regions - Current region objects
+ * @param {cv.Mat} originalImage - The original image (for dimensions)
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} labelMap - Label map of the current regions (see buildLabelMap); without
+ *   one, regions under others are judged by their whole mask
+ * @returns {Array} New region list
+ */
+export function applyScene(scene, regions, originalImage, cv, labelMap = null) {
+  const areas = scene.lit.map(area => {
+    const contour = new cv.Mat(area.outline.length / 2, 1, cv.CV_32SC2);
+    contour.data32S.set(area.outline);
+    const region = { contour, scaleFactor: 1, selected: true };
+    if (area.holes) region.holes = area.holes.map(hole => Int32Array.from(hole));
+    for (const field of SELECTION_STATE_FIELDS) {
+      if (area[field] !== undefined) region[field] = area[field];
+    }
+    return region;
+  });
+
+  const applied = regions.map(region => ({ ...region }));
+  try {
+    restoreSelectionFromRegions(originalImage, areas, applied, cv, labelMap);
+  } finally {
+    areas.forEach(area => area.contour.delete());
+  }
+  return applied;
+}
+
+/**
+ * Convert scenes saved with one state per region (in region order) to outlines
+ * Such scenes come from project files saved before scenes stored outlines; the regions
+ * saved in the same file are the ones their states refer to.
+ *
+ * @param {Array} scenes - Scenes from a project file
+ * @param {Array} regions - The project's regions
+ * @returns {Array} Scenes with lit outlines
+ */
+export function upgradeScenes(scenes, regions) {
+  return scenes.map(scene => {
+    if (scene.lit || !Array.isArray(scene.regions)) return scene;
+    const { regions: states, ...rest } = scene;
+    const lit = [];
+    regions.forEach((region, i) => {
+      const state = states[i] || {};
+      if (!state.selected) return;
+      const stored = { contour: region.contour, scaleFactor: region.scaleFactor, holes: region.holes };
+      for (const field of SELECTION_STATE_FIELDS) {
+        if (state[field] !== undefined) stored[field] = state[field];
+      }
+      lit.push(litArea(stored));
+    });
+    return { ...rest, lit, strokes: scene.strokes || [] };
+  });
+}
+
+/**
+ * First "<base> N" name (N = 1, 2, ...) not used by a scene
+ *
+ * @param {Array} scenes - Existing scenes
+ * @param {string} base - Name prefix (default 'Scene')
+ * @returns {string}
+ */
+export function uniqueSceneName(scenes, base = 'Scene') {
+  const names = new Set(scenes.map(scene => scene.name));
+  let n = 1;
+  while (names.has(`${base} ${n}`)) n++;
+  return `${base} ${n}`;
+}
+
+/**
+ * Create a scene from the current regions and strokes
+ *
+ * @param {Array} scenes - Existing scenes (for a unique id and name)
+ * @param {Array} regions - Region objects
+ * @param {Array} strokes - Presenter strokes
+ * @param {string} name - Scene name (default: next free "Scene N")
+ * @returns {object} Scene { id, name, lit, strokes }
+ */
+export function createScene(scenes, regions, strokes, name = uniqueSceneName(scenes)) {
+  const id = scenes.reduce((max, scene) => Math.max(max, scene.id), 0) + 1;
+  return { id, name, ...captureScene(regions, strokes) };
+}
+
+/**
+ * Insert a copy of a scene right after it
+ *
+ * @param {Array} scenes - Scene list
+ * @param {number} id - Id of the scene to copy
+ * @returns {Array} New scene list
+ * @throws {Error} If there is no scene with that id
+ */
+export function duplicateScene(scenes, id) {
+  const index = scenes.findIndex(scene => scene.id === id);
+  if (index === -1) {
+    throw new Error(`No scene with id ${id}`);
+  }
+  const source = scenes[index];
+  const copy = createScene(scenes, [], [], uniqueSceneName(scenes, `${source.name} copy`));
+  copy.lit = JSON.parse(JSON.stringify(source.lit));
+  copy.strokes = copyStrokes(source.strokes);
+  return [...scenes.slice(0, index + 1), copy, ...scenes.slice(index + 1)];
+}
+
+/**
+ * Move a scene by some places in the list (clamped to its ends)
+ *
+ * @param {Array} scenes - Scene list
+ * @param {number} id - Id of the scene to move
+ * @param {number} offset - Places to move, negative = earlier
+ * @returns {Array} New scene list
+ */
+export function moveScene(scenes, id, offset) {
+  const from = scenes.findIndex(scene => scene.id === id);
+  if (from === -1) return scenes;
+  const to = Math.min(scenes.length - 1, Math.max(0, from + offset));
+  const result = [...scenes];
+  const [scene] = result.splice(from, 1);
+  result.splice(to, 0, scene);
+  return result;
+}
+
+/**
+ * Turn a scene name into a safe file name part
+ */
+export function sceneFileName(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'scene';
+}
@@ -3,6 +3,13 @@
  * Handles image segmentation, region detection, and mask generation
  */
 
+import { computeSlicLabels } from './slic';
+import { rgbToLab, rgbDistance, colorDistance, DEFAULT_COLOR_METRIC } from './color';
+import { TEXTURE_BINS, computeTextureSignatures, textureDistance } from './texture';
+import { featherMask } from './feather';
+import { adjustMaskMargin } from './margin';
+import { DEFAULT_LIGHT_COLOR, groupByLight, addLight } from './light';
+
 /**
  * Union-Find (Disjoint Set) data structure for efficient region merging
  */
@@ -28,6 +35,46 @@ class UnionFind {
   }
 }
 
+/**
+ * Pipeline steps reported through segmentImage's onProgress callback, in order
+ */
+export const SEGMENTATION_STEPS = ['edges', 'markers', 'watershed', 'merge', 'contours', 'boundaries'];
+
+/**
+ * Intermediate images segmentImage can return with options.debug, in pipeline order
+ * All are one value per working-resolution pixel: 8-bit images (gradient, canny,
+ * edgeMask, distance) or labels (markers, labels; 0 = none).
+ */
+export const DEBUG_LAYERS = ['gradient', 'canny', 'edgeMask', 'distance', 'markers', 'labels'];
+
+/**
+ * Base for encoding an adjacent label pair as a single number (a * LABEL_PAIR_BASE + b)
+ * 2^26 keeps every pair an exact float64 while allowing the label counts of
+ * full-resolution tiled segmentation
+ */
+export const LABEL_PAIR_BASE = 67108864;
+
+// Texture distance (0-1) is scaled to the range of color distances before blending
+const TEXTURE_DISTANCE_SCALE = 100;
+
+// Longest side of the working image outside tiled mode (larger images are downscaled)
+const MAX_WORKING_DIMENSION = 2000;
+
+// Ranges of the Detail Level and Merge sliders, searched by autoTuneSegmentation
+const MIN_DETAIL_LEVEL = 1;
+const MAX_DETAIL_LEVEL = 20;
+const MAX_MERGE_THRESHOLD = 100;
+// Auto-tune counts within this factor of the target count as reaching it
+const AUTO_TUNE_TARGET_FACTOR = 1.5;
+
+// Tiled full-resolution segmentation defaults
+const DEFAULT_TILE_SIZE = 1024;
+const DEFAULT_TILE_OVERLAP = 32;
+const DEFAULT_MEMORY_BUDGET_MB = 1024;
+// Rough peak bytes per pixel of the tiled pipeline: tile and stitched labels,
+// merge tree leaves, remapped labels, label map and edge map
+const TILED_BYTES_PER_PIXEL = 28;
+
 /**
  * Clean up OpenCV matrices to prevent memory leaks
  * OpenCV.js runs in WebAssembly and requires manual memory management
@@ -40,8 +87,34 @@ export function cleanupMats(...mats) {
   });
 }
 
+/**
+ * Distance between two region descriptors, blending color and texture
+ * With textureWeight 0, or when either side has no texture signature, this is
+ * the plain color distance; texture distance is scaled to the same range so
+ * merge and similarity thresholds keep their meaning at any weight.
+ *
+ * @param {object} colorA - { rgb, lab } color of the first region
+ * @param {ArrayLike<number>|null} textureA - Texture signature of the first region
+ * @param {object} colorB - { rgb, lab } color of the second region
+ * @param {ArrayLike<number>|null} textureB - Texture signature of the second region
+ * @param {object} options - { colorMetric (see COLOR_METRICS in color.js), textureWeight (0-1) }
+ * @returns {number} Blended distance
+ */
+function descriptorDistance(colorA, textureA, colorB, textureB, options) {
+  const metric = options.colorMetric || DEFAULT_COLOR_METRIC;
+  const color = metric === 'rgb'
+    ? rgbDistance(colorA.rgb, colorB.rgb)
+    : colorDistance(colorA.lab, colorB.lab, metric);
+  const weight = options.textureWeight || 0;
+  if (weight <= 0 || !textureA || !textureB) return color;
+  const texture = textureDistance(textureA, textureB);
+  if (texture === null) return color;
+  return (1 - weight) * color + weight * TEXTURE_DISTANCE_SCALE * texture;
+}
+
 /**
  * Segment an image into distinct regions using watershed segmentation
+ * (or SLIC superpixels, see options.method)
  * This ensures complete coverage (every pixel belongs to exactly one region)
  * and creates compact, blob-like regions that respect edges
  *
@@ -49,33 +122,86 @@ export function cleanupMats(...mats) {
  * @param {number} sensitivity - Segmentation sensitivity (1-10, lower = fewer/larger regions)
  * @param {number} regionSize - Target region size divisor (10-40, higher = smaller regions)
  * @param {object} cv - OpenCV.js instance
- * @returns {Array} Array of region objects with contour, mask, bounds, and selection state
+ * @param {number} mergeThreshold - Max color distance for merging adjacent regions (0 = no merging)
+ * @param {object} options - Optional settings
+ * @param {Function} options.onProgress - Called as onProgress(step, fraction) where step is one of
+ *   SEGMENTATION_STEPS and fraction (0-1) is the progress within that step
+ * @param {string} options.method - 'watershed' (default), 'slic' for uniform, compact superpixels,
+ *   or 'scribbles' to flood watershed from options.scribbles (one region per scribble label)
+ * @param {Array} options.scribbles - Scribbles only: strokes { label, points, size } in original
+ *   image coordinates, label 0 = background and 1..n = objects (see rasterizeScribbles)
+ * @param {number} options.compactness - SLIC only: color vs. spatial weight (default 10, higher = more regular)
+ * @param {boolean} options.tiled - Segment overlapping tiles at native resolution instead of
+ *   downscaling to 2000px, stitching labels across tile seams (regions get scaleFactor 1);
+ *   ignored in scribble mode
+ * @param {number} options.tileSize - Tiled only: tile width and height in pixels (default 1024)
+ * @param {number} options.tileOverlap - Tiled only: overlap between tiles in pixels (default 32)
+ * @param {number} options.memoryBudgetMB - Tiled only: approximate memory the segmentation may use
+ *   (default 1024); images that would exceed it are downscaled just enough to fit
+ * @param {string} options.colorMetric - Color difference used to merge regions, one of
+ *   COLOR_METRICS from color.js (default 'rgb')
+ * @param {number} options.textureWeight - Share of texture (LBP signature) distance in the
+ *   merge distance, 0-1 (default 0 = color only)
+ * @param {boolean} options.refineBoundaries - When the image was downscaled, snap region
+ *   boundaries to full-resolution edges (default true, see refineRegionBoundaries)
+ * @param {boolean} options.debug - Also return the intermediate images of the pipeline (see
+ *   DEBUG_LAYERS); tiled mode only records the pre-merge labels
+ * @returns {object} { regions, edgeMap, labelMap, mergeTree, debug } - region objects with contour, mask,
+ *   bounds and selection state; the edge map; the label map of region indices (see buildLabelMap);
+ *   the merge hierarchy for regionsFromMergeTree() (null in scribble mode); and with options.debug,
+ *   { width, height, scaleFactor, layers } where layers maps DEBUG_LAYERS names to typed arrays at
+ *   working resolution (else null). In scribble mode each region also has scribbleLabel, the
+ *   label of the scribble it grew from.
  */
-export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeThreshold = 10) {
+export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeThreshold = 10, options = {}) {
   if (!originalImage || !cv) {
     throw new Error('Invalid image or OpenCV instance');
   }
 
+  const reportProgress = (step, fraction) => {
+    if (options.onProgress) options.onProgress(step, fraction);
+  };
+
   // Default regionSize to 20 if not provided (for backward compatibility)
   if (regionSize === undefined || regionSize === null) {
     regionSize = 20;
   }
 
-  const regions = [];
-  let gray, blurred, gradient, gradient3C, markers, edgeMap;
+  const method = options.method || 'watershed';
+  const scribbleMode = method === 'scribbles';
+  if (scribbleMode && !(options.scribbles || []).some(stroke => stroke.label > 0 && stroke.points.length > 0)) {
+    throw new Error('Scribble segmentation needs at least one object scribble');
+  }
+  let regions = [];
+  let mergeTree = null;
+  let labelMap = null;
+  let debug = null;
+  let gray, gradient, combined, edgeMap;
   let workingImage = originalImage;
   let scaleFactor = 1;
 
   try {
-    // Check if image is too large and needs downscaling
-    const maxDimension = 2000; // Max 2000px on longest side
     const maxPixels = originalImage.rows * originalImage.cols;
     const longSide = Math.max(originalImage.rows, originalImage.cols);
 
     console.log('[Segmentation] Original image:', originalImage.rows, 'x', originalImage.cols, `(${(maxPixels / 1000000).toFixed(1)}M pixels)`);
 
-    if (longSide > maxDimension) {
-      scaleFactor = maxDimension / longSide;
+    if (options.tiled && !scribbleMode) {
+      // Tiled mode works at native resolution unless that would exceed the memory budget
+      const budgetMB = options.memoryBudgetMB || DEFAULT_MEMORY_BUDGET_MB;
+      const estimatedMB = maxPixels * TILED_BYTES_PER_PIXEL / (1024 * 1024);
+      if (estimatedMB > budgetMB) {
+        scaleFactor = Math.sqrt(budgetMB / estimatedMB);
+        console.log(`[Segmentation] Full resolution needs ~${Math.round(estimatedMB)}MB (budget ${budgetMB}MB), downscaling by ${scaleFactor.toFixed(2)}x`);
+      }
+    } else {
+      // Check if image is too large and needs downscaling
+      if (longSide > MAX_WORKING_DIMENSION) {
+        scaleFactor = MAX_WORKING_DIMENSION / longSide;
+      }
+    }
+
+    if (scaleFactor !== 1) {
       const newWidth = Math.floor(originalImage.cols * scaleFactor);
       const newHeight = Math.floor(originalImage.rows * scaleFactor);
 
@@ -88,54 +214,619 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
       console.log('[Segmentation] Downscaled to:', workingImage.rows, 'x', workingImage.cols, `(${(workingImage.rows * workingImage.cols / 1000000).toFixed(1)}M pixels)`);
     }
 
-    // Step 1: Edge detection for boundary-aware watershed
-    console.log('[Segmentation] Step 1: Computing edges');
+    const imgCols = workingImage.cols;
+    const imgRows = workingImage.rows;
+    if (options.debug) {
+      debug = { width: imgCols, height: imgRows, scaleFactor, layers: {} };
+    }
+    // Label spacing is derived from the whole image so tiles segment at the same scale
+    const spacing = labelSpacing(imgCols, imgRows, regionSize);
+
+    let labelResult;
+    if (options.tiled && !scribbleMode) {
+      ({ labelResult, edgeMap } = computeTiledLabels(workingImage, sensitivity, method, spacing, options, cv, reportProgress));
+    } else {
+      // Step 1: Edge detection for boundary-aware watershed
+      console.log('[Segmentation] Step 1: Computing edges');
+      reportProgress('edges', 0);
+      ({ gray, gradient, combined } = computeEdgeImages(workingImage, cv, debug));
+      console.log('[Segmentation] Edge detection complete');
+
+      // Save edge map for other features
+      edgeMap = combined.clone();
+
+      labelResult = scribbleMode
+        ? computeScribbleLabels(workingImage, combined, options.scribbles, scaleFactor, cv, reportProgress, debug)
+        : computeImageLabels(workingImage, gray, gradient, combined, sensitivity, method, spacing, options, cv, reportProgress, debug);
+    }
+
+    ({ regions, labelMap, mergeTree } = buildRegionsFromLabels(
+      labelResult.pixelLabels,
+      labelResult.adjacencyPairs,
+      workingImage,
+      scaleFactor,
+      scribbleMode ? 0 : mergeThreshold,
+      { colorMetric: options.colorMetric || DEFAULT_COLOR_METRIC, textureWeight: options.textureWeight || 0 },
+      cv,
+      reportProgress
+    ));
+    // Leaf labels after small regions were absorbed, i.e. right before merging
+    if (debug) debug.layers.labels = Int32Array.from(labelResult.pixelLabels);
+
+    if (scribbleMode) {
+      // One region per scribble label; there is nothing to merge
+      regions.forEach(region => { region.scribbleLabel = region.label - 1; });
+      mergeTree = null;
+    }
 
-    gray = new cv.Mat();
-    cv.cvtColor(workingImage, gray, cv.COLOR_RGBA2GRAY);
+    // Step 7: Snap the upscaled boundaries to full-resolution edges
+    if (scaleFactor !== 1 && options.refineBoundaries !== false) {
+      regions = refineRegionBoundaries(originalImage, regions, cv, { onProgress: options.onProgress });
+    }
+
+  } catch (error) {
+    console.error('[Segmentation] Error:', error);
+    // Clean up on error
+    cleanupMats(gray, gradient, combined, edgeMap);
+    if (scaleFactor !== 1 && workingImage) {
+      cleanupMats(workingImage);
+    }
+    throw error;
+  }
+
+  // Cleanup temporary matrices
+  cleanupMats(gray, gradient, combined);
+  if (scaleFactor !== 1) {
+    cleanupMats(workingImage);
+  }
+
+  return { regions, edgeMap, labelMap, mergeTree, debug };
+}
+
+/**
+ * Region size (SLIC superpixels across the short side) used for a Detail Level
+ *
+ * @param {number} detailLevel - Detail Level slider value (1-20)
+ * @returns {number} regionSize for segmentImage
+ */
+export function regionSizeForDetail(detailLevel) {
+  return Math.round(10 + (detailLevel - 1) * (70 / 19));
+}
+
+/**
+ * Label grid spacing for an image of the given size
+ *
+ * @param {number} width - Working image width
+ * @param {number} height - Working image height
+ * @param {number} regionSize - Approximate SLIC superpixels across the short side
+ * @returns {{ slicStep: number, markerSpacing: number }} Spacing in pixels
+ */
+function labelSpacing(width, height, regionSize) {
+  return {
+    slicStep: Math.max(4, Math.round(Math.min(width, height) / regionSize)),
+    markerSpacing: Math.max(6, Math.round(Math.min(width, height) / 90)) // ~8px - smaller segments
+  };
+}
+
+/**
+ * Number of regions a merge tree yields at a merge threshold
+ *
+ * @param {object} mergeTree - Merge tree returned by segmentImage
+ * @param {number} mergeThreshold - Max color distance for merging
+ * @returns {number} Leaf count minus the merges that apply
+ */
+export function mergeTreeRegionCount(mergeTree, mergeThreshold) {
+  return mergeTree.leaves.length - mergeTreeLevel(mergeTree, mergeThreshold);
+}
+
+/**
+ * Find the whole-number merge threshold whose region count is closest to a target
+ * The count only falls as the threshold rises, so this is a binary search; of the
+ * thresholds giving the chosen count, the lowest is returned.
+ *
+ * @param {object} mergeTree - Merge tree returned by segmentImage
+ * @param {number} targetCount - Wanted number of regions
+ * @param {number} maxThreshold - Highest threshold to consider (default 100, the Merge slider maximum)
+ * @returns {{ mergeThreshold: number, regionCount: number }}
+ */
+export function mergeThresholdForCount(mergeTree, targetCount, maxThreshold = MAX_MERGE_THRESHOLD) {
+  // Smallest threshold that brings the count down to a given count (maxThreshold if none does)
+  const lowestThresholdFor = (count) => {
+    let lo = 0, hi = maxThreshold;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (mergeTreeRegionCount(mergeTree, mid) <= count) hi = mid;
+      else lo = mid + 1;
+    }
+    return lo;
+  };
+
+  const threshold = lowestThresholdFor(targetCount);
+  let regionCount = mergeTreeRegionCount(mergeTree, threshold);
+  if (threshold > 0) {
+    // The step just below may land closer, from above the target
+    const previousCount = mergeTreeRegionCount(mergeTree, threshold - 1);
+    if (previousCount - targetCount <= Math.abs(regionCount - targetCount)) regionCount = previousCount;
+  }
+  return { mergeThreshold: lowestThresholdFor(regionCount), regionCount };
+}
+
+/**
+ * Whether an auto-tuned region count is close enough to its target to call it reached
+ *
+ * @param {number} regionCount - Region count the settings give
+ * @param {number} targetCount - Wanted number of regions
+ * @returns {boolean} True within a factor of 1.5 either way
+ */
+export function tuningReachedTarget(regionCount, targetCount) {
+  return Math.max(regionCount, targetCount) <= AUTO_TUNE_TARGET_FACTOR * Math.min(regionCount, targetCount);
+}
+
+/**
+ * Search the Detail Level and merge threshold that segment an image into about
+ * a target number of regions
+ * The edge images are computed once and shared by every trial; each trial only
+ * labels the image at one detail level and builds its merge tree, whose region
+ * count at every merge threshold is then known without building regions. A binary
+ * search looks for the lowest detail level with at least the target count, merging
+ * brings each tried level down towards the target, and the closest one wins.
+ * Targets the settings cannot reach get the closest setting, flagged as not reached:
+ * watershed markers keep a fixed spacing and merged regions are capped in size, so
+ * large images have a floor well above small targets. Tuning always runs
+ * at the downscaled working resolution; tiled segmentation derives its label
+ * spacing from the image size too, so the counts carry over.
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} target - { regionCount } or { averageArea } (in original pixels)
+ * @param {object} options - segmentImage options (method, compactness, colorMetric,
+ *   textureWeight, onProgress); scribble mode cannot be tuned
+ * @returns {object} { detailLevel, mergeThreshold, regionCount, targetCount, reached, trials } -
+ *   the chosen parameters, the region count they are expected to give, whether that
+ *   is near the target (see tuningReachedTarget) and the { detailLevel, regionCount }
+ *   (unmerged) of each trial
+ */
+export function autoTuneSegmentation(originalImage, cv, target, options = {}) {
+  if (!originalImage || !cv) {
+    throw new Error('Invalid image or OpenCV instance');
+  }
+  const method = options.method || 'watershed';
+  if (method === 'scribbles') {
+    throw new Error('Scribble segmentation has no detail or merge settings to tune');
+  }
+  const targetCount = target.regionCount !== undefined
+    ? Math.round(target.regionCount)
+    : Math.round(originalImage.rows * originalImage.cols / target.averageArea);
+  if (!(targetCount >= 1)) {
+    throw new Error('Auto-tune needs a positive region count or average region size');
+  }
+
+  const reportProgress = (step, fraction) => {
+    if (options.onProgress) options.onProgress(step, fraction);
+  };
+  const distanceOptions = { colorMetric: options.colorMetric || DEFAULT_COLOR_METRIC, textureWeight: options.textureWeight || 0 };
+  const longSide = Math.max(originalImage.rows, originalImage.cols);
+  const scaleFactor = longSide > MAX_WORKING_DIMENSION ? MAX_WORKING_DIMENSION / longSide : 1;
+  // One trial for the top detail level plus a binary search over the rest
+  const expectedTrials = 1 + Math.ceil(Math.log2(MAX_DETAIL_LEVEL - MIN_DETAIL_LEVEL + 1));
+
+  let workingImage = originalImage;
+  let gray, gradient, combined;
+  try {
+    if (scaleFactor !== 1) {
+      workingImage = new cv.Mat();
+      const dsize = new cv.Size(Math.floor(originalImage.cols * scaleFactor), Math.floor(originalImage.rows * scaleFactor));
+      cv.resize(originalImage, workingImage, dsize, 0, 0, cv.INTER_LINEAR);
+    }
+    reportProgress('tuning', 0);
+    ({ gray, gradient, combined } = computeEdgeImages(workingImage, cv));
+
+    const trees = new Map();
+    const trials = [];
+    const treeFor = (detailLevel) => {
+      if (!trees.has(detailLevel)) {
+        const spacing = labelSpacing(workingImage.cols, workingImage.rows, regionSizeForDetail(detailLevel));
+        const { pixelLabels, adjacencyPairs } = computeImageLabels(
+          workingImage, gray, gradient, combined, detailLevel, method, spacing, options, cv, () => {}
+        );
+        const tree = buildLeafMergeTree(pixelLabels, adjacencyPairs, workingImage, scaleFactor, distanceOptions, () => {});
+        trees.set(detailLevel, tree);
+        trials.push({ detailLevel, regionCount: tree.leaves.length });
+        console.log(`[AutoTune] Detail ${detailLevel}: ${tree.leaves.length} regions before merging`);
+        reportProgress('tuning', Math.min(0.99, trials.length / expectedTrials));
+      }
+      return trees.get(detailLevel);
+    };
+
+    // Lowest detail level that yields at least the target before merging
+    let detailLevel = MAX_DETAIL_LEVEL;
+    if (treeFor(MAX_DETAIL_LEVEL).leaves.length >= targetCount) {
+      let lo = MIN_DETAIL_LEVEL, hi = MAX_DETAIL_LEVEL;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (treeFor(mid).leaves.length >= targetCount) hi = mid;
+        else lo = mid + 1;
+      }
+      detailLevel = lo;
+    }
+
+    treeFor(detailLevel);
+
+    // Counts do not always rise with the detail level (watershed adds grid markers at a
+    // fixed spacing), so every level tried competes; ties keep the lower detail level
+    let best = null;
+    for (const [level, tree] of [...trees].sort((a, b) => a[0] - b[0])) {
+      const candidate = { detailLevel: level, ...mergeThresholdForCount(tree, targetCount) };
+      if (!best || Math.abs(candidate.regionCount - targetCount) < Math.abs(best.regionCount - targetCount)) {
+        best = candidate;
+      }
+    }
+    const { mergeThreshold, regionCount } = best;
+    detailLevel = best.detailLevel;
+    console.log(`[AutoTune] Target ${targetCount} regions: detail ${detailLevel}, merge ${mergeThreshold} gives ~${regionCount} after ${trials.length} trials`);
+    reportProgress('tuning', 1);
+    const reached = tuningReachedTarget(regionCount, targetCount);
+    return { detailLevel, mergeThreshold, regionCount, targetCount, reached, trials };
+  } finally {
+    cleanupMats(gray, gradient, combined);
+    if (workingImage !== originalImage) cleanupMats(workingImage);
+  }
+}
+
+/**
+ * Copy a Mat into a debug layer (no-op without a debug collector)
+ * 8-bit Mats are copied as they are; other Mats are normalized to 0-255 unless
+ * they hold labels (CV_32S), which are copied as Int32Array.
+ *
+ * @param {object|null} debug - Debug collector from segmentImage
+ * @param {string} name - One of DEBUG_LAYERS
+ * @param {cv.Mat} mat - Single-channel Mat at working resolution
+ * @param {object} cv - OpenCV.js instance
+ */
+function recordDebugLayer(debug, name, mat, cv) {
+  if (!debug) return;
+  if (mat.type() === cv.CV_8U) {
+    debug.layers[name] = new Uint8Array(mat.data);
+  } else if (mat.type() === cv.CV_32S) {
+    debug.layers[name] = new Int32Array(mat.data32S);
+  } else {
+    const normalized = new cv.Mat();
+    cv.normalize(mat, normalized, 0, 255, cv.NORM_MINMAX, cv.CV_8U);
+    debug.layers[name] = new Uint8Array(normalized.data);
+    normalized.delete();
+  }
+}
+
+/**
+ * Step 1 of the pipeline: edge images of an RGBA image
+ * The caller owns (and must delete) the returned Mats.
+ *
+ * @param {cv.Mat} image - RGBA image
+ * @param {object} cv - OpenCV.js instance
+ * @param {object|null} debug - Debug collector (records gradient and canny)
+ * @returns {{ gray: cv.Mat, gradient: cv.Mat, combined: cv.Mat }} Grayscale image,
+ *   8-bit Sobel gradient magnitude and the Sobel + Canny barrier image
+ */
+function computeEdgeImages(image, cv, debug = null) {
+  let blurred, canny;
+  const gray = new cv.Mat();
+  const gradient = new cv.Mat();
+  const combined = new cv.Mat();
+  try {
+    cv.cvtColor(image, gray, cv.COLOR_RGBA2GRAY);
 
     // Bilateral filter preserves edges while smoothing flat areas
     blurred = new cv.Mat();
     cv.bilateralFilter(gray, blurred, 5, 50, 50);
 
     // Sobel gradient — smooth, clean edges for the binary edge mask
-    const gradX = new cv.Mat();
-    const gradY = new cv.Mat();
-    gradient = new cv.Mat();
-    cv.Sobel(blurred, gradX, cv.CV_32F, 1, 0, 3);
-    cv.Sobel(blurred, gradY, cv.CV_32F, 0, 1, 3);
+    sobelMagnitude(blurred, gradient, cv);
+
+    // Single Canny pass on bilateral-filtered image for thin edge detection
+    canny = new cv.Mat();
+    cv.Canny(blurred, canny, 50, 150);
+
+    // Combine Sobel + Canny for the watershed barrier image (used in Step 3)
+    cv.max(gradient, canny, combined);
+    recordDebugLayer(debug, 'gradient', gradient, cv);
+    recordDebugLayer(debug, 'canny', canny, cv);
+  } catch (error) {
+    cleanupMats(gray, gradient, combined);
+    throw error;
+  } finally {
+    cleanupMats(blurred, canny);
+  }
+  return { gray, gradient, combined };
+}
+
+/**
+ * Sobel gradient magnitude of a grayscale image, normalized to 0-255
+ *
+ * @param {cv.Mat} src - Grayscale image
+ * @param {cv.Mat} dst - Output CV_8U gradient magnitude
+ * @param {object} cv - OpenCV.js instance
+ */
+function sobelMagnitude(src, dst, cv) {
+  const gradX = new cv.Mat();
+  const gradY = new cv.Mat();
+  try {
+    cv.Sobel(src, gradX, cv.CV_32F, 1, 0, 3);
+    cv.Sobel(src, gradY, cv.CV_32F, 0, 1, 3);
     if (typeof cv.magnitude === 'function') {
-      cv.magnitude(gradX, gradY, gradient);
+      cv.magnitude(gradX, gradY, dst);
     } else {
       const gx2 = new cv.Mat();
       const gy2 = new cv.Mat();
       cv.multiply(gradX, gradX, gx2);
       cv.multiply(gradY, gradY, gy2);
-      cv.add(gx2, gy2, gradient);
-      cv.sqrt(gradient, gradient);
+      cv.add(gx2, gy2, dst);
+      cv.sqrt(dst, dst);
       cleanupMats(gx2, gy2);
     }
+    cv.normalize(dst, dst, 0, 255, cv.NORM_MINMAX);
+    dst.convertTo(dst, cv.CV_8U);
+  } finally {
     cleanupMats(gradX, gradY);
-    cv.normalize(gradient, gradient, 0, 255, cv.NORM_MINMAX);
-    gradient.convertTo(gradient, cv.CV_8U);
+  }
+}
 
-    // Single Canny pass on bilateral-filtered image for thin edge detection
-    const canny = new cv.Mat();
-    cv.Canny(blurred, canny, 50, 150);
+/**
+ * Steps 2-3 of the pipeline: full-coverage labels of an image with the chosen method
+ *
+ * @param {cv.Mat} image - RGBA image
+ * @param {cv.Mat} gray - Grayscale version of image
+ * @param {cv.Mat} gradient - 8-bit Sobel gradient magnitude
+ * @param {cv.Mat} combined - Sobel + Canny barrier image
+ * @param {number} sensitivity - Segmentation sensitivity (1-20)
+ * @param {string} method - 'watershed' or 'slic'
+ * @param {object} spacing - { slicStep, markerSpacing, originX, originY } in pixels
+ * @param {object} options - segmentImage options (compactness)
+ * @param {object} cv - OpenCV.js instance
+ * @param {Function} reportProgress - Progress callback (step, fraction)
+ * @param {object|null} debug - Debug collector (watershed records edgeMask, distance and markers)
+ * @returns {{ pixelLabels: Int32Array, adjacencyPairs: Set<number> }}
+ */
+function computeImageLabels(image, gray, gradient, combined, sensitivity, method, spacing, options, cv, reportProgress, debug = null) {
+  if (method !== 'slic') {
+    return computeWatershedLabels(image, gray, gradient, combined, sensitivity, spacing, cv, reportProgress, debug);
+  }
 
-    // Combine Sobel + Canny for the watershed barrier image (used in Step 3)
-    const combined = new cv.Mat();
-    cv.max(gradient, canny, combined);
-    canny.delete();
+  // Step 2 (SLIC): Superpixels seeded on a regular grid, sized by regionSize.
+  // Replaces both the marker and watershed steps.
+  console.log('[Segmentation] Step 2: Computing SLIC superpixels');
+  reportProgress('markers', 0);
+  const pixelLabels = computeSlicLabels(image.data, image.cols, image.rows, {
+    step: spacing.slicStep,
+    compactness: options.compactness,
+    originX: spacing.originX,
+    originY: spacing.originY
+  });
+  reportProgress('watershed', 1);
+  return { pixelLabels, adjacencyPairs: computeLabelAdjacency(pixelLabels, image.cols, image.rows) };
+}
 
-    console.log('[Segmentation] Edge detection complete');
+/**
+ * Split an image into overlapping tiles for full-resolution segmentation
+ * Tiles are spread evenly so none is a thin leftover. Each tile has a core: the
+ * cores partition the image, with seams in the middle of each overlap.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} tileSize - Maximum tile width and height in pixels
+ * @param {number} overlap - Overlap between neighboring tiles in pixels
+ * @returns {Array} Tiles { x, y, width, height, core: { x0, y0, x1, y1 } } in row-major order
+ *   (core coordinates are image coordinates, end-exclusive)
+ */
+export function planTiles(width, height, tileSize = DEFAULT_TILE_SIZE, overlap = DEFAULT_TILE_OVERLAP) {
+  if (tileSize <= overlap * 2) {
+    throw new Error(`Tile size (${tileSize}) must be more than twice the overlap (${overlap})`);
+  }
+  const half = Math.floor(overlap / 2);
+  const spans = (length) => {
+    const count = Math.max(1, Math.ceil((length - overlap) / (tileSize - overlap)));
+    const step = Math.ceil((length - overlap) / count);
+    return Array.from({ length: count }, (_, i) => {
+      const last = i === count - 1;
+      return {
+        start: i * step,
+        end: last ? length : i * step + step + overlap,
+        coreStart: i === 0 ? 0 : i * step + half,
+        coreEnd: last ? length : i * step + step + half
+      };
+    });
+  };
 
-    // Save edge map for other features
-    edgeMap = combined.clone();
+  const tiles = [];
+  for (const row of spans(height)) {
+    for (const col of spans(width)) {
+      tiles.push({
+        x: col.start,
+        y: row.start,
+        width: col.end - col.start,
+        height: row.end - row.start,
+        core: { x0: col.coreStart, y0: row.coreStart, x1: col.coreEnd, y1: row.coreEnd }
+      });
+    }
+  }
+  return tiles;
+}
 
-    const imgCols = workingImage.cols;
-    const imgRows = workingImage.rows;
+/**
+ * Stitch per-tile label maps into one label map across tile seams
+ * Labels of two overlapping tiles are joined when, inside the overlap, one of
+ * them lies mostly within the other. Every pixel then takes its (joined) label
+ * from the tile whose core contains it, and labels are renumbered from 1.
+ *
+ * @param {Array} tiles - Tiles from planTiles(), each with labels: Int32Array of
+ *   tile-local labels (> 0), tile.width * tile.height long
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Int32Array} Label per image pixel (> 0)
+ */
+export function stitchTileLabels(tiles, width, height) {
+  // Offsets make tile-local labels globally unique
+  const offsets = [];
+  let total = 0;
+  for (const tile of tiles) {
+    offsets.push(total);
+    let maxLabel = 0;
+    for (let i = 0; i < tile.labels.length; i++) {
+      if (tile.labels[i] > maxLabel) maxLabel = tile.labels[i];
+    }
+    total += maxLabel;
+  }
 
+  const uf = new UnionFind(total + 1);
+  let seamMerges = 0;
+  for (let a = 0; a < tiles.length; a++) {
+    for (let b = a + 1; b < tiles.length; b++) {
+      const tileA = tiles[a];
+      const tileB = tiles[b];
+      const x0 = Math.max(tileA.x, tileB.x);
+      const x1 = Math.min(tileA.x + tileA.width, tileB.x + tileB.width);
+      const y0 = Math.max(tileA.y, tileB.y);
+      const y1 = Math.min(tileA.y + tileA.height, tileB.y + tileB.height);
+      if (x0 >= x1 || y0 >= y1) continue;
+
+      const pairCounts = new Map();
+      const countsA = new Map();
+      const countsB = new Map();
+      for (let y = y0; y < y1; y++) {
+        const rowA = (y - tileA.y) * tileA.width - tileA.x;
+        const rowB = (y - tileB.y) * tileB.width - tileB.x;
+        for (let x = x0; x < x1; x++) {
+          const la = tileA.labels[rowA + x] + offsets[a];
+          const lb = tileB.labels[rowB + x] + offsets[b];
+          const pair = la * LABEL_PAIR_BASE + lb;
+          pairCounts.set(pair, (pairCounts.get(pair) || 0) + 1);
+          countsA.set(la, (countsA.get(la) || 0) + 1);
+          countsB.set(lb, (countsB.get(lb) || 0) + 1);
+        }
+      }
+      for (const [pair, count] of pairCounts) {
+        const la = Math.floor(pair / LABEL_PAIR_BASE);
+        const lb = pair % LABEL_PAIR_BASE;
+        if ((count * 2 > countsA.get(la) || count * 2 > countsB.get(lb)) && uf.union(la, lb)) {
+          seamMerges++;
+        }
+      }
+    }
+  }
+
+  // Assign core pixels, renumbering joined labels compactly
+  const pixelLabels = new Int32Array(width * height);
+  const remap = new Int32Array(total + 1);
+  const rootLabels = new Int32Array(total + 1);
+  let nextLabel = 1;
+  tiles.forEach((tile, t) => {
+    const { x0, y0, x1, y1 } = tile.core;
+    for (let y = y0; y < y1; y++) {
+      const tileRow = (y - tile.y) * tile.width - tile.x;
+      const row = y * width;
+      for (let x = x0; x < x1; x++) {
+        const raw = tile.labels[tileRow + x] + offsets[t];
+        if (remap[raw] === 0) {
+          const root = uf.find(raw);
+          if (rootLabels[root] === 0) rootLabels[root] = nextLabel++;
+          remap[raw] = rootLabels[root];
+        }
+        pixelLabels[row + x] = remap[raw];
+      }
+    }
+  });
+
+  console.log(`[Segmentation] Stitched ${tiles.length} tiles into ${nextLabel - 1} labels (${seamMerges} seam merges)`);
+  return pixelLabels;
+}
+
+/**
+ * Segment an image tile by tile at native resolution and stitch the labels
+ * Only one tile's OpenCV buffers are alive at a time.
+ *
+ * @param {cv.Mat} image - RGBA image
+ * @param {number} sensitivity - Segmentation sensitivity (1-20)
+ * @param {string} method - 'watershed' or 'slic'
+ * @param {object} spacing - { slicStep, markerSpacing } for the whole image
+ * @param {object} options - segmentImage options (tileSize, tileOverlap, compactness)
+ * @param {object} cv - OpenCV.js instance
+ * @param {Function} reportProgress - Progress callback (step, fraction)
+ * @returns {{ labelResult: object, edgeMap: cv.Mat }} Stitched { pixelLabels, adjacencyPairs }
+ *   and the full-resolution barrier image
+ */
+function computeTiledLabels(image, sensitivity, method, spacing, options, cv, reportProgress) {
+  const width = image.cols;
+  const height = image.rows;
+  const tiles = planTiles(
+    width,
+    height,
+    options.tileSize || DEFAULT_TILE_SIZE,
+    options.tileOverlap !== undefined ? options.tileOverlap : DEFAULT_TILE_OVERLAP
+  );
+  console.log(`[Segmentation] Tiled segmentation: ${tiles.length} tile(s) over ${width}x${height}`);
+  reportProgress('edges', 0);
+
+  const edgeMap = cv.Mat.zeros(height, width, cv.CV_8U);
+  try {
+    tiles.forEach((tile, t) => {
+      reportProgress('watershed', t / tiles.length);
+      let tileImage, gray, gradient, combined;
+      try {
+        const roi = image.roi(new cv.Rect(tile.x, tile.y, tile.width, tile.height));
+        tileImage = roi.clone();
+        roi.delete();
+        ({ gray, gradient, combined } = computeEdgeImages(tileImage, cv));
+        tile.labels = computeImageLabels(
+          tileImage, gray, gradient, combined, sensitivity, method,
+          { ...spacing, originX: tile.x, originY: tile.y }, options, cv, () => {}
+        ).pixelLabels;
+
+        // The tile core of the barrier image goes into the full-resolution edge map
+        const { x0, y0, x1, y1 } = tile.core;
+        for (let y = y0; y < y1; y++) {
+          const src = (y - tile.y) * tile.width - tile.x;
+          edgeMap.data.set(combined.data.subarray(src + x0, src + x1), y * width + x0);
+        }
+      } finally {
+        cleanupMats(tileImage, gray, gradient, combined);
+      }
+    });
+  } catch (error) {
+    edgeMap.delete();
+    throw error;
+  }
+  reportProgress('watershed', 1);
+
+  const pixelLabels = stitchTileLabels(tiles, width, height);
+  return {
+    labelResult: { pixelLabels, adjacencyPairs: computeLabelAdjacency(pixelLabels, width, height) },
+    edgeMap
+  };
+}
+
+/**
+ * Compute a full-coverage label map with marker-based watershed
+ * Markers come from the distance transform of a binary edge mask plus a regular grid
+ * and are flooded by floodMarkers.
+ *
+ * @param {cv.Mat} workingImage - RGBA image (possibly downscaled)
+ * @param {cv.Mat} gray - Grayscale version of workingImage
+ * @param {cv.Mat} gradient - 8-bit Sobel gradient magnitude
+ * @param {cv.Mat} combined - Sobel + Canny barrier image
+ * @param {number} sensitivity - Segmentation sensitivity (1-20)
+ * @param {object} spacing - { markerSpacing, originX, originY }: spacing in pixels of the
+ *   supplementary grid markers, and the image's offset within the full image (tiles) so the
+ *   grid lines up across tiles
+ * @param {object} cv - OpenCV.js instance
+ * @param {Function} reportProgress - Progress callback (step, fraction)
+ * @param {object|null} debug - Debug collector (records edgeMask, distance and markers)
+ * @returns {{ pixelLabels: Int32Array, adjacencyPairs: Set<number> }}
+ */
+function computeWatershedLabels(workingImage, gray, gradient, combined, sensitivity, spacing, cv, reportProgress, debug = null) {
+  const imgCols = workingImage.cols;
+  const imgRows = workingImage.rows;
+  let markers;
+
+  try {
     // Step 1.5: Create binary edge mask
     // Use gradient + Canny on grayscale AND individual color channels for text detection
     console.log('[Segmentation] Step 1.5: Creating binary edge mask');
@@ -202,9 +893,11 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
     }
     let edgePct = edgeCount / (imgCols * imgRows);
     console.log(`[Segmentation] Edge mask: ${(edgePct * 100).toFixed(1)}% edge pixels`);
+    recordDebugLayer(debug, 'edgeMask', edgeMask, cv);
 
     // Step 2: Distance transform and marker generation
     console.log('[Segmentation] Step 2: Distance transform for marker placement');
+    reportProgress('markers', 0);
 
     // Invert edge mask: interior regions (non-edge) become foreground
     const interior = new cv.Mat();
@@ -215,6 +908,7 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
     const dist = new cv.Mat();
     cv.distanceTransform(interior, dist, cv.DIST_L2, 5);
     interior.delete();
+    recordDebugLayer(debug, 'distance', dist, cv);
 
     // Map sensitivity (1-20) to distance threshold in pixels
     // Sweet spot: high enough that blobs don't merge across thin edges,
@@ -279,10 +973,11 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
 
     // Add supplementary grid markers to subdivide large uniform areas
     let nextLabel = markerCount + 1;
-    const maxGap = Math.max(6, Math.round(Math.min(imgCols, imgRows) / 90)); // ~8px - smaller segments
+    const maxGap = spacing.markerSpacing;
+    const gridStart = (origin) => (((Math.floor(maxGap / 2) - (origin || 0)) % maxGap) + maxGap) % maxGap;
     let supplementary = 0;
-    for (let y = Math.floor(maxGap / 2); y < imgRows; y += maxGap) {
-      for (let x = Math.floor(maxGap / 2); x < imgCols; x += maxGap) {
+    for (let y = gridStart(spacing.originY); y < imgRows; y += maxGap) {
+      for (let x = gridStart(spacing.originX); x < imgCols; x += maxGap) {
         if (markerGrid[y * imgCols + x] === 0) { // Only place where no marker exists at this exact pixel
           markerGrid[y * imgCols + x] = nextLabel++;
           supplementary++;
@@ -295,14 +990,112 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
     if (markerCount > 100000) {
       throw new Error(`Too many markers (${markerCount}). Try reducing detail level.`);
     }
+    recordDebugLayer(debug, 'markers', markers, cv);
+
+    return floodMarkers(markers, combined, cv, reportProgress);
+  } finally {
+    cleanupMats(markers);
+  }
+}
+
+/**
+ * Rasterize user scribbles into a marker label image
+ * Later strokes paint over earlier ones where they cross.
+ *
+ * @param {Array} scribbles - Strokes { label, points: [{x, y}], size } in original image
+ *   coordinates; label 0 is background, 1..n are objects, size is the stroke width
+ * @param {number} width - Marker image width
+ * @param {number} height - Marker image height
+ * @param {number} scaleFactor - Marker image scale relative to the original image
+ * @returns {Int32Array} Marker per pixel: 0 = unpainted, otherwise scribble label + 1
+ */
+export function rasterizeScribbles(scribbles, width, height, scaleFactor = 1) {
+  const markers = new Int32Array(width * height);
+  for (const stroke of scribbles) {
+    if (!stroke.points || stroke.points.length === 0) continue;
+    const marker = stroke.label + 1;
+    // Never thinner than one pixel, so every stroke leaves a marker
+    const radius = Math.max(0.75, (stroke.size || 1) * scaleFactor / 2);
+    const points = stroke.points.map(p => ({ x: p.x * scaleFactor, y: p.y * scaleFactor }));
+
+    for (let k = 0; k < points.length; k++) {
+      const a = points[k];
+      const b = points[Math.min(k + 1, points.length - 1)];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+
+      const x0 = Math.max(0, Math.floor(Math.min(a.x, b.x) - radius));
+      const x1 = Math.min(width - 1, Math.ceil(Math.max(a.x, b.x) + radius));
+      const y0 = Math.max(0, Math.floor(Math.min(a.y, b.y) - radius));
+      const y1 = Math.min(height - 1, Math.ceil(Math.max(a.y, b.y) + radius));
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          // Distance from the pixel to the segment a-b
+          const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+          const ex = a.x + t * dx - x;
+          const ey = a.y + t * dy - y;
+          if (ex * ex + ey * ey <= radius * radius) markers[y * width + x] = marker;
+        }
+      }
+    }
+  }
+  return markers;
+}
+
+/**
+ * Steps 2-3 of the pipeline in scribble mode: watershed flooded from the user's scribbles
+ * Every scribble label becomes exactly one label of the result.
+ *
+ * @param {cv.Mat} workingImage - RGBA image (possibly downscaled)
+ * @param {cv.Mat} combined - Sobel + Canny barrier image
+ * @param {Array} scribbles - Strokes in original image coordinates (see rasterizeScribbles)
+ * @param {number} scaleFactor - Working image scale relative to the original image
+ * @param {object} cv - OpenCV.js instance
+ * @param {Function} reportProgress - Progress callback (step, fraction)
+ * @param {object|null} debug - Debug collector (records markers)
+ * @returns {{ pixelLabels: Int32Array, adjacencyPairs: Set<number> }} Labels are scribble label + 1
+ */
+function computeScribbleLabels(workingImage, combined, scribbles, scaleFactor, cv, reportProgress, debug = null) {
+  console.log(`[Segmentation] Step 2: Rasterizing ${scribbles.length} scribbles as markers`);
+  reportProgress('markers', 0);
+
+  const raster = rasterizeScribbles(scribbles, workingImage.cols, workingImage.rows, scaleFactor);
+  if (debug) debug.layers.markers = Int32Array.from(raster);
+  const markers = cv.Mat.zeros(workingImage.rows, workingImage.cols, cv.CV_32S);
+  try {
+    markers.data32S.set(raster);
+    return floodMarkers(markers, combined, cv, reportProgress);
+  } finally {
+    cleanupMats(markers);
+  }
+}
+
+/**
+ * Step 3 of the pipeline: flood a marker image with watershed and turn the result
+ * into full-coverage labels
+ * Watershed boundary pixels are assigned to their nearest neighboring label, and
+ * region adjacency is recorded from the labels meeting at each boundary pixel.
+ *
+ * @param {cv.Mat} markers - CV_32S marker image (0 = unknown, > 0 = marker label), flooded in place
+ * @param {cv.Mat} combined - Sobel + Canny barrier image
+ * @param {object} cv - OpenCV.js instance
+ * @param {Function} reportProgress - Progress callback (step, fraction)
+ * @returns {{ pixelLabels: Int32Array, adjacencyPairs: Set<number> }}
+ */
+function floodMarkers(markers, combined, cv, reportProgress) {
+  const imgCols = markers.cols;
+  const imgRows = markers.rows;
+  let gradient3C;
 
+  try {
     // Step 2.5: Boost edge barriers for watershed
     const boosted = new cv.Mat();
     combined.convertTo(boosted, cv.CV_8U, 2.0, 0);
-    combined.delete();
 
     // Step 3: Apply watershed
     console.log('[Segmentation] Step 3: Applying watershed');
+    reportProgress('watershed', 0);
 
     if (typeof cv.watershed !== 'function') {
       throw new Error('cv.watershed is not available in this OpenCV.js build.');
@@ -321,7 +1114,6 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
 
     const markerResult = markers.data32S;
     const totalPixels = imgCols * imgRows;
-    const minArea = Math.max(10, totalPixels * 0.00002); // ~15px for 736x1042, keeps text/fine features
 
     // Use a label map: for each pixel, store which label it belongs to (after boundary assignment)
     // This avoids storing {x,y} objects and uses flat arrays
@@ -340,7 +1132,7 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
     }
 
     // Build adjacency using numeric encoding
-    const adjacencyPairs = new Set(); // Stores a*65536+b (a < b)
+    const adjacencyPairs = new Set(); // Stores a*LABEL_PAIR_BASE+b (a < b)
 
     // Second pass: assign boundary pixels to nearest region and build adjacency
     console.log(`[Segmentation] Assigning ${boundaryIndices.length} boundary pixels...`);
@@ -371,10 +1163,10 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
                 // More than 2 labels: add pairs for all combinations
                 const a = Math.min(label1, neighborLabel);
                 const b = Math.max(label1, neighborLabel);
-                adjacencyPairs.add(a * 65536 + b);
+                adjacencyPairs.add(a * LABEL_PAIR_BASE + b);
                 const a2 = Math.min(label2, neighborLabel);
                 const b2 = Math.max(label2, neighborLabel);
-                adjacencyPairs.add(a2 * 65536 + b2);
+                adjacencyPairs.add(a2 * LABEL_PAIR_BASE + b2);
               }
             }
           }
@@ -384,375 +1176,750 @@ export function segmentImage(originalImage, sensitivity, regionSize, cv, mergeTh
       if (label1 > 0 && label2 > 0) {
         const a = Math.min(label1, label2);
         const b = Math.max(label1, label2);
-        adjacencyPairs.add(a * 65536 + b);
+        adjacencyPairs.add(a * LABEL_PAIR_BASE + b);
       }
 
       pixelLabels[idx] = nearestLabel > 0 ? nearestLabel : 1; // fallback to label 1
     }
 
-    // Count pixels per label
-    const labelCounts = new Map();
-    for (let i = 0; i < totalPixels; i++) {
-      const l = pixelLabels[i];
-      if (l > 0) {
-        labelCounts.set(l, (labelCounts.get(l) || 0) + 1);
-      }
-    }
-
-    console.log(`[Segmentation] Found ${labelCounts.size} regions from watershed`);
-
-    // Step 3.5: Redistribute small regions using label map (fast: no expanding search)
-    console.log('[Segmentation] Step 3.5: Redistributing small regions');
-    const largeLabels = new Set();
-    const smallLabels = new Set();
-    for (const [label, count] of labelCounts) {
-      if (count >= minArea) largeLabels.add(label);
-      else smallLabels.add(label);
-    }
-
-    console.log(`[Segmentation] ${smallLabels.size} small regions to redistribute`);
+    return { pixelLabels, adjacencyPairs };
+  } finally {
+    cleanupMats(gradient3C);
+  }
+}
 
-    if (smallLabels.size > 0) {
-      // For each small region pixel, find the nearest large-region pixel via BFS-like scan
-      // Simple approach: scan neighbors of each small pixel and reassign to adjacent large region
-      let reassigned = 0;
-      for (let pass = 0; pass < 5 && smallLabels.size > 0; pass++) {
-        for (let i = 0; i < totalPixels; i++) {
-          const l = pixelLabels[i];
-          if (!smallLabels.has(l)) continue;
-
-          const px = i % imgCols;
-          const py = (i - px) / imgCols;
-
-          // Check 8-connected neighbors for a large region
-          for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-              if (dx === 0 && dy === 0) continue;
-              const nx = px + dx;
-              const ny = py + dy;
-              if (nx >= 0 && nx < imgCols && ny >= 0 && ny < imgRows) {
-                const nl = pixelLabels[ny * imgCols + nx];
-                if (largeLabels.has(nl)) {
-                  pixelLabels[i] = nl;
-                  labelCounts.set(nl, (labelCounts.get(nl) || 0) + 1);
-                  const oldCount = labelCounts.get(l) - 1;
-                  labelCounts.set(l, oldCount);
-                  reassigned++;
-                  dy = 2; // break outer
-                  break;
-                }
-              }
-            }
-          }
-        }
-        // After each pass, check if any small labels became empty
-        for (const sl of [...smallLabels]) {
-          if ((labelCounts.get(sl) || 0) <= 0) {
-            smallLabels.delete(sl);
-            labelCounts.delete(sl);
-          }
-        }
+/**
+ * Collect the pairs of distinct labels that touch (4-connectivity)
+ *
+ * @param {Int32Array} pixelLabels - Label per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Set<number>} Adjacent label pairs encoded as a * LABEL_PAIR_BASE + b (a < b)
+ */
+export function computeLabelAdjacency(pixelLabels, width, height) {
+  const adjacencyPairs = new Set();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      const label = pixelLabels[idx];
+      if (x + 1 < width) {
+        const right = pixelLabels[idx + 1];
+        if (right !== label) adjacencyPairs.add(Math.min(label, right) * LABEL_PAIR_BASE + Math.max(label, right));
       }
-      // Any remaining small region pixels: assign to nearest large region (fallback)
-      if (smallLabels.size > 0) {
-        const fallbackLabel = largeLabels.values().next().value || 1;
-        for (let i = 0; i < totalPixels; i++) {
-          if (smallLabels.has(pixelLabels[i])) {
-            pixelLabels[i] = fallbackLabel;
-          }
-        }
-        for (const sl of smallLabels) labelCounts.delete(sl);
+      if (y + 1 < height) {
+        const below = pixelLabels[idx + width];
+        if (below !== label) adjacencyPairs.add(Math.min(label, below) * LABEL_PAIR_BASE + Math.max(label, below));
       }
-      console.log(`[Segmentation] Reassigned ${reassigned} pixels from small regions`);
     }
+  }
+  return adjacencyPairs;
+}
 
-    // Step 4b: Compute average color for each region
-    console.log('[Segmentation] Computing average colors');
-    const regionColors = new Map();
-    const colorAccum = new Map(); // label -> {r, g, b, count}
-    const imgData = workingImage.data;
+/**
+ * Turn a full-coverage label map into region objects
+ * Small labels are absorbed into their neighbors, the merge hierarchy of the
+ * remaining labels is built, and the hierarchy is cut at mergeThreshold. Each
+ * resulting label becomes a region with a cropped mask, an outer contour and
+ * adjacency information.
+ *
+ * @param {Int32Array} pixelLabels - Label per pixel (> 0), modified in place
+ * @param {Set<number>} adjacencyPairs - Adjacent label pairs encoded as a * LABEL_PAIR_BASE + b (a < b)
+ * @param {cv.Mat} workingImage - RGBA image the labels were computed on
+ * @param {number} scaleFactor - Working image scale relative to the original image
+ * @param {number} mergeThreshold - Max color distance for merging (0 = no merging)
+ * @param {object} distanceOptions - { colorMetric, textureWeight } for merging (see descriptorDistance)
+ * @param {object} cv - OpenCV.js instance
+ * @param {Function} reportProgress - Progress callback (step, fraction)
+ * @returns {{ regions: Array, labelMap: object, mergeTree: object }} Region objects, their
+ *   label map and the merge hierarchy
+ */
+function buildRegionsFromLabels(pixelLabels, adjacencyPairs, workingImage, scaleFactor, mergeThreshold, distanceOptions, cv, reportProgress) {
+  const mergeTree = buildLeafMergeTree(pixelLabels, adjacencyPairs, workingImage, scaleFactor, distanceOptions, reportProgress);
+  console.log(`[Segmentation] Cutting the merge tree at threshold ${mergeThreshold}`);
+  const { regions, labelMap } = regionsFromMergeTree(mergeTree, mergeThreshold, cv, { onProgress: reportProgress });
+  return { regions, labelMap, mergeTree };
+}
 
-    for (let i = 0; i < totalPixels; i++) {
-      const l = pixelLabels[i];
-      if (l <= 0 || !labelCounts.has(l)) continue;
-      let acc = colorAccum.get(l);
-      if (!acc) {
-        acc = { r: 0, g: 0, b: 0, count: 0 };
-        colorAccum.set(l, acc);
-      }
-      // Sample at most ~200 pixels per region
-      if (acc.count < 200 || Math.random() < 200 / labelCounts.get(l)) {
-        const pi = i * 4;
-        acc.r += imgData[pi];
-        acc.g += imgData[pi + 1];
-        acc.b += imgData[pi + 2];
-        acc.count++;
-      }
-    }
-    for (const [label, acc] of colorAccum) {
-      if (acc.count > 0) {
-        regionColors.set(label, { r: acc.r / acc.count, g: acc.g / acc.count, b: acc.b / acc.count });
-      }
+/**
+ * Absorb small labels into their neighbors and build the merge hierarchy of the rest
+ * (steps 3.5-5 of the pipeline, without building any regions)
+ *
+ * @param {Int32Array} pixelLabels - Label per pixel (> 0), modified in place
+ * @param {Set<number>} adjacencyPairs - Adjacent label pairs encoded as a * LABEL_PAIR_BASE + b (a < b)
+ * @param {cv.Mat} workingImage - RGBA image the labels were computed on
+ * @param {number} scaleFactor - Working image scale relative to the original image
+ * @param {object} distanceOptions - { colorMetric, textureWeight } for merging (see descriptorDistance)
+ * @param {Function} reportProgress - Progress callback (step, fraction)
+ * @returns {object} Merge tree (see buildMergeTree)
+ */
+function buildLeafMergeTree(pixelLabels, adjacencyPairs, workingImage, scaleFactor, distanceOptions, reportProgress) {
+  const imgCols = workingImage.cols;
+  const imgRows = workingImage.rows;
+  const totalPixels = imgCols * imgRows;
+  const minArea = Math.max(10, totalPixels * 0.00002); // ~15px for 736x1042, keeps text/fine features
+
+  // Count pixels per label
+  const labelCounts = new Map();
+  for (let i = 0; i < totalPixels; i++) {
+    const l = pixelLabels[i];
+    if (l > 0) {
+      labelCounts.set(l, (labelCounts.get(l) || 0) + 1);
     }
+  }
 
-    // Step 5: Merge adjacent regions with similar colors
-    console.log(`[Segmentation] Step 5: Merging similar regions (threshold: ${mergeThreshold})`);
-
-    // Convert adjacencyPairs to a label-based adjacency map
-    const adjacencyMap = new Map();
-    for (const pair of adjacencyPairs) {
-      const a = Math.floor(pair / 65536);
-      const b = pair % 65536;
-      if (!labelCounts.has(a) || !labelCounts.has(b)) continue;
-      if (!adjacencyMap.has(a)) adjacencyMap.set(a, []);
-      if (!adjacencyMap.has(b)) adjacencyMap.set(b, []);
-      adjacencyMap.get(a).push(b);
-      adjacencyMap.get(b).push(a);
-    }
+  console.log(`[Segmentation] Found ${labelCounts.size} regions from watershed`);
 
-    // Merge using union-find
-    const mergeLabels = Array.from(labelCounts.keys());
-    const labelToMergeIdx = new Map();
-    mergeLabels.forEach((l, i) => labelToMergeIdx.set(l, i));
+  // Step 3.5: Redistribute small regions using label map (fast: no expanding search)
+  console.log('[Segmentation] Step 3.5: Redistributing small regions');
+  const largeLabels = new Set();
+  const smallLabels = new Set();
+  for (const [label, count] of labelCounts) {
+    if (count >= minArea) largeLabels.add(label);
+    else smallLabels.add(label);
+  }
 
-    if (mergeThreshold > 0) {
-      const uf = new UnionFind(mergeLabels.length);
-      const groupSize = mergeLabels.map(l => labelCounts.get(l));
-      const maxMergedArea = totalPixels * 0.002; // 0.2% of image
-      const maxMergedWidth = Math.floor(imgCols / 120);
-      const maxMergedHeight = Math.floor(imgRows / 120);
+  console.log(`[Segmentation] ${smallLabels.size} small regions to redistribute`);
 
-      // Compute bounding boxes per label by scanning pixelLabels once
-      const labelBounds = new Map();
+  if (smallLabels.size > 0) {
+    // For each small region pixel, find the nearest large-region pixel via BFS-like scan
+    // Simple approach: scan neighbors of each small pixel and reassign to adjacent large region
+    let reassigned = 0;
+    for (let pass = 0; pass < 5 && smallLabels.size > 0; pass++) {
       for (let i = 0; i < totalPixels; i++) {
         const l = pixelLabels[i];
-        if (!labelCounts.has(l)) continue;
+        if (!smallLabels.has(l)) continue;
+
         const px = i % imgCols;
         const py = (i - px) / imgCols;
-        let b = labelBounds.get(l);
-        if (!b) {
-          b = { minX: px, minY: py, maxX: px, maxY: py };
-          labelBounds.set(l, b);
-        } else {
-          if (px < b.minX) b.minX = px;
-          if (px > b.maxX) b.maxX = px;
-          if (py < b.minY) b.minY = py;
-          if (py > b.maxY) b.maxY = py;
-        }
-      }
-
-      const groupBounds = mergeLabels.map(l => {
-        const b = labelBounds.get(l);
-        return b || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
-      });
 
-      for (const pair of adjacencyPairs) {
-        const a = Math.floor(pair / 65536);
-        const b = pair % 65536;
-        const idxA = labelToMergeIdx.get(a);
-        const idxB = labelToMergeIdx.get(b);
-        if (idxA === undefined || idxB === undefined) continue;
-
-        const colorA = regionColors.get(a);
-        const colorB = regionColors.get(b);
-        if (!colorA || !colorB) continue;
-
-        const dist = Math.sqrt((colorA.r - colorB.r) ** 2 + (colorA.g - colorB.g) ** 2 + (colorA.b - colorB.b) ** 2);
-        if (dist < mergeThreshold) {
-          const rootA = uf.find(idxA);
-          const rootB = uf.find(idxB);
-          if (rootA !== rootB) {
-            if (groupSize[rootA] + groupSize[rootB] > maxMergedArea) continue;
-            const cb = {
-              minX: Math.min(groupBounds[rootA].minX, groupBounds[rootB].minX),
-              minY: Math.min(groupBounds[rootA].minY, groupBounds[rootB].minY),
-              maxX: Math.max(groupBounds[rootA].maxX, groupBounds[rootB].maxX),
-              maxY: Math.max(groupBounds[rootA].maxY, groupBounds[rootB].maxY),
-            };
-            if (cb.maxX - cb.minX > maxMergedWidth) continue;
-            if (cb.maxY - cb.minY > maxMergedHeight) continue;
-            uf.union(idxA, idxB);
-            const newRoot = uf.find(idxA);
-            groupSize[newRoot] = groupSize[rootA] + groupSize[rootB];
-            groupBounds[newRoot] = cb;
+        // Check 8-connected neighbors for a large region
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            const nx = px + dx;
+            const ny = py + dy;
+            if (nx >= 0 && nx < imgCols && ny >= 0 && ny < imgRows) {
+              const nl = pixelLabels[ny * imgCols + nx];
+              if (largeLabels.has(nl)) {
+                pixelLabels[i] = nl;
+                labelCounts.set(nl, (labelCounts.get(nl) || 0) + 1);
+                const oldCount = labelCounts.get(l) - 1;
+                labelCounts.set(l, oldCount);
+                reassigned++;
+                dy = 2; // break outer
+                break;
+              }
+            }
           }
         }
       }
-
-      // Remap pixelLabels to use root labels
-      const indexToRoot = mergeLabels.map((l, i) => mergeLabels[uf.find(i)]);
-      const labelRemap = new Map();
-      mergeLabels.forEach((l, i) => labelRemap.set(l, indexToRoot[i]));
-
-      const preMergeCount = labelCounts.size;
-      for (let i = 0; i < totalPixels; i++) {
-        const remapped = labelRemap.get(pixelLabels[i]);
-        if (remapped !== undefined) pixelLabels[i] = remapped;
-      }
-
-      // Recompute label counts and colors after merge
-      labelCounts.clear();
-      for (let i = 0; i < totalPixels; i++) {
-        const l = pixelLabels[i];
-        labelCounts.set(l, (labelCounts.get(l) || 0) + 1);
-      }
-
-      // Recompute average colors for merged regions
-      colorAccum.clear();
-      for (let i = 0; i < totalPixels; i++) {
-        const l = pixelLabels[i];
-        if (!labelCounts.has(l)) continue;
-        let acc = colorAccum.get(l);
-        if (!acc) { acc = { r: 0, g: 0, b: 0, count: 0 }; colorAccum.set(l, acc); }
-        if (acc.count < 200) {
-          const pi = i * 4;
-          acc.r += imgData[pi]; acc.g += imgData[pi + 1]; acc.b += imgData[pi + 2];
-          acc.count++;
+      // After each pass, check if any small labels became empty
+      for (const sl of [...smallLabels]) {
+        if ((labelCounts.get(sl) || 0) <= 0) {
+          smallLabels.delete(sl);
+          labelCounts.delete(sl);
         }
       }
-      regionColors.clear();
-      for (const [label, acc] of colorAccum) {
-        if (acc.count > 0) {
-          regionColors.set(label, { r: acc.r / acc.count, g: acc.g / acc.count, b: acc.b / acc.count });
+    }
+    // Any remaining small region pixels: assign to nearest large region (fallback)
+    if (smallLabels.size > 0) {
+      const fallbackLabel = largeLabels.values().next().value || 1;
+      for (let i = 0; i < totalPixels; i++) {
+        if (smallLabels.has(pixelLabels[i])) {
+          pixelLabels[i] = fallbackLabel;
         }
       }
+      for (const sl of smallLabels) labelCounts.delete(sl);
+    }
+    console.log(`[Segmentation] Reassigned ${reassigned} pixels from small regions`);
+  }
 
-      console.log(`[Segmentation] Merged ${preMergeCount} regions down to ${labelCounts.size}`);
-    }
-
-    // Rebuild adjacency after merge
-    const mergedAdjacency = new Map();
-    for (const pair of adjacencyPairs) {
-      const a = Math.floor(pair / 65536);
-      const b = pair % 65536;
-      // Map to post-merge labels
-      const remappedA = pixelLabels.length > 0 ? a : a; // already remapped in pixelLabels
-      const remappedB = pixelLabels.length > 0 ? b : b;
-      if (labelCounts.has(a) && labelCounts.has(b) && a !== b) {
-        if (!mergedAdjacency.has(a)) mergedAdjacency.set(a, new Set());
-        if (!mergedAdjacency.has(b)) mergedAdjacency.set(b, new Set());
-        mergedAdjacency.get(a).add(b);
-        mergedAdjacency.get(b).add(a);
-      }
+  // Step 4b: Compute average color for each region
+  console.log('[Segmentation] Computing average colors');
+  const regionColors = new Map();
+  const colorAccum = new Map(); // label -> {r, g, b, count}
+  const imgData = workingImage.data;
+
+  for (let i = 0; i < totalPixels; i++) {
+    const l = pixelLabels[i];
+    if (l <= 0 || !labelCounts.has(l)) continue;
+    let acc = colorAccum.get(l);
+    if (!acc) {
+      acc = { r: 0, g: 0, b: 0, count: 0 };
+      colorAccum.set(l, acc);
+    }
+    // Sample at most ~200 pixels per region
+    if (acc.count < 200 || Math.random() < 200 / labelCounts.get(l)) {
+      const pi = i * 4;
+      acc.r += imgData[pi];
+      acc.g += imgData[pi + 1];
+      acc.b += imgData[pi + 2];
+      acc.count++;
+    }
+  }
+  for (const [label, acc] of colorAccum) {
+    if (acc.count > 0) {
+      regionColors.set(label, { r: acc.r / acc.count, g: acc.g / acc.count, b: acc.b / acc.count });
     }
+  }
 
-    // Step 6: Create masks and contours using direct typed array access
-    console.log('[Segmentation] Step 6: Creating masks and contours');
+  // Step 4c: Texture signature for each region
+  console.log('[Segmentation] Computing texture signatures');
+  const regionTextures = computeTextureSignatures(imgData, pixelLabels, imgCols, imgRows);
+
+  // Step 5: Build the merge hierarchy (cut at a threshold by regionsFromMergeTree)
+  console.log('[Segmentation] Step 5: Building the merge hierarchy');
+  reportProgress('merge', 0);
+  const mergeTree = buildMergeTree(
+    pixelLabels, labelCounts, regionColors, regionTextures, adjacencyPairs,
+    imgCols, imgRows, scaleFactor, distanceOptions
+  );
+  console.log(`[Segmentation] Merge tree has ${mergeTree.mergeDistance.length} merges over ${mergeTree.leaves.length} regions`);
+  return mergeTree;
+}
 
-    let processedCount = 0;
-    const finalLabels = Array.from(labelCounts.keys()).filter(l => labelCounts.get(l) >= minArea);
+/**
+ * Record the union-find merge hierarchy of adjacent labels
+ * Adjacent label pairs are visited in order of increasing color/texture distance and
+ * merged unless the merged group would get too large, so every merge threshold
+ * corresponds to a prefix of the recorded merges. The tree is plain data
+ * (typed arrays) so it can be posted from the segmentation worker.
+ *
+ * @param {Int32Array} pixelLabels - Leaf label per pixel (> 0)
+ * @param {Map<number, number>} labelCounts - Pixel count per leaf label
+ * @param {Map<number, object>} labelColors - Average {r, g, b} per leaf label
+ * @param {Map<number, Float32Array>} labelTextures - Texture signature per leaf label
+ * @param {Set<number>} adjacencyPairs - Adjacent label pairs encoded as a * LABEL_PAIR_BASE + b (a < b)
+ * @param {number} width - Label map width
+ * @param {number} height - Label map height
+ * @param {number} scaleFactor - Label map scale relative to the original image
+ * @param {object} distanceOptions - { colorMetric, textureWeight } (see descriptorDistance)
+ * @returns {object} Merge tree: { width, height, scaleFactor, colorMetric, textureWeight, leafLabels,
+ *   leaves, leafCounts, leafColors, leafTextures, mergeA, mergeB, mergeDistance }
+ *   (merges sorted by distance)
+ */
+function buildMergeTree(pixelLabels, labelCounts, labelColors, labelTextures, adjacencyPairs, width, height, scaleFactor, distanceOptions) {
+  const totalPixels = width * height;
+  const leaves = Array.from(labelCounts.keys());
+  const leafIndex = new Map();
+  leaves.forEach((l, i) => leafIndex.set(l, i));
+
+  const leafCounts = new Int32Array(leaves.length);
+  const leafColors = new Float32Array(leaves.length * 3);
+  const leafTextures = new Float32Array(leaves.length * TEXTURE_BINS);
+  const leafDescriptorColors = [];
+  const leafTextureViews = [];
+  leaves.forEach((l, i) => {
+    const color = labelColors.get(l) || { r: 128, g: 128, b: 128 };
+    leafCounts[i] = labelCounts.get(l);
+    leafColors[i * 3] = color.r;
+    leafColors[i * 3 + 1] = color.g;
+    leafColors[i * 3 + 2] = color.b;
+    leafDescriptorColors.push({ rgb: color, lab: rgbToLab(color.r, color.g, color.b) });
+    const texture = labelTextures.get(l);
+    if (texture) leafTextures.set(texture, i * TEXTURE_BINS);
+    leafTextureViews.push(texture ? leafTextures.subarray(i * TEXTURE_BINS, (i + 1) * TEXTURE_BINS) : null);
+  });
 
-    for (const label of finalLabels) {
-      // Compute bounding box by scanning pixelLabels
-      let minX = imgCols, minY = imgRows, maxX = 0, maxY = 0;
-      for (let i = 0; i < totalPixels; i++) {
-        if (pixelLabels[i] !== label) continue;
-        const px = i % imgCols;
-        const py = (i - px) / imgCols;
-        if (px < minX) minX = px;
-        if (px > maxX) maxX = px;
-        if (py < minY) minY = py;
-        if (py > maxY) maxY = py;
-      }
+  // Bounding box per leaf from a single scan of the label map
+  const groupBounds = leaves.map(() => ({ minX: width, minY: height, maxX: 0, maxY: 0 }));
+  for (let i = 0; i < totalPixels; i++) {
+    const idx = leafIndex.get(pixelLabels[i]);
+    if (idx === undefined) continue;
+    const px = i % width;
+    const py = (i - px) / width;
+    const b = groupBounds[idx];
+    if (px < b.minX) b.minX = px;
+    if (px > b.maxX) b.maxX = px;
+    if (py < b.minY) b.minY = py;
+    if (py > b.maxY) b.maxY = py;
+  }
 
-      const bw = maxX - minX + 1;
-      const bh = maxY - minY + 1;
-      if (bw <= 0 || bh <= 0) continue;
+  // Candidate merges between adjacent leaves, closest colors first
+  const candidates = [];
+  for (const pair of adjacencyPairs) {
+    const idxA = leafIndex.get(Math.floor(pair / LABEL_PAIR_BASE));
+    const idxB = leafIndex.get(pair % LABEL_PAIR_BASE);
+    if (idxA === undefined || idxB === undefined) continue;
+    const dist = descriptorDistance(
+      leafDescriptorColors[idxA], leafTextureViews[idxA], leafDescriptorColors[idxB], leafTextureViews[idxB], distanceOptions
+    );
+    candidates.push({ a: idxA, b: idxB, dist });
+  }
+  candidates.sort((x, y) => x.dist - y.dist);
+
+  const uf = new UnionFind(leaves.length);
+  const groupSize = Array.from(leafCounts);
+  const maxMergedArea = totalPixels * 0.002; // 0.2% of image
+  const maxMergedWidth = Math.floor(width / 120);
+  const maxMergedHeight = Math.floor(height / 120);
+  const mergeA = [];
+  const mergeB = [];
+  const mergeDistance = [];
+
+  for (const { a, b, dist } of candidates) {
+    const rootA = uf.find(a);
+    const rootB = uf.find(b);
+    if (rootA === rootB) continue;
+    if (groupSize[rootA] + groupSize[rootB] > maxMergedArea) continue;
+    const cb = {
+      minX: Math.min(groupBounds[rootA].minX, groupBounds[rootB].minX),
+      minY: Math.min(groupBounds[rootA].minY, groupBounds[rootB].minY),
+      maxX: Math.max(groupBounds[rootA].maxX, groupBounds[rootB].maxX),
+      maxY: Math.max(groupBounds[rootA].maxY, groupBounds[rootB].maxY),
+    };
+    if (cb.maxX - cb.minX > maxMergedWidth) continue;
+    if (cb.maxY - cb.minY > maxMergedHeight) continue;
+    uf.union(a, b);
+    const newRoot = uf.find(a);
+    groupSize[newRoot] = groupSize[rootA] + groupSize[rootB];
+    groupBounds[newRoot] = cb;
+    mergeA.push(a);
+    mergeB.push(b);
+    mergeDistance.push(dist);
+  }
 
-      const bounds = { x: minX, y: minY, width: bw, height: bh };
+  return {
+    width,
+    height,
+    scaleFactor,
+    colorMetric: distanceOptions.colorMetric,
+    textureWeight: distanceOptions.textureWeight,
+    leafLabels: pixelLabels,
+    leaves: Int32Array.from(leaves),
+    leafCounts,
+    leafColors,
+    leafTextures,
+    mergeA: Int32Array.from(mergeA),
+    mergeB: Int32Array.from(mergeB),
+    mergeDistance: Float32Array.from(mergeDistance)
+  };
+}
 
-      // Create cropped mask using direct data access
-      const mask = cv.Mat.zeros(bh, bw, cv.CV_8U);
-      const maskData = mask.data;
-      for (let i = 0; i < totalPixels; i++) {
-        if (pixelLabels[i] !== label) continue;
-        const px = i % imgCols;
-        const py = (i - px) / imgCols;
-        maskData[(py - minY) * bw + (px - minX)] = 255;
-      }
+/**
+ * Number of merges of a merge tree that apply at a given merge threshold
+ * Two thresholds with the same level produce identical regions.
+ *
+ * @param {object} mergeTree - Merge tree returned by segmentImage
+ * @param {number} mergeThreshold - Max color distance for merging (0 = no merging)
+ * @returns {number} Count of merges with distance below the threshold
+ */
+export function mergeTreeLevel(mergeTree, mergeThreshold) {
+  const distances = mergeTree.mergeDistance;
+  let lo = 0, hi = distances.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (distances[mid] < mergeThreshold) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
 
-      // Find contours
-      const contours = new cv.MatVector();
-      const hierarchy = new cv.Mat();
-      cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-
-      if (contours.size() > 0) {
-        const contour = contours.get(0);
-        if (contour && contour.rows > 0) {
-          const area = cv.contourArea(contour);
-          if (area > 0) {
-            // Translate contour to image space
-            const translatedContour = new cv.Mat(contour.rows, 1, cv.CV_32SC2);
-            for (let i = 0; i < contour.rows; i++) {
-              translatedContour.data32S[i * 2] = contour.data32S[i * 2] + minX;
-              translatedContour.data32S[i * 2 + 1] = contour.data32S[i * 2 + 1] + minY;
-            }
+/**
+ * Build regions for one level of a merge tree without re-running segmentation
+ * Used by segmentImage itself and by the live merge slider.
+ *
+ * @param {object} mergeTree - Merge tree returned by segmentImage
+ * @param {number} mergeThreshold - Max color distance for merging (0 = no merging)
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional settings
+ * @param {Function} options.onProgress - Called as onProgress(step, fraction)
+ * @param {Array} options.reuseRegions - Regions from another level of the same tree; groups
+ *   that are unchanged reuse their contour and mask Mats (shared, not cloned)
+ * @returns {{ regions: Array, labelMap: object }} Region objects and their label map
+ *   (see buildLabelMap)
+ */
+export function regionsFromMergeTree(mergeTree, mergeThreshold, cv, options = {}) {
+  const reportProgress = (step, fraction) => {
+    if (options.onProgress) options.onProgress(step, fraction);
+  };
+  const { width, height, scaleFactor, leafLabels, leaves, leafCounts, leafColors } = mergeTree;
+  const totalPixels = width * height;
+  const minArea = Math.max(10, totalPixels * 0.00002);
+
+  // Apply the merges below the threshold
+  const uf = new UnionFind(leaves.length);
+  const level = mergeTreeLevel(mergeTree, mergeThreshold);
+  for (let k = 0; k < level; k++) {
+    uf.union(mergeTree.mergeA[k], mergeTree.mergeB[k]);
+  }
 
-            regions.push({
-              contour: translatedContour,
-              mask: mask, // Transfer ownership (no clone needed)
-              bounds: bounds,
-              scaleFactor: scaleFactor,
-              selected: false,
-              label: label,
-              avgColor: regionColors.get(label) || { r: 128, g: 128, b: 128 },
-              adjacentIndices: []
-            });
-
-            hierarchy.delete();
-            contours.delete();
-            processedCount++;
-            if (processedCount % 200 === 0) {
-              console.log(`[Segmentation] Processed ${processedCount}/${finalLabels.length} regions`);
-            }
-            continue; // Skip the cleanup below since mask is transferred
-          }
-        }
-      }
+  // Leaf label -> merged label (the label of the group's root leaf)
+  let maxLabel = 0;
+  for (const l of leaves) if (l > maxLabel) maxLabel = l;
+  const labelRemap = new Int32Array(maxLabel + 1);
+  leaves.forEach((l, i) => { labelRemap[l] = leaves[uf.find(i)]; });
+
+  // Merged pixel counts and count-weighted average colors and texture signatures
+  const { leafTextures } = mergeTree;
+  const labelCounts = new Map();
+  const colorSums = new Map();
+  const textureSums = new Map();
+  leaves.forEach((l, i) => {
+    const root = labelRemap[l];
+    const count = leafCounts[i];
+    labelCounts.set(root, (labelCounts.get(root) || 0) + count);
+    const sum = colorSums.get(root) || { r: 0, g: 0, b: 0 };
+    sum.r += leafColors[i * 3] * count;
+    sum.g += leafColors[i * 3 + 1] * count;
+    sum.b += leafColors[i * 3 + 2] * count;
+    colorSums.set(root, sum);
+
+    if (!leafTextures) return;
+    let textureSum = textureSums.get(root);
+    if (!textureSum) {
+      textureSum = new Float32Array(TEXTURE_BINS);
+      textureSums.set(root, textureSum);
+    }
+    // Leaf signatures are normalized (or empty), so weighting by count averages them
+    for (let b = 0; b < TEXTURE_BINS; b++) textureSum[b] += leafTextures[i * TEXTURE_BINS + b] * count;
+  });
+
+  // Remapped label map and per-label bounding boxes in one pass
+  const pixelLabels = new Int32Array(totalPixels);
+  const labelBounds = new Map();
+  for (let i = 0; i < totalPixels; i++) {
+    const leaf = leafLabels[i];
+    const l = leaf > 0 && leaf <= maxLabel ? labelRemap[leaf] : 0;
+    pixelLabels[i] = l;
+    if (l === 0) continue;
+    const px = i % width;
+    const py = (i - px) / width;
+    const b = labelBounds.get(l);
+    if (!b) {
+      labelBounds.set(l, { minX: px, minY: py, maxX: px, maxY: py });
+    } else {
+      if (px < b.minX) b.minX = px;
+      if (px > b.maxX) b.maxX = px;
+      if (py < b.minY) b.minY = py;
+      if (py > b.maxY) b.maxY = py;
+    }
+  }
 
-      // Cleanup if region wasn't added
-      hierarchy.delete();
-      contours.delete();
-      mask.delete();
+  console.log(`[Segmentation] Merge level ${level}/${mergeTree.mergeDistance.length}: ${labelBounds.size} regions`);
+
+  // Step 6: Create masks and contours using direct typed array access
+  console.log('[Segmentation] Step 6: Creating masks and contours');
+  reportProgress('contours', 0);
+
+  const regions = [];
+  let processedCount = 0;
+  const finalLabels = Array.from(labelBounds.keys()).filter(l => labelCounts.get(l) >= minArea);
+
+  // Levels of one tree are nested, so a group with the same root label and
+  // the same pixel count is the same group
+  const reusable = new Map();
+  for (const region of options.reuseRegions || []) {
+    if (region.pixelCount !== undefined) reusable.set(region.label, region);
+  }
+  let reusedCount = 0;
+
+  for (const label of finalLabels) {
+    const count = labelCounts.get(label);
+    const sum = colorSums.get(label);
+    const avgColor = sum ? { r: sum.r / count, g: sum.g / count, b: sum.b / count } : { r: 128, g: 128, b: 128 };
+    const avgLab = rgbToLab(avgColor.r, avgColor.g, avgColor.b);
+    const texture = normalizedTexture(textureSums.get(label));
+
+    const previous = reusable.get(label);
+    if (previous && previous.pixelCount === count && !previous.contour.isDeleted() && !previous.mask.isDeleted()) {
+      regions.push({ ...previous, selected: false, avgColor, avgLab, texture, adjacentIndices: [] });
+      reusedCount++;
       processedCount++;
+      continue;
+    }
+
+    const { minX, minY, maxX, maxY } = labelBounds.get(label);
+    const bw = maxX - minX + 1;
+    const bh = maxY - minY + 1;
+    const bounds = { x: minX, y: minY, width: bw, height: bh };
+
+    // Create cropped mask by scanning only the label's bounding box
+    const mask = cv.Mat.zeros(bh, bw, cv.CV_8U);
+    const maskData = mask.data;
+    for (let y = 0; y < bh; y++) {
+      const rowStart = (y + minY) * width + minX;
+      for (let x = 0; x < bw; x++) {
+        if (pixelLabels[rowStart + x] === label) maskData[y * bw + x] = 255;
+      }
     }
 
-    console.log(`[Segmentation] Returning ${regions.length} valid regions`);
+    // Find contours
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+    cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    if (contours.size() > 0) {
+      const contour = contours.get(0);
+      if (contour && contour.rows > 0) {
+        const area = cv.contourArea(contour);
+        if (area > 0) {
+          // Translate contour to image space
+          const translatedContour = new cv.Mat(contour.rows, 1, cv.CV_32SC2);
+          for (let i = 0; i < contour.rows; i++) {
+            translatedContour.data32S[i * 2] = contour.data32S[i * 2] + minX;
+            translatedContour.data32S[i * 2 + 1] = contour.data32S[i * 2 + 1] + minY;
+          }
 
-    // Populate adjacentIndices: map labels to final region indices
-    const labelToRegionIndex = new Map();
-    for (let i = 0; i < regions.length; i++) {
-      labelToRegionIndex.set(regions[i].label, i);
-    }
-    for (let i = 0; i < regions.length; i++) {
-      const adj = mergedAdjacency.get(regions[i].label);
-      if (adj) {
-        for (const neighborLabel of adj) {
-          const neighborIdx = labelToRegionIndex.get(neighborLabel);
-          if (neighborIdx !== undefined) {
-            regions[i].adjacentIndices.push(neighborIdx);
+          regions.push({
+            contour: translatedContour,
+            mask: mask, // Transfer ownership (no clone needed)
+            bounds: bounds,
+            scaleFactor: scaleFactor,
+            selected: false,
+            label: label,
+            pixelCount: count,
+            avgColor: avgColor,
+            avgLab: avgLab,
+            texture: texture,
+            adjacentIndices: []
+          });
+
+          hierarchy.delete();
+          contours.delete();
+          processedCount++;
+          if (processedCount % 200 === 0) {
+            console.log(`[Segmentation] Processed ${processedCount}/${finalLabels.length} regions`);
+            reportProgress('contours', processedCount / finalLabels.length);
           }
+          continue; // Skip the cleanup below since mask is transferred
         }
       }
     }
 
+    // Cleanup if region wasn't added
+    hierarchy.delete();
+    contours.delete();
+    mask.delete();
+    processedCount++;
+  }
+
+  console.log(`[Segmentation] Returning ${regions.length} valid regions (${reusedCount} reused)`);
+
+  const labelToRegionIndex = new Map();
+  for (let i = 0; i < regions.length; i++) {
+    labelToRegionIndex.set(regions[i].label, i);
+  }
+
+  // Label map of region indices (pixels of dropped labels belong to no region)
+  const labelMapData = new Int32Array(totalPixels);
+  for (let i = 0; i < totalPixels; i++) {
+    const index = labelToRegionIndex.get(pixelLabels[i]);
+    labelMapData[i] = index === undefined ? -1 : index;
+  }
+  const labelMap = {
+    data: labelMapData,
+    width,
+    height,
+    scaleFactor,
+    counts: countLabelMapPixels(labelMapData, regions.length)
+  };
+  assignRegionAdjacency(regions, labelMap);
+
+  return { regions, labelMap };
+}
+
+/**
+ * Full-resolution gradient used to snap region boundaries (see refineRegionBoundaries)
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {object} cv - OpenCV.js instance
+ * @returns {cv.Mat} CV_8U gradient magnitude at original size (caller must delete)
+ */
+export function computeBoundaryGradient(originalImage, cv) {
+  const gray = new cv.Mat();
+  const gradient = new cv.Mat();
+  try {
+    cv.cvtColor(originalImage, gray, cv.COLOR_RGBA2GRAY);
+    cv.GaussianBlur(gray, gray, new cv.Size(3, 3), 0);
+    sobelMagnitude(gray, gradient, cv);
   } catch (error) {
-    console.error('[Segmentation] Error:', error);
-    // Clean up on error
-    cleanupMats(gray, blurred, gradient, markers, gradient3C);
-    if (scaleFactor !== 1 && workingImage) {
-      cleanupMats(workingImage);
-    }
+    gradient.delete();
     throw error;
+  } finally {
+    gray.delete();
   }
+  return gradient;
+}
 
-  // Cleanup temporary matrices
-  cleanupMats(gray, blurred, gradient, markers, gradient3C);
-  if (scaleFactor !== 1) {
-    cleanupMats(workingImage);
+/**
+ * Snap a downscaled contour to the strongest full-resolution edge nearby
+ * The contour is scaled up and resampled every pixel; each point moves along its
+ * normal to the gradient maximum within the band (nearer maxima win ties), and the
+ * offsets are median-filtered so single noisy pixels don't make the outline jagged.
+ * Where there is no edge, the point moves out to the border of its downscaled pixel
+ * so neighboring regions still meet without a gap.
+ *
+ * @param {cv.Mat} contour - Contour in working (downscaled) coordinates
+ * @param {number} scale - Working to original scale (1 / scaleFactor)
+ * @param {cv.Mat} gradient - Full-resolution CV_8U gradient magnitude
+ * @param {number} band - Search distance in original pixels on each side of the boundary
+ * @param {object} cv - OpenCV.js instance
+ * @returns {cv.Mat} New CV_32SC2 contour in original coordinates (caller must delete)
+ */
+function snapContourToGradient(contour, scale, gradient, band, cv) {
+  const cols = gradient.cols;
+  const rows = gradient.rows;
+  const gradData = gradient.data;
+  const source = contour.data32S;
+  const count = contour.rows;
+  const minEdgeStrength = 16;
+
+  // Scale pixel centers up and resample so consecutive points are at most 1px apart
+  const toOriginal = (v) => (v + 0.5) * scale - 0.5;
+  let n = 0;
+  const segmentSteps = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    const j = (i + 1) % count;
+    const length = Math.hypot(source[j * 2] - source[i * 2], source[j * 2 + 1] - source[i * 2 + 1]) * scale;
+    segmentSteps[i] = Math.max(1, Math.ceil(length));
+    n += segmentSteps[i];
+  }
+  const xs = new Float32Array(n);
+  const ys = new Float32Array(n);
+  let signedArea = 0;
+  for (let i = 0, k = 0; i < count; i++) {
+    const j = (i + 1) % count;
+    const x1 = toOriginal(source[i * 2]);
+    const y1 = toOriginal(source[i * 2 + 1]);
+    const x2 = toOriginal(source[j * 2]);
+    const y2 = toOriginal(source[j * 2 + 1]);
+    signedArea += x1 * y2 - x2 * y1;
+    const steps = segmentSteps[i];
+    for (let s = 0; s < steps; s++, k++) {
+      xs[k] = x1 + (x2 - x1) * s / steps;
+      ys[k] = y1 + (y2 - y1) * s / steps;
+    }
+  }
+
+  // Normals point outward; with no edge in the band a point moves out by half a
+  // downscaled pixel
+  const outward = signedArea > 0 ? -1 : 1;
+  const defaultOffset = Math.round((scale - 1) / 2);
+  const offsets = new Float32Array(n);
+  const normals = new Float32Array(n * 2);
+  for (let i = 0; i < n; i++) {
+    // Normal from a tangent spanning a few points, robust to pixel stair-steps
+    const prev = (i - 2 + n) % n;
+    const next = (i + 2) % n;
+    const tx = xs[next] - xs[prev];
+    const ty = ys[next] - ys[prev];
+    const length = Math.hypot(tx, ty);
+    if (length === 0) continue;
+    const nx = -ty / length * outward;
+    const ny = tx / length * outward;
+    normals[i * 2] = nx;
+    normals[i * 2 + 1] = ny;
+
+    let bestOffset = defaultOffset;
+    let bestScore = -Infinity;
+    let bestStrength = 0;
+    for (let t = -band; t <= band; t++) {
+      const x = Math.round(xs[i] + nx * t);
+      const y = Math.round(ys[i] + ny * t);
+      if (x < 0 || x >= cols || y < 0 || y >= rows) continue;
+      const strength = gradData[y * cols + x];
+      const score = strength - Math.abs(t - defaultOffset);
+      if (score > bestScore) {
+        bestScore = score;
+        bestOffset = t;
+        bestStrength = strength;
+      }
+    }
+    offsets[i] = bestStrength >= minEdgeStrength ? bestOffset : defaultOffset;
+  }
+
+  // Median of 5 along the contour
+  const window = [0, 0, 0, 0, 0];
+  const points = [];
+  for (let i = 0; i < n; i++) {
+    for (let k = -2; k <= 2; k++) window[k + 2] = offsets[(i + k + n) % n];
+    window.sort((a, b) => a - b);
+    const t = n >= 5 ? window[2] : offsets[i];
+    const x = Math.min(cols - 1, Math.max(0, Math.round(xs[i] + normals[i * 2] * t)));
+    const y = Math.min(rows - 1, Math.max(0, Math.round(ys[i] + normals[i * 2 + 1] * t)));
+    const last = points.length - 2;
+    if (last >= 0 && points[last] === x && points[last + 1] === y) continue;
+    points.push(x, y);
+  }
+  if (points.length > 2 && points[0] === points[points.length - 2] && points[1] === points[points.length - 1]) {
+    points.length -= 2;
+  }
+
+  const snapped = new cv.Mat(points.length / 2, 1, cv.CV_32SC2);
+  snapped.data32S.set(points);
+  return snapped;
+}
+
+/**
+ * Snap the boundaries of downscaled regions to full-resolution edges
+ * Segmenting a downscaled image is fast, but scaling its contours back up leaves
+ * edges several pixels off at projector scale. Each region with scaleFactor < 1
+ * gets a contour re-snapped to the strongest full-resolution gradient within a
+ * small band, and becomes a full-resolution region (scaleFactor 1, mask rebuilt).
+ * Label, pixel count, color and adjacency are kept, so merge tree reuse and the
+ * label map of the downscaled regions still apply.
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {Array} regions - Region objects; full-resolution ones are passed through
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional settings
+ * @param {cv.Mat} options.gradient - Precomputed computeBoundaryGradient() result to reuse
+ * @param {number} options.band - Search distance in original pixels (default: the
+ *   downscale factor rounded up, plus one)
+ * @param {Function} options.onProgress - Called as onProgress(step, fraction)
+ * @returns {Array} New region list; the contour and mask Mats of refined regions are freed
+ */
+export function refineRegionBoundaries(originalImage, regions, cv, options = {}) {
+  if (!originalImage || !cv) {
+    throw new Error('Invalid image or OpenCV instance');
+  }
+  const pending = regions.filter(r => (r.scaleFactor || 1) !== 1).length;
+  if (pending === 0) return regions;
+
+  const reportProgress = (step, fraction) => {
+    if (options.onProgress) options.onProgress(step, fraction);
+  };
+  const gradient = options.gradient || computeBoundaryGradient(originalImage, cv);
+
+  try {
+    console.log(`[Segmentation] Snapping ${pending} region boundaries to full-resolution edges`);
+    reportProgress('boundaries', 0);
+    let done = 0;
+    return regions.map(region => {
+      const scaleFactor = region.scaleFactor || 1;
+      if (scaleFactor === 1 || !region.contour || region.contour.rows === 0) return region;
+
+      const scale = 1 / scaleFactor;
+      const band = options.band || Math.ceil(scale) + 1;
+      const contour = snapContourToGradient(region.contour, scale, gradient, band, cv);
+      cleanupMats(region.contour, region.mask);
+
+      const refined = { ...region, contour, mask: null, scaleFactor: 1 };
+      rebuildRegionMask(refined, cv);
+
+      done++;
+      if (done % 500 === 0) reportProgress('boundaries', done / pending);
+      return refined;
+    });
+  } finally {
+    if (!options.gradient) gradient.delete();
   }
+}
 
-  return { regions, edgeMap };
+/**
+ * Normalize a summed texture signature
+ *
+ * @param {Float32Array|undefined} sum - Count-weighted sum of signatures
+ * @returns {Float32Array|null} Normalized signature, or null if there is none
+ */
+function normalizedTexture(sum) {
+  if (!sum) return null;
+  let total = 0;
+  for (let b = 0; b < TEXTURE_BINS; b++) total += sum[b];
+  if (total === 0) return null;
+  for (let b = 0; b < TEXTURE_BINS; b++) sum[b] /= total;
+  return sum;
 }
 
 /**
@@ -822,18 +1989,20 @@ export function drawSegmentation(originalImage, regions, canvas, highlightIndex,
 
       const scaleFactor = region.scaleFactor || 1;
       const scale = 1 / scaleFactor;
-      const scaledContour = scaleContour(region.contour, scale, cv);
+      const scaledContours = scaledRegionContours(region, scale, cv);
       const contourVec = new cv.MatVector();
-      contourVec.push_back(scaledContour);
+      scaledContours.forEach(contour => contourVec.push_back(contour));
 
-      if (i === highlightIndex) {
-        cv.drawContours(overlay, contourVec, 0, new cv.Scalar(255, 255, 0, 255), -1);
-      } else if (region.selected) {
-        cv.drawContours(overlay, contourVec, 0, new cv.Scalar(0, 200, 0, 255), -1);
+      const color = i === highlightIndex ? new cv.Scalar(255, 255, 0, 255) : new cv.Scalar(0, 200, 0, 255);
+      if (scaledContours.length > 1) {
+        // fillPoly leaves the holes open
+        cv.fillPoly(overlay, contourVec, color);
+      } else {
+        cv.drawContours(overlay, contourVec, 0, color, -1);
       }
 
       contourVec.delete();
-      scaledContour.delete();
+      cleanupMats(...scaledContours);
     }
 
     cv.addWeighted(overlay, 0.25, display, 0.75, 0, display);
@@ -844,43 +2013,251 @@ export function drawSegmentation(originalImage, regions, canvas, highlightIndex,
   for (let i = 0; i < regions.length; i++) {
     const region = regions[i];
 
-    // Scale the contour to match the original image size
+    // Scale the contour (and hole outlines) to match the original image size
     const scaleFactor = region.scaleFactor || 1;
     const scale = 1 / scaleFactor; // Inverse scale
-    const scaledContour = scaleContour(region.contour, scale, cv);
+    const scaledContours = scaledRegionContours(region, scale, cv);
 
     const contourVec = new cv.MatVector();
-    contourVec.push_back(scaledContour);
+    scaledContours.forEach(contour => contourVec.push_back(contour));
 
     if (i === highlightIndex) {
       // Highlighted region (on hover) - Yellow, thick
-      cv.drawContours(display, contourVec, 0, new cv.Scalar(255, 255, 0, 255), 3);
+      cv.drawContours(display, contourVec, -1, new cv.Scalar(255, 255, 0, 255), 3);
     } else if (region.selected) {
       // Selected region - Green, medium
-      cv.drawContours(display, contourVec, 0, new cv.Scalar(0, 255, 0, 255), 2);
+      cv.drawContours(display, contourVec, -1, new cv.Scalar(0, 255, 0, 255), 2);
     } else {
       // Unselected region - Red, thin
-      cv.drawContours(display, contourVec, 0, new cv.Scalar(255, 0, 0, 255), 1);
+      cv.drawContours(display, contourVec, -1, new cv.Scalar(255, 0, 0, 255), 1);
     }
 
     contourVec.delete();
-    scaledContour.delete();
+    cleanupMats(...scaledContours);
   }
 
   cv.imshow(canvas, display);
   cleanupMats(display);
 }
 
+/**
+ * Rasterize regions into a label map
+ * Later regions win where regions overlap, matching findRegionAtPoint's z-order.
+ * Regions at another scale than the map are resampled with nearest neighbor.
+ *
+ * @param {Array} regions - Region objects with mask, bounds and scaleFactor
+ * @param {number} width - Label map width
+ * @param {number} height - Label map height
+ * @param {number} scaleFactor - Label map scale relative to the original image
+ * @returns {object} { data: Int32Array (region index per pixel, -1 = none), width, height,
+ *   scaleFactor, counts: Int32Array (pixels per region) }
+ */
+export function buildLabelMap(regions, width, height, scaleFactor) {
+  const data = new Int32Array(width * height).fill(-1);
+
+  for (let i = 0; i < regions.length; i++) {
+    const { mask, bounds } = regions[i];
+    const ratio = (regions[i].scaleFactor || 1) / scaleFactor; // map -> region space
+    const maskData = mask.data;
+    const x0 = Math.max(0, Math.floor(bounds.x / ratio));
+    const y0 = Math.max(0, Math.floor(bounds.y / ratio));
+    const x1 = Math.min(width, Math.ceil((bounds.x + mask.cols) / ratio));
+    const y1 = Math.min(height, Math.ceil((bounds.y + mask.rows) / ratio));
+
+    for (let my = y0; my < y1; my++) {
+      const ly = Math.floor(my * ratio) - bounds.y;
+      if (ly < 0 || ly >= mask.rows) continue;
+      for (let mx = x0; mx < x1; mx++) {
+        const lx = Math.floor(mx * ratio) - bounds.x;
+        if (lx >= 0 && lx < mask.cols && maskData[ly * mask.cols + lx] > 0) {
+          data[my * width + mx] = i;
+        }
+      }
+    }
+  }
+
+  return { data, width, height, scaleFactor, counts: countLabelMapPixels(data, regions.length) };
+}
+
+/**
+ * Count the pixels owned by each region in a label map
+ *
+ * @param {Int32Array} data - Region index per pixel (-1 = none)
+ * @param {number} regionCount - Number of regions
+ * @returns {Int32Array} Pixel count per region index
+ */
+function countLabelMapPixels(data, regionCount) {
+  const counts = new Int32Array(regionCount);
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] >= 0) counts[data[i]]++;
+  }
+  return counts;
+}
+
+/**
+ * Set every region's adjacentIndices from the boundaries it shares in a label map
+ * Two regions are adjacent when any of their pixels touch (4-connectivity).
+ *
+ * @param {Array} regions - Regions the label map was built for (adjacentIndices is replaced)
+ * @param {object} labelMap - Label map of region indices (see buildLabelMap)
+ */
+export function assignRegionAdjacency(regions, labelMap) {
+  const { data, width, height } = labelMap;
+  const n = regions.length;
+  const pairs = new Set();
+  const addPair = (a, b) => {
+    if (b < 0 || b === a) return;
+    pairs.add(a < b ? a * n + b : b * n + a);
+  };
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      const a = data[row + x];
+      if (a < 0) continue;
+      if (x + 1 < width) addPair(a, data[row + x + 1]);
+      if (y + 1 < height) addPair(a, data[row + width + x]);
+    }
+  }
+
+  regions.forEach(region => { region.adjacentIndices = []; });
+  for (const pair of pairs) {
+    const a = Math.floor(pair / n);
+    const b = pair % n;
+    regions[a].adjacentIndices.push(b);
+    regions[b].adjacentIndices.push(a);
+  }
+}
+
+/**
+ * Rebuild adjacency after regions were added or replaced (split, refine, detected posters)
+ * Adjacency of every region comes from the shared boundaries in a label map of the
+ * current regions; avgColor and avgLab of the changed regions and their neighbors are
+ * re-measured on the original image from the pixels each region shows in that map.
+ * Regions are shallow-copied, so region objects held by the undo history keep their
+ * own adjacency; contour and mask Mats are shared.
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {Array} regions - All current regions
+ * @param {Array<number>} changedIndices - Indices of the new or changed regions
+ * @returns {{ regions: Array, labelMap: object }} Updated regions and their label map
+ *   (see buildLabelMap), at most 2000px on the longest side like segmentImage's
+ */
+export function refreshRegionAdjacency(originalImage, regions, changedIndices) {
+  const updated = regions.map(region => ({ ...region }));
+  if (updated.length === 0) {
+    return { regions: updated, labelMap: buildLabelMap(updated, 0, 0, 1) };
+  }
+
+  const scaleFactor = updated.reduce(
+    (scale, region) => Math.min(scale, region.scaleFactor || 1),
+    MAX_WORKING_DIMENSION / Math.max(originalImage.cols, originalImage.rows)
+  );
+  const width = Math.floor(originalImage.cols * scaleFactor);
+  const height = Math.floor(originalImage.rows * scaleFactor);
+  const labelMap = buildLabelMap(updated, width, height, scaleFactor);
+  assignRegionAdjacency(updated, labelMap);
+
+  const remeasure = new Uint8Array(updated.length);
+  for (const index of changedIndices) {
+    remeasure[index] = 1;
+    for (const neighbor of updated[index].adjacentIndices) remeasure[neighbor] = 1;
+  }
+
+  // Sample the original pixel under each label map pixel
+  const sums = new Float64Array(updated.length * 3);
+  const pixels = originalImage.data;
+  const channels = originalImage.channels();
+  const { data } = labelMap;
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(originalImage.rows - 1, Math.floor(y / scaleFactor));
+    for (let x = 0; x < width; x++) {
+      const index = data[y * width + x];
+      if (index < 0 || !remeasure[index]) continue;
+      const p = (sy * originalImage.cols + Math.min(originalImage.cols - 1, Math.floor(x / scaleFactor))) * channels;
+      sums[index * 3] += pixels[p];
+      sums[index * 3 + 1] += pixels[p + 1];
+      sums[index * 3 + 2] += pixels[p + 2];
+    }
+  }
+  for (let i = 0; i < updated.length; i++) {
+    const count = labelMap.counts[i];
+    // Regions hidden under later ones keep their color
+    if (!remeasure[i] || count === 0) continue;
+    const avgColor = { r: sums[i * 3] / count, g: sums[i * 3 + 1] / count, b: sums[i * 3 + 2] / count };
+    updated[i].avgColor = avgColor;
+    updated[i].avgLab = rgbToLab(avgColor.r, avgColor.g, avgColor.b);
+  }
+
+  return { regions: updated, labelMap };
+}
+
+/**
+ * Brush hit test on a label map: the region under the center plus every region
+ * with at least 90% of its pixels inside the circle
+ *
+ * @param {number} x - X coordinate (center, original image space)
+ * @param {number} y - Y coordinate (center, original image space)
+ * @param {number} radius - Radius in original image pixels
+ * @param {object} labelMap - Label map (see buildLabelMap)
+ * @returns {Array<number>} Region indices
+ */
+function findRegionsInRadiusWithLabelMap(x, y, radius, labelMap) {
+  const { data, width, height, scaleFactor, counts } = labelMap;
+  const cx = x * scaleFactor;
+  const cy = y * scaleFactor;
+  const r = radius * scaleFactor;
+  const r2 = r * r;
+
+  const found = new Set();
+  const centerX = Math.floor(cx);
+  const centerY = Math.floor(cy);
+  if (centerX >= 0 && centerX < width && centerY >= 0 && centerY < height) {
+    const center = data[centerY * width + centerX];
+    if (center >= 0) found.add(center);
+  }
+
+  // Count covered pixels per region inside the circle (pixel centers)
+  const inside = new Map();
+  const y0 = Math.max(0, Math.floor(cy - r));
+  const y1 = Math.min(height - 1, Math.ceil(cy + r));
+  const x0 = Math.max(0, Math.floor(cx - r));
+  const x1 = Math.min(width - 1, Math.ceil(cx + r));
+  for (let py = y0; py <= y1; py++) {
+    const dy = py + 0.5 - cy;
+    for (let px = x0; px <= x1; px++) {
+      const dx = px + 0.5 - cx;
+      if (dx * dx + dy * dy > r2) continue;
+      const index = data[py * width + px];
+      if (index >= 0) inside.set(index, (inside.get(index) || 0) + 1);
+    }
+  }
+
+  for (const [index, count] of inside) {
+    if (counts[index] > 0 && count / counts[index] >= 0.9) found.add(index);
+  }
+
+  return Array.from(found);
+}
+
 /**
  * Find which region (if any) contains the given point
- * Uses bounding box optimization followed by pixel-perfect mask checking
+ * With a label map this is a single lookup; otherwise it uses a bounding box
+ * check followed by pixel-perfect mask checking for each region
  *
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
  * @param {Array} regions - Array of region objects
+ * @param {object} labelMap - Optional label map for these regions (see buildLabelMap)
  * @returns {number} Index of region containing the point, or -1 if none
  */
-export function findRegionAtPoint(x, y, regions) {
+export function findRegionAtPoint(x, y, regions, labelMap = null) {
+  if (labelMap) {
+    const mx = Math.floor(x * labelMap.scaleFactor);
+    const my = Math.floor(y * labelMap.scaleFactor);
+    if (mx < 0 || mx >= labelMap.width || my < 0 || my >= labelMap.height) return -1;
+    return labelMap.data[my * labelMap.width + mx];
+  }
+
   // Check regions in reverse order (top to bottom in z-order)
   for (let i = regions.length - 1; i >= 0; i--) {
     const region = regions[i];
@@ -921,9 +2298,15 @@ export function findRegionAtPoint(x, y, regions) {
  * @param {number} y - Y coordinate (center)
  * @param {number} radius - Radius in pixels
  * @param {Array} regions - Array of region objects
+ * @param {object} labelMap - Optional label map for these regions; gives exact coverage
+ *   by counting only the pixels under the brush instead of sampling every nearby region
  * @returns {Array<number>} Array of region indices within the radius
  */
-export function findRegionsInRadius(x, y, radius, regions) {
+export function findRegionsInRadius(x, y, radius, regions, labelMap = null) {
+  if (labelMap) {
+    return findRegionsInRadiusWithLabelMap(x, y, radius, labelMap);
+  }
+
   const foundRegions = [];
 
   for (let i = 0; i < regions.length; i++) {
@@ -991,16 +2374,24 @@ export function findRegionsInRadius(x, y, radius, regions) {
 }
 
 /**
- * Generate a black-and-white mask from selected regions
- * White (255) = selected regions, Black (0) = background
+ * Generate a mask from selected regions
+ * White (255) = selected regions, Black (0) = background; regions with a light
+ * color or intensity (see light.js) make it a color image instead. With a feather the
+ * edges fall off smoothly (see featherMask). Each region's own margin
+ * (region.margin) is applied first, then the mask-wide margin, then the feather.
  *
  * @param {cv.Mat} originalImage - The source image (for dimensions)
  * @param {Array} regions - Array of region objects
  * @param {HTMLCanvasElement} canvas - Target canvas for mask display
  * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional output settings
+ * @param {object} options.feather - { radius, mode }: falloff width in original image
+ *   pixels and one of FEATHER_MODES (default none)
+ * @param {number} options.margin - Grow (positive) or shrink (negative) the whole mask
+ *   by this many original image pixels (default 0)
  * @returns {boolean} True if mask was created successfully
  */
-export function createMask(originalImage, regions, canvas, cv) {
+export function createMask(originalImage, regions, canvas, cv, options = {}) {
   if (!originalImage || !canvas || !cv) return false;
 
   const selectedRegions = regions.filter(r => r.selected);
@@ -1008,11 +2399,196 @@ export function createMask(originalImage, regions, canvas, cv) {
     return false;
   }
 
+  const mask = renderLightMask(originalImage, selectedRegions, cv, options || {});
+
+  // Display on canvas
+  canvas.width = mask.cols;
+  canvas.height = mask.rows;
+  cv.imshow(canvas, mask);
+
+  cleanupMats(mask);
+  return true;
+}
+
+/**
+ * Apply the mask-wide margin, then the feather, to one rendered light mask in place
+ * Regions (renderLightMask) and presenter strokes (App's output mask) share this step,
+ * so both get the same edges.
+ *
+ * @param {cv.Mat} mask - CV_8UC1 mask at original image size
+ * @param {object} options - { feather, margin } as passed to createMask
+ * @param {object} cv - OpenCV.js instance
+ * @returns {cv.Mat} The same mask, for chaining
+ */
+export function finishLightMask(mask, options, cv) {
+  const { feather = null, margin = 0 } = options;
+  adjustMaskMargin(mask, margin, cv);
+  if (feather) featherMask(mask, feather.radius, feather.mode, cv);
+  return mask;
+}
+
+/**
+ * Render the lighting of regions at original image size
+ * Each light color is rendered on its own (regions' own margins, then the mask-wide
+ * margin and feather) and the results are combined in color. If every region is
+ * full white this is the plain mask.
+ *
+ * @param {cv.Mat} originalImage - The source image (for dimensions)
+ * @param {Array} regions - Regions to light (selection state is ignored)
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional output settings, as in createMask
+ * @param {object} options.feather - { radius, mode } (default none)
+ * @param {number} options.margin - Mask-wide margin in original pixels (default 0)
+ * @returns {cv.Mat} CV_8UC1 mask when every region is full white, otherwise a CV_8UC4
+ *   RGBA image (caller must delete)
+ */
+export function renderLightMask(originalImage, regions, cv, options = {}) {
+  const finish = mask => finishLightMask(mask, options, cv);
+
+  const groups = groupByLight(regions);
+  if (groups.length === 0 || (groups.length === 1 && groups[0].hex === DEFAULT_LIGHT_COLOR)) {
+    return finish(renderRegionsMask(originalImage, regions, cv, { margins: true }));
+  }
+
+  const output = new cv.Mat(originalImage.rows, originalImage.cols, cv.CV_8UC4, new cv.Scalar(0, 0, 0, 255));
+  for (const group of groups) {
+    const mask = finish(renderRegionsMask(originalImage, group.items, cv, { margins: true }));
+    try {
+      addLight(output, mask, group.rgb, cv);
+    } finally {
+      cleanupMats(mask);
+    }
+  }
+  return output;
+}
+
+/**
+ * Outline and hole contours of a region, scaled
+ * Holes (region.holes) are point arrays (x, y pairs) in the same space as the
+ * contour, e.g. where a magic wand area was cut out of the region.
+ *
+ * @param {object} region - Region with contour and optional holes
+ * @param {number} scale - Scale to apply to the coordinates
+ * @param {object} cv - OpenCV.js instance
+ * @returns {Array<cv.Mat>} Outline first, then one contour per hole (caller must delete)
+ */
+function scaledRegionContours(region, scale, cv) {
+  const contours = [scaleContour(region.contour, scale, cv)];
+  for (const hole of region.holes || []) {
+    const contour = new cv.Mat(hole.length / 2, 1, cv.CV_32SC2);
+    for (let i = 0; i < hole.length; i++) contour.data32S[i] = Math.round(hole[i] * scale);
+    contours.push(contour);
+  }
+  return contours;
+}
+
+/**
+ * Rasterize one region (outline minus holes) at original image size
+ * Only the region's bounding box is allocated.
+ *
+ * @param {object} region - Region with contour, scaleFactor and optional holes
+ * @param {object} cv - OpenCV.js instance
+ * @returns {{ mask: cv.Mat, x: number, y: number }} CV_8UC1 mask of the bounding box in
+ *   original pixels and its position (caller must delete the mask)
+ */
+export function renderRegionPiece(region, cv) {
+  const scaledContours = scaledRegionContours(region, 1 / (region.scaleFactor || 1), cv);
+  const contourVec = new cv.MatVector();
+  scaledContours.forEach(contour => contourVec.push_back(contour));
+  const box = cv.boundingRect(scaledContours[0]);
+  const mask = cv.Mat.zeros(box.height, box.width, cv.CV_8UC1);
+  const noHierarchy = new cv.Mat();
+  const offset = new cv.Point(-box.x, -box.y);
+  try {
+    cv.drawContours(mask, contourVec, 0, new cv.Scalar(255), -1, cv.LINE_8, noHierarchy, 0, offset);
+    for (let i = 1; i < scaledContours.length; i++) {
+      // Hole contours run along the region pixels around the hole: clear the inside, keep the ring
+      cv.drawContours(mask, contourVec, i, new cv.Scalar(0), -1, cv.LINE_8, noHierarchy, 0, offset);
+      cv.drawContours(mask, contourVec, i, new cv.Scalar(255), 1, cv.LINE_8, noHierarchy, 0, offset);
+    }
+  } finally {
+    contourVec.delete();
+    cleanupMats(noHierarchy, ...scaledContours);
+  }
+  return { mask, x: box.x, y: box.y };
+}
+
+/**
+ * Rasterize one region grown or shrunk by its own margin (region.margin, in
+ * original pixels), clipped to the image
+ *
+ * @param {object} region - Region with a nonzero margin
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {object} cv - OpenCV.js instance
+ * @returns {{ mask: cv.Mat, x: number, y: number }} Same as renderRegionPiece (caller must delete the mask)
+ */
+function renderRegionPieceWithMargin(region, width, height, cv) {
+  const piece = renderRegionPiece(region, cv);
+  // Room to grow into; when shrinking, the dark frame lets the box edges shrink too
+  const pad = Math.ceil(Math.abs(region.margin));
+  const x0 = Math.max(0, piece.x - pad);
+  const y0 = Math.max(0, piece.y - pad);
+  const x1 = Math.min(width, piece.x + piece.mask.cols + pad);
+  const y1 = Math.min(height, piece.y + piece.mask.rows + pad);
+  const mask = cv.Mat.zeros(Math.max(0, y1 - y0), Math.max(0, x1 - x0), cv.CV_8UC1);
+
+  try {
+    const px0 = Math.max(x0, piece.x);
+    const py0 = Math.max(y0, piece.y);
+    const px1 = Math.min(x1, piece.x + piece.mask.cols);
+    const py1 = Math.min(y1, piece.y + piece.mask.rows);
+    if (px1 > px0 && py1 > py0) {
+      const pieceRoi = piece.mask.roi(new cv.Rect(px0 - piece.x, py0 - piece.y, px1 - px0, py1 - py0));
+      const maskRoi = mask.roi(new cv.Rect(px0 - x0, py0 - y0, px1 - px0, py1 - py0));
+      pieceRoi.copyTo(maskRoi);
+      cleanupMats(pieceRoi, maskRoi);
+      adjustMaskMargin(mask, region.margin, cv);
+    }
+  } finally {
+    cleanupMats(piece.mask);
+  }
+  return { mask, x: x0, y: y0 };
+}
+
+/**
+ * Rasterize regions into a binary mask at original image size
+ * White (255) = inside any of the given regions, Black (0) = elsewhere
+ *
+ * @param {cv.Mat} originalImage - The source image (for dimensions)
+ * @param {Array} regions - Regions to fill (selection state is ignored)
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional settings
+ * @param {boolean} options.margins - Grow or shrink each region by its region.margin, as in
+ *   the projected mask (default false: the regions' exact shapes)
+ * @returns {cv.Mat} CV_8UC1 mask (caller must delete)
+ */
+export function renderRegionsMask(originalImage, regions, cv, options = {}) {
   // Create black mask at original image size
   const mask = cv.Mat.zeros(originalImage.rows, originalImage.cols, cv.CV_8UC1);
 
-  // Fill selected regions with white (no outlines, just filled regions)
-  for (let region of selectedRegions) {
+  // Fill regions with white (no outlines, just filled regions)
+  for (let region of regions) {
+    const withMargin = options.margins && region.margin;
+    if (withMargin || (region.holes && region.holes.length > 0)) {
+      // Holes and margins are applied on a scratch mask, so they never clear another region underneath
+      const piece = withMargin
+        ? renderRegionPieceWithMargin(region, mask.cols, mask.rows, cv)
+        : renderRegionPiece(region, cv);
+      const x0 = Math.max(0, piece.x);
+      const y0 = Math.max(0, piece.y);
+      const x1 = Math.min(mask.cols, piece.x + piece.mask.cols);
+      const y1 = Math.min(mask.rows, piece.y + piece.mask.rows);
+      if (x1 > x0 && y1 > y0) {
+        const pieceRoi = piece.mask.roi(new cv.Rect(x0 - piece.x, y0 - piece.y, x1 - x0, y1 - y0));
+        const maskRoi = mask.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+        cv.bitwise_or(maskRoi, pieceRoi, maskRoi);
+        cleanupMats(pieceRoi, maskRoi);
+      }
+      cleanupMats(piece.mask);
+      continue;
+    }
+
     // Scale the contour to match original image size
     const scaleFactor = region.scaleFactor || 1;
     const scale = 1 / scaleFactor;
@@ -1030,13 +2606,166 @@ export function createMask(originalImage, regions, canvas, cv) {
   // This removes any anti-aliasing or interpolation artifacts
   cv.threshold(mask, mask, 127, 255, cv.THRESH_BINARY);
 
-  // Display on canvas
-  canvas.width = mask.cols;
-  canvas.height = mask.rows;
-  cv.imshow(canvas, mask);
+  return mask;
+}
 
-  cleanupMats(mask);
-  return true;
+/**
+ * Select the regions that mostly lie inside a selection mask
+ * Used to carry a selection over to a different set of regions (re-segmentation,
+ * another merge level) by pixel ownership. Regions are updated in place.
+ * With a label map every owned pixel is counted; otherwise each region's mask is sampled.
+ *
+ * @param {Array} regions - Region objects
+ * @param {cv.Mat} selectionMask - CV_8UC1 mask at original image size (255 = selected)
+ * @param {object} labelMap - Optional label map for these regions (see buildLabelMap)
+ * @param {object} state - Optional properties set on every region marked as selected
+ * @returns {number} Number of regions marked as selected
+ */
+export function restoreSelectionFromMask(regions, selectionMask, labelMap = null, state = {}) {
+  let restoredCount = 0;
+
+  if (labelMap) {
+    const { data, width, height, scaleFactor, counts } = labelMap;
+    const selectedCounts = new Int32Array(regions.length);
+    const maskData = selectionMask.data;
+    const maskCols = selectionMask.cols;
+    for (let my = 0; my < height; my++) {
+      const origY = Math.min(selectionMask.rows - 1, Math.floor(my / scaleFactor));
+      for (let mx = 0; mx < width; mx++) {
+        const index = data[my * width + mx];
+        if (index < 0) continue;
+        const origX = Math.min(maskCols - 1, Math.floor(mx / scaleFactor));
+        if (maskData[origY * maskCols + origX] > 0) selectedCounts[index]++;
+      }
+    }
+    for (let i = 0; i < regions.length; i++) {
+      if (counts[i] > 0 && selectedCounts[i] / counts[i] > 0.5) {
+        Object.assign(regions[i], state, { selected: true });
+        restoredCount++;
+      }
+    }
+    return restoredCount;
+  }
+
+  for (const region of regions) {
+    const scale = 1 / (region.scaleFactor || 1);
+
+    // Sample points from the region's mask
+    let overlapCount = 0;
+    let totalSamples = 0;
+    const sampleStep = Math.max(1, Math.floor(region.mask.rows / 10));
+    for (let y = 0; y < region.mask.rows; y += sampleStep) {
+      for (let x = 0; x < region.mask.cols; x += sampleStep) {
+        if (region.mask.ucharAt(y, x) === 0) continue;
+        totalSamples++;
+
+        // Transform to original image coordinates
+        const origX = Math.floor((region.bounds.x + x) * scale);
+        const origY = Math.floor((region.bounds.y + y) * scale);
+        if (origX >= 0 && origX < selectionMask.cols &&
+            origY >= 0 && origY < selectionMask.rows &&
+            selectionMask.ucharAt(origY, origX) > 0) {
+          overlapCount++;
+        }
+      }
+    }
+
+    // If more than 50% of sampled points overlap, mark as selected
+    if (totalSamples > 0 && (overlapCount / totalSamples) > 0.5) {
+      Object.assign(region, state, { selected: true });
+      restoredCount++;
+    }
+  }
+
+  return restoredCount;
+}
+
+// Region properties that go with the selection: the light (see light.js) and the margin
+export const SELECTION_STATE_FIELDS = ['color', 'intensity', 'margin'];
+
+/**
+ * Carry the selection of one set of regions over to another by pixel ownership,
+ * together with each selected region's light and margin
+ * Selected regions are grouped by light and margin and each group goes through
+ * restoreSelectionFromMask, so a new region takes the light of the group that covers
+ * most of it. New regions are updated in place and lose their own light and margin first.
+ *
+ * @param {cv.Mat} originalImage - The source image (for dimensions)
+ * @param {Array} previousRegions - Regions the selection comes from (only read)
+ * @param {Array} regions - Regions to select
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} labelMap - Optional label map for the new regions (see buildLabelMap)
+ * @returns {number} Number of regions marked as selected
+ */
+export function restoreSelectionFromRegions(originalImage, previousRegions, regions, cv, labelMap = null) {
+  for (const region of regions) {
+    region.selected = false;
+    SELECTION_STATE_FIELDS.forEach(field => delete region[field]);
+  }
+
+  const groups = new Map();
+  for (const region of previousRegions) {
+    if (!region.selected) continue;
+    const key = JSON.stringify(SELECTION_STATE_FIELDS.map(field => region[field] ?? null));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(region);
+  }
+
+  let restoredCount = 0;
+  for (const group of groups.values()) {
+    const state = {};
+    for (const field of SELECTION_STATE_FIELDS) {
+      if (group[0][field] !== undefined) state[field] = group[0][field];
+    }
+    const selectionMask = renderRegionsMask(originalImage, group, cv);
+    try {
+      restoredCount += restoreSelectionFromMask(regions, selectionMask, labelMap, state);
+    } finally {
+      selectionMask.delete();
+    }
+  }
+  return restoredCount;
+}
+
+/**
+ * Regions at another level of the merge tree, for the live merge slider
+ * Unchanged groups reuse their Mats; changed groups come back downscaled and are snapped
+ * to full resolution like segmentImage does. Regions that are not part of the hierarchy -
+ * detected posters (region.quad) and regions added by hand with the wand, GrabCut
+ * refinement, the livewire or a split (region.manual) - stay on top of the new level.
+ * The selection carries over by pixel ownership with its light and margin.
+ *
+ * @param {cv.Mat} originalImage - The full original RGBA image
+ * @param {object} mergeTree - Merge tree returned by segmentImage
+ * @param {number} mergeThreshold - Max color distance for merging
+ * @param {Array} currentRegions - Regions shown now (not changed; the undo history owns them)
+ * @param {object} cv - OpenCV.js instance
+ * @param {object} options - Optional settings
+ * @param {cv.Mat} options.gradient - Boundary gradient of the original image (see
+ *   computeBoundaryGradient); computed and freed here when missing
+ * @returns {{ regions: Array, labelMap: object }} New regions and their label map
+ */
+export function regionsAtMergeLevel(originalImage, mergeTree, mergeThreshold, currentRegions, cv, options = {}) {
+  const keptRegions = currentRegions.filter(r => r.quad || r.manual);
+  const treeRegions = currentRegions.filter(r => !r.quad && !r.manual);
+
+  let { regions, labelMap } = regionsFromMergeTree(mergeTree, mergeThreshold, cv, {
+    reuseRegions: treeRegions
+  });
+  if (mergeTree.scaleFactor !== 1) {
+    regions = refineRegionBoundaries(originalImage, regions, cv, { gradient: options.gradient });
+  }
+  restoreSelectionFromRegions(originalImage, treeRegions, regions, cv, labelMap);
+
+  if (keptRegions.length > 0) {
+    const firstKept = regions.length;
+    ({ regions, labelMap } = refreshRegionAdjacency(
+      originalImage,
+      [...regions, ...keptRegions],
+      keptRegions.map((_, i) => firstKept + i)
+    ));
+  }
+  return { regions, labelMap };
 }
 
 /**
@@ -1063,15 +2792,27 @@ export function getCanvasMousePosition(canvas, event) {
  * Uses BFS through the adjacency graph, comparing against the start region's color
  *
  * @param {number} startRegionIndex - Index of the region to start from
- * @param {Array} regions - Array of region objects with avgColor and adjacentIndices
- * @param {number} threshold - Maximum RGB distance to consider "similar"
+ * @param {Array} regions - Array of region objects with avgColor (or avgLab), optional texture
+ *   and adjacentIndices
+ * @param {number} threshold - Maximum color/texture distance to consider "similar"
+ * @param {object} options - Optional settings
+ * @param {string} options.colorMetric - One of COLOR_METRICS from color.js (default 'rgb')
+ * @param {number} options.textureWeight - Share of texture distance, 0-1 (default 0 = color only)
  * @returns {Array<number>} Array of region indices to select
  */
-export function selectSimilarRegions(startRegionIndex, regions, threshold) {
+export function selectSimilarRegions(startRegionIndex, regions, threshold, options = {}) {
+  // The Lab metrics prefer the stored Lab color; RGB needs avgColor
+  const regionColor = (region) => {
+    const { avgColor, avgLab } = region;
+    if (!avgColor && !avgLab) return null;
+    if (!avgColor && (options.colorMetric || DEFAULT_COLOR_METRIC) === 'rgb') return null;
+    return { rgb: avgColor, lab: avgLab || rgbToLab(avgColor.r, avgColor.g, avgColor.b) };
+  };
+
   const startRegion = regions[startRegionIndex];
-  if (!startRegion || !startRegion.avgColor) return [startRegionIndex];
+  const startColor = startRegion ? regionColor(startRegion) : null;
+  if (!startColor) return [startRegionIndex];
 
-  const startColor = startRegion.avgColor;
   const visited = new Set();
   const toSelect = [];
   const queue = [startRegionIndex];
@@ -1087,13 +2828,10 @@ export function selectSimilarRegions(startRegionIndex, regions, threshold) {
       visited.add(neighborIdx);
 
       const neighbor = regions[neighborIdx];
-      if (!neighbor || !neighbor.avgColor) continue;
+      const neighborColor = neighbor ? regionColor(neighbor) : null;
+      if (!neighborColor) continue;
 
-      const dist = Math.sqrt(
-        (neighbor.avgColor.r - startColor.r) ** 2 +
-        (neighbor.avgColor.g - startColor.g) ** 2 +
-        (neighbor.avgColor.b - startColor.b) ** 2
-      );
+      const dist = descriptorDistance(neighborColor, neighbor.texture, startColor, startRegion.texture, options);
 
       if (dist < threshold) {
         queue.push(neighborIdx);
@@ -1157,9 +2895,10 @@ export function densifyContour(contour, maxSpacing, cv) {
 export function rebuildRegionMask(region, cv) {
   // Recompute bounds from contour
   let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const points = region.contour.data32S;
   for (let i = 0; i < region.contour.rows; i++) {
-    const x = region.contour.data32S[i * 2];
-    const y = region.contour.data32S[i * 2 + 1];
+    const x = points[i * 2];
+    const y = points[i * 2 + 1];
     if (x < minX) minX = x;
     if (x > maxX) maxX = x;
     if (y < minY) minY = y;
@@ -1181,9 +2920,12 @@ export function rebuildRegionMask(region, cv) {
 
   // Offset contour to local coordinates
   const localContour = new cv.Mat(region.contour.rows, 1, cv.CV_32SC2);
+  // Re-read the views: allocating Mats may have moved the WebAssembly heap
+  const source = region.contour.data32S;
+  const local = localContour.data32S;
   for (let i = 0; i < region.contour.rows; i++) {
-    localContour.data32S[i * 2] = region.contour.data32S[i * 2] - newBounds.x;
-    localContour.data32S[i * 2 + 1] = region.contour.data32S[i * 2 + 1] - newBounds.y;
+    local[i * 2] = source[i * 2] - newBounds.x;
+    local[i * 2 + 1] = source[i * 2 + 1] - newBounds.y;
   }
 
   const contourVec = new cv.MatVector();
@@ -1207,9 +2949,11 @@ export function rebuildRegionMask(region, cv) {
  * @param {number} sensitivity - Sensitivity for sub-segmentation
  * @param {number} regionSize - Region size for sub-segmentation
  * @param {number} mergeThreshold - Merge threshold for sub-segmentation
+ * @param {object} options - Optional settings forwarded to segmentImage (e.g. onProgress)
  * @returns {Array} Updated regions array with selected regions replaced by finer sub-regions
+ *   (manual: true, since they are not part of the merge tree)
  */
-export function splitRegions(originalImage, regions, selectedIndices, cv, sensitivity, regionSize, mergeThreshold) {
+export function splitRegions(originalImage, regions, selectedIndices, cv, sensitivity, regionSize, mergeThreshold, options = {}) {
   if (!selectedIndices || selectedIndices.length === 0) return regions;
 
   const selectedRegions = selectedIndices.map(i => regions[i]);
@@ -1262,7 +3006,7 @@ export function splitRegions(originalImage, regions, selectedIndices, cv, sensit
   // Step 4: Run segmentation on the crop
   let subResult;
   try {
-    subResult = segmentImage(croppedImage, sensitivity, regionSize, cv, mergeThreshold);
+    subResult = segmentImage(croppedImage, sensitivity, regionSize, cv, mergeThreshold, options);
   } catch (error) {
     console.error('[Split] Sub-segmentation failed:', error);
     croppedImage.delete();
@@ -1346,7 +3090,10 @@ export function splitRegions(originalImage, regions, selectedIndices, cv, sensit
       selected: false,
       label: -1, // Will be reassigned
       avgColor: subRegion.avgColor,
-      adjacentIndices: []
+      avgLab: subRegion.avgLab,
+      texture: subRegion.texture,
+      adjacentIndices: [],
+      manual: true
     });
   }
 
@@ -1358,27 +3105,42 @@ export function splitRegions(originalImage, regions, selectedIndices, cv, sensit
   console.log(`[Split] Kept ${newSubRegions.length} sub-regions after filtering`);
 
   // Step 6: Build updated regions array
-  const selectedSet = new Set(selectedIndices);
+  const replaced = replaceRegions(regions, selectedIndices, newSubRegions);
+
+  // Step 7: Connect the sub-regions to each other and to the regions around the split area
+  const firstNew = replaced.length - newSubRegions.length;
+  const { regions: updatedRegions } = refreshRegionAdjacency(
+    originalImage,
+    replaced,
+    newSubRegions.map((_, i) => firstNew + i)
+  );
+
+  return updatedRegions;
+}
+
+/**
+ * Replace a set of regions with new ones, freeing the replaced regions' OpenCV objects.
+ * Kept regions preserve their relative order; replacements are appended at the end.
+ *
+ * @param {Array} regions - All current regions
+ * @param {Array<number>} indices - Indices of regions to remove
+ * @param {Array} replacements - New regions to append
+ * @returns {Array} New regions array
+ */
+export function replaceRegions(regions, indices, replacements) {
+  const removeSet = new Set(indices);
   const updatedRegions = [];
 
-  // Keep non-selected regions
   for (let i = 0; i < regions.length; i++) {
-    if (!selectedSet.has(i)) {
+    if (!removeSet.has(i)) {
       updatedRegions.push(regions[i]);
     } else {
-      // Clean up old selected region's OpenCV objects
       cleanupMats(regions[i].contour, regions[i].mask);
     }
   }
 
-  // Add new sub-regions
-  for (const subRegion of newSubRegions) {
-    updatedRegions.push(subRegion);
-  }
-
-  // Step 7: Rebuild simple adjacency (clear all, not critical for basic functionality)
-  for (const region of updatedRegions) {
-    region.adjacentIndices = [];
+  for (const region of replacements) {
+    updatedRegions.push(region);
   }
 
   return updatedRegions;
@@ -0,0 +1,185 @@
+/**
+ * SLIC superpixel segmentation
+ * Simple Linear Iterative Clustering (Achanta et al., 2012): k-means in the
+ * combined CIELAB + image-plane space, restricted to a 2S x 2S window around
+ * each cluster center so every superpixel stays compact and roughly S x S.
+ *
+ * OpenCV.js does not ship the ximgproc module, so this runs on raw typed arrays.
+ */
+
+import { rgbToLab } from './color';
+
+/**
+ * Compute SLIC superpixel labels for an RGBA image
+ *
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Interleaved RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {object} options
+ * @param {number} options.step - Grid interval S in pixels (superpixel side length)
+ * @param {number} options.compactness - Color vs. spatial weight m (higher = more regular shapes)
+ * @param {number} options.iterations - Number of k-means iterations
+ * @param {number} options.originX - X offset of this image within a larger image (tiles), so
+ *   seeds of overlapping tiles land on the same grid
+ * @param {number} options.originY - Y offset of this image within a larger image
+ * @returns {Int32Array} Label per pixel, numbered from 1, each label 4-connected
+ */
+export function computeSlicLabels(rgba, width, height, { step, compactness = 10, iterations = 10, originX = 0, originY = 0 } = {}) {
+  const n = width * height;
+  const S = Math.max(2, Math.round(step || Math.sqrt(n / 200)));
+
+  // Convert to CIELAB planes
+  const L = new Float32Array(n);
+  const A = new Float32Array(n);
+  const B = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const lab = rgbToLab(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+    L[i] = lab.l;
+    A[i] = lab.a;
+    B[i] = lab.b;
+  }
+
+  // Initialize cluster centers on a regular grid, nudged to the lowest gradient
+  // in their 3x3 neighborhood so they don't start on an edge
+  const cl = [], ca = [], cb = [], cx = [], cy = [];
+  const gridStart = (origin) => (((Math.floor(S / 2) - origin) % S) + S) % S;
+  for (let y = gridStart(originY); y < height; y += S) {
+    for (let x = gridStart(originX); x < width; x += S) {
+      let bestX = x, bestY = y, bestGrad = Infinity;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx, ny = y + dy;
+          if (nx < 1 || nx >= width - 1 || ny < 1 || ny >= height - 1) continue;
+          const i = ny * width + nx;
+          const gx = L[i + 1] - L[i - 1];
+          const gy = L[i + width] - L[i - width];
+          const grad = gx * gx + gy * gy;
+          if (grad < bestGrad) {
+            bestGrad = grad;
+            bestX = nx;
+            bestY = ny;
+          }
+        }
+      }
+      const i = bestY * width + bestX;
+      cl.push(L[i]); ca.push(A[i]); cb.push(B[i]);
+      cx.push(bestX); cy.push(bestY);
+    }
+  }
+
+  const k = cl.length;
+  const labels = new Int32Array(n).fill(-1);
+  const distances = new Float32Array(n);
+  const spatialWeight = (compactness / S) ** 2;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    distances.fill(Infinity);
+
+    // Assignment: each center claims pixels in its 2S x 2S window
+    for (let c = 0; c < k; c++) {
+      const x0 = Math.max(0, Math.floor(cx[c] - S));
+      const x1 = Math.min(width - 1, Math.ceil(cx[c] + S));
+      const y0 = Math.max(0, Math.floor(cy[c] - S));
+      const y1 = Math.min(height - 1, Math.ceil(cy[c] + S));
+      for (let y = y0; y <= y1; y++) {
+        const dy = y - cy[c];
+        for (let x = x0; x <= x1; x++) {
+          const i = y * width + x;
+          const dl = L[i] - cl[c];
+          const da = A[i] - ca[c];
+          const db = B[i] - cb[c];
+          const dx = x - cx[c];
+          const d = dl * dl + da * da + db * db + (dx * dx + dy * dy) * spatialWeight;
+          if (d < distances[i]) {
+            distances[i] = d;
+            labels[i] = c;
+          }
+        }
+      }
+    }
+
+    // Update: move each center to the mean of its pixels
+    const sumL = new Float64Array(k), sumA = new Float64Array(k), sumB = new Float64Array(k);
+    const sumX = new Float64Array(k), sumY = new Float64Array(k), count = new Float64Array(k);
+    for (let i = 0; i < n; i++) {
+      const c = labels[i];
+      if (c < 0) continue;
+      const x = i % width;
+      sumL[c] += L[i]; sumA[c] += A[i]; sumB[c] += B[i];
+      sumX[c] += x; sumY[c] += (i - x) / width;
+      count[c]++;
+    }
+    for (let c = 0; c < k; c++) {
+      if (count[c] === 0) continue;
+      cl[c] = sumL[c] / count[c];
+      ca[c] = sumA[c] / count[c];
+      cb[c] = sumB[c] / count[c];
+      cx[c] = sumX[c] / count[c];
+      cy[c] = sumY[c] / count[c];
+    }
+  }
+
+  // Pixels no window reached (only possible at odd image borders) join their left/top neighbor
+  for (let i = 0; i < n; i++) {
+    if (labels[i] < 0) labels[i] = i > 0 ? labels[i - 1] : 0;
+  }
+
+  return enforceConnectivity(labels, width, height, Math.max(1, Math.floor((S * S) / 4)));
+}
+
+/**
+ * Relabel so every label is a single 4-connected component
+ * Components smaller than minSize are absorbed into an adjacent, already-labeled component.
+ *
+ * @param {Int32Array} labels - Cluster index per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} minSize - Minimum component size in pixels
+ * @returns {Int32Array} Connected labels numbered from 1
+ */
+function enforceConnectivity(labels, width, height, minSize) {
+  const n = width * height;
+  const out = new Int32Array(n); // 0 = not yet assigned
+  const queue = new Int32Array(n);
+  let nextLabel = 1;
+
+  for (let start = 0; start < n; start++) {
+    if (out[start] !== 0) continue;
+
+    // In raster order the left or upper neighbor (if any) is already assigned
+    const sx = start % width;
+    let adjacentLabel = 0;
+    if (sx > 0) adjacentLabel = out[start - 1];
+    else if (start >= width) adjacentLabel = out[start - width];
+
+    const clusterLabel = labels[start];
+    let head = 0, tail = 0;
+    queue[tail++] = start;
+    out[start] = nextLabel;
+
+    while (head < tail) {
+      const i = queue[head++];
+      const x = i % width;
+      if (x > 0 && out[i - 1] === 0 && labels[i - 1] === clusterLabel) {
+        out[i - 1] = nextLabel; queue[tail++] = i - 1;
+      }
+      if (x < width - 1 && out[i + 1] === 0 && labels[i + 1] === clusterLabel) {
+        out[i + 1] = nextLabel; queue[tail++] = i + 1;
+      }
+      if (i >= width && out[i - width] === 0 && labels[i - width] === clusterLabel) {
+        out[i - width] = nextLabel; queue[tail++] = i - width;
+      }
+      if (i + width < n && out[i + width] === 0 && labels[i + width] === clusterLabel) {
+        out[i + width] = nextLabel; queue[tail++] = i + width;
+      }
+    }
+
+    if (tail < minSize && adjacentLabel > 0) {
+      for (let q = 0; q < tail; q++) out[queue[q]] = adjacentLabel;
+    } else {
+      nextLabel++;
+    }
+  }
+
+  return out;
+}
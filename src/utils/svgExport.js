@@ -0,0 +1,128 @@
+/**
+ * SVG mask export
+ * Writes the selected regions (holes included) and presenter strokes as vector
+ * paths, lit in their light color (white by default, see light.js) on a black
+ * background, in original image pixels. Projection
+ * software and laser cutters can scale the result without the stair steps of the
+ * PNG. Margins and feathering are raster effects and are not part of the SVG.
+ */
+
+import { simplifyPath } from './livewire';
+import { lightHex, isDefaultLight } from './light';
+
+/**
+ * Round a coordinate to 2 decimals so paths stay short
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Path data for one closed ring ("M x y L ... Z"), or '' if fewer than 3 points are left
+ */
+function ringPath(points, tolerance) {
+  const ring = tolerance > 0 ? simplifyPath(points, tolerance) : points;
+  if (ring.length < 3) return '';
+  return 'M' + ring.map(p => `${formatNumber(p.x)} ${formatNumber(p.y)}`).join(' L') + ' Z';
+}
+
+/**
+ * Fill color of a lit region or stroke
+ */
+function litColor(item) {
+  return isDefaultLight(item) ? 'white' : lightHex(item);
+}
+
+/**
+ * Points of a flat x, y array, scaled to original pixels
+ * Contours run through pixel centers, so they are moved by half a pixel to line up
+ * with the pixel grid of the PNG mask.
+ */
+function ringPoints(coords, scale) {
+  const points = [];
+  for (let i = 0; i < coords.length; i += 2) {
+    points.push({ x: coords[i] * scale + 0.5, y: coords[i + 1] * scale + 0.5 });
+  }
+  return points;
+}
+
+/**
+ * Map presenter strokes from world (presenter canvas) coordinates to image pixels
+ *
+ * @param {Array} strokes - Finished strokes { type, points, size } in world coordinates
+ * @param {Array<number>} transform - World to image transform [a, b, c, d, e, f]
+ *   (canvas setTransform order), without shear
+ * @returns {Array} Strokes with points and size in image pixels
+ */
+export function strokesToImage(strokes, transform) {
+  const [a, b, c, d, e, f] = transform;
+  const scale = Math.sqrt(Math.abs(a * d - b * c));
+  return strokes.map(stroke => ({
+    ...stroke,
+    points: stroke.points.map(p => ({ x: a * p.x + c * p.y + e, y: b * p.x + d * p.y + f })),
+    size: stroke.size * scale
+  }));
+}
+
+/**
+ * Build an SVG document of the selected regions and strokes
+ *
+ * @param {Array} regions - All regions; only selected ones are written
+ * @param {number} width - Original image width
+ * @param {number} height - Original image height
+ * @param {object} options - Optional settings
+ * @param {Array} options.strokes - Presenter strokes in image pixels (see strokesToImage),
+ *   drawn in order over the regions
+ * @param {number} options.tolerance - Simplification tolerance in original pixels: outline
+ *   points closer than this to the simplified outline are dropped (default 0 = exact)
+ * @returns {string} SVG document
+ */
+export function buildMaskSvg(regions, width, height, options = {}) {
+  const tolerance = options.tolerance || 0;
+  const strokes = options.strokes || [];
+  const elements = [`<rect width="${width}" height="${height}" fill="black"/>`];
+
+  for (const region of regions) {
+    if (!region.selected) continue;
+    const scale = 1 / (region.scaleFactor || 1);
+    // Holes are separate rings of the same path; even-odd filling leaves them open.
+    // The 1px outline adds the outer half of the boundary pixels the rings run through,
+    // so the shape covers the same pixels as the PNG and neighbors meet without a gap
+    const rings = [ringPoints(region.contour.data32S, scale), ...(region.holes || []).map(hole => ringPoints(hole, scale))];
+    const [outline, ...holes] = rings.map(points => ringPath(points, tolerance));
+    if (!outline) continue;
+    const d = [outline, ...holes.filter(Boolean)].join(' ');
+    const color = litColor(region);
+    elements.push(`<path d="${d}" fill="${color}" fill-rule="evenodd" stroke="${color}" stroke-width="1" stroke-linejoin="round"/>`);
+  }
+
+  for (const stroke of strokes) {
+    if (stroke.type === 'polygon-white' || stroke.type === 'polygon-black') {
+      const d = ringPath(stroke.points, tolerance);
+      if (d) elements.push(`<path d="${d}" fill="${stroke.type === 'polygon-white' ? litColor(stroke) : 'black'}"/>`);
+      continue;
+    }
+    if (stroke.type !== 'white' && stroke.type !== 'black') continue;
+    if (stroke.points.length === 0) continue;
+
+    const color = stroke.type === 'white' ? litColor(stroke) : 'black';
+    const size = formatNumber(stroke.size);
+    if (stroke.points.length === 1) {
+      const [point] = stroke.points;
+      elements.push(`<circle cx="${formatNumber(point.x)}" cy="${formatNumber(point.y)}" r="${formatNumber(stroke.size / 2)}" fill="${color}"/>`);
+      continue;
+    }
+    // Round caps and joins match the dots the canvas draws at every point
+    const points = tolerance > 0 ? simplifyPath(stroke.points, tolerance) : stroke.points;
+    const d = 'M' + points.map(p => `${formatNumber(p.x)} ${formatNumber(p.y)}`).join(' L');
+    elements.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="${size}" stroke-linecap="round" stroke-linejoin="round"/>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...elements.map(element => '  ' + element),
+    '</svg>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,99 @@
+/**
+ * Texture descriptors
+ * Rotation-invariant uniform local binary patterns (LBP, Ojala et al., 2002):
+ * each pixel is coded by which of its 8 neighbors are brighter than it, and a
+ * region's texture signature is the histogram of those codes.
+ */
+
+/**
+ * Number of bins in a texture signature: 9 uniform patterns (0-8 brighter
+ * neighbors in one contiguous arc) plus one bin for all non-uniform patterns
+ */
+export const TEXTURE_BINS = 10;
+
+// A neighbor counts as brighter only above this margin, so flat areas with
+// sensor noise still code as flat
+const LBP_MARGIN = 4;
+
+// 8-bit neighbor pattern -> histogram bin
+const PATTERN_TO_BIN = new Uint8Array(256);
+for (let pattern = 0; pattern < 256; pattern++) {
+  let transitions = 0;
+  let ones = 0;
+  for (let bit = 0; bit < 8; bit++) {
+    const current = (pattern >> bit) & 1;
+    const next = (pattern >> ((bit + 1) % 8)) & 1;
+    if (current !== next) transitions++;
+    ones += current;
+  }
+  PATTERN_TO_BIN[pattern] = transitions <= 2 ? ones : TEXTURE_BINS - 1;
+}
+
+/**
+ * Compute the texture signature of every label of a label map
+ * Image border pixels have no full neighborhood and are not counted.
+ *
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Interleaved RGBA pixel data
+ * @param {Int32Array} pixelLabels - Label per pixel (> 0)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Map<number, Float32Array>} Normalized TEXTURE_BINS histogram per label
+ *   (labels with only border pixels have none)
+ */
+export function computeTextureSignatures(rgba, pixelLabels, width, height) {
+  const luma = new Uint8Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = (rgba[i * 4] * 77 + rgba[i * 4 + 1] * 150 + rgba[i * 4 + 2] * 29) >> 8;
+  }
+
+  const offsets = [-width - 1, -width, -width + 1, 1, width + 1, width, width - 1, -1];
+  const histograms = new Map();
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const threshold = luma[i] + LBP_MARGIN;
+      let pattern = 0;
+      for (let bit = 0; bit < 8; bit++) {
+        if (luma[i + offsets[bit]] > threshold) pattern |= 1 << bit;
+      }
+
+      const label = pixelLabels[i];
+      let histogram = histograms.get(label);
+      if (!histogram) {
+        histogram = new Float32Array(TEXTURE_BINS);
+        histograms.set(label, histogram);
+      }
+      histogram[PATTERN_TO_BIN[pattern]]++;
+    }
+  }
+
+  for (const histogram of histograms.values()) {
+    let total = 0;
+    for (let b = 0; b < TEXTURE_BINS; b++) total += histogram[b];
+    if (total > 0) {
+      for (let b = 0; b < TEXTURE_BINS; b++) histogram[b] /= total;
+    }
+  }
+  return histograms;
+}
+
+/**
+ * Chi-square distance between two texture signatures
+ *
+ * @param {ArrayLike<number>} a - Normalized histogram
+ * @param {ArrayLike<number>} b - Normalized histogram
+ * @returns {number|null} Distance in [0, 1], or null when either signature is empty
+ */
+export function textureDistance(a, b) {
+  let sumA = 0;
+  let sumB = 0;
+  let distance = 0;
+  for (let i = 0; i < TEXTURE_BINS; i++) {
+    sumA += a[i];
+    sumB += b[i];
+    const total = a[i] + b[i];
+    if (total > 0) distance += (a[i] - b[i]) ** 2 / total;
+  }
+  if (sumA === 0 || sumB === 0) return null;
+  return distance / 2;
+}
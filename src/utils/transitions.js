@@ -0,0 +1,145 @@
+/**
+ * Presenter transitions
+ * Animated changes between two presenter frames when switching scenes: a crossfade,
+ * a left-to-right wipe, or a staggered fade where the regions that change light up
+ * (or go dark) one after another from left to right. Frames are snapshots of the
+ * presenter canvas, so a transition costs a few drawImage calls per animation frame.
+ */
+
+import { lightHex } from './light';
+import { invertTransform, applyTransform } from './outputProfiles';
+
+// 'cut' switches at once
+export const TRANSITION_TYPES = ['cut', 'crossfade', 'wipe', 'stagger'];
+
+// Share of the transition each region takes to fade in a staggered transition
+const STAGGER_FADE = 0.4;
+
+/**
+ * Eased progress of a transition (slow start and end)
+ *
+ * @param {number} elapsed - Milliseconds since the start
+ * @param {number} duration - Length in milliseconds
+ * @returns {number} 0-1 (1 when finished or when the duration is 0)
+ */
+export function transitionProgress(elapsed, duration) {
+  if (!(duration > 0)) return 1;
+  const t = Math.min(1, Math.max(0, elapsed / duration));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Indices of regions that look different between two region lists (lit or not, light,
+ * margin), ordered left to right for a staggered transition
+ *
+ * @param {Array} before - Regions shown before
+ * @param {Array} after - Regions shown after (same segmentation)
+ * @returns {Array<number>} Region indices
+ */
+export function changedRegionIndices(before, after) {
+  const look = region => (region && region.selected ? `${lightHex(region)} ${region.margin || 0}` : '');
+  const left = region => region.bounds.x / (region.scaleFactor || 1);
+  const changed = [];
+  for (let i = 0; i < after.length; i++) {
+    if (look(before[i]) !== look(after[i])) changed.push(i);
+  }
+  return changed.sort((a, b) => left(after[a]) - left(after[b]));
+}
+
+/**
+ * Progress of one region in a staggered transition
+ * Regions start one after another and each fades over STAGGER_FADE of the transition;
+ * the last one finishes with it.
+ *
+ * @param {number} order - Position of the region in the stagger order
+ * @param {number} count - Number of staggered regions
+ * @param {number} progress - Transition progress, 0-1
+ * @returns {number} 0-1
+ */
+export function staggerProgress(order, count, progress) {
+  const fade = count > 1 ? STAGGER_FADE : 1;
+  const start = count > 1 ? (order / (count - 1)) * (1 - fade) : 0;
+  return Math.min(1, Math.max(0, (progress - start) / fade));
+}
+
+/**
+ * Outline of a region as a clip path in original image pixels (holes are not cut out)
+ *
+ * @param {object} region - Region with a CV_32SC2 contour
+ * @returns {Path2D}
+ */
+export function regionClipPath(region) {
+  const scale = 1 / (region.scaleFactor || 1);
+  const coords = region.contour.data32S;
+  const path = new Path2D();
+  for (let i = 0; i < coords.length; i += 2) {
+    // Pixel centers, moved to the pixel grid like the SVG export
+    const x = coords[i] * scale + 0.5;
+    const y = coords[i + 1] * scale + 0.5;
+    if (i === 0) path.moveTo(x, y); else path.lineTo(x, y);
+  }
+  path.closePath();
+  return path;
+}
+
+/**
+ * Draw one frame of a transition
+ *
+ * @param {CanvasRenderingContext2D} ctx - Presenter canvas context (identity transform)
+ * @param {object} transition - { type, from, to, clips, clipTransform }: from/to are canvases
+ *   of the old and new frame; for 'stagger', clips are Path2D outlines of the changed regions
+ *   in stagger order and clipTransform maps them to canvas pixels (setTransform order)
+ * @param {number} progress - 0-1
+ */
+export function drawTransitionFrame(ctx, transition, progress) {
+  const { type, from, to } = transition;
+  const { width, height } = ctx.canvas;
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
+  ctx.drawImage(to, 0, 0);
+
+  if (type === 'crossfade') {
+    ctx.globalAlpha = 1 - progress;
+    ctx.drawImage(from, 0, 0);
+  } else if (type === 'wipe') {
+    const edge = Math.round(width * progress);
+    ctx.beginPath();
+    ctx.rect(edge, 0, width - edge, height);
+    ctx.clip();
+    ctx.drawImage(from, 0, 0);
+  } else if (type === 'stagger') {
+    // Everything outside the changed regions (strokes) crossfades over the whole transition
+    ctx.save();
+    ctx.setTransform(...transition.clipTransform);
+    const outside = new Path2D();
+    // Canvas corners in clip coordinates
+    const toClip = invertTransform(transition.clipTransform);
+    const corners = [[0, 0], [width, 0], [width, height], [0, height]].map(([x, y]) => {
+      const corner = applyTransform(toClip, x, y);
+      return [corner.x, corner.y];
+    });
+    outside.moveTo(...corners[0]);
+    corners.slice(1).forEach(corner => outside.lineTo(...corner));
+    outside.closePath();
+    transition.clips.forEach(clip => outside.addPath(clip));
+    ctx.clip(outside, 'evenodd');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1 - progress;
+    ctx.drawImage(from, 0, 0);
+    ctx.restore();
+
+    transition.clips.forEach((clip, order) => {
+      const regionProgress = staggerProgress(order, transition.clips.length, progress);
+      if (regionProgress >= 1) return;
+      ctx.save();
+      ctx.setTransform(...transition.clipTransform);
+      ctx.clip(clip);
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalAlpha = 1 - regionProgress;
+      ctx.drawImage(from, 0, 0);
+      ctx.restore();
+    });
+  }
+  ctx.restore();
+}
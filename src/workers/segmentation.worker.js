@@ -0,0 +1,138 @@
+/**
+ * Segmentation Web Worker
+ * Runs segmentImage (optionally auto-tuned), splitRegions, GrabCut refinement and quad detection off the main thread with its own OpenCV.js
+ * instance. Progress is streamed back per pipeline step, and results are returned
+ * as transferable typed arrays (see utils/regionTransfer.js).
+ *
+ * Messages in:  { type: 'init', source } (OpenCV.js source, sent once by the hook before any job)
+ *               { id, type: 'segment' | 'tune' | 'split' | 'refine' | 'quads', image, params, regions? }
+ * Messages out: { id, type: 'progress', step, fraction }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+
+import { segmentImage, autoTuneSegmentation, regionSizeForDetail, splitRegions, cleanupMats } from '../utils/segmentation';
+import { refineRegionsWithGrabCut } from '../utils/refine';
+import { detectQuadrilaterals } from '../utils/quads';
+import {
+  serializeSegmentationResult,
+  serializeRegions,
+  deserializeRegions,
+  deserializeImage
+} from '../utils/regionTransfer';
+
+let cvSource = null;
+let cvPromise = null;
+
+/**
+ * Start OpenCV.js in the worker once; resolves when the runtime is ready
+ * The hook fetches the source once per page and passes it in (see useSegmentationWorker).
+ * Module workers cannot call importScripts, so the script is evaluated directly.
+ * A failed start is forgotten, so the next job tries again instead of failing for the
+ * rest of the worker's life.
+ *
+ * @param {string} source - OpenCV.js source
+ */
+function loadOpenCV(source) {
+  if (!cvPromise) {
+    cvPromise = (async () => {
+      (0, eval)(source);
+
+      let cv = self.cv;
+      if (cv instanceof Promise) {
+        cv = await cv;
+      } else if (!cv.Mat) {
+        await new Promise(resolve => { cv.onRuntimeInitialized = resolve; });
+      }
+      return cv;
+    })();
+    cvPromise.catch(() => { cvPromise = null; });
+  }
+  return cvPromise;
+}
+
+self.onmessage = async (event) => {
+  const { id, type, params } = event.data;
+  if (type === 'init') {
+    // Errors surface with the first job, which awaits the same promise or starts again
+    cvSource = event.data.source;
+    loadOpenCV(cvSource).catch(() => {});
+    return;
+  }
+
+  const onProgress = (step, fraction) => {
+    self.postMessage({ id, type: 'progress', step, fraction });
+  };
+
+  let image = null;
+  try {
+    if (!cvSource) throw new Error('OpenCV.js was not sent to the worker');
+    const cv = await loadOpenCV(cvSource);
+    image = deserializeImage(event.data.image, cv);
+
+    if (type === 'segment' || type === 'tune') {
+      // Auto-tune picks the detail level and merge threshold, then segments with them
+      const tuning = type === 'tune'
+        ? autoTuneSegmentation(image, cv, params.target, { ...params.options, onProgress })
+        : null;
+      const result = segmentImage(
+        image,
+        tuning ? tuning.detailLevel : params.sensitivity,
+        tuning ? regionSizeForDetail(tuning.detailLevel) : params.regionSize,
+        cv,
+        tuning ? tuning.mergeThreshold : params.mergeThreshold,
+        { ...params.options, onProgress }
+      );
+      const { result: serialized, transfer } = serializeSegmentationResult(result);
+      result.regions.forEach(region => cleanupMats(region.contour, region.mask));
+      cleanupMats(result.edgeMap);
+      if (tuning) serialized.tuning = tuning;
+      self.postMessage({ id, type: 'result', result: serialized }, transfer);
+    } else if (type === 'split') {
+      // Every region sent to the worker is one of the regions being split,
+      // so the returned array contains only the new sub-regions
+      const regions = deserializeRegions(event.data.regions, cv);
+      const indices = regions.map((_, i) => i);
+      const subRegions = splitRegions(
+        image,
+        regions,
+        indices,
+        cv,
+        params.sensitivity,
+        params.regionSize,
+        params.mergeThreshold,
+        { ...params.options, onProgress }
+      );
+      if (subRegions === regions) {
+        regions.forEach(region => cleanupMats(region.contour, region.mask));
+        throw new Error('Could not split the selected regions');
+      }
+      const { regions: serialized, transfer } = serializeRegions(subRegions);
+      subRegions.forEach(region => cleanupMats(region.contour, region.mask));
+      self.postMessage({ id, type: 'result', result: { regions: serialized } }, transfer);
+    } else if (type === 'refine') {
+      const regions = deserializeRegions(event.data.regions, cv);
+      let refined;
+      try {
+        refined = refineRegionsWithGrabCut(image, regions, cv, { ...params, onProgress });
+      } finally {
+        regions.forEach(region => cleanupMats(region.contour, region.mask));
+      }
+      const { regions: serialized, transfer } = serializeRegions(refined);
+      refined.forEach(region => cleanupMats(region.contour, region.mask));
+      self.postMessage({ id, type: 'result', result: { regions: serialized } }, transfer);
+    } else if (type === 'quads') {
+      const quads = detectQuadrilaterals(image, cv, { ...params, onProgress });
+      const { regions: serialized, transfer } = serializeRegions(quads);
+      quads.forEach(region => cleanupMats(region.contour, region.mask));
+      self.postMessage({ id, type: 'result', result: { regions: serialized } }, transfer);
+    } else {
+      throw new Error(`Unknown worker request: ${type}`);
+    }
+  } catch (error) {
+    console.error('[Worker] Error:', error);
+    self.postMessage({ id, type: 'error', message: error.message || String(error) });
+  } finally {
+    cleanupMats(image);
+  }
+};